@@ -0,0 +1,126 @@
+/**
+ * @file audit.js
+ * @description Audit log of the changes managers make, with who made them and the row before and after
+ *
+ * Every route that changes employees, inventory, recipes, the menu, kitchen stations, receipts or the Z report date records the
+ * change in `audit_log` on the same transaction as the change itself, so a change is never saved without its
+ * record. The table is append-only, a trigger rejects updates and deletes.
+ *
+ * @requires errors Error types that carry an HTTP status
+ */
+
+const { HttpError } = require("./errors");
+
+/**
+ * Most audit entries the audit viewer can ask for at once.
+ */
+const MAX_AUDIT_ENTRIES = 1000;
+
+/**
+ * Loads a row as it is now, to record it as the before or after of a change.
+ *
+ * @param {Object} client Database client of the transaction making the change
+ * @param {String} query Query selecting the row
+ * @param {Array} params Parameters of the query
+ * @returns {Promise<Object|null>} The row, or null if there is none
+ */
+async function loadSnapshot(client, query, params) {
+	const result = await client.query(query, params);
+	return result.rows[0] || null;
+}
+
+/**
+ * Records a change in the audit log.
+ *
+ * @param {Object} client Database client of the transaction making the change
+ * @param {Object} entry The change
+ * @param {Number=} entry.employeeId Employee who made the change, from the session
+ * @param {String} entry.action What was done, such as create, update, delete, fire, void, refund, cancel or close
+ * @param {String} entry.entityType Kind of row that changed, such as employee, inventory or receipt
+ * @param {Number|String=} entry.entityId ID of the row that changed
+ * @param {Object=} entry.before The row before the change, null when it was created
+ * @param {Object=} entry.after The row after the change, null when it was deleted
+ * @returns {Promise<void>}
+ */
+async function recordAudit(client, { employeeId, action, entityType, entityId, before = null, after = null }) {
+	await client.query(
+		`INSERT INTO audit_log (employee_id, action, entity_type, entity_id, before, after)
+		 VALUES ($1, $2, $3, $4, $5, $6);`,
+		[
+			employeeId || null,
+			action,
+			entityType,
+			entityId === undefined || entityId === null ? null : String(entityId),
+			before === null ? null : JSON.stringify(before),
+			after === null ? null : JSON.stringify(after),
+		]
+	);
+}
+
+/**
+ * Loads audit entries, newest first.
+ *
+ * @param {Object} client Database client or pool to run the query on
+ * @param {Object} filters Filters from the query string, each one is skipped when empty
+ * @param {String=} filters.employee_id Only changes made by this employee
+ * @param {String=} filters.action Only this action
+ * @param {String=} filters.entity_type Only changes to this kind of row
+ * @param {String=} filters.entity_id Only changes to this row
+ * @param {String=} filters.from Only changes made at or after this time
+ * @param {String=} filters.to Only changes made at or before this time
+ * @param {String=} filters.limit How many entries to return, 200 if unincluded
+ * @returns {Promise<Array<Object>>} Audit entries with the name of the employee who made each change
+ * @throws {HttpError} 400 if the employee ID, a time or the limit is not valid
+ */
+async function loadAuditLog(client, filters) {
+	const conditions = [];
+	const params = [];
+	const addCondition = (condition, value) => {
+		params.push(value);
+		conditions.push(condition.replace("?", `$${params.length}`));
+	};
+
+	if (filters.employee_id) {
+		if (!/^\d+$/.test(filters.employee_id)) {
+			throw new HttpError(400, "employee_id must be a whole number.");
+		}
+		addCondition("a.employee_id = ?", Number(filters.employee_id));
+	}
+	if (filters.action) {
+		addCondition("a.action = ?", filters.action);
+	}
+	if (filters.entity_type) {
+		addCondition("a.entity_type = ?", filters.entity_type);
+	}
+	if (filters.entity_id) {
+		addCondition("a.entity_id = ?", String(filters.entity_id));
+	}
+	for (const [key, condition] of [["from", "a.created_at >= ?"], ["to", "a.created_at <= ?"]]) {
+		if (filters[key]) {
+			if (Number.isNaN(Date.parse(filters[key]))) {
+				throw new HttpError(400, `${key} must be a date and time.`);
+			}
+			addCondition(condition, filters[key]);
+		}
+	}
+
+	const limit = filters.limit === undefined || filters.limit === "" ? 200 : Number(filters.limit);
+	if (!Number.isInteger(limit) || limit < 1 || limit > MAX_AUDIT_ENTRIES) {
+		throw new HttpError(400, `limit must be a whole number from 1 to ${MAX_AUDIT_ENTRIES}.`);
+	}
+	params.push(limit);
+
+	const result = await client.query(
+		`SELECT a.audit_id, a.employee_id, e.name AS employee_name, a.action, a.entity_type, a.entity_id,
+		        a.before, a.after, a.created_at
+		 FROM audit_log a
+		 LEFT JOIN employee e ON e.employee_id = a.employee_id
+		 ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+		 ORDER BY a.created_at DESC, a.audit_id DESC
+		 LIMIT $${params.length};`,
+		params
+	);
+	return result.rows;
+}
+
+module.exports = { loadSnapshot, recordAudit, loadAuditLog };
@@ -0,0 +1,256 @@
+/**
+ * @file auth.js
+ * @description Password hashing, signed session tokens and role-based access control for employees
+ *
+ * Passwords are stored as `scrypt$<salt>$<hash>` strings. Sessions are stateless tokens made of a
+ * base64url JSON payload and an HMAC-SHA256 signature, sent back to the browser as an HTTP-only cookie
+ * and also accepted as an `Authorization: Bearer` header. Each employee position grants a set of permissions
+ * that protected routes check with requirePermission.
+ *
+ * @requires crypto Node.js module used for scrypt hashing and HMAC signing
+ * @requires db Shared PostgreSQL pool and query helpers
+ */
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+const { runQuery } = require("./db");
+
+const scrypt = promisify(crypto.scrypt);
+
+const HASH_PREFIX = "scrypt";
+const SALT_BYTES = 16;
+const KEY_BYTES = 64;
+
+const SESSION_COOKIE = "pos_session";
+const SESSION_TTL_SECONDS = 12 * 60 * 60;
+
+/**
+ * Permissions granted to each employee position.
+ * - manage: manager pages, reports, inventory, employees, menu items and receipts
+ * - register: the cashier page
+ * - kitchen: the kitchen view and completing orders
+ */
+const ROLE_PERMISSIONS = {
+	Manager: ["manage", "register", "kitchen"],
+	Cashier: ["register"],
+	Kitchen: ["kitchen"],
+};
+
+let sessionSecret = process.env.SESSION_SECRET;
+if (!sessionSecret) {
+	console.warn("SESSION_SECRET is not set, sessions will not survive a server restart.");
+	sessionSecret = crypto.randomBytes(32).toString("hex");
+}
+
+/**
+ * Checks if a stored password value is already a hash created by hashPassword.
+ *
+ * @param {String} value Value of the employee.password column
+ * @returns {Boolean} True if the value is a password hash
+ */
+function isPasswordHash(value) {
+	return typeof value === "string" && value.startsWith(`${HASH_PREFIX}$`);
+}
+
+/**
+ * Hashes a password with a random salt so it can be stored in the employee table.
+ *
+ * @param {String} password The plaintext password
+ * @returns {Promise<String>} The salted hash as `scrypt$<salt>$<hash>`
+ */
+async function hashPassword(password) {
+	const salt = crypto.randomBytes(SALT_BYTES).toString("hex");
+	const key = await scrypt(password, salt, KEY_BYTES);
+	return `${HASH_PREFIX}$${salt}$${key.toString("hex")}`;
+}
+
+/**
+ * Checks a plaintext password against a hash created by hashPassword.
+ *
+ * @param {String} password The plaintext password the user typed in
+ * @param {String} storedHash The hash stored in the employee table
+ * @returns {Promise<Boolean>} True if the password matches
+ */
+async function verifyPassword(password, storedHash) {
+	if (typeof password !== "string" || !isPasswordHash(storedHash)) {
+		return false;
+	}
+
+	const [, salt, hash] = storedHash.split("$");
+	const expected = Buffer.from(hash, "hex");
+	const key = await scrypt(password, salt, expected.length);
+	return crypto.timingSafeEqual(key, expected);
+}
+
+/**
+ * Signs a string with the session secret.
+ *
+ * @param {String} value The string to sign
+ * @returns {String} base64url encoded HMAC-SHA256 signature
+ */
+function sign(value) {
+	return crypto.createHmac("sha256", sessionSecret).update(value).digest("base64url");
+}
+
+/**
+ * Creates a signed session token for an employee.
+ *
+ * @param {Object} employee Row from the employee table with employee_id, name and position
+ * @returns {String} The session token
+ */
+function createSessionToken(employee) {
+	const payload = {
+		employee_id: employee.employee_id,
+		name: employee.name,
+		position: employee.position,
+		exp: Math.floor(Date.now() / 1000) + SESSION_TTL_SECONDS,
+	};
+	const encoded = Buffer.from(JSON.stringify(payload)).toString("base64url");
+	return `${encoded}.${sign(encoded)}`;
+}
+
+/**
+ * Verifies a session token and returns its payload.
+ *
+ * @param {String} token The session token
+ * @returns {Object|null} The session payload, or null if the token is missing, forged or expired
+ */
+function readSessionToken(token) {
+	if (typeof token !== "string" || !token.includes(".")) {
+		return null;
+	}
+
+	const [encoded, signature] = token.split(".");
+	const expected = Buffer.from(sign(encoded));
+	const actual = Buffer.from(signature);
+	if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+		return null;
+	}
+
+	try {
+		const payload = JSON.parse(Buffer.from(encoded, "base64url").toString());
+		if (payload.exp < Math.floor(Date.now() / 1000)) {
+			return null;
+		}
+		return payload;
+	} catch (error) {
+		return null;
+	}
+}
+
+/**
+ * Finds the session token on a request, looking at the Authorization header first and then the session cookie.
+ *
+ * @param {Object} req - The HTTP request object.
+ * @returns {String|null} The session token if one was sent
+ */
+function getRequestToken(req) {
+	const header = req.headers.authorization;
+	if (header && header.startsWith("Bearer ")) {
+		return header.slice("Bearer ".length);
+	}
+
+	const cookies = (req.headers.cookie || "").split(";");
+	for (const cookie of cookies) {
+		const [name, ...value] = cookie.trim().split("=");
+		if (name === SESSION_COOKIE) {
+			return decodeURIComponent(value.join("="));
+		}
+	}
+	return null;
+}
+
+/**
+ * Sends the session token to the browser as an HTTP-only cookie.
+ *
+ * @param {Object} res - The HTTP response object.
+ * @param {String} token The session token
+ */
+function setSessionCookie(res, token) {
+	res.cookie(SESSION_COOKIE, token, {
+		httpOnly: true,
+		sameSite: "strict",
+		secure: process.env.NODE_ENV === "production",
+		maxAge: SESSION_TTL_SECONDS * 1000,
+	});
+}
+
+/**
+ * Removes the session cookie from the browser.
+ *
+ * @param {Object} res - The HTTP response object.
+ */
+function clearSessionCookie(res) {
+	res.clearCookie(SESSION_COOKIE, {
+		httpOnly: true,
+		sameSite: "strict",
+		secure: process.env.NODE_ENV === "production",
+	});
+}
+
+/**
+ * Express middleware that reads the session token on every request and stores its payload on `req.session`.
+ * `req.session` is null when no valid session was sent.
+ *
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ * @param {Function} next - Passes control to the next handler.
+ */
+function loadSession(req, res, next) {
+	req.session = readSessionToken(getRequestToken(req));
+	next();
+}
+
+/**
+ * Looks up the permissions granted to an employee position.
+ *
+ * @param {String} position The employee's position
+ * @returns {Array<String>} Permissions for that position, empty for unknown positions
+ */
+function permissionsFor(position) {
+	return ROLE_PERMISSIONS[position] || [];
+}
+
+/**
+ * Creates Express middleware that only lets the request through if the logged in employee has a permission.
+ * The employee's position is read from the database, so firing or demoting someone takes effect right away.
+ * Responds with 401 if there is no valid session and 403 if the employee lacks the permission.
+ *
+ * @param {String} permission The permission the route needs, such as manage or kitchen
+ * @returns {Function} Express middleware
+ */
+function requirePermission(permission) {
+	return async (req, res, next) => {
+		if (!req.session) {
+			return res.status(401).json({ error: "Not logged in." });
+		}
+
+		const result = await runQuery("SELECT position FROM employee WHERE employee_id = $1;", [req.session.employee_id]);
+		if (!result.success) {
+			return res.status(500).json({ error: result.error });
+		}
+		if (result.rowCount !== 1 || result.rows[0].position === "Fired") {
+			return res.status(401).json({ error: "Not logged in." });
+		}
+
+		if (!permissionsFor(result.rows[0].position).includes(permission)) {
+			return res.status(403).json({ error: "You do not have permission to do this." });
+		}
+
+		req.session.position = result.rows[0].position;
+		next();
+	};
+}
+
+module.exports = {
+	isPasswordHash,
+	hashPassword,
+	verifyPassword,
+	createSessionToken,
+	readSessionToken,
+	setSessionCookie,
+	clearSessionCookie,
+	loadSession,
+	permissionsFor,
+	requirePermission,
+};
@@ -0,0 +1,76 @@
+/**
+ * @file db.js
+ * @description Shared PostgreSQL connection pool, query and transaction helpers used by the API routes and the migration runner
+ *
+ * @requires pg Library used to access and query a PostgreSQL database server
+ */
+
+const { Pool } = require("pg");
+
+const pool = new Pool({
+	user: process.env.DB_USER,
+	host: process.env.DB_HOST,
+	database: process.env.DB_NAME,
+	password: process.env.DB_PASSWORD,
+	port: process.env.DB_PORT || 5432,
+});
+
+
+/**
+ * Helper function to run queries on the PostgreSQL database server.
+ *
+ * @param {String} queryText The query to be run as a string
+ * @param {Array=} queryParams String interpolation parameters to be input into the query string, given as an array
+ * @returns {Object} Boolean for if the query was successful and if so the result of the query, otherwise an error message
+ */
+async function runQuery(queryText, queryParams = []) {
+	try {
+		const result = await pool.query(queryText, queryParams);
+		return { success: true, rows: result.rows, rowCount: result.rowCount };
+	} catch (error) {
+		return { success: false, error: error.message };
+	}
+}
+
+/**
+ * SQLSTATE codes for transactions that failed only because they raced another one and can safely be run again:
+ * serialization_failure and deadlock_detected.
+ */
+const RETRYABLE_ERRORS = ["40001", "40P01"];
+
+/**
+ * Runs several statements as one serializable transaction on a single pooled client.
+ * The transaction is committed when `work` resolves and rolled back when it throws. Transactions that
+ * fail with a serialization failure or deadlock are retried from the start, so `work` must not have
+ * side effects outside the database such as sending emails.
+ *
+ * @param {Function} work Async function that receives the client and runs the transaction's queries on it
+ * @param {Number=} retries How many times to retry after a serialization failure or deadlock
+ * @returns {Promise<*>} Whatever `work` resolved with
+ * @example
+ * const receiptId = await withTransaction(async (client) => {
+ *   const receipt = await client.query("INSERT INTO receipt ... RETURNING receipt_id;");
+ *   await client.query("INSERT INTO line_item ...");
+ *   return receipt.rows[0].receipt_id;
+ * });
+ */
+async function withTransaction(work, retries = 3) {
+	for (let attempt = 0; ; attempt++) {
+		const client = await pool.connect();
+		try {
+			await client.query("BEGIN ISOLATION LEVEL SERIALIZABLE;");
+			const result = await work(client);
+			await client.query("COMMIT;");
+			return result;
+		} catch (error) {
+			await client.query("ROLLBACK;").catch(() => {});
+			if (!RETRYABLE_ERRORS.includes(error.code) || attempt >= retries) {
+				throw error;
+			}
+		} finally {
+			client.release();
+		}
+	}
+}
+
+module.exports = { pool, runQuery, withTransaction };
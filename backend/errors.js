@@ -0,0 +1,23 @@
+/**
+ * @file errors.js
+ * @description Error types that routes throw to end a request with a specific HTTP status
+ */
+
+/**
+ * Error that carries the HTTP status a route should respond with.
+ * Throwing one inside withTransaction rolls the transaction back, and the route then sends
+ * `{ error: message }` with `status` instead of a generic 500.
+ */
+class HttpError extends Error {
+	/**
+	 * @param {Number} status HTTP status code, such as 400 or 404
+	 * @param {String} message Description of the problem that is sent to the frontend
+	 */
+	constructor(status, message) {
+		super(message);
+		this.name = "HttpError";
+		this.status = status;
+	}
+}
+
+module.exports = { HttpError };
@@ -0,0 +1,160 @@
+/**
+ * @file googleAuth.js
+ * @description Verifies Google sign-in ID tokens before they are trusted for a login
+ *
+ * The token's RS256 signature is checked against Google's JSON Web Key Set (JWKS), then its audience,
+ * issuer, expiry and email verification are checked. The key set is read from the file in
+ * `GOOGLE_JWKS_FILE` when set, so logins can be verified offline and in tests, and otherwise downloaded
+ * from `GOOGLE_JWKS_URL` (Google's public certificates by default).
+ *
+ * @requires crypto Node.js module used to build public keys and verify signatures
+ * @requires axios HTTP client for NodeJS used to download the key set
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const axios = require("axios");
+
+const DEFAULT_JWKS_URL = "https://www.googleapis.com/oauth2/v3/certs";
+const GOOGLE_ISSUERS = ["accounts.google.com", "https://accounts.google.com"];
+const JWKS_CACHE_MS = 60 * 60 * 1000;
+const CLOCK_SKEW_SECONDS = 60;
+
+let cachedKeys = null;
+let cachedAt = 0;
+
+/**
+ * Error thrown when a Google ID token fails verification.
+ * `code` is a short machine readable reason that the frontend can use to pick a message.
+ */
+class GoogleTokenError extends Error {
+	/**
+	 * @param {String} code Reason the token was rejected, such as invalid_signature or expired
+	 * @param {String} message Human readable description of the problem
+	 */
+	constructor(code, message) {
+		super(message);
+		this.name = "GoogleTokenError";
+		this.code = code;
+	}
+}
+
+/**
+ * Loads the JSON Web Key Set used to verify tokens, from a file or from Google.
+ *
+ * @param {Boolean} forceRefresh Ignore the cached key set, used when a token names an unknown key
+ * @returns {Promise<Array<Object>>} The keys of the key set
+ */
+async function loadKeys(forceRefresh = false) {
+	if (cachedKeys && !forceRefresh && Date.now() - cachedAt < JWKS_CACHE_MS) {
+		return cachedKeys;
+	}
+
+	let jwks;
+	if (process.env.GOOGLE_JWKS_FILE) {
+		jwks = JSON.parse(fs.readFileSync(process.env.GOOGLE_JWKS_FILE, "utf8"));
+	} else {
+		jwks = (await axios.get(process.env.GOOGLE_JWKS_URL || DEFAULT_JWKS_URL)).data;
+	}
+
+	cachedKeys = jwks.keys || [];
+	cachedAt = Date.now();
+	return cachedKeys;
+}
+
+/**
+ * Finds the key a token was signed with.
+ *
+ * @param {String} kid Key id from the token header
+ * @returns {Promise<Object|undefined>} The matching JSON Web Key
+ */
+async function findKey(kid) {
+	const key = (await loadKeys()).find(k => k.kid === kid);
+	return key || (await loadKeys(true)).find(k => k.kid === kid);
+}
+
+/**
+ * Decodes one base64url JSON section of a token.
+ *
+ * @param {String} section The encoded header or payload
+ * @returns {Object} The decoded JSON
+ */
+function decodeSection(section) {
+	return JSON.parse(Buffer.from(section, "base64url").toString());
+}
+
+/**
+ * Verifies a Google ID token and returns its claims.
+ *
+ * @param {String} token The credential from Google's sign-in response
+ * @returns {Promise<Object>} The verified claims, including the user's email
+ * @throws {GoogleTokenError} If the token is malformed, forged, expired or meant for another client
+ */
+async function verifyGoogleIdToken(token) {
+	const clientId = process.env.GOOGLE_CLIENT_ID;
+	if (!clientId) {
+		throw new GoogleTokenError("not_configured", "Google login is not configured on this server.");
+	}
+
+	const sections = typeof token === "string" ? token.split(".") : [];
+	if (sections.length !== 3) {
+		throw new GoogleTokenError("malformed", "The Google credential is not a valid token.");
+	}
+
+	let header, claims;
+	try {
+		header = decodeSection(sections[0]);
+		claims = decodeSection(sections[1]);
+	} catch (error) {
+		throw new GoogleTokenError("malformed", "The Google credential is not a valid token.");
+	}
+
+	if (header.alg !== "RS256") {
+		throw new GoogleTokenError("invalid_signature", "The Google credential uses an unsupported algorithm.");
+	}
+
+	let jwk;
+	try {
+		jwk = await findKey(header.kid);
+	} catch (error) {
+		throw new GoogleTokenError("keys_unavailable", "Google's signing keys could not be loaded.");
+	}
+	if (!jwk) {
+		throw new GoogleTokenError("invalid_signature", "The Google credential was signed with an unknown key.");
+	}
+
+	const validSignature = crypto.verify(
+		"RSA-SHA256",
+		Buffer.from(`${sections[0]}.${sections[1]}`),
+		crypto.createPublicKey({ key: jwk, format: "jwk" }),
+		Buffer.from(sections[2], "base64url")
+	);
+	if (!validSignature) {
+		throw new GoogleTokenError("invalid_signature", "The Google credential signature is invalid.");
+	}
+
+	const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+	if (!audiences.includes(clientId)) {
+		throw new GoogleTokenError("wrong_audience", "The Google credential was issued for a different application.");
+	}
+
+	if (!GOOGLE_ISSUERS.includes(claims.iss)) {
+		throw new GoogleTokenError("wrong_issuer", "The Google credential was not issued by Google.");
+	}
+
+	const now = Math.floor(Date.now() / 1000);
+	if (typeof claims.exp !== "number" || claims.exp + CLOCK_SKEW_SECONDS < now) {
+		throw new GoogleTokenError("expired", "The Google credential has expired, please sign in again.");
+	}
+	if (typeof claims.iat === "number" && claims.iat - CLOCK_SKEW_SECONDS > now) {
+		throw new GoogleTokenError("not_yet_valid", "The Google credential is not valid yet.");
+	}
+
+	if (!claims.email || claims.email_verified === false) {
+		throw new GoogleTokenError("unverified_email", "The Google account does not have a verified email.");
+	}
+
+	return claims;
+}
+
+module.exports = { GoogleTokenError, verifyGoogleIdToken };
@@ -2,47 +2,76 @@
  * @file index.js
  * @description File that holds all the routes for our backend API
  * 
- * @requires jwt-decode Library to decode Google sign-in authentication keys
  * @requires express - Web framework for building the backend server.
  * @requires nodemailer Library to send emails to users through javascript
  * @requires axios HTTP client for NodeJS used to access Google's Translation API
- * @requires pg Library used to access and query a PostgreSQL database server
+ * @requires crypto Node.js module used to make payment idempotency keys
+ * @requires audit Audit log of the changes managers make
+ * @requires db Shared PostgreSQL pool, query and transaction helpers
+ * @requires errors Error types that carry an HTTP status
+ * @requires inventory Inventory used by the items on receipts
+ * @requires kitchen All-day item counts and speed-of-service thresholds of the kitchen screens
+ * @requires lineItems Line items of receipts and the entrees and sides of meals
+ * @requires meals Meal sizes of the meals on the menu
+ * @requires orderEvents Pushes order changes to the kitchen over Server-Sent Events
+ * @requires orderStatus Order status lifecycle and the moves allowed between statuses
+ * @requires payments Takes and records the payment of each receipt
+ * @requires pricing Prices orders from the menu table
+ * @requires promotions Promotions and promo codes
+ * @requires refunds Voids and refunds of receipts
+ * @requires serviceReport Speed-of-service report of the time orders take to be ready
+ * @requires stations Kitchen stations and the menu items each one makes
+ * @requires tax Sales tax engine
+ * @requires auth Password hashing and session token helpers
+ * @requires googleAuth Verification of Google sign-in ID tokens
+ * @requires validate Request body validation that responds with field-level errors
  */
 
 const express = require("express");
-const { jwtDecode } = require('jwt-decode');
 const nodemailer = require("nodemailer");
-const { Pool } = require("pg");
 const axios = require('axios');
+const crypto = require("crypto");
+const { pool, runQuery, withTransaction } = require("./db");
+const { loadSnapshot, recordAudit, loadAuditLog } = require("./audit");
+const { HttpError } = require("./errors");
+const { loadIngredientUsage, loadIngredientUsageBetween, applyInventoryChanges } = require("./inventory");
+const { SLA_SNAPSHOT_QUERY, loadAllDayCounts, loadKitchenSla, saveKitchenSla } = require("./kitchen");
+const { saveLineItem, deleteLineItems, loadLineItems, describeLineItem, lineItemPortions, loadOrderItems } = require("./lineItems");
+const { loadMealSizes, withMealSizes, saveMealSize } = require("./meals");
+const { ORDER_EVENTS, publishOrderEvent, streamOrderEvents } = require("./orderEvents");
+const { ORDER_STATUS, OPEN_ORDER_STATUSES, ORDER_STATUS_COLUMNS, changeOrderStatus, describeOrderStatus } = require("./orderStatus");
+const { readTenders, withCheckout, settleCardRefunds, describePayment } = require("./payments");
+const { priceOrder, priceItem, toCents, toDollars } = require("./pricing");
+const { allocateProportionally, recordDiscounts } = require("./promotions");
+const { voidReceipt, refundReceipt, cancelOrder, settleAdjustment, describeAdjustment } = require("./refunds");
+const { ORDER_CHANNELS, buildServiceReport } = require("./serviceReport");
+const {
+	STATION_SNAPSHOT_QUERY,
+	loadStations,
+	findStation,
+	saveStation,
+	loadStationMap,
+	withItemStations,
+	itemsForStation,
+	stationMenuIds,
+	loadStationCompletions,
+	describeStationProgress,
+	completeStation,
+} = require("./stations");
+const { DEFAULT_TAX_CATEGORY, loadTaxRates, calculateTax, saveReceiptTax, describeTax } = require("./tax");
+const auth = require("./auth");
+const { GoogleTokenError, verifyGoogleIdToken } = require("./googleAuth");
+const { validateBody } = require("./validate");
 
 const router = express.Router();
 
-//zkcs zxlc awef tima
-
-const pool = new Pool({
-	user: process.env.DB_USER,
-	host: process.env.DB_HOST,
-	database: process.env.DB_NAME,
-	password: process.env.DB_PASSWORD,
-	port: process.env.DB_PORT || 5432,
-});
+router.use(auth.loadSession);
 
+const requireManager = auth.requirePermission("manage");
+const requireKitchen = auth.requirePermission("kitchen");
+const requireRegister = auth.requirePermission("register");
 
-/**
- * Helper function to run queries on the PostgreSQL database server.
- * 
- * @param {String} queryText The query to be run as a string
- * @param {Array=} queryParams String interpolation parameters to be input into the query string, given as an array
- * @returns {Object} Boolean for if the query was successful and if so the result of the query, otherwise an error message
- */
-async function runQuery(queryText, queryParams = []) {
-	try {
-		const result = await pool.query(queryText, queryParams);
-		return { success: true, rows: result.rows, rowCount: result.rowCount };
-	} catch (error) {
-		return { success: false, error: error.message };
-	}
-}
+//zkcs zxlc awef tima
 
 /**
  * Handles POST requests to fetch all side items on the menu from the database and sends the results as a JSON Response.
@@ -86,7 +115,7 @@ router.post("/doQueryEntree", async (req, res) => {
  * @param {Object} res - The HTTP response object.
  * @returns {JSON} Result of the query
  */
-router.post("/doRestockQuery", async (req, res) => {
+router.post("/doRestockQuery", requireManager, async (req, res) => {
 	const query = "SELECT * FROM inventory WHERE restock_level = 0;";
 	const result = await runQuery(query);
 
@@ -100,18 +129,18 @@ router.post("/doRestockQuery", async (req, res) => {
 
 /**
  * Handles POST requests to fetch all meal items on the menu from the database and sends the results as a JSON Response.
+ * Each meal includes its meal size: entree_count, side_count, half_sides and the categories its entrees and sides must be in.
  *
  * @param {Object} res - The HTTP response object.
  * @returns {JSON} Result of the query
  */
 router.post("/doQueryMealItems", async (req, res) => {
-	const query = "SELECT * FROM menu WHERE item_type = 'meal';";
-	const result = await runQuery(query);
-
-	if (result.success) {
-		res.json(result.rows);
-	} else {
-		res.status(400).json({ error: result.error });
+	try {
+		const result = await pool.query("SELECT * FROM menu WHERE item_type = 'meal';");
+		res.json(withMealSizes(result.rows, await loadMealSizes(pool)));
+	} catch (error) {
+		console.error('Error executing query:', error);
+		res.status(400).json({ error: error.message });
 	}
 });
 
@@ -150,6 +179,45 @@ router.post("/doQueryDrinkItems", async (req, res) => {
 	}
 });
 
+/**
+ * Item types that can be requested through /doQueryMenuType.
+ */
+const MENU_ITEM_TYPES = ['meal', 'entree', 'side', 'drink', 'appetizer'];
+
+/**
+ * Columns of the employee table that are safe to send to the frontend.
+ */
+const EMPLOYEE_COLUMNS = "employee_id, name, email, position, hours, pay";
+
+/**
+ * Handles POST requests to fetch all items of one type on the menu from the database and sends the results as a JSON Response.
+ * Meals include their meal size like /doQueryMealItems.
+ *
+ * @param {Object} req - The HTTP request object.
+ * @param {String} type Type of the menu items, one of meal, entree, side, drink or appetizer
+ * @param {String=} orderBy Pass 'price' to sort the items from cheapest to most expensive
+ * @param {Object} res - The HTTP response object.
+ * @returns {JSON} Result of the query
+ */
+router.post("/doQueryMenuType", async (req, res) => {
+	const { type, orderBy } = req.body;
+
+	if (!MENU_ITEM_TYPES.includes(type)) {
+		return res.status(400).json({ error: `type must be one of: ${MENU_ITEM_TYPES.join(", ")}` });
+	}
+
+	const orderColumn = orderBy === 'price' ? 'price' : 'menu_id';
+	const query = `SELECT * FROM menu WHERE item_type = $1 ORDER BY ${orderColumn} ASC;`;
+
+	try {
+		const result = await pool.query(query, [type]);
+		res.json(type === 'meal' ? withMealSizes(result.rows, await loadMealSizes(pool)) : result.rows);
+	} catch (error) {
+		console.error('Error executing query:', error);
+		res.status(400).json({ error: error.message });
+	}
+});
+
 /**
  * Handles POST requests to modify an existing employee's information in the database and sends the results as a JSON Response.
  *
@@ -159,28 +227,44 @@ router.post("/doQueryDrinkItems", async (req, res) => {
  * @param {String} email The employee's new email
  * @param {String} position The employee's new position
  * @param {Number} hours The employee's new weekly hours
- * @param {String} password The employee's new password
+ * @param {String=} password The employee's new password, left unchanged if empty
  * @param {Object} res - The HTTP response object.
  * @returns {JSON} Success of the query
  */
-router.post("/doEditEmployee", async (req, res) => {
+router.post("/doEditEmployee", requireManager, async (req, res) => {
 	const { employeeId, name, email, position, hours, pay, password } = req.body;
 
-	// console.log(req.body);
+	const passwordHash = password ? await auth.hashPassword(password) : null;
 
 	// Construct the update query
 	const updateQuery = `
 		UPDATE employee
-		SET name = $1, email = $2, position = $3, hours = $4, pay = $5, password = $6
+		SET name = $1, email = $2, position = $3, hours = $4, pay = $5, password = COALESCE($6, password)
 		WHERE employee_id = $7;
 	`;
 
-	const result = await runQuery(updateQuery, [name, email, position, hours, pay, password, employeeId]);
+	const employeeQuery = `SELECT ${EMPLOYEE_COLUMNS} FROM employee WHERE employee_id = $1;`;
+
+	try {
+		await withTransaction(async (client) => {
+			const before = await loadSnapshot(client, employeeQuery, [employeeId]);
+			await client.query(updateQuery, [name, email, position, hours, pay, passwordHash, employeeId]);
+
+			// The password hash is never logged, only that it changed
+			await recordAudit(client, {
+				employeeId: req.session.employee_id,
+				action: "update",
+				entityType: "employee",
+				entityId: employeeId,
+				before,
+				after: { ...(await loadSnapshot(client, employeeQuery, [employeeId])), password_changed: Boolean(passwordHash) },
+			});
+		});
 
-	if (result.success) {
 		res.json({ success: true, message: "Employee updated successfully!" });
-	} else {
-		res.status(500).json({ success: false, error: result.error || "Failed to update employee" });
+	} catch (error) {
+		console.error("Error updating employee:", error);
+		res.status(500).json({ success: false, error: error.message || "Failed to update employee" });
 	}
 });
 
@@ -190,9 +274,9 @@ router.post("/doEditEmployee", async (req, res) => {
  * @param {Object} res - The HTTP response object.
  * @returns {JSON} Result of the query.
  */
-router.post("/doListEmployee", async (req, res) => {
+router.post("/doListEmployee", requireManager, async (req, res) => {
 
-	const employeeLQuery = `SELECT * FROM employee WHERE position != 'Fired';`;
+	const employeeLQuery = `SELECT ${EMPLOYEE_COLUMNS} FROM employee WHERE position != 'Fired';`;
 	const result = await runQuery(employeeLQuery);
 
 	// console.log("Query Result:", result);
@@ -216,24 +300,43 @@ router.post("/doListEmployee", async (req, res) => {
  * @param {Number} hours The employee's new weekly hours
  * @param {String} password The employee's new password
  * @param {Object} res - The HTTP response object.
- * @returns {JSON} Success of the query
+ * @returns {JSON} Success of the query and the employee that was added
  */
-router.post("/doAddEmployee", async (req, res) => {
+router.post("/doAddEmployee", requireManager, async (req, res) => {
 	const { id, name, email, position, hours, pay, password } = req.body;
 
-	const employeeId = id || (await runQuery("SELECT MAX(employee_id) FROM employee;")).rows[0].max + 1;
-
 	const insertQuery = `
 		INSERT INTO employee (employee_id, name, position, hours, pay, password, email)
-		VALUES ($1, $2, $3, $4, $5, $6, $7);
+		VALUES (COALESCE($1::int, nextval('employee_employee_id_seq')), $2, $3, $4, $5, $6, $7)
+		RETURNING ${EMPLOYEE_COLUMNS};
 	`;
 
-	const result = await runQuery(insertQuery, [employeeId, name, position, hours, pay, password, email]);
+	const passwordHash = password ? await auth.hashPassword(password) : null;
+
+	try {
+		const employee = await withTransaction(async (client) => {
+			const result = await client.query(insertQuery, [id || null, name, position, hours, pay, passwordHash, email]);
+
+			// A hand-picked id may be ahead of the sequence, so move the sequence past it
+			if (id) {
+				await client.query("SELECT setval('employee_employee_id_seq', (SELECT MAX(employee_id) FROM employee));");
+			}
+
+			await recordAudit(client, {
+				employeeId: req.session.employee_id,
+				action: "create",
+				entityType: "employee",
+				entityId: result.rows[0].employee_id,
+				after: result.rows[0],
+			});
+			return result.rows[0];
+		});
 
-	if (result.success)
-		res.json({ success: true, message: "Employee added successfully!" });
-	else
+		res.json({ success: true, message: "Employee added successfully!", employee });
+	} catch (error) {
+		console.error("Error adding employee:", error);
 		res.status(500).json({ success: false, error: "Failed to add employee" });
+	}
 });
 
 
@@ -246,15 +349,27 @@ router.post("/doAddEmployee", async (req, res) => {
  * @param {Object} res - The HTTP response object.
  * @returns {JSON} Success of the query
  */
-router.post("/fireEmployee", async (req, res) => {
+router.post("/fireEmployee", requireManager, async (req, res) => {
 	const { employeeId } = req.body;
-	const query = `UPDATE employee SET position = 'Fired' WHERE employee_id = $1;`;
-	const result = await runQuery(query, [employeeId]);
+	const query = `UPDATE employee SET position = 'Fired' WHERE employee_id = $1 RETURNING ${EMPLOYEE_COLUMNS};`;
+
+	try {
+		await withTransaction(async (client) => {
+			const before = await loadSnapshot(client, `SELECT ${EMPLOYEE_COLUMNS} FROM employee WHERE employee_id = $1;`, [employeeId]);
+			const result = await client.query(query, [employeeId]);
+			await recordAudit(client, {
+				employeeId: req.session.employee_id,
+				action: "fire",
+				entityType: "employee",
+				entityId: employeeId,
+				before,
+				after: result.rows[0] || null,
+			});
+		});
 
-	if (result.success) {
 		res.json({ success: true, message: "Employee marked as fired." });
-	} else {
-		res.status(400).json({ error: result.error });
+	} catch (error) {
+		res.status(400).json({ error: error.message });
 	}
 });
 
@@ -264,7 +379,7 @@ router.post("/fireEmployee", async (req, res) => {
  * @param {Object} res - The HTTP response object.
  * @returns {JSON} Results of the query
  */
-router.post("/doInventoryLoad", async (req, res) => {
+router.post("/doInventoryLoad", requireManager, async (req, res) => {
 	const query = "SELECT inventory_id, name, quantity, quantity_type FROM inventory;";
 	const result = await runQuery(query);
 
@@ -276,6 +391,11 @@ router.post("/doInventoryLoad", async (req, res) => {
 	}
 });
 
+/**
+ * Inventory item as recorded in the audit log before and after a change.
+ */
+const INVENTORY_SNAPSHOT_QUERY = "SELECT inventory_id, name, quantity, quantity_type, restock_level FROM inventory WHERE inventory_id = $1;";
+
 /**
  * Handles POST requests to add a new item to the inventory and sends the results as a JSON Response.
  *
@@ -284,24 +404,35 @@ router.post("/doInventoryLoad", async (req, res) => {
  * @param {Number} quantity How much of the new item to be added to the inventory
  * @param {String} quantity_type Quantity type, such as lbs or cups etc.
  * @param {Object} res - The HTTP response object.
- * @returns {JSON} Success of the query
+ * @returns {JSON} Success of the query and the inventory item that was added
  */
-router.post("/addInventoryItem", async (req, res) => {
+router.post("/addInventoryItem", requireManager, validateBody({ name: "string", quantity: "number", quantity_type: "string" }), async (req, res) => {
 	const { name, quantity, quantity_type } = req.body;
 
-	const inventory_id = (await runQuery("SELECT MAX(inventory_id) FROM inventory;")).rows[0].max + 1;
-
 	const insertQuery = `
-      INSERT INTO inventory (inventory_id, name, quantity, quantity_type)
-      VALUES (${inventory_id}, '${name}', ${quantity}, '${quantity_type}');
+      INSERT INTO inventory (name, quantity, quantity_type)
+      VALUES ($1, $2, $3)
+      RETURNING inventory_id, name, quantity, quantity_type;
   `;
 
-	const result = await runQuery(insertQuery);
+	try {
+		const item = await withTransaction(async (client) => {
+			const result = await client.query(insertQuery, [name, quantity, quantity_type]);
+			await recordAudit(client, {
+				employeeId: req.session.employee_id,
+				action: "create",
+				entityType: "inventory",
+				entityId: result.rows[0].inventory_id,
+				after: result.rows[0],
+			});
+			return result.rows[0];
+		});
 
-	if (result.success)
-		res.json({ success: true, message: "Item added successfully!" });
-	else
+		res.json({ success: true, message: "Item added successfully!", item });
+	} catch (error) {
+		console.error("Error adding inventory item:", error);
 		res.status(500).json({ success: false, error: "Failed to add item" });
+	}
 })
 
 /**
@@ -312,17 +443,29 @@ router.post("/addInventoryItem", async (req, res) => {
  * @param {Object} res - The HTTP response object.
  * @returns {JSON} Success of the query
  */
-router.post("/removeInventoryItem", async (req, res) => {
+router.post("/removeInventoryItem", requireManager, validateBody({ inventory_id: "integer" }), async (req, res) => {
 	const { inventory_id } = req.body;
 
-	const removeQuery = `DELETE FROM inventory WHERE inventory_id = ${inventory_id};`
+	const removeQuery = `DELETE FROM inventory WHERE inventory_id = $1;`
 
-	const result = await runQuery(removeQuery);
+	try {
+		await withTransaction(async (client) => {
+			const before = await loadSnapshot(client, INVENTORY_SNAPSHOT_QUERY, [inventory_id]);
+			await client.query(removeQuery, [inventory_id]);
+			await recordAudit(client, {
+				employeeId: req.session.employee_id,
+				action: "delete",
+				entityType: "inventory",
+				entityId: inventory_id,
+				before,
+			});
+		});
 
-	if (result.success)
 		res.json({ success: true, message: "Item deleted successfully!" });
-	else
+	} catch (error) {
+		console.error("Error deleting inventory item:", error);
 		res.status(500).json({ success: false, error: "Failed to delete item" });
+	}
 });
 
 /**
@@ -336,17 +479,30 @@ router.post("/removeInventoryItem", async (req, res) => {
  * @param {Object} res - The HTTP response object.
  * @returns {JSON} Success of the query
  */
-router.post("/editInventoryItem", async (req, res) => {
+router.post("/editInventoryItem", requireManager, validateBody({ inventory_id: "integer", name: "string", quantity: "number", quantity_type: "string" }), async (req, res) => {
 	const { inventory_id, name, quantity, quantity_type } = req.body;
 
-	const updateQuery = `UPDATE inventory SET name = '${name}', quantity = ${quantity}, quantity_type = '${quantity_type}' WHERE inventory_id = ${inventory_id};`;
+	const updateQuery = `UPDATE inventory SET name = $1, quantity = $2, quantity_type = $3 WHERE inventory_id = $4;`;
 
-	const result = await runQuery(updateQuery);
+	try {
+		await withTransaction(async (client) => {
+			const before = await loadSnapshot(client, INVENTORY_SNAPSHOT_QUERY, [inventory_id]);
+			await client.query(updateQuery, [name, quantity, quantity_type, inventory_id]);
+			await recordAudit(client, {
+				employeeId: req.session.employee_id,
+				action: "update",
+				entityType: "inventory",
+				entityId: inventory_id,
+				before,
+				after: await loadSnapshot(client, INVENTORY_SNAPSHOT_QUERY, [inventory_id]),
+			});
+		});
 
-	if (result.success)
 		res.json({ success: true, message: "Item updated successfully!" });
-	else
+	} catch (error) {
+		console.error("Error updating inventory item:", error);
 		res.status(500).json({ success: false, error: "Failed to update item" });
+	}
 });
 
 /**
@@ -357,10 +513,10 @@ router.post("/editInventoryItem", async (req, res) => {
  * @param {Object} res - The HTTP response object.
  * @returns {JSON} Results of the query
  */
-router.post("/doIngredientLoad", async (req, res) => {
+router.post("/doIngredientLoad", requireManager, validateBody({ recipe_id: "integer" }), async (req, res) => {
 	const { recipe_id } = req.body;
-	const query = `SELECT recipe_ing_id, name, ingredient_id FROM recipe_ingredient WHERE recipe_id = ${recipe_id};`;
-	const result = await runQuery(query);
+	const query = `SELECT recipe_ing_id, name, ingredient_id FROM recipe_ingredient WHERE recipe_id = $1;`;
+	const result = await runQuery(query, [recipe_id]);
 
 
 	if (result.success) {
@@ -370,6 +526,16 @@ router.post("/doIngredientLoad", async (req, res) => {
 	}
 });
 
+/**
+ * Recipe ingredient with the inventory item and quantity it uses, as recorded in the audit log before and after a change.
+ */
+const RECIPE_INGREDIENT_SNAPSHOT_QUERY = `
+	SELECT ri.recipe_ing_id, ri.recipe_id, ri.name, ri.ingredient_id, i.inventory_id, i.quantity, i.quantity_type
+	FROM recipe_ingredient ri
+	LEFT JOIN ingredient i ON ri.ingredient_id = i.ingredient_id
+	WHERE ri.recipe_ing_id = $1;
+`;
+
 /**
  * Handles POST requests to remove an inrgedient from a recipe in the database and sends the results as a JSON Response.
  * 
@@ -378,17 +544,29 @@ router.post("/doIngredientLoad", async (req, res) => {
  * @param {Object} res - The HTTP response object.
  * @returns {JSON} Success of the query
  */
-router.post("/removeIngredient", async (req, res) => {
+router.post("/removeIngredient", requireManager, validateBody({ recipe_ing_id: "integer" }), async (req, res) => {
 	const { recipe_ing_id } = req.body;
 
-	const removeQuery = `DELETE FROM recipe_ingredient WHERE recipe_ing_id = ${recipe_ing_id};`
+	const removeQuery = `DELETE FROM recipe_ingredient WHERE recipe_ing_id = $1;`
 
-	const result = await runQuery(removeQuery);
+	try {
+		await withTransaction(async (client) => {
+			const before = await loadSnapshot(client, RECIPE_INGREDIENT_SNAPSHOT_QUERY, [recipe_ing_id]);
+			await client.query(removeQuery, [recipe_ing_id]);
+			await recordAudit(client, {
+				employeeId: req.session.employee_id,
+				action: "delete",
+				entityType: "recipe_ingredient",
+				entityId: recipe_ing_id,
+				before,
+			});
+		});
 
-	if (result.success)
 		res.json({ success: true, message: "Item deleted successfully!" });
-	else
+	} catch (error) {
+		console.error("Error deleting ingredient:", error);
 		res.status(500).json({ success: false, error: "Failed to delete item" });
+	}
 });
 
 /**
@@ -401,47 +579,48 @@ router.post("/removeIngredient", async (req, res) => {
  * @param {Number} quantity How much of the ingredient to be added to the inventory
  * @param {String} quantity_type Quantity type, such as lbs or cups etc.
  * @param {Object} res - The HTTP response object.
- * @returns {JSON} Success of the query
+ * @returns {JSON} Success of the query and the ids of the new ingredient and recipe ingredient
  */
-router.post("/addIngredient", async (req, res) => {
+router.post("/addIngredient", requireManager, validateBody({ recipe_id: "integer", inventory_id: "integer", name: "string", quantity: "number", quantity_type: "string" }), async (req, res) => {
   const { recipe_id, inventory_id, name, quantity, quantity_type } = req.body;
 
   try {
-    // Fetch the next available ingredient_id
-    const ingredient_id = (await runQuery("SELECT MAX(ingredient_id) FROM ingredient;")).rows[0].max + 1;
-		
-
-		const recipe_ing_id = (await runQuery("SELECT MAX(recipe_ing_id) FROM recipe_ingredient;")).rows[0].max + 1;
-		
-
     // Insert the new ingredient and the recipe_ingredient entry
     const insertIngredientQuery = `
-      INSERT INTO ingredient (ingredient_id, inventory_id, name, quantity, quantity_type)
-      VALUES (${ingredient_id}, ${inventory_id}, '${name}', ${quantity}, '${quantity_type}');
+      INSERT INTO ingredient (inventory_id, name, quantity, quantity_type)
+      VALUES ($1, $2, $3, $4)
+      RETURNING ingredient_id;
     `;
-		
 
     const insertRecipeIngredientQuery = `
-      INSERT INTO recipe_ingredient (recipe_ing_id, recipe_id, name, ingredient_id)
-      VALUES (${recipe_ing_id}, ${recipe_id}, '${name}', ${ingredient_id});
+      INSERT INTO recipe_ingredient (recipe_id, name, ingredient_id)
+      VALUES ($1, $2, $3)
+      RETURNING recipe_ing_id;
     `;
 
-    // Execute both queries
-    const ingredientResult = await runQuery(insertIngredientQuery);
-    if (!ingredientResult.success) {
-      return res.status(500).json({ success: false, error: "Failed to add ingredient." });
-    }
+    // Execute both queries together so a failed recipe_ingredient insert does not leave an orphan ingredient
+    const { ingredient_id, recipe_ing_id } = await withTransaction(async (client) => {
+      const ingredientResult = await client.query(insertIngredientQuery, [inventory_id, name, quantity, quantity_type]);
+      const { ingredient_id } = ingredientResult.rows[0];
 
-    const recipeIngredientResult = await runQuery(insertRecipeIngredientQuery);
-    if (!recipeIngredientResult.success) {
-      return res.status(500).json({ success: false, error: "Failed to add recipe ingredient." });
-    }
+      const recipeIngredientResult = await client.query(insertRecipeIngredientQuery, [recipe_id, name, ingredient_id]);
+      const { recipe_ing_id } = recipeIngredientResult.rows[0];
+
+      await recordAudit(client, {
+        employeeId: req.session.employee_id,
+        action: "create",
+        entityType: "recipe_ingredient",
+        entityId: recipe_ing_id,
+        after: await loadSnapshot(client, RECIPE_INGREDIENT_SNAPSHOT_QUERY, [recipe_ing_id]),
+      });
+      return { ingredient_id, recipe_ing_id };
+    });
 
     // Success response
-    res.json({ success: true, message: "Ingredient added successfully!" });
+    res.json({ success: true, message: "Ingredient added successfully!", ingredient_id, recipe_ing_id });
   } catch (error) {
     console.error("Error adding ingredient:", error);
-    res.status(500).json({ success: false, error: "Internal server error" });
+    res.status(500).json({ success: false, error: "Failed to add ingredient." });
   }
 });
 
@@ -457,41 +636,52 @@ router.post("/addIngredient", async (req, res) => {
  * @param {Object} res - The HTTP response object.
  * @returns {JSON} Success of the query
  */
-router.post("/editIngredient", async (req, res) => {
+router.post("/editIngredient", requireManager, validateBody({ recipe_ing_id: "integer", recipe_id: "integer", inventory_id: "integer", name: "string", quantity: "number", quantity_type: "string" }), async (req, res) => {
   const { recipe_ing_id, recipe_id, inventory_id, name, quantity, quantity_type } = req.body;
 
   try {
-    // Fetch the next available ingredient_id
-    const ingredient_id = (await runQuery("SELECT MAX(ingredient_id) FROM ingredient;")).rows[0].max + 1;
-
     // Insert the new ingredient into the ingredient table
     const insertIngredientQuery = `
-      INSERT INTO ingredient (ingredient_id, inventory_id, name, quantity, quantity_type)
-      VALUES (${ingredient_id}, ${inventory_id}, '${name}', ${quantity}, '${quantity_type}');
+      INSERT INTO ingredient (inventory_id, name, quantity, quantity_type)
+      VALUES ($1, $2, $3, $4)
+      RETURNING ingredient_id;
     `;
 
-    const insertIngredientResult = await runQuery(insertIngredientQuery);
-    if (!insertIngredientResult.success) {
-      return res.status(500).json({ success: false, error: "Failed to add new ingredient." });
-    }
-
     // Update the recipe_ingredient table with the new ingredient
     const updateRecipeIngredientQuery = `
       UPDATE recipe_ingredient
-      SET recipe_id = ${recipe_id}, ingredient_id = ${ingredient_id}, name = '${name}'
-      WHERE recipe_ing_id = ${recipe_ing_id};
+      SET recipe_id = $1, ingredient_id = $2, name = $3
+      WHERE recipe_ing_id = $4;
     `;
 
-    const updateRecipeIngredientResult = await runQuery(updateRecipeIngredientQuery);
-    if (!updateRecipeIngredientResult.success) {
-      return res.status(500).json({ success: false, error: "Failed to update recipe ingredient." });
-    }
+    await withTransaction(async (client) => {
+      const before = await loadSnapshot(client, RECIPE_INGREDIENT_SNAPSHOT_QUERY, [recipe_ing_id]);
+      const insertIngredientResult = await client.query(insertIngredientQuery, [inventory_id, name, quantity, quantity_type]);
+      const { ingredient_id } = insertIngredientResult.rows[0];
+
+      const updateRecipeIngredientResult = await client.query(updateRecipeIngredientQuery, [recipe_id, ingredient_id, name, recipe_ing_id]);
+      if (updateRecipeIngredientResult.rowCount === 0) {
+        throw new HttpError(404, "No recipe ingredient found for the given recipe_ing_id.");
+      }
+
+      await recordAudit(client, {
+        employeeId: req.session.employee_id,
+        action: "update",
+        entityType: "recipe_ingredient",
+        entityId: recipe_ing_id,
+        before,
+        after: await loadSnapshot(client, RECIPE_INGREDIENT_SNAPSHOT_QUERY, [recipe_ing_id]),
+      });
+    });
 
     // Success response
     res.json({ success: true, message: "Ingredient updated successfully!" });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
     console.error("Error updating ingredient:", error);
-    res.status(500).json({ success: false, error: "Internal server error" });
+    res.status(500).json({ success: false, error: "Failed to update ingredient." });
   }
 });
 
@@ -504,7 +694,7 @@ router.post("/editIngredient", async (req, res) => {
  * @param {Object} res - The HTTP response object.
  * @returns {JSON} Results of the query
  */
-router.post("/getIngredientDetails", async (req, res) => {
+router.post("/getIngredientDetails", requireManager, validateBody({ recipe_ing_id: "integer" }), async (req, res) => {
   const { recipe_ing_id } = req.body;
 
   try {
@@ -512,10 +702,10 @@ router.post("/getIngredientDetails", async (req, res) => {
     const recipeIngredientQuery = `
       SELECT recipe_id, ingredient_id
       FROM recipe_ingredient
-      WHERE recipe_ing_id = ${recipe_ing_id};
+      WHERE recipe_ing_id = $1;
     `;
 
-    const recipeIngredientResult = await runQuery(recipeIngredientQuery);
+    const recipeIngredientResult = await runQuery(recipeIngredientQuery, [recipe_ing_id]);
     if (!recipeIngredientResult.success || recipeIngredientResult.rows.length === 0) {
       return res.status(404).json({ success: false, error: "No data found for the given recipe_ing_id." });
     }
@@ -526,10 +716,10 @@ router.post("/getIngredientDetails", async (req, res) => {
     const ingredientQuery = `
       SELECT inventory_id, name, quantity, quantity_type
       FROM ingredient
-      WHERE ingredient_id = ${ingredient_id};
+      WHERE ingredient_id = $1;
     `;
 
-    const ingredientResult = await runQuery(ingredientQuery);
+    const ingredientResult = await runQuery(ingredientQuery, [ingredient_id]);
     if (!ingredientResult.success || ingredientResult.rows.length === 0) {
       return res.status(404).json({ success: false, error: "No ingredient details found for the given ingredient_id." });
     }
@@ -550,7 +740,7 @@ router.post("/getIngredientDetails", async (req, res) => {
  * @param {Object} res - The HTTP response object.
  * @returns {JSON} Results of the query
  */
-router.post("/getInventory", async (req, res) => {
+router.post("/getInventory", requireManager, async (req, res) => {
   const query = `SELECT inventory_id, name FROM inventory;`;  // Modify query to fetch inventory items
 
   try {
@@ -570,6 +760,9 @@ router.post("/getInventory", async (req, res) => {
 /**
  * Handles POST requests to package sales report information from the database and sends the results as a JSON Response.
  * This finds all relevant sales information between specified times and calculates the amount of revenue made on those sales.
+ * Items voided or refunded between those times are negative lines, labelled with "(void)" or "(refund)".
+ * Items are grouped by menu item and shown under their current name, so a renamed item keeps a single line.
+ * Each side of a half and half counts as half a side.
  *
  * @param {Object} req - The HTTP request object.
  * @param {Number} startTime Start time for the sales report
@@ -577,58 +770,62 @@ router.post("/getInventory", async (req, res) => {
  * @param {Object} res - The HTTP response object.
  * @returns {JSON} Results of the sales report
  */
-router.post("/doSalesReportQuery", async (req, res) => {
+router.post("/doSalesReportQuery", requireManager, async (req, res) => {
 	const { startTime, endTime } = req.body;
 
 	// console.log(startTime);
 	// console.log(endTime);
 
 	const query = `
-          SELECT meat AS item, COUNT(*) AS count, SUM(price) AS total_revenue 
-          FROM ( 
-              SELECT mi.meat1 AS meat, mi.price 
-              FROM meal_item mi 
-              JOIN line_item li ON mi.line_item_id = li.line_item_id 
-              JOIN receipt r ON li.receipt_id = r.receipt_id 
-              WHERE r.date BETWEEN $1 AND $2
-                AND mi.meat1 <> '' 
-              UNION ALL 
-              SELECT mi.meat2, mi.price 
-              FROM meal_item mi 
-              JOIN line_item li ON mi.line_item_id = li.line_item_id 
-              JOIN receipt r ON li.receipt_id = r.receipt_id 
-              WHERE r.date BETWEEN $1 AND $2
-                AND mi.meat2 <> '' 
-              UNION ALL 
-              SELECT mi.meat3, mi.price 
-              FROM meal_item mi 
-              JOIN line_item li ON mi.line_item_id = li.line_item_id 
-              JOIN receipt r ON li.receipt_id = r.receipt_id 
-              WHERE r.date BETWEEN $1 AND $2
-                AND mi.meat3 <> '' 
-              UNION ALL 
-              SELECT mi.side, mi.price 
-              FROM meal_item mi 
-              JOIN line_item li ON mi.line_item_id = li.line_item_id 
-              JOIN receipt r ON li.receipt_id = r.receipt_id 
-              WHERE r.date BETWEEN $1 AND $2
-                AND mi.side <> '' 
-          ) AS combined_items 
-          GROUP BY item 
+          SELECT lic.menu_id, COALESCE(m.name, lic.name) AS item, SUM(lic.servings)::float AS count, SUM(mi.price) AS total_revenue 
+          FROM line_item_component lic 
+          JOIN meal_item mi ON lic.line_item_id = mi.line_item_id 
+          JOIN line_item li ON mi.line_item_id = li.line_item_id 
+          JOIN receipt r ON li.receipt_id = r.receipt_id 
+          LEFT JOIN menu m ON lic.menu_id = m.menu_id 
+          WHERE r.date BETWEEN $1 AND $2
+          GROUP BY lic.menu_id, COALESCE(m.name, lic.name) 
           UNION ALL 
-          SELECT di.name AS item, COUNT(*) AS count, SUM(di.price) AS total_revenue 
+          SELECT di.menu_id, COALESCE(m.name, di.name) AS item, COUNT(*) AS count, SUM(di.price) AS total_revenue 
           FROM drink_item di 
           JOIN line_item li ON di.line_item_id = li.line_item_id 
           JOIN receipt r ON li.receipt_id = r.receipt_id 
+          LEFT JOIN menu m ON di.menu_id = m.menu_id 
           WHERE r.date BETWEEN $1 AND $2
-          GROUP BY di.name 
+          GROUP BY di.menu_id, COALESCE(m.name, di.name) 
           UNION ALL 
-          SELECT ai.name AS item, COUNT(*) AS count, SUM(ai.price) AS total_revenue 
+          SELECT ai.menu_id, COALESCE(m.name, ai.name) AS item, COUNT(*) AS count, SUM(ai.price) AS total_revenue 
           FROM appetizer_item ai 
           JOIN line_item li ON ai.line_item_id = li.line_item_id 
           JOIN receipt r ON li.receipt_id = r.receipt_id 
+          LEFT JOIN menu m ON ai.menu_id = m.menu_id 
           WHERE r.date BETWEEN $1 AND $2
-          GROUP BY ai.name;
+          GROUP BY ai.menu_id, COALESCE(m.name, ai.name)
+          UNION ALL 
+          SELECT refunded_items.menu_id, COALESCE(m.name, refunded_items.item) || ' (' || refunded_items.kind || ')' AS item, -SUM(refunded_items.servings)::float AS count, -SUM(refunded_items.price) AS total_revenue 
+          FROM ( 
+              SELECT lic.menu_id, lic.name AS item, lic.servings, mi.price, ra.kind 
+              FROM line_item_component lic 
+              JOIN meal_item mi ON lic.line_item_id = mi.line_item_id 
+              JOIN adjustment_line_item ali ON mi.line_item_id = ali.line_item_id 
+              JOIN receipt_adjustment ra ON ali.adjustment_id = ra.adjustment_id 
+              WHERE ra.created_at BETWEEN $1 AND $2
+              UNION ALL 
+              SELECT di.menu_id, di.name, 1, di.price, ra.kind 
+              FROM drink_item di 
+              JOIN adjustment_line_item ali ON di.line_item_id = ali.line_item_id 
+              JOIN receipt_adjustment ra ON ali.adjustment_id = ra.adjustment_id 
+              WHERE ra.created_at BETWEEN $1 AND $2
+              UNION ALL 
+              SELECT ai.menu_id, ai.name, 1, ai.price, ra.kind 
+              FROM appetizer_item ai 
+              JOIN adjustment_line_item ali ON ai.line_item_id = ali.line_item_id 
+              JOIN receipt_adjustment ra ON ali.adjustment_id = ra.adjustment_id 
+              WHERE ra.created_at BETWEEN $1 AND $2
+          ) AS refunded_items 
+          LEFT JOIN menu m ON refunded_items.menu_id = m.menu_id 
+          WHERE refunded_items.item <> '' 
+          GROUP BY refunded_items.menu_id, COALESCE(m.name, refunded_items.item), refunded_items.kind;
       `;
 	//query = `SELECT * FROM employee;`;
 
@@ -643,8 +840,69 @@ router.post("/doSalesReportQuery", async (req, res) => {
 });
 
 
+/**
+ * Handles POST requests to fetch the discounts given by each promotion and sends the results as a JSON Response.
+ * Voided receipts, cancelled orders among them, are left out since voiding gives back their promotion uses.
+ *
+ * @param {Object} req - The HTTP request object.
+ * @param {Number} startTime Start time for the sales report
+ * @param {Number} endTime End time for the sales report
+ * @param {Object} res - The HTTP response object.
+ * @returns {JSON} List of promotions with the number of receipts they were used on and the total discount given
+ */
+router.post("/doDiscountReportQuery", requireManager, async (req, res) => {
+	const { startTime, endTime } = req.body;
+
+	const query = `
+          SELECT p.promotion_id, p.name, p.code, COUNT(*) AS receipt_count, SUM(rd.amount) AS total_discount
+          FROM receipt_discount rd
+          JOIN promotion p ON rd.promotion_id = p.promotion_id
+          JOIN receipt r ON rd.receipt_id = r.receipt_id
+          WHERE r.date BETWEEN $1 AND $2
+            AND r.receipt_id NOT IN (SELECT receipt_id FROM receipt_adjustment WHERE kind = 'void')
+          GROUP BY p.promotion_id, p.name, p.code
+          ORDER BY total_discount DESC;
+      `;
+
+	try {
+		const result = await pool.query(query, [startTime, endTime]);
+		res.json(result.rows);
+	} catch (error) {
+		console.error('Error executing query:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+
+/**
+ * Handles POST requests to build the speed-of-service report and sends the results as a JSON Response.
+ * This finds how long each order received between specified times took from being received to being ready.
+ *
+ * @param {Object} req - The HTTP request object.
+ * @param {Number} startTime Start time for the report
+ * @param {Number} endTime End time for the report
+ * @param {Object} res - The HTTP response object.
+ * @returns {JSON} The number of orders and the average, median and 90th percentile ticket time in seconds of every order,
+ * and of the orders received in each hour and part of the day, placed through each channel and with each number of items
+ */
+router.post("/doServiceReportQuery", requireManager, async (req, res) => {
+	const { startTime, endTime } = req.body;
+
+	try {
+		res.json(await buildServiceReport(pool, startTime, endTime));
+	} catch (error) {
+		if (error instanceof HttpError) {
+			return res.status(error.status).json({ error: error.message });
+		}
+		console.error('Error executing query:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+
 /**
  * Handles POST requests to fetch the count of items sold, ordered from most popular to least popular.
+ * Items are counted by menu item under their current name, each side of a half and half as half a side.
  *
  * @param {Object} req - The HTTP request object.
  * @param {Number} startTime Start time for the sales report
@@ -652,53 +910,32 @@ router.post("/doSalesReportQuery", async (req, res) => {
  * @param {Object} res - The HTTP response object.
  * @returns {JSON} List of items with their counts
  */
-router.post("/getSoldItemCount", async (req, res) => {
+router.post("/getSoldItemCount", requireManager, async (req, res) => {
     const { startTime, endTime } = req.body;
 
     const query = `
-        SELECT item, COUNT(*) AS count 
+        SELECT combined_items.menu_id, COALESCE(m.name, combined_items.item) AS item, SUM(combined_items.servings)::float AS count 
         FROM ( 
-            SELECT mi.meat1 AS item 
-            FROM meal_item mi 
-            JOIN line_item li ON mi.line_item_id = li.line_item_id 
-            JOIN receipt r ON li.receipt_id = r.receipt_id 
-            WHERE r.date BETWEEN $1 AND $2
-              AND mi.meat1 <> '' 
-            UNION ALL 
-            SELECT mi.meat2 AS item 
-            FROM meal_item mi 
-            JOIN line_item li ON mi.line_item_id = li.line_item_id 
-            JOIN receipt r ON li.receipt_id = r.receipt_id 
-            WHERE r.date BETWEEN $1 AND $2
-              AND mi.meat2 <> '' 
-            UNION ALL 
-            SELECT mi.meat3 AS item 
-            FROM meal_item mi 
-            JOIN line_item li ON mi.line_item_id = li.line_item_id 
-            JOIN receipt r ON li.receipt_id = r.receipt_id 
-            WHERE r.date BETWEEN $1 AND $2
-              AND mi.meat3 <> '' 
-            UNION ALL 
-            SELECT mi.side AS item 
-            FROM meal_item mi 
-            JOIN line_item li ON mi.line_item_id = li.line_item_id 
+            SELECT lic.menu_id, lic.name AS item, lic.servings 
+            FROM line_item_component lic 
+            JOIN line_item li ON lic.line_item_id = li.line_item_id 
             JOIN receipt r ON li.receipt_id = r.receipt_id 
             WHERE r.date BETWEEN $1 AND $2
-              AND mi.side <> '' 
             UNION ALL 
-            SELECT di.name AS item 
+            SELECT di.menu_id, di.name AS item, 1 AS servings 
             FROM drink_item di 
             JOIN line_item li ON di.line_item_id = li.line_item_id 
             JOIN receipt r ON li.receipt_id = r.receipt_id 
             WHERE r.date BETWEEN $1 AND $2
             UNION ALL 
-            SELECT ai.name AS item 
+            SELECT ai.menu_id, ai.name AS item, 1 AS servings 
             FROM appetizer_item ai 
             JOIN line_item li ON ai.line_item_id = li.line_item_id 
             JOIN receipt r ON li.receipt_id = r.receipt_id 
             WHERE r.date BETWEEN $1 AND $2
         ) AS combined_items 
-        GROUP BY item 
+        LEFT JOIN menu m ON combined_items.menu_id = m.menu_id 
+        GROUP BY combined_items.menu_id, COALESCE(m.name, combined_items.item) 
         ORDER BY count DESC;
     `;
 
@@ -711,18 +948,96 @@ router.post("/getSoldItemCount", async (req, res) => {
     }
 });
 
+/**
+ * Handles POST requests to fetch how many of each item was sold between two dates and sends the results as a JSON Response.
+ * Entrees and sides are counted once for every meal they appear in, each side of a half and half as half a side,
+ * and items are counted by menu item under their current name.
+ *
+ * @param {Object} req - The HTTP request object.
+ * @param {String} startDate Start date of the range, such as 2024-11-01
+ * @param {String} endDate End date of the range, such as 2024-11-30
+ * @param {Object} res - The HTTP response object.
+ * @returns {JSON} List of menu_ids and item names with the amount sold
+ */
+router.post("/doItemSalesQuery", requireManager, async (req, res) => {
+	const { startDate, endDate } = req.body;
+
+	if (!startDate || !endDate) {
+		return res.status(400).json({ error: "startDate and endDate are required." });
+	}
+
+	const query = `
+		SELECT sold_items.menu_id, COALESCE(m.name, sold_items.item_name) AS item_name, SUM(sold_items.servings)::float AS amount
+		FROM (
+			SELECT ai.menu_id, ai.name AS item_name, 1 AS servings, r.date FROM appetizer_item ai
+			JOIN line_item li ON ai.line_item_id = li.line_item_id
+			JOIN receipt r ON li.receipt_id = r.receipt_id
+			UNION ALL
+			SELECT di.menu_id, di.name, 1, r.date FROM drink_item di
+			JOIN line_item li ON di.line_item_id = li.line_item_id
+			JOIN receipt r ON li.receipt_id = r.receipt_id
+			UNION ALL
+			SELECT lic.menu_id, lic.name, lic.servings, r.date FROM line_item_component lic
+			JOIN line_item li ON lic.line_item_id = li.line_item_id
+			JOIN receipt r ON li.receipt_id = r.receipt_id
+		) AS sold_items
+		LEFT JOIN menu m ON sold_items.menu_id = m.menu_id
+		WHERE sold_items.date BETWEEN $1 AND $2 AND sold_items.item_name IS NOT NULL AND sold_items.item_name <> ''
+		GROUP BY sold_items.menu_id, COALESCE(m.name, sold_items.item_name);
+	`;
+	const result = await runQuery(query, [startDate, endDate]);
+
+	if (result.success) {
+		res.json(result.rows);
+	} else {
+		res.status(400).json({ error: result.error });
+	}
+});
+
+/**
+ * Handles POST requests to fetch the inventory used by the items sold between two dates and sends the results as a JSON Response.
+ * Each entree and side counts every time it was chosen, at the portion of its meal size, the same way checkout
+ * took it out of inventory. Items voided or refunded are left out since they went back into inventory.
+ *
+ * @param {Object} req - The HTTP request object.
+ * @param {String} startDate Start date of the range, such as 2024-11-01
+ * @param {String} endDate End date of the range, such as 2024-11-30
+ * @param {Object} res - The HTTP response object.
+ * @returns {JSON} List of inventory items with their name, quantity type and the amount used
+ */
+router.post("/doIngredientUsageQuery", requireManager, async (req, res) => {
+	const { startDate, endDate } = req.body;
+
+	if (!startDate || !endDate) {
+		return res.status(400).json({ error: "startDate and endDate are required." });
+	}
+
+	try {
+		res.json(await loadIngredientUsageBetween(pool, startDate, endDate));
+	} catch (error) {
+		console.error('Error executing query:', error);
+		res.status(400).json({ error: error.message });
+	}
+});
+
 
 
 /**
  * Handles POST requests to package X/Z Report information from the database and sends the results as a JSON Response.
- * This finds all relevant sales information since the last Z Report and returns revenue per item.
+ * This finds all relevant sales information since the last Z Report and returns revenue per item,
+ * along with the sales tax collected in total and per tax rate for filing, and the totals of each tender type.
+ * Voids and refunds since the last Z Report are negative lines in each of these.
  *
  * @param {Object} req - The HTTP request object.
  * @param {Boolean} modifyDatabase Boolean for if the report was a Z Report, if so then time in database is modified
  * @param {Object} res - The HTTP response object.
  * @returns {JSON} Results of the sales report
+ * @returns {Object} Subtotal, tax and total of the receipts in the report, and the taxable, exempt and tax amounts per rate,
+ * with the same amounts given back by voids and refunds in refunds
+ * @returns {Array} Number of payments, amount, amount tendered and change given of each payment method
+ * @returns {Array} Number of refunds and amount given back of each payment method
  */
-router.post("/doXZReport", async (req, res) => {
+router.post("/doXZReport", requireManager, async (req, res) => {
 	const modifyDatabase = req.body.modifyDatabase;
 	const ZReportDateQuery = "select * from z_report";
 	const ZReportDateResult = await runQuery(ZReportDateQuery);
@@ -734,75 +1049,218 @@ router.post("/doXZReport", async (req, res) => {
 	const reportQuery = `
       WITH meal_data AS (
           SELECT 
-              mi.size, 
+              COALESCE(m.name, mi.size) AS size, 
               COUNT(*) AS count, 
-              SUM(mi.price) AS total_revenue 
+              SUM(mi.price) AS total_revenue, 
+              mi.menu_id 
           FROM 
               meal_item mi 
           JOIN 
               line_item li ON mi.line_item_id = li.line_item_id 
           JOIN 
               receipt r ON li.receipt_id = r.receipt_id 
+          LEFT JOIN 
+              menu m ON mi.menu_id = m.menu_id 
           WHERE 
               r.date BETWEEN (SELECT date FROM z_report LIMIT 1) AND CURRENT_TIMESTAMP 
           GROUP BY 
-              mi.size
+              mi.menu_id, COALESCE(m.name, mi.size)
       ), 
       drink_data AS (
           SELECT 
-              di.name, 
+              COALESCE(m.name, di.name), 
               COUNT(*) AS count, 
-              SUM(di.price) AS total_revenue 
+              SUM(di.price) AS total_revenue, 
+              di.menu_id 
           FROM 
               drink_item di 
           JOIN 
               line_item li ON di.line_item_id = li.line_item_id 
           JOIN 
               receipt r ON li.receipt_id = r.receipt_id 
+          LEFT JOIN 
+              menu m ON di.menu_id = m.menu_id 
           WHERE 
               r.date BETWEEN (SELECT date FROM z_report LIMIT 1) AND CURRENT_TIMESTAMP 
           GROUP BY 
-              di.name
+              di.menu_id, COALESCE(m.name, di.name)
       ), 
       appetizer_data AS (
           SELECT 
-              ai.name, 
+              COALESCE(m.name, ai.name), 
               COUNT(*) AS count, 
-              SUM(ai.price) AS total_revenue 
+              SUM(ai.price) AS total_revenue, 
+              ai.menu_id 
           FROM 
               appetizer_item ai 
           JOIN 
               line_item li ON ai.line_item_id = li.line_item_id 
           JOIN 
               receipt r ON li.receipt_id = r.receipt_id 
+          LEFT JOIN 
+              menu m ON ai.menu_id = m.menu_id 
           WHERE 
               r.date BETWEEN (SELECT date FROM z_report LIMIT 1) AND CURRENT_TIMESTAMP 
           GROUP BY 
-              ai.name
+              ai.menu_id, COALESCE(m.name, ai.name)
+      ), 
+      refund_data AS (
+          SELECT 
+              COALESCE(m.name, sold.name) || ' (' || ra.kind || ')', 
+              -COUNT(*) AS count, 
+              -SUM(sold.price) AS total_revenue, 
+              sold.menu_id 
+          FROM ( 
+              SELECT line_item_id, menu_id, size AS name, price FROM meal_item 
+              UNION ALL 
+              SELECT line_item_id, menu_id, name, price FROM drink_item 
+              UNION ALL 
+              SELECT line_item_id, menu_id, name, price FROM appetizer_item 
+          ) AS sold 
+          JOIN 
+              adjustment_line_item ali ON sold.line_item_id = ali.line_item_id 
+          JOIN 
+              receipt_adjustment ra ON ali.adjustment_id = ra.adjustment_id 
+          LEFT JOIN 
+              menu m ON sold.menu_id = m.menu_id 
+          WHERE 
+              ra.created_at BETWEEN (SELECT date FROM z_report LIMIT 1) AND CURRENT_TIMESTAMP 
+          GROUP BY 
+              sold.menu_id, COALESCE(m.name, sold.name), ra.kind
       ) 
       SELECT * FROM meal_data
       UNION 
       SELECT * FROM drink_data
       UNION 
-      SELECT * FROM appetizer_data;
+      SELECT * FROM appetizer_data
+      UNION 
+      SELECT * FROM refund_data;
     `;
 
-	const reportResult = await runQuery(reportQuery);
-	if (!reportResult.success) {
-		res.status(400).json({ error: reportResult.error });
-		return;
-	}
+	const taxTotalsQuery = `
+		SELECT
+			COUNT(*) AS receipt_count,
+			COALESCE(SUM(subtotal), 0) AS subtotal,
+			COALESCE(SUM(tax_amount), 0) AS tax_amount,
+			COALESCE(SUM(total), 0) AS total
+		FROM receipt
+		WHERE date BETWEEN (SELECT date FROM z_report LIMIT 1) AND CURRENT_TIMESTAMP;
+	`;
 
-	if (modifyDatabase) {
-		const updateQuery = `UPDATE z_report SET date = CURRENT_TIMESTAMP;`;
-		updateResult = await runQuery(updateQuery);
-		if (!updateResult.success) {
-			res.status(400).json({ error: updateResult.error });
-			return;
-		}
-	}
+	const taxByRateQuery = `
+		SELECT
+			tr.name,
+			tr.rate,
+			SUM(rt.taxable_amount) AS taxable_amount,
+			SUM(rt.exempt_amount) AS exempt_amount,
+			SUM(rt.tax_amount) AS tax_amount
+		FROM receipt_tax rt
+		JOIN tax_rate tr ON rt.tax_rate_id = tr.tax_rate_id
+		JOIN receipt r ON rt.receipt_id = r.receipt_id
+		WHERE r.date BETWEEN (SELECT date FROM z_report LIMIT 1) AND CURRENT_TIMESTAMP
+		GROUP BY tr.tax_rate_id, tr.name, tr.rate
+		ORDER BY tr.tax_rate_id;
+	`;
+
+	const refundTotalsQuery = `
+		SELECT
+			COUNT(*) AS adjustment_count,
+			-COALESCE(SUM(subtotal), 0) AS subtotal,
+			-COALESCE(SUM(tax_amount), 0) AS tax_amount,
+			-COALESCE(SUM(total), 0) AS total
+		FROM receipt_adjustment
+		WHERE created_at BETWEEN (SELECT date FROM z_report LIMIT 1) AND CURRENT_TIMESTAMP;
+	`;
+
+	const refundTaxByRateQuery = `
+		SELECT
+			tr.name,
+			tr.rate,
+			-SUM(at.taxable_amount) AS taxable_amount,
+			-SUM(at.exempt_amount) AS exempt_amount,
+			-SUM(at.tax_amount) AS tax_amount
+		FROM adjustment_tax at
+		JOIN tax_rate tr ON at.tax_rate_id = tr.tax_rate_id
+		JOIN receipt_adjustment ra ON at.adjustment_id = ra.adjustment_id
+		WHERE ra.created_at BETWEEN (SELECT date FROM z_report LIMIT 1) AND CURRENT_TIMESTAMP
+		GROUP BY tr.tax_rate_id, tr.name, tr.rate
+		ORDER BY tr.tax_rate_id;
+	`;
+
+	const tendersQuery = `
+		SELECT
+			p.method,
+			COUNT(*) AS payment_count,
+			SUM(p.amount) AS amount,
+			SUM(p.amount_tendered) AS amount_tendered,
+			SUM(p.change_given) AS change_given
+		FROM payment p
+		JOIN receipt r ON p.receipt_id = r.receipt_id
+		WHERE r.date BETWEEN (SELECT date FROM z_report LIMIT 1) AND CURRENT_TIMESTAMP
+		GROUP BY p.method
+		ORDER BY p.method;
+	`;
+
+	const tenderRefundsQuery = `
+		SELECT
+			method,
+			COUNT(*) AS refund_count,
+			-SUM(amount) AS amount
+		FROM payment_refund
+		WHERE refunded_at BETWEEN (SELECT date FROM z_report LIMIT 1) AND CURRENT_TIMESTAMP
+		GROUP BY method
+		ORDER BY method;
+	`;
+
+	/**
+	 * Runs the report queries on the pool for an X report, or on the Z report's transaction.
+	 *
+	 * @param {Object} client Database client or pool to run the queries on
+	 * @returns {Promise<Object>} Sales per item, the tax collected, the totals of each tender type and the refunds
+	 */
+	const buildReport = async (client) => {
+		const result = await client.query(reportQuery);
+		const taxTotals = await client.query(taxTotalsQuery);
+		const taxByRate = await client.query(taxByRateQuery);
+		const refundTotals = await client.query(refundTotalsQuery);
+		const refundTaxByRate = await client.query(refundTaxByRateQuery);
+		const tenders = await client.query(tendersQuery);
+		const tenderRefunds = await client.query(tenderRefundsQuery);
+
+		return {
+			results: { success: true, rows: result.rows, rowCount: result.rowCount },
+			tax: {
+				...taxTotals.rows[0],
+				rates: taxByRate.rows,
+				refunds: { ...refundTotals.rows[0], rates: refundTaxByRate.rows },
+			},
+			tenders: tenders.rows,
+			tender_refunds: tenderRefunds.rows,
+		};
+	};
 
-	res.json({ results: reportResult });
+	try {
+		// A Z report reads the sales and resets the report date together, so no sale is counted twice or skipped
+		const report = modifyDatabase
+			? await withTransaction(async (client) => {
+				const zReport = await buildReport(client);
+				const before = await loadSnapshot(client, `SELECT date FROM z_report LIMIT 1;`, []);
+				await client.query(`UPDATE z_report SET date = CURRENT_TIMESTAMP;`);
+				await recordAudit(client, {
+					employeeId: req.session.employee_id,
+					action: "close",
+					entityType: "z_report",
+					before,
+					after: { ...(await loadSnapshot(client, `SELECT date FROM z_report LIMIT 1;`, [])), tax: zReport.tax, tenders: zReport.tenders },
+				});
+				return zReport;
+			})
+			: await buildReport(pool);
+
+		res.json(report);
+	} catch (error) {
+		res.status(400).json({ error: error.message });
+	}
 })
 
 /**
@@ -811,7 +1269,7 @@ router.post("/doXZReport", async (req, res) => {
  * @param {Object} res - The HTTP response object.
  * @returns {JSON} Results of the query
  */
-router.post("/getLastZReportDate", async (req, res) => {
+router.post("/getLastZReportDate", requireManager, async (req, res) => {
 	const ZReportDateQuery = "select * from z_report";
 	const ZReportDateResult = await runQuery(ZReportDateQuery);
 	if (!ZReportDateResult.success) {
@@ -823,59 +1281,147 @@ router.post("/getLastZReportDate", async (req, res) => {
 });
 
 /**
- * Handles POST requests to verify a user's Google SSO credentials (email specifically) and sends the results as a JSON Response.
- * This function decodes the credential object passed by the user, then queries their email in the database and returns their role permission in the JSON Response.
- * 
+ * Starts a session for an employee by setting the session cookie and sends the employee as a JSON Response.
+ *
+ * @param {Object} res - The HTTP response object.
+ * @param {Object} employee Row from the employee table
+ */
+function startSession(res, employee) {
+	const token = auth.createSessionToken(employee);
+	auth.setSessionCookie(res, token);
+	res.json({
+		success: true,
+		employee: {
+			employee_id: employee.employee_id,
+			name: employee.name,
+			position: employee.position,
+			permissions: auth.permissionsFor(employee.position),
+		},
+	});
+}
+
+/**
+ * Handles POST requests to verify a user's username and password and sends the results as a JSON Response.
+ * On success a signed session token is set as an HTTP-only cookie, it is never sent in the body so scripts cannot read it.
+ *
  * @param {Object} req - The HTTP request object.
- * @param {Object} CredentialResponse CredentialResponse object created by Google's SSO API
+ * @param {String} username The employee's name
+ * @param {String} password The employee's password
  * @param {Object} res - The HTTP response object.
- * @returns {JSON} Results of the query
+ * @returns {JSON} The employee that was logged in
  */
-router.post("/doGoogleLogin", async (req, res) => {
-	const credential = req.body.credentialResponse.credential;
-	const decodedCredential = jwtDecode(credential);
+router.post("/doLogin", async (req, res) => {
+	const { username, password } = req.body;
 
-	const positionQuery = `select position from employee where email = '${decodedCredential.email}'`;
-	const positionResult = await runQuery(positionQuery);
-	if (!positionResult.success) {
-		res.status(400).json({ error: positionResult.error });
-		return;
+	if (typeof username !== 'string' || typeof password !== 'string') {
+		return res.status(400).json({ error: "Username and password are required." });
 	}
-	if (positionResult.rowCount != 1) {
-		res.status(401).json({ error: "Zero or more than one related accounts" })
-		// console.log("Zero or more than one related accounts");
-		return;
+
+	const query = `SELECT employee_id, name, position, password FROM employee WHERE name = $1 AND position != 'Fired';`;
+	const result = await runQuery(query, [username]);
+	if (!result.success) {
+		return res.status(400).json({ error: result.error });
 	}
 
-	const epochTime = Math.floor((new Date()).getTime() / 1000);
-	if (decodedCredential.exp < epochTime) {
-		//your code is expired, try again
-		res.status(401).json({ error: "Expired auth token, try again" })
-		// console.log("Expired auth token, try again");
-		return;
+	for (const employee of result.rows) {
+		if (await auth.verifyPassword(password, employee.password)) {
+			return startSession(res, employee);
+		}
 	}
 
-	res.status(200).json(positionResult);
+	res.status(401).json({ error: "Invalid username or password." });
 });
 
 /**
- * Handles POST requests to send an email containing the user's receipt number and sends the results as a JSON Response.
- * 
- * @param {Object} req - The HTTP request object.
- * @param {String} email The user's email
- * @param {Number} receiptId ID of the user's receipt
+ * Handles POST requests to end the current session and sends the results as a JSON Response.
+ *
+ * @param {Object} res - The HTTP response object.
+ * @returns {JSON} Success of the logout
+ */
+router.post("/logout", (req, res) => {
+	auth.clearSessionCookie(res);
+	res.json({ success: true });
+});
+
+/**
+ * Handles GET requests to fetch the employee that is logged in and sends the results as a JSON Response.
+ *
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ * @returns {JSON} The logged in employee with the permissions of their position, or 401 if there is no valid session
+ */
+router.get("/me", async (req, res) => {
+	if (!req.session) {
+		return res.status(401).json({ error: "Not logged in." });
+	}
+
+	const query = `SELECT ${EMPLOYEE_COLUMNS} FROM employee WHERE employee_id = $1 AND position != 'Fired';`;
+	const result = await runQuery(query, [req.session.employee_id]);
+	if (!result.success) {
+		return res.status(400).json({ error: result.error });
+	}
+	if (result.rowCount !== 1) {
+		auth.clearSessionCookie(res);
+		return res.status(401).json({ error: "Not logged in." });
+	}
+
+	const employee = result.rows[0];
+	res.json({ employee: { ...employee, permissions: auth.permissionsFor(employee.position) } });
+});
+
+/**
+ * Handles POST requests to verify a user's Google SSO credentials (email specifically) and sends the results as a JSON Response.
+ * This function verifies the signature, audience, issuer and expiry of the Google ID token passed by the user, then queries their email in the database and starts a session for them.
+ * A failed verification responds with the error message and a `code` naming the reason.
+ * 
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} CredentialResponse CredentialResponse object created by Google's SSO API
+ * @param {Object} res - The HTTP response object.
+ * @returns {JSON} The employee that was logged in
+ */
+router.post("/doGoogleLogin", async (req, res) => {
+	const credential = req.body.credentialResponse && req.body.credentialResponse.credential;
+
+	let claims;
+	try {
+		claims = await verifyGoogleIdToken(credential);
+	} catch (error) {
+		if (error instanceof GoogleTokenError) {
+			const status = error.code === "not_configured" || error.code === "keys_unavailable" ? 503 : 401;
+			return res.status(status).json({ error: error.message, code: error.code });
+		}
+		console.error("Error verifying Google credential:", error);
+		return res.status(500).json({ error: "Failed to verify Google credential." });
+	}
+
+	const positionQuery = `select employee_id, name, position from employee where email = $1 and position != 'Fired'`;
+	const positionResult = await runQuery(positionQuery, [claims.email]);
+	if (!positionResult.success) {
+		res.status(400).json({ error: positionResult.error });
+		return;
+	}
+	if (positionResult.rowCount != 1) {
+		res.status(401).json({ error: "Zero or more than one related accounts", code: "no_account" })
+		return;
+	}
+
+	startSession(res, positionResult.rows[0]);
+});
+
+/**
+ * Handles POST requests to send an email containing the user's receipt number and sends the results as a JSON Response.
+ * 
+ * @param {Object} req - The HTTP request object.
+ * @param {String} email The user's email
+ * @param {Number} receiptId ID of the user's receipt
  * @param {Object} res - The HTTP response object.
  * @returns {JSON} Success of the email
  */
-router.post("/doSendEmailReceipt", async (req, res) => {
+router.post("/doSendEmailReceipt", validateBody({ email: "email", receiptId: "integer" }), async (req, res) => {
 	const { email, receiptId } = req.body;
-  
-	if (!email || !receiptId) {
-	  return res.status(400).json({ message: "Email and Receipt ID are required." });
-	}
 
-	const addEmailQuery = `INSERT INTO order_emails (receipt_id, email) VALUES (` + receiptId + `, '` + email + `');`
-	const addEmailResult = await runQuery(addEmailQuery);
+	const addEmailQuery = `INSERT INTO order_emails (receipt_id, email) VALUES ($1, $2);`
+	const addEmailResult = await runQuery(addEmailQuery, [receiptId, email]);
 	if (!addEmailResult.success) {
 		res.status(400).json({ error: addEmailResult.error });
 		return;
@@ -1007,309 +1553,298 @@ router.post('/doTranslateBatch', async (req, res) => {
     }
 });
 
-// DO NOT USE THESE ANYMORE -- CREATE YOUR OWN ENDPOINTS -- THESE ARE OLD
-
-
 /**
- * (Deprecated) Handles POST requests to query the PostgreSQL database and sends the results as a JSON Response.
- * Note, this is recommended to be commented out otherwise users can query anything they want to the database.
+ * Handles POST requests to price an order without placing it and sends the results as a JSON Response.
+ * The shopping cart and the cashier page use this to show the discounts, subtotal, tax and total before checkout,
+ * and to check a promo code when it is entered.
  * 
  * @param {Object} req - The HTTP request object.
- * @param {String} query The query to be sent to the database server
+ * @param {Array} orderList List of items in the order, each with a name, type and quantity, and for meals the entrees and sides
+ * @param {String=} promoCode Promo code entered by the customer
  * @param {Object} res - The HTTP response object.
- * @returns {JSON} Results of the query
+ * @returns {JSON} The canonical price breakdown of the order with the price of each item, the discounts, the subtotal, the tax and the total
  */
-router.post("/query", async (req, res) => {
-	const { query } = req.body;
-	// console.log(query);
-	const result = await runQuery(query, []);
-
-	if (result.success) {
-		res.json(result.rows);
-	} else {
-		console.log("Router /query error!");
-		res.status(400).json({ error: result.error });
+router.post('/quoteOrder', async (req, res) => {
+	try {
+	  const { breakdown } = await priceOrder(pool, req.body.orderList, req.body.promoCode);
+	  res.json({ success: true, order: breakdown });
+	} catch (error) {
+	  if (error instanceof HttpError) {
+		return res.status(error.status).json({ error: error.message });
+	  }
+	  console.error('Error quoting order:', error);
+	  res.status(500).json({ error: error.message });
 	}
-});
-
-/*
-// Route to execute a custom update query
-router.post("/update", async (req, res) => {
-	const { query } = req.body;
-	const result = await runQuery(query);
+  });
+  
 
-	if (result.success) {
-		res.json({ success: true, rowCount: result.rowCount });
-	} else {
-		res.status(400).json({ error: result.error });
+/**
+ * Saves a priced order as a receipt with its sales tax, discounts and line items, and takes the ingredients
+ * of every item out of inventory.
+ *
+ * @param {Object} client Database client of the checkout transaction
+ * @param {Object} pricedOrder Order returned by priceOrder
+ * @param {String} channel Where the order was placed, one of ORDER_CHANNELS
+ * @returns {Promise<Number>} ID of the new receipt
+ */
+async function saveOrder(client, pricedOrder, channel) {
+	// Insert into receipt table
+	const receiptResult = await client.query(
+		`INSERT INTO receipt (date, totalamount, order_time, status, received_at, channel)
+		 VALUES (CURRENT_TIMESTAMP, $1, CURRENT_TIME, $2, CURRENT_TIMESTAMP, $3)
+		 RETURNING receipt_id;`,
+		[toDollars(pricedOrder.tax.total_cents), ORDER_STATUS.RECEIVED, channel]
+	);
+
+	const receiptId = receiptResult.rows[0].receipt_id;
+	await saveReceiptTax(client, receiptId, pricedOrder.tax);
+	await recordDiscounts(client, receiptId, pricedOrder.discounts);
+
+	// Process each order item
+	for (const item of pricedOrder.items) {
+		// Insert line items and specific items according to quantity
+		for (let q = 0; q < item.quantity; q++) {
+			await saveLineItem(client, receiptId, item);
+		}
 	}
-});
 
-// Route to execute a custom insert query
-router.post("/insert", async (req, res) => {
-	const { query } = req.body;
-	const result = await runQuery(query);
+	// Take the ingredients of every entree, side, drink and appetizer out of inventory, at its portion
+	await applyInventoryChanges(
+		client,
+		new Map(),
+		await loadIngredientUsage(client, pricedOrder.items.flatMap(item => Array(item.quantity).fill(lineItemPortions(item))))
+	);
 
-	if (result.success) {
-		res.json({ success: true, rowCount: result.rowCount });
-	} else {
-		res.status(400).json({ error: result.error });
-	}
-}); */
+	return receiptId;
+}
 
+/**
+ * Reads where an order sent to processOrder was placed. Only employees who can use the register place cashier orders.
+ *
+ * @param {Object} req - The HTTP request object.
+ * @returns {String} One of ORDER_CHANNELS, kiosk if the browser sent none
+ * @throws {HttpError} 400 if the channel is unknown, 403 if a cashier order is not placed by an employee at the register
+ */
+function readOrderChannel(req) {
+	const channel = req.body.channel ?? ORDER_CHANNELS.KIOSK;
+	if (!Object.values(ORDER_CHANNELS).includes(channel)) {
+		throw new HttpError(400, `channel must be one of ${Object.values(ORDER_CHANNELS).join(", ")}.`);
+	}
+	if (channel === ORDER_CHANNELS.CASHIER && !(req.session && auth.permissionsFor(req.session.position).includes("register"))) {
+		throw new HttpError(403, "Only employees at the register can place cashier orders.");
+	}
+	return channel;
+}
 
 /**
  * Handles POST requests to process an order and sends the results as a JSON Response.
  * This creates a receipt and adds all individual items as line items corresponding to the receipt in the database.
+ * Prices are looked up in the menu table, promotions are applied and sales tax is added,
+ * any prices or totals sent by the browser are ignored. The total is then paid with the tenders,
+ * and nothing is saved if a payment is declined. Cards charged for an order that is not saved are voided.
  * 
  * @param {Object} req - The HTTP request object.
- * @param {Array} orderList List of items in the order
- * @param {Number} totalPrice Total price of the order
+ * @param {Array} orderList List of items in the order, each with a name, type and quantity, and for meals the entrees and sides
+ * @param {String=} promoCode Promo code entered by the customer
+ * @param {String=} channel Where the order was placed, kiosk or cashier, kiosk if unincluded
+ * @param {Array} tenders Payments that together pay the total, each with a method of cash, card or gift_card, optionally
+ * the amount to put on it, and the amount_tendered for cash, the gift_card_code for gift cards or optionally a card_number
+ * for the payment terminal simulator. A single payment can be sent as tender instead.
  * @param {Object} res - The HTTP response object.
  * @returns {JSON} Results of the order
  * @returns {Number} Receipt ID of the order that was processed
+ * @returns {Object} The canonical price breakdown of the order with the price of each item, the discounts, the subtotal, the tax and the total
+ * @returns {Array} The payments with the amount tendered and the change due of each
  */
 router.post('/processOrder', async (req, res) => {
-	const { orderList, totalPrice } = req.body;
+	const { orderList, promoCode } = req.body;
+	const paymentKey = crypto.randomUUID();
   
 	try {
-	  await pool.query('BEGIN');
-  
-	  // Insert into receipt table
-	  const receiptResult = await pool.query(
-		'INSERT INTO receipt (date, totalamount, order_time) VALUES (CURRENT_TIMESTAMP, $1, CURRENT_TIME) RETURNING receipt_id;',
-		[totalPrice]
-	  );
-  
-	  const receiptId = receiptResult.rows[0].receipt_id;
-  
-	  // Process each order item
-	  for (const orderItem of orderList) {
-		const quantity = orderItem.quantity || 1; // Default to 1 if quantity is missing
-  
-		// Insert line items and specific items according to quantity
-		for (let q = 0; q < quantity; q++) {
-		  // Insert into line_item
-		  const lineItemResult = await pool.query(
-			'INSERT INTO line_item (receipt_id, price) VALUES ($1, $2) RETURNING line_item_id;',
-			[receiptId, orderItem.price] // Ensure price is a number
-		  );
-  
-		  const lineItemId = lineItemResult.rows[0].line_item_id;
+	  const tenders = readTenders(req.body.tenders ?? req.body.tender);
+	  const channel = readOrderChannel(req);
+	  // Card charges are voided if the order is not saved, including when the transaction fails to commit
+	  const { receiptId, breakdown, payments } = await withCheckout(async (client, pay) => {
+		  const pricedOrder = await priceOrder(client, orderList, promoCode);
+		  const receiptId = await saveOrder(client, pricedOrder, channel);
   
-		  // Insert into specific item table
-		  switch (orderItem.type) {
-			case 'Meal':
-			  await pool.query(
-				`INSERT INTO meal_item (line_item_id, size, price, meat1, meat2, meat3, side)
-				 VALUES ($1, $2, $3, $4, $5, $6, $7);`,
-				[
-				  lineItemId,
-				  orderItem.size,
-				  orderItem.price,
-				  orderItem.entrees[0] || null,
-				  orderItem.entrees[1] || null,
-				  orderItem.entrees[2] || null,
-				  orderItem.side,
-				]
-			  );
-			  break;
+		  // Paid last so a card is only charged once the rest of the order is saved
+		  const payments = await pay(receiptId, pricedOrder.tax.total_cents, tenders, paymentKey);
   
-			case 'drink':
-			case 'Drink':
-			  await pool.query(
-				`INSERT INTO drink_item (line_item_id, name, price, size)
-				 VALUES ($1, $2, $3, $4);`,
-				[lineItemId, orderItem.name, orderItem.price, 'Regular']
-			  );
-			  break;
-  
-			case 'appetizer':
-			  await pool.query(
-				`INSERT INTO appetizer_item (line_item_id, name, price)
-				 VALUES ($1, $2, $3);`,
-				[lineItemId, orderItem.name, orderItem.price]
-			  );
-			  break;
-  
-			// Add cases for other item types if necessary
-		  }
-		}
-  
-		/* Update Inventory from used ingredients in orderItem */
-		// Fetch the list of ingredients and quantities needed
-		let ingredientList;
-		if (orderItem.type === 'Meal') {
-		  ingredientList = await pool.query(
-			`SELECT inv.inventory_id, i.quantity
-			 FROM menu m
-			 JOIN recipe_ingredient ri ON m.menu_id = ri.recipe_id
-			 JOIN ingredient i ON ri.ingredient_id = i.ingredient_id
-			 JOIN inventory inv ON i.inventory_id = inv.inventory_id
-			 WHERE m.name IN ($1, $2, $3, $4);`,
-			[
-			  orderItem.entrees[0] || null,
-			  orderItem.entrees[1] || null,
-			  orderItem.entrees[2] || null,
-			  orderItem.side,
-			]
-		  );
-		} else {
-		  ingredientList = await pool.query(
-			`SELECT inv.inventory_id, i.quantity
-			 FROM menu m
-			 JOIN recipe_ingredient ri ON m.menu_id = ri.recipe_id
-			 JOIN ingredient i ON ri.ingredient_id = i.ingredient_id
-			 JOIN inventory inv ON i.inventory_id = inv.inventory_id
-			 WHERE m.name = $1;`,
-			[orderItem.name]
-		  );
-		}
-  
-		// Update inventory quantities based on total quantity needed
-		for (const row of ingredientList.rows) {
-		  const totalQuantityNeeded = row.quantity * quantity; // Multiply by the item's quantity
-		  await pool.query(
-			`UPDATE inventory 
-			 SET quantity = quantity - $1
-			 WHERE inventory_id = $2;`,
-			[totalQuantityNeeded, row.inventory_id]
-		  );
-		}
-	  }
-  
-	  await pool.query('COMMIT');
-	  res.json({ result: receiptId, success: true });
+		  return { receiptId, breakdown: pricedOrder.breakdown, payments: payments.map(describePayment) };
+	  });
+
+	  publishOrderEvent(ORDER_EVENTS.CREATED, receiptId, ORDER_STATUS.RECEIVED);
+	  res.json({ result: receiptId, success: true, order: breakdown, payments });
 	} catch (error) {
-	  await pool.query('ROLLBACK');
+	  if (error instanceof HttpError) {
+		return res.status(error.status).json({ error: error.message });
+	  }
 	  console.error('Error processing order:', error);
 	  res.status(500).json({ error: error.message });
 	}
   });
+
+/**
+ * Handles POST requests to process an order split into separate checks and sends the results as a JSON Response.
+ * Every check gets its own receipt, priced and paid like an order sent to processOrder, and takes the ingredients
+ * of its own items out of inventory. All checks are saved together, so nothing is saved if a payment of any check is declined,
+ * and the cards charged for every check are voided if the checks are not saved.
+ *
+ * @param {Object} req - The HTTP request object.
+ * @param {Array} checks List of checks, each with an orderList, an optional promoCode and the tenders that pay it
+ * @param {Object} res - The HTTP response object.
+ * @returns {JSON} Results of the order
+ * @returns {Array} Receipt ID, price breakdown and payments of each check
+ */
+router.post('/processSplitOrder', requireRegister, async (req, res) => {
+	const { checks } = req.body;
+	const paymentKey = crypto.randomUUID();
+
+	try {
+		if (!Array.isArray(checks) || checks.length === 0) {
+			throw new HttpError(400, "checks must be a list of checks.");
+		}
+		const checkTenders = checks.map((check) => readTenders(check.tenders ?? check.tender));
+
+		// The card charges of every check are voided if the checks are not saved, including when the transaction fails to commit
+		const results = await withCheckout(async (client, pay) => {
+			const saved = [];
+			for (const check of checks) {
+				const pricedOrder = await priceOrder(client, check.orderList, check.promoCode);
+				saved.push({ pricedOrder, receiptId: await saveOrder(client, pricedOrder, ORDER_CHANNELS.CASHIER) });
+			}
+
+			// Paid last so no card is charged unless every check is saved
+			const results = [];
+			for (let i = 0; i < saved.length; i++) {
+				const { pricedOrder, receiptId } = saved[i];
+				const payments = await pay(receiptId, pricedOrder.tax.total_cents, checkTenders[i], `${paymentKey}-${i}`);
+				results.push({ result: receiptId, order: pricedOrder.breakdown, payments: payments.map(describePayment) });
+			}
+			return results;
+		});
+
+		for (const check of results) {
+			publishOrderEvent(ORDER_EVENTS.CREATED, check.result, ORDER_STATUS.RECEIVED);
+		}
+		res.json({ success: true, checks: results });
+	} catch (error) {
+		if (error instanceof HttpError) {
+			return res.status(error.status).json({ error: error.message });
+		}
+		console.error('Error processing split order:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
   
 
 /**
- * Handles POST requests to fetch all pending orders in the database sends the results as a JSON Response.
+ * Most orders the kitchen can ask for at once.
+ */
+const MAX_KITCHEN_ORDERS = 100;
+
+/**
+ * Handles GET requests to fetch the orders the kitchen still has to make or hand out and sends the results as a JSON Response.
+ * These are the orders that are Received, In Progress or Ready, oldest first.
+ * A station other than expo only gets the orders with items it makes and has not finished yet, with only those items.
+ * Every order lists the progress of each station that makes any of its items, and each item the stations that make it.
  * 
+ * @param {Object} req - The HTTP request object.
+ * @param {Number=} limit How many orders to return, 6 if unincluded and at most 100
+ * @param {Number=} offset How many of the oldest orders to skip, for paging, 0 if unincluded
+ * @param {String=} since Only orders received at or after this time
+ * @param {String=} station Name of the kitchen station asking, every order and item if unincluded
  * @param {Object} res - The HTTP response object.
- * @returns {JSON} Results of the query
+ * @returns {JSON} Results of the query, each order with its status, the time of each step and the statuses allowed next
  */
-router.get('/pendingOrders', async (req, res) => {
+router.get('/pendingOrders', requireKitchen, async (req, res) => {
+	const { since, station: stationName } = req.query;
+	const limit = req.query.limit === undefined || req.query.limit === '' ? 6 : Number(req.query.limit);
+	const offset = req.query.offset === undefined || req.query.offset === '' ? 0 : Number(req.query.offset);
+
+	if (!Number.isInteger(limit) || limit < 1 || limit > MAX_KITCHEN_ORDERS) {
+	  return res.status(400).json({ error: `limit must be a whole number from 1 to ${MAX_KITCHEN_ORDERS}.` });
+	}
+	if (!Number.isInteger(offset) || offset < 0) {
+	  return res.status(400).json({ error: 'offset must be a whole number of at least 0.' });
+	}
+	if (since && Number.isNaN(Date.parse(since))) {
+	  return res.status(400).json({ error: 'since must be a date and time.' });
+	}
+
 	try {
-	  // Fetch up to 6 orders with status 'Pending'
+	  const stations = await loadStations(pool);
+	  const stationMap = await loadStationMap(pool);
+	  const station = stationName ? await findStation(pool, stationName) : null;
+	  const routed = station && !station.is_expo;
+
+	  const conditions = ['r.status = ANY($1::text[])'];
+	  const params = [OPEN_ORDER_STATUSES];
+	  const addCondition = (condition, value) => {
+		params.push(value);
+		conditions.push(condition.replace(/\?/g, `$${params.length}`));
+	  };
+	  if (since) {
+		addCondition('r.received_at >= ?::timestamp', since);
+	  }
+	  if (routed) {
+		// Orders with an item the station makes that it has not finished yet
+		addCondition(`r.receipt_id IN (
+		  SELECT li.receipt_id
+		  FROM line_item li
+		  LEFT JOIN line_item_component lic ON lic.line_item_id = li.line_item_id
+		  LEFT JOIN appetizer_item ai ON ai.line_item_id = li.line_item_id
+		  LEFT JOIN drink_item di ON di.line_item_id = li.line_item_id
+		  WHERE lic.menu_id = ANY(?::int[]) OR ai.menu_id = ANY(?::int[]) OR di.menu_id = ANY(?::int[])
+		)`, stationMenuIds(stationMap, station));
+		addCondition('r.receipt_id NOT IN (SELECT receipt_id FROM station_completion WHERE station_id = ?)', station.station_id);
+	  }
+	  params.push(limit, offset);
+
+	  // Fetch the orders the kitchen still has to make or hand out, with the email left with each one
 	  const receiptsQuery = `
-		SELECT r.receipt_id, r.date, r.order_time, r.totalamount
+		SELECT r.receipt_id, r.date, r.order_time, r.totalamount, r.status, r.received_at, r.started_at, r.ready_at,
+		       oe.email
 		FROM receipt r
-		WHERE r.status = 'Pending'
+		LEFT JOIN (SELECT receipt_id, MIN(email) AS email FROM order_emails GROUP BY receipt_id) oe ON oe.receipt_id = r.receipt_id
+		WHERE ${conditions.join(' AND ')}
 		ORDER BY r.date ASC, r.order_time ASC
-		LIMIT 6;
+		LIMIT $${params.length - 1} OFFSET $${params.length};
 	  `;
-	  const receiptsResult = await pool.query(receiptsQuery);
+	  const receiptsResult = await pool.query(receiptsQuery, params);
 	  const receipts = receiptsResult.rows;
-  
-	  // Prepare orders with items
-	  const orders = [];
-	  for (const receipt of receipts) {
-		const receipt_id = receipt.receipt_id;
-  
-		// Fetch line items for the receipt
-		const lineItemsQuery = `
-		  SELECT li.line_item_id, li.price
-		  FROM line_item li
-		  WHERE li.receipt_id = $1;
-		`;
-		const lineItemsResult = await pool.query(lineItemsQuery, [receipt_id]);
-		const lineItems = lineItemsResult.rows;
-  
-		const items = [];
-  
-		// Fetch item details
-		for (const li of lineItems) {
-		  const line_item_id = li.line_item_id;
-  
-		  // Check for meal items
-		  const mealItemQuery = `
-			SELECT mi.size, mi.meat1, mi.meat2, mi.meat3, mi.side
-			FROM meal_item mi
-			WHERE mi.line_item_id = $1;
-		  `;
-		  const mealItemResult = await pool.query(mealItemQuery, [line_item_id]);
-		  if (mealItemResult.rows.length > 0) {
-			const mi = mealItemResult.rows[0];
-			items.push({
-			  type: 'Meal',
-			  size: mi.size,
-			  meats: [mi.meat1, mi.meat2, mi.meat3].filter(Boolean),
-			  side: mi.side,
-			});
-			continue;
-		  }
-  
-		  // Check for appetizer items
-		  const appetizerItemQuery = `
-			SELECT ai.name
-			FROM appetizer_item ai
-			WHERE ai.line_item_id = $1;
-		  `;
-		  const appetizerItemResult = await pool.query(appetizerItemQuery, [line_item_id]);
-		  if (appetizerItemResult.rows.length > 0) {
-			const ai = appetizerItemResult.rows[0];
-			items.push({
-			  type: 'Appetizer',
-			  name: ai.name,
-			});
-			continue;
-		  }
-  
-		  // Check for drink items
-		  const drinkItemQuery = `
-			SELECT di.name, di.size
-			FROM drink_item di
-			WHERE di.line_item_id = $1;
-		  `;
-		  const drinkItemResult = await pool.query(drinkItemQuery, [line_item_id]);
-		  if (drinkItemResult.rows.length > 0) {
-			const di = drinkItemResult.rows[0];
-			items.push({
-			  type: 'Drink',
-			  name: di.name,
-			  size: di.size,
-			});
-			continue;
-		  }
-  
-		  // Unknown item type
-		  items.push({
-			type: 'Unknown',
-			line_item_id: line_item_id,
-		  });
-		}
-  
-		// Finding email corresponding with the receipt
-		let foundEmail = null;
-		try {
-		  const emailQuery = `SELECT email FROM order_emails WHERE receipt_id = $1;`;
-		  const emailResult = await pool.query(emailQuery, [receipt_id]);
-		  if (emailResult.rows.length > 0) {
-			foundEmail = emailResult.rows[0].email;
-		  }
-		} catch (error) {
-		  console.error('Error fetching email for receipt_id', receipt_id, error);
-		  // Optionally handle the error or proceed without the email
-		}
-  
-		orders.push({
+	  const receiptIds = receipts.map(receipt => receipt.receipt_id);
+	  const itemsByReceipt = await loadOrderItems(pool, receiptIds);
+	  const completions = await loadStationCompletions(pool, receiptIds);
+  
+	  const orders = receipts.map(receipt => {
+		// The kitchen only needs what to make, not the prices
+		const items = withItemStations(
+		  itemsByReceipt.get(receipt.receipt_id).map(({ line_item_id, price, ...item }) =>
+			item.type === 'Unknown' ? { ...item, line_item_id } : item
+		  ),
+		  stationMap
+		);
+		return {
 		  receipt_id: receipt.receipt_id,
 		  date: receipt.date,
 		  order_time: receipt.order_time,
-		  email: foundEmail,
+		  email: receipt.email,
 		  totalamount: receipt.totalamount,
-		  items: items,
-		});
-	  }
+		  received_at: receipt.received_at,
+		  ready_at: receipt.ready_at,
+		  ...describeOrderStatus(receipt),
+		  stations: describeStationProgress(items, stations, completions.get(receipt.receipt_id)),
+		  items: routed ? itemsForStation(items, station, stationMap) : items,
+		};
+	  });
   
 	  res.json(orders);
 	} catch (error) {
+	  if (error instanceof HttpError) {
+		return res.status(error.status).json({ error: error.message });
+	  }
 	  console.error('Error fetching pending orders:', error);
 	  res.status(500).json({ error: error.message });
 	}
@@ -1317,61 +1852,397 @@ router.get('/pendingOrders', async (req, res) => {
   
 
 /**
- * Handles POST requests to mark a pending order as complete and sends the results as a JSON Response.
+ * Handles GET requests to total each entree, side, appetizer and drink on the open tickets and sends the results as a JSON Response.
+ * A station other than expo only gets the items it makes on the tickets it has not finished yet.
  * 
  * @param {Object} req - The HTTP request object.
- * @param {Number} receipt_id ID of the receipt to mark complete
- * @param {String=} email User's email to notify them that their order is complete
+ * @param {String=} station Name of the kitchen station asking, every item if unincluded
  * @param {Object} res - The HTTP response object.
- * @returns {JSON} Results of the query
+ * @returns {JSON} The kind, menu_id, name and count of each item, most first
  */
-router.post('/completeOrder', async (req, res) => {
-	const { receipt_id, email } = req.body;
+router.get('/kitchenAllDay', requireKitchen, async (req, res) => {
 	try {
-	  // Update the receipt's status to 'Fulfilled'
-	  const updateStatusQuery = `
-		UPDATE receipt
-		SET status = 'Fulfilled'
-		WHERE receipt_id = $1;
-	  `;
-	  await pool.query(updateStatusQuery, [receipt_id]);
-  
-	  // Send email to notify user if they provided an email
-	  if (email) {
-		const EMAIL_USER = process.env.EMAIL_USER;
-		const EMAIL_APP_PASS = process.env.EMAIL_APP_PASS;
-		const transporter = nodemailer.createTransport({
-		  service: "gmail", // Or your email provider
-		  auth: {
+		const station = req.query.station ? await findStation(pool, req.query.station) : null;
+		const counts = station && !station.is_expo
+			? await loadAllDayCounts(pool, station, stationMenuIds(await loadStationMap(pool), station))
+			: await loadAllDayCounts(pool);
+		res.json(counts);
+	} catch (error) {
+		if (error instanceof HttpError) {
+			return res.status(error.status).json({ error: error.message });
+		}
+		console.error('Error fetching all-day counts:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * Handles GET requests to fetch the speed-of-service thresholds of the kitchen screens and sends the results as a JSON Response.
+ * 
+ * @param {Object} res - The HTTP response object.
+ * @returns {JSON} The minutes after which a ticket turns to the warning color and to the late color
+ */
+router.get('/kitchenSla', requireKitchen, async (req, res) => {
+	try {
+		res.json(await loadKitchenSla(pool));
+	} catch (error) {
+		console.error('Error fetching kitchen thresholds:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * Handles PUT requests to change the speed-of-service thresholds of the kitchen screens and sends the results as a JSON Response.
+ * 
+ * @param {Object} req - The HTTP request object.
+ * @param {Number} warning_minutes Minutes after which a ticket turns to the warning color
+ * @param {Number} late_minutes Minutes after which a ticket turns to the late color, more than warning_minutes
+ * @param {Object} res - The HTTP response object.
+ * @returns {JSON} Success of the query and the saved thresholds
+ */
+router.put('/kitchenSla', requireManager, async (req, res) => {
+	try {
+		const sla = await withTransaction(async (client) => {
+			const before = await loadSnapshot(client, SLA_SNAPSHOT_QUERY, []);
+			const saved = await saveKitchenSla(client, req.body);
+			await recordAudit(client, {
+				employeeId: req.session.employee_id,
+				action: "update",
+				entityType: "kitchen_sla",
+				before,
+				after: saved,
+			});
+			return saved;
+		});
+		res.json({ success: true, sla });
+	} catch (error) {
+		if (error instanceof HttpError) {
+			return res.status(error.status).json({ error: error.message });
+		}
+		console.error('Error updating kitchen thresholds:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * Tells the kitchen views that an order changed: completed once it left the kitchen, updated otherwise.
+ *
+ * @param {Number} receiptId ID of the order's receipt
+ * @param {String} status The order's status after the change
+ */
+function publishOrderChange(receiptId, status) {
+	const type = OPEN_ORDER_STATUSES.includes(status) ? ORDER_EVENTS.UPDATED : ORDER_EVENTS.COMPLETED;
+	publishOrderEvent(type, receiptId, status);
+}
+
+/**
+ * Handles GET requests to stream order events to the kitchen as Server-Sent Events.
+ * The stream stays open and sends an order-created, order-updated or order-completed event with the receipt ID
+ * and status whenever an order is placed, moved to another status, edited, voided or refunded.
+ * 
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ * @returns {EventStream} Order events until the browser disconnects
+ */
+router.get('/orderEvents', requireKitchen, streamOrderEvents);
+
+/**
+ * Emails a customer that their order is ready, if they left an email with the order.
+ *
+ * @param {Number} receiptId ID of the order's receipt
+ * @returns {Promise<void>}
+ */
+async function sendOrderReadyEmail(receiptId) {
+	const emailResult = await pool.query(`SELECT email FROM order_emails WHERE receipt_id = $1;`, [receiptId]);
+	if (emailResult.rows.length === 0) {
+		return;
+	}
+
+	const EMAIL_USER = process.env.EMAIL_USER;
+	const EMAIL_APP_PASS = process.env.EMAIL_APP_PASS;
+	const transporter = nodemailer.createTransport({
+		service: "gmail", // Or your email provider
+		auth: {
 			user: EMAIL_USER,
 			pass: EMAIL_APP_PASS,
-		  },
-		});
-  
-		const mailOptions = {
-		  from: EMAIL_USER,
-		  to: email,
-		  subject: "Your Order is Ready!",
-		  text: `Thank you again for your purchase! Your order with receipt ID ${receipt_id} is ready.`,
-		};
-  
-		await transporter.sendMail(mailOptions);
-	  }
-  
-	  res.json({ success: true });
+		},
+	});
+
+	const mailOptions = {
+		from: EMAIL_USER,
+		to: emailResult.rows[0].email,
+		subject: "Your Order is Ready!",
+		text: `Thank you again for your purchase! Your order with receipt ID ${receiptId} is ready.`,
+	};
+
+	await transporter.sendMail(mailOptions);
+}
+
+/**
+ * Handles POST requests to move an order to its next status and sends the results as a JSON Response.
+ * Only the moves of the order lifecycle are allowed: Received to In Progress, In Progress to Ready, Ready to Picked Up,
+ * Ready back to In Progress to recall it, and any of these to Cancelled, which only managers can do.
+ * Cancelling voids the order with a reason, giving back its payments and ingredients, and is recorded in the audit log.
+ * The customer is emailed once their order is Ready.
+ * 
+ * @param {Object} req - The HTTP request object.
+ * @param {Number} receipt_id ID of the order's receipt
+ * @param {String} status The status to move the order to
+ * @param {String=} reason Why the order is cancelled, required to cancel
+ * @param {Object} res - The HTTP response object.
+ * @returns {JSON} The order's status, the statuses allowed next and the timeline of its steps, and for a cancelled order the void
+ */
+router.post('/orders/:receipt_id/status', requireKitchen, async (req, res) => {
+	const { receipt_id } = req.params;
+	const { status } = req.body;
+
+	if (status === ORDER_STATUS.CANCELLED && !auth.permissionsFor(req.session.position).includes("manage")) {
+		return res.status(403).json({ error: "Only managers can cancel orders." });
+	}
+
+	try {
+		if (status === ORDER_STATUS.CANCELLED) {
+			const { order, adjustment } = await withTransaction(async (client) => {
+				const before = await loadReceiptSnapshot(client, receipt_id);
+				const cancelled = await cancelOrder(client, {
+					receiptId: receipt_id,
+					reason: req.body.reason,
+					employeeId: req.session.employee_id,
+				});
+				const after = await loadReceiptSnapshot(client, receipt_id);
+				await recordAudit(client, {
+					employeeId: req.session.employee_id,
+					action: "cancel",
+					entityType: "receipt",
+					entityId: receipt_id,
+					before,
+					after: { ...after, adjustment: describeAdjustment(cancelled.adjustment) },
+				});
+				return cancelled;
+			});
+			publishOrderChange(order.receipt_id, order.status);
+
+			// Cards are only given back once the cancellation is committed
+			return res.json({ success: true, order: describeOrderStatus(order), adjustment: describeAdjustment(await settleAdjustment(adjustment)) });
+		}
+
+		const order = await withTransaction((client) => changeOrderStatus(client, receipt_id, status));
+		publishOrderChange(order.receipt_id, order.status);
+
+		// The status is saved whether or not the email goes out
+		if (order.status === ORDER_STATUS.READY) {
+			await sendOrderReadyEmail(order.receipt_id).catch((error) => console.error('Error sending order ready email:', error));
+		}
+
+		res.json({ success: true, order: describeOrderStatus(order) });
 	} catch (error) {
-	  console.error('Error completing order:', error);
-	  res.status(500).json({ error: error.message });
+		if (error instanceof HttpError) {
+			return res.status(error.status).json({ error: error.message });
+		}
+		console.error('Error changing order status:', error);
+		res.status(500).json({ error: error.message });
 	}
-  });
+});
   
+/**
+ * Handles POST requests to mark a kitchen station's part of an order done and sends the results as a JSON Response.
+ * The order leaves the station's screen, and expo sees the station as finished.
+ * 
+ * @param {Object} req - The HTTP request object.
+ * @param {Number} receipt_id ID of the order's receipt
+ * @param {Number} station_id ID of the station
+ * @param {Object} res - The HTTP response object.
+ * @returns {JSON} Success of the query
+ */
+router.post('/orders/:receipt_id/stations/:station_id/complete', requireKitchen, async (req, res) => {
+	const { receipt_id, station_id } = req.params;
+
+	try {
+		const order = await withTransaction((client) => completeStation(client, receipt_id, station_id, req.session.employee_id));
+		publishOrderChange(order.receipt_id, order.status);
+		res.json({ success: true });
+	} catch (error) {
+		if (error instanceof HttpError) {
+			return res.status(error.status).json({ error: error.message });
+		}
+		console.error('Error completing station:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * Handles GET requests to fetch every kitchen station and sends the results as a JSON Response.
+ * 
+ * @param {Object} res - The HTTP response object.
+ * @returns {JSON} The stations, with whether each one is an expo station
+ */
+router.get('/kitchenStations', requireKitchen, async (req, res) => {
+	try {
+		res.json(await loadStations(pool));
+	} catch (error) {
+		console.error('Error fetching kitchen stations:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * Handles POST requests to add a kitchen station and sends the results as a JSON Response.
+ * 
+ * @param {Object} req - The HTTP request object.
+ * @param {String} name Name of the station, such as fryer
+ * @param {Boolean=} is_expo Whether the station sees whole tickets, false if unincluded
+ * @param {Number=} sort_order Where the station is listed, 0 if unincluded
+ * @param {Object} res - The HTTP response object.
+ * @returns {JSON} Success of the query and the station that was added
+ */
+router.post('/kitchenStations', requireManager, async (req, res) => {
+	try {
+		const station = await withTransaction(async (client) => {
+			const added = await saveStation(client, null, req.body);
+			await recordAudit(client, {
+				employeeId: req.session.employee_id,
+				action: "create",
+				entityType: "kitchen_station",
+				entityId: added.station_id,
+				after: added,
+			});
+			return added;
+		});
+		res.json({ success: true, station });
+	} catch (error) {
+		if (error instanceof HttpError) {
+			return res.status(error.status).json({ error: error.message });
+		}
+		console.error('Error adding kitchen station:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * Handles PUT requests to change a kitchen station and sends the results as a JSON Response.
+ * 
+ * @param {Object} req - The HTTP request object.
+ * @param {Number} station_id ID of the station
+ * @param {String} name New name of the station
+ * @param {Boolean=} is_expo Whether the station sees whole tickets, false if unincluded
+ * @param {Number=} sort_order Where the station is listed, 0 if unincluded
+ * @param {Object} res - The HTTP response object.
+ * @returns {JSON} Success of the query and the changed station
+ */
+router.put('/kitchenStations/:station_id', requireManager, async (req, res) => {
+	const { station_id } = req.params;
+
+	try {
+		const station = await withTransaction(async (client) => {
+			const before = await loadSnapshot(client, STATION_SNAPSHOT_QUERY, [station_id]);
+			const changed = await saveStation(client, station_id, req.body);
+			await recordAudit(client, {
+				employeeId: req.session.employee_id,
+				action: "update",
+				entityType: "kitchen_station",
+				entityId: station_id,
+				before,
+				after: changed,
+			});
+			return changed;
+		});
+		res.json({ success: true, station });
+	} catch (error) {
+		if (error instanceof HttpError) {
+			return res.status(error.status).json({ error: error.message });
+		}
+		console.error('Error updating kitchen station:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * Handles DELETE requests to remove a kitchen station and sends the results as a JSON Response.
+ * The menu items it made are left without a station, so they only show on expo until they are mapped again.
+ * 
+ * @param {Object} req - The HTTP request object.
+ * @param {Number} station_id ID of the station
+ * @param {Object} res - The HTTP response object.
+ * @returns {JSON} Success of the query
+ */
+router.delete('/kitchenStations/:station_id', requireManager, async (req, res) => {
+	const { station_id } = req.params;
+
+	try {
+		await withTransaction(async (client) => {
+			const before = await loadSnapshot(client, STATION_SNAPSHOT_QUERY, [station_id]);
+			if (!before) {
+				throw new HttpError(404, 'Kitchen station not found');
+			}
+			await client.query('UPDATE menu SET station_id = NULL WHERE station_id = $1;', [station_id]);
+			await client.query('DELETE FROM kitchen_station WHERE station_id = $1;', [station_id]);
+			await recordAudit(client, {
+				employeeId: req.session.employee_id,
+				action: "delete",
+				entityType: "kitchen_station",
+				entityId: station_id,
+				before,
+			});
+		});
+		res.json({ success: true });
+	} catch (error) {
+		if (error instanceof HttpError) {
+			return res.status(error.status).json({ error: error.message });
+		}
+		console.error('Error removing kitchen station:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * Handles PUT requests to change the kitchen station that makes a menu item and sends the results as a JSON Response.
+ * 
+ * @param {Object} req - The HTTP request object.
+ * @param {Number} menu_id ID of the menu item
+ * @param {Number|null} station_id ID of the station, null for items that only show on expo
+ * @param {Object} res - The HTTP response object.
+ * @returns {JSON} Success of the query
+ */
+router.put('/menu/:menu_id/station', requireManager, async (req, res) => {
+	const { menu_id } = req.params;
+	const stationId = req.body.station_id === undefined || req.body.station_id === '' ? null : req.body.station_id;
+
+	try {
+		await withTransaction(async (client) => {
+			const before = await loadSnapshot(client, MENU_SNAPSHOT_QUERY, [menu_id]);
+			if (!before) {
+				throw new HttpError(404, 'Menu item not found');
+			}
+			if (stationId !== null && !(await loadSnapshot(client, STATION_SNAPSHOT_QUERY, [stationId]))) {
+				throw new HttpError(400, 'Kitchen station not found');
+			}
+			await client.query('UPDATE menu SET station_id = $1 WHERE menu_id = $2;', [stationId, menu_id]);
+			await recordAudit(client, {
+				employeeId: req.session.employee_id,
+				action: "update",
+				entityType: "menu",
+				entityId: menu_id,
+				before,
+				after: await loadSnapshot(client, MENU_SNAPSHOT_QUERY, [menu_id]),
+			});
+		});
+		res.json({ success: true });
+	} catch (error) {
+		if (error instanceof HttpError) {
+			return res.status(error.status).json({ error: error.message });
+		}
+		console.error('Error changing menu item station:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
 /**
  * Handles POST requests to fetch all items from the menu and sends the results as a JSON Response.
  * 
  * @param {Object} res - The HTTP response object.
  * @returns {JSON} Results of the query
  */
-router.post("/doItemLoad", async (req, res) => {
+router.post("/doItemLoad", requireManager, async (req, res) => {
     const query = "SELECT * FROM menu;";
     const result = await runQuery(query);
     if (result.success) {
@@ -1381,6 +2252,11 @@ router.post("/doItemLoad", async (req, res) => {
     }
 });
 
+/**
+ * Menu item as recorded in the audit log before and after a change.
+ */
+const MENU_SNAPSHOT_QUERY = "SELECT menu_id, name, item_type, price, calories, tax_category, category, station_id FROM menu WHERE menu_id = $1;";
+
 /**
  * Handles POST requests to add an item to the menu and sends the results as a JSON Response.
  * 
@@ -1389,21 +2265,46 @@ router.post("/doItemLoad", async (req, res) => {
  * @param {String} item_type Type of item, either drink appetizer or meal
  * @param {Number} price Price of the item 
  * @param {Number} calories How many calories the item is
+ * @param {String=} tax_category Tax category used for tax exemptions, prepared_food if unincluded
+ * @param {String=} category Category of an entree or side that meal sizes can be limited to
+ * @param {Number=} entree_count For meals, how many entrees the meal comes with, 1 if unincluded
+ * @param {Number=} side_count For meals, how many sides the meal comes with, 1 if unincluded
+ * @param {Boolean=} half_sides For meals, whether each side can be half and half, true if unincluded
+ * @param {Array<String>=} categories For meals, the categories its entrees and sides must be in, any if unincluded
  * @param {Object} res - The HTTP response object.
- * @returns {JSON} Success of the query
+ * @returns {JSON} Success of the query and the menu item that was added
  */
-router.post("/addItem", async (req, res) => {
-    const { name, item_type, price, calories } = req.body;
-    const menu_id = (await runQuery("SELECT MAX(menu_id) FROM menu;")).rows[0].max + 1;
+router.post("/addItem", requireManager, async (req, res) => {
+    const { name, item_type, price, calories, tax_category, category } = req.body;
 
     const query = `
-        INSERT INTO menu (menu_id, name, item_type, price, calories)
-        VALUES ($1, $2, $3, $4, $5);
+        INSERT INTO menu (name, item_type, price, calories, tax_category, category)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING menu_id, name, item_type, price, calories, tax_category, category;
     `;
-    const result = await runQuery(query, [menu_id, name, item_type, price, calories]);
 
-    if (result.success) res.json({ success: true, message: "Menu item added successfully!" });
-    else res.status(500).json({ success: false, error: "Failed to add menu item" });
+    try {
+        const item = await withTransaction(async (client) => {
+            const result = await client.query(query, [name, item_type, price, calories, tax_category || DEFAULT_TAX_CATEGORY, category || null]);
+            const added = result.rows[0];
+            const item = item_type === 'meal' ? { ...added, ...(await saveMealSize(client, added.menu_id, req.body)) } : added;
+            await recordAudit(client, {
+                employeeId: req.session.employee_id,
+                action: "create",
+                entityType: "menu",
+                entityId: item.menu_id,
+                after: item,
+            });
+            return item;
+        });
+        res.json({ success: true, message: "Menu item added successfully!", item });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ success: false, error: error.message });
+        }
+        console.error('Error adding menu item:', error);
+        res.status(500).json({ success: false, error: "Failed to add menu item" });
+    }
 });
 
 /**
@@ -1414,21 +2315,48 @@ router.post("/addItem", async (req, res) => {
  * @param {String} item_type Type of item, either drink appetizer or meal
  * @param {Number} price Price of the item 
  * @param {Number} calories How many calories the item is
+ * @param {String=} tax_category Tax category used for tax exemptions, unchanged if unincluded
+ * @param {String=} category Category of an entree or side that meal sizes can be limited to, unchanged if unincluded
+ * @param {Number=} entree_count For meals, how many entrees the meal comes with, meal size unchanged if unincluded
+ * @param {Number=} side_count For meals, how many sides the meal comes with, 1 if unincluded
+ * @param {Boolean=} half_sides For meals, whether each side can be half and half, true if unincluded
+ * @param {Array<String>=} categories For meals, the categories its entrees and sides must be in, any if unincluded
  * @param {Object} res - The HTTP response object.
  * @returns {JSON} Success of the query
  */
-router.post("/editItem", async (req, res) => {
-    const { menu_id, name, item_type, price, calories } = req.body;
+router.post("/editItem", requireManager, async (req, res) => {
+    const { menu_id, name, item_type, price, calories, tax_category, category, entree_count } = req.body;
 
     const query = `
         UPDATE menu
-        SET name = $1, item_type = $2, price = $3, calories = $4
-        WHERE menu_id = $5;
+        SET name = $1, item_type = $2, price = $3, calories = $4, tax_category = COALESCE($5, tax_category), category = COALESCE($6, category)
+        WHERE menu_id = $7;
     `;
-    const result = await runQuery(query, [name, item_type, price, calories, menu_id]);
 
-    if (result.success) res.json({ success: true, message: "Menu item updated successfully!" });
-    else res.status(500).json({ success: false, error: "Failed to update menu item" });
+    try {
+        await withTransaction(async (client) => {
+            const before = await loadSnapshot(client, MENU_SNAPSHOT_QUERY, [menu_id]);
+            await client.query(query, [name, item_type, price, calories, tax_category || null, category || null, menu_id]);
+            const mealSize = item_type === 'meal' && entree_count !== undefined
+                ? await saveMealSize(client, menu_id, req.body)
+                : {};
+            await recordAudit(client, {
+                employeeId: req.session.employee_id,
+                action: "update",
+                entityType: "menu",
+                entityId: menu_id,
+                before,
+                after: { ...(await loadSnapshot(client, MENU_SNAPSHOT_QUERY, [menu_id])), ...mealSize },
+            });
+        });
+        res.json({ success: true, message: "Menu item updated successfully!" });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ success: false, error: error.message });
+        }
+        console.error('Error updating menu item:', error);
+        res.status(500).json({ success: false, error: "Failed to update menu item" });
+    }
 });
 
 /**
@@ -1439,7 +2367,7 @@ router.post("/editItem", async (req, res) => {
  * @param {Object} res - The HTTP response object.
  * @returns {JSON} Success of the query
  */
-router.post("/removeItem", async (req, res) => {
+router.post("/removeItem", requireManager, async (req, res) => {
 	const { menu_id } = req.body;
 
 	// SQL queries
@@ -1447,20 +2375,28 @@ router.post("/removeItem", async (req, res) => {
 	const deleteMenuQuery = "DELETE FROM menu WHERE menu_id = $1;";
 
 	try {
-			// First, delete from recipe_ingredient where recipe_id matches
-			const recipeResult = await runQuery(deleteRecipeIngredientsQuery, [menu_id]);
-
-			// Then, delete the menu item
-			const menuResult = await runQuery(deleteMenuQuery, [menu_id]);
+			await withTransaction(async (client) => {
+					const before = await loadSnapshot(client, MENU_SNAPSHOT_QUERY, [menu_id]);
+
+					// First, delete from recipe_ingredient where recipe_id matches
+					await client.query(deleteRecipeIngredientsQuery, [menu_id]);
+
+					// Then, delete the menu item
+					await client.query(deleteMenuQuery, [menu_id]);
+
+					await recordAudit(client, {
+							employeeId: req.session.employee_id,
+							action: "delete",
+							entityType: "menu",
+							entityId: menu_id,
+							before,
+					});
+			});
 
-			if (recipeResult.success && menuResult.success) {
-					res.json({ success: true, message: "Menu item and associated recipe ingredients removed successfully!" });
-			} else {
-					res.status(500).json({ success: false, error: "Failed to remove menu item or associated recipe ingredients." });
-			}
+			res.json({ success: true, message: "Menu item and associated recipe ingredients removed successfully!" });
 	} catch (error) {
 			console.error("Error removing item:", error);
-			res.status(500).json({ success: false, error: "An unexpected error occurred." });
+			res.status(500).json({ success: false, error: "Failed to remove menu item or associated recipe ingredients." });
 	}
 });
 
@@ -1474,16 +2410,20 @@ router.post("/removeItem", async (req, res) => {
  * @param {Object} res - The HTTP response object.
  * @returns {JSON} Results of the query
  */
-router.get("/receipts", async (req, res) => {
+router.get("/receipts", requireManager, async (req, res) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 50;
     const offset = (page - 1) * limit;
 
     try {
         const receiptsQuery = `
-            SELECT receipt_id, date, totalamount, status
-            FROM receipt
-            ORDER BY date DESC
+            SELECT r.receipt_id, r.date, r.totalamount, r.discount_amount, r.subtotal, r.tax_amount, r.total, r.status,
+                   COALESCE(ra.refunded_total, 0) AS refunded_total
+            FROM receipt r
+            LEFT JOIN (
+                SELECT receipt_id, SUM(total) AS refunded_total FROM receipt_adjustment GROUP BY receipt_id
+            ) ra ON ra.receipt_id = r.receipt_id
+            ORDER BY r.date DESC
             LIMIT $1 OFFSET $2;
         `;
         const receiptsResult = await pool.query(receiptsQuery, [limit, offset]);
@@ -1503,12 +2443,12 @@ router.get("/receipts", async (req, res) => {
  * @param {Object} res - The HTTP response object.
  * @returns {JSON} Results of the query
  */
-router.get("/receipts/:receipt_id", async (req, res) => {
+router.get("/receipts/:receipt_id", requireManager, async (req, res) => {
 	const { receipt_id } = req.params;
 	try {
 	  // Fetch receipt details
 	  const receiptQuery = `
-		SELECT receipt_id, date, totalamount, status
+		SELECT date, totalamount, discount_amount, subtotal, tax_amount, total, ${ORDER_STATUS_COLUMNS}
 		FROM receipt
 		WHERE receipt_id = $1;
 	  `;
@@ -1520,90 +2460,56 @@ router.get("/receipts/:receipt_id", async (req, res) => {
   
 	  const receipt = receiptResult.rows[0];
   
-	  // Fetch line items
-	  const lineItemsQuery = `
-		SELECT li.line_item_id, li.price
-		FROM line_item li
-		WHERE li.receipt_id = $1;
-	  `;
-	  const lineItemsResult = await pool.query(lineItemsQuery, [receipt_id]);
-	  const lineItems = lineItemsResult.rows;
-  
-	  const items = [];
-  
-	  // Fetch item details
-	  for (const li of lineItems) {
-		const line_item_id = li.line_item_id;
-  
-		// Check for meal items
-		const mealItemQuery = `
-		  SELECT mi.size, mi.meat1, mi.meat2, mi.meat3, mi.side
-		  FROM meal_item mi
-		  WHERE mi.line_item_id = $1;
-		`;
-		const mealItemResult = await pool.query(mealItemQuery, [line_item_id]);
-		if (mealItemResult.rows.length > 0) {
-		  const mi = mealItemResult.rows[0];
-		  items.push({
-			line_item_id: line_item_id,
-			type: 'Meal',
-			size: mi.size,
-			meats: [mi.meat1, mi.meat2, mi.meat3].filter(Boolean),
-			side: mi.side,
-			price: li.price,
-		  });
-		  continue;
-		}
+	  // Fetch line items with the menu items they are made of
+	  const items = (await loadOrderItems(pool, [receipt.receipt_id])).get(receipt.receipt_id);
   
-		// Check for appetizer items
-		const appetizerItemQuery = `
-		  SELECT ai.name
-		  FROM appetizer_item ai
-		  WHERE ai.line_item_id = $1;
-		`;
-		const appetizerItemResult = await pool.query(appetizerItemQuery, [line_item_id]);
-		if (appetizerItemResult.rows.length > 0) {
-		  const ai = appetizerItemResult.rows[0];
-		  items.push({
-			line_item_id: line_item_id,
-			type: 'Appetizer',
-			name: ai.name,
-			price: li.price,
-		  });
-		  continue;
-		}
+	  // Discounts given on the receipt
+	  const discountsResult = await pool.query(
+		`SELECT description, code, amount FROM receipt_discount WHERE receipt_id = $1 ORDER BY promotion_id;`,
+		[receipt_id]
+	  );
   
-		// Check for drink items
-		const drinkItemQuery = `
-		  SELECT di.name, di.size
-		  FROM drink_item di
-		  WHERE di.line_item_id = $1;
-		`;
-		const drinkItemResult = await pool.query(drinkItemQuery, [line_item_id]);
-		if (drinkItemResult.rows.length > 0) {
-		  const di = drinkItemResult.rows[0];
-		  items.push({
-			line_item_id: line_item_id,
-			type: 'Drink',
-			name: di.name,
-			size: di.size,
-			price: li.price,
-		  });
-		  continue;
-		}
+	  // Payments made for the receipt
+	  const paymentsResult = await pool.query(
+		`SELECT method, amount, amount_tendered, change_given, reference, paid_at FROM payment WHERE receipt_id = $1 ORDER BY payment_id;`,
+		[receipt_id]
+	  );
   
-		// Unknown item type
-		items.push({
-		  line_item_id: line_item_id,
-		  type: 'Unknown',
-		  price: li.price,
-		});
-	  }
+	  // Voids and refunds of the receipt, with who did them and the money given back
+	  const adjustmentsResult = await pool.query(
+		`SELECT ra.adjustment_id, ra.kind, ra.reason, ra.subtotal, ra.tax_amount, ra.total, ra.created_at, e.name AS employee_name
+		 FROM receipt_adjustment ra
+		 LEFT JOIN employee e ON e.employee_id = ra.employee_id
+		 WHERE ra.receipt_id = $1
+		 ORDER BY ra.adjustment_id;`,
+		[receipt_id]
+	  );
+	  const adjustmentIds = adjustmentsResult.rows.map(row => row.adjustment_id);
+	  const refundedLinesResult = await pool.query(
+		`SELECT adjustment_id, line_item_id FROM adjustment_line_item WHERE adjustment_id = ANY($1::int[]);`,
+		[adjustmentIds]
+	  );
+	  const paymentRefundsResult = await pool.query(
+		`SELECT adjustment_id, method, amount, reference, status FROM payment_refund WHERE adjustment_id = ANY($1::int[]) ORDER BY payment_refund_id;`,
+		[adjustmentIds]
+	  );
+	  const adjustments = adjustmentsResult.rows.map(adjustment => ({
+		...adjustment,
+		line_item_ids: refundedLinesResult.rows.filter(row => row.adjustment_id === adjustment.adjustment_id).map(row => row.line_item_id),
+		refunds: paymentRefundsResult.rows
+		  .filter(row => row.adjustment_id === adjustment.adjustment_id)
+		  .map(({ method, amount, reference, status }) => ({ method, amount, reference, status })),
+	  }));
+	  const refundedLineIds = refundedLinesResult.rows.map(row => row.line_item_id);
   
 	  // Combine receipt details with items
 	  res.json({
 		...receipt,
-		line_items: items,
+		...describeOrderStatus(receipt),
+		line_items: items.map(item => ({ ...item, refunded: refundedLineIds.includes(item.line_item_id) })),
+		discounts: discountsResult.rows,
+		payments: paymentsResult.rows,
+		adjustments,
 	  });
 	} catch (error) {
 	  console.error("Error fetching receipt:", error);
@@ -1613,99 +2519,204 @@ router.get("/receipts/:receipt_id", async (req, res) => {
   
   
 /**
- * Handles POST requests to modify an existing receipt and sends the results as a JSON Response.
+ * Loads a receipt with its line items and the menu items they are made of, as recorded in the audit log before
+ * and after a change.
+ *
+ * @param {Object} client Database client of the transaction making the change
+ * @param {Number} receiptId ID of the receipt
+ * @returns {Promise<Object|null>} The receipt's status and totals with its line items, or null if there is no such receipt
+ */
+async function loadReceiptSnapshot(client, receiptId) {
+	const receipt = await loadSnapshot(client, `SELECT ${ORDER_STATUS_COLUMNS}, subtotal, tax_amount, total FROM receipt WHERE receipt_id = $1;`, [receiptId]);
+	if (!receipt) {
+		return null;
+	}
+
+	const lines = (await loadLineItems(client, [Number(receiptId)])).get(Number(receiptId));
+	return { ...receipt, line_items: lines.map(describeLineItem) };
+}
+
+/**
+ * Describes a line item sent by the receipt editor by the menu items it is made of, so it can be compared
+ * with the line items already on the receipt.
+ *
+ * @param {Object} item Line item as sent by ReceiptEdit, with a type of Meal, Drink or Appetizer
+ * @returns {String} The type and menu item names of the line item
+ */
+function lineItemKey(item) {
+	if (item.type === 'Meal') {
+		const sides = Array.isArray(item.sides) ? item.sides : [item.side];
+		return JSON.stringify(['Meal', item.size, ...(item.entrees ?? item.meats ?? []), ...sides].filter(Boolean));
+	}
+	return JSON.stringify([item.type, item.name].filter(Boolean));
+}
+
+/**
+ * Handles PUT requests to modify an existing receipt and sends the results as a JSON Response.
  * Note that the line_items specified will override previous line_items for this receipt.
+ * Line items that are unchanged keep their price, new or changed ones are priced from the menu like at checkout
+ * and any prices sent by the browser are ignored. The ingredients of the items taken off go back into inventory,
+ * the ingredients of the items put on are taken out, and the subtotal, tax and total are recalculated.
+ * The payments are not changed, so the items of a paid receipt can only be changed for items with the same total.
+ * Moving the receipt to Cancelled voids it like POST /orders/:receipt_id/status does, and the line items are then left as they are.
  * 
  * @param {Object} req - The HTTP request object.
  * @param {Number} receipt_id ID of the receipt to be modified
- * @param {String} status New status of the receipt
- * @param {Array} line_items Line items to be added to the receipt
+ * @param {String} status New status of the receipt, which must be one the order lifecycle allows next
+ * @param {String=} reason Why the order is cancelled, required to move it to Cancelled
+ * @param {Array} line_items Line items to be on the receipt, those already on it keep their line_item_id
  * @param {Object} res - The HTTP response object.
  * @returns {JSON} Success of the query
+ * @returns {Object} The recalculated subtotal, tax and total, null if the line items were not sent
+ * @returns {Array} The change and new quantity of each inventory item the edit changed
+ * @returns {Object} The void of a cancelled order, with the money given back to each payment
  */
-router.put("/receipts/:receipt_id", async (req, res) => {
+router.put("/receipts/:receipt_id", requireManager, async (req, res) => {
 	const { receipt_id } = req.params;
 	const { status, line_items } = req.body;
   
 	try {
-	  await pool.query('BEGIN');
-  
-	  // Update receipt status
-	  const updateStatusQuery = `
-		UPDATE receipt
-		SET status = $1
-		WHERE receipt_id = $2;
-	  `;
-	  await pool.query(updateStatusQuery, [status, receipt_id]);
-  
-	  // Optionally update line items
-	  if (Array.isArray(line_items)) {
-		// First, delete existing line items and associated entries
-		const lineItemIdsQuery = `
-		  SELECT line_item_id FROM line_item WHERE receipt_id = $1;
-		`;
-		const lineItemIdsResult = await pool.query(lineItemIdsQuery, [receipt_id]);
-		const lineItemIds = lineItemIdsResult.rows.map(row => row.line_item_id);
-  
-		// Delete from specific item tables
-		await pool.query(`DELETE FROM meal_item WHERE line_item_id = ANY($1::int[]);`, [lineItemIds]);
-		await pool.query(`DELETE FROM drink_item WHERE line_item_id = ANY($1::int[]);`, [lineItemIds]);
-		await pool.query(`DELETE FROM appetizer_item WHERE line_item_id = ANY($1::int[]);`, [lineItemIds]);
-  
-		// Delete from line_item
-		await pool.query(`DELETE FROM line_item WHERE receipt_id = $1;`, [receipt_id]);
+	  const result = await withTransaction(async (client) => {
+		  const before = await loadReceiptSnapshot(client, receipt_id);
+		  if (!before) {
+			throw new HttpError(404, 'Receipt not found');
+		  }
+		  const recordEdit = async (inventoryChanges) => {
+			const after = await loadReceiptSnapshot(client, receipt_id);
+			await recordAudit(client, {
+			  employeeId: req.session.employee_id,
+			  action: "update",
+			  entityType: "receipt",
+			  entityId: receipt_id,
+			  before,
+			  after: { ...after, inventory_changes: inventoryChanges },
+			});
+			return after.status;
+		  };
+
+		  // A cancelled order is voided, which gives back its items, so they are not edited
+		  if (status === ORDER_STATUS.CANCELLED && status !== before.status) {
+			const { order, adjustment } = await cancelOrder(client, {
+			  receiptId: receipt_id,
+			  reason: req.body.reason,
+			  employeeId: req.session.employee_id,
+			});
+			const after = await loadReceiptSnapshot(client, receipt_id);
+			await recordAudit(client, {
+			  employeeId: req.session.employee_id,
+			  action: "cancel",
+			  entityType: "receipt",
+			  entityId: receipt_id,
+			  before,
+			  after: { ...after, adjustment: describeAdjustment(adjustment) },
+			});
+			return { totals: null, inventoryChanges: [], adjustment, status: order.status };
+		  }
+
+		  // Update receipt status, only along the moves of the order lifecycle
+		  if (status !== undefined && status !== before.status) {
+			await changeOrderStatus(client, receipt_id, status);
+		  }
   
-		// Insert new line items
-		for (const item of line_items) {
-		  const lineItemResult = await pool.query(
-			`INSERT INTO line_item (receipt_id, price) VALUES ($1, $2) RETURNING line_item_id;`,
-			[receipt_id, item.price]
+		  // Optionally update line items
+		  if (!Array.isArray(line_items)) {
+			return { totals: null, inventoryChanges: [], status: await recordEdit([]) };
+		  }
+
+		  // Voids and refunds point at the line items, so their items can no longer be replaced
+		  const adjustmentsResult = await client.query(`SELECT 1 FROM receipt_adjustment WHERE receipt_id = $1;`, [receipt_id]);
+		  if (adjustmentsResult.rows.length > 0) {
+			throw new HttpError(400, 'The items of a voided or refunded receipt cannot be edited.');
+		  }
+
+		  // The line items on the receipt before the edit, with the menu items they are made of
+		  const storedLines = (await loadLineItems(client, [Number(receipt_id)])).get(Number(receipt_id));
+		  const storedItems = storedLines.map(line => ({
+			...describeLineItem(line),
+			price_cents: toCents(line.price),
+			item_portions: lineItemPortions(line),
+		  }));
+
+		  const menu = (await client.query(`SELECT menu_id, name, item_type, price, tax_category FROM menu;`)).rows;
+		  const mealSizes = await loadMealSizes(client);
+
+		  // Keep the line items that did not change and price the rest from the menu
+		  const keptIds = [];
+		  const newItems = [];
+		  const receiptItems = line_items.map(item => {
+			const stored = storedItems.find(row => row.line_item_id === Number(item.line_item_id) && !keptIds.includes(row.line_item_id));
+			if (stored && lineItemKey(stored) === lineItemKey(item)) {
+			  keptIds.push(stored.line_item_id);
+			  const menuItem = menu.find(row => row.menu_id === stored.menu_id);
+			  return { price_cents: stored.price_cents, tax_category: menuItem ? menuItem.tax_category : DEFAULT_TAX_CATEGORY };
+			}
+
+			const priced = priceItem(menu, mealSizes, item.type === 'Meal'
+			  ? { type: 'meal', name: item.size, entrees: item.entrees ?? item.meats, sides: item.sides, side: item.side }
+			  : { type: item.type, name: item.name });
+			newItems.push({ ...priced, drink_size: item.size });
+			return { price_cents: priced.unit_price_cents, tax_category: priced.tax_category };
+		  });
+		  const removedItems = storedItems.filter(row => !keptIds.includes(row.line_item_id));
+
+		  // Delete the line items that were taken off or changed, and their entries in the specific item tables
+		  const removedIds = removedItems.map(row => row.line_item_id);
+		  await deleteLineItems(client, removedIds);
+
+		  // Insert new line items
+		  for (const item of newItems) {
+			await saveLineItem(client, receipt_id, item);
+		  }
+
+		  // Put back the ingredients of the items taken off and take out those of the items put on
+		  const inventoryChanges = await applyInventoryChanges(
+			client,
+			await loadIngredientUsage(client, removedItems.map(row => row.item_portions)),
+			await loadIngredientUsage(client, newItems.map(lineItemPortions))
 		  );
-		  const line_item_id = lineItemResult.rows[0].line_item_id;
-  
-		  // Insert into specific item table
-		  switch (item.type) {
-			case 'Meal':
-			  await pool.query(
-				`INSERT INTO meal_item (line_item_id, size, price, meat1, meat2, meat3, side)
-				 VALUES ($1, $2, $3, $4, $5, $6, $7);`,
-				[
-				  line_item_id,
-				  item.size,
-				  item.price,
-				  item.meats[0] || null,
-				  item.meats[1] || null,
-				  item.meats[2] || null,
-				  item.side,
-				]
-			  );
-			  break;
-  
-			case 'Drink':
-			  await pool.query(
-				`INSERT INTO drink_item (line_item_id, name, price, size)
-				 VALUES ($1, $2, $3, $4);`,
-				[line_item_id, item.name, item.price, item.size || 'Regular']
-			  );
-			  break;
-  
-			case 'Appetizer':
-			  await pool.query(
-				`INSERT INTO appetizer_item (line_item_id, name, price)
-				 VALUES ($1, $2, $3);`,
-				[line_item_id, item.name, item.price]
-			  );
-			  break;
-  
-			// Add cases for other item types if necessary
+
+		  // Recalculate the subtotal and tax from the new line items at the rates effective on the order date,
+		  // spreading the receipt's discounts over the new items
+		  const orderResult = await client.query(`SELECT date, discount_amount FROM receipt WHERE receipt_id = $1;`, [receipt_id]);
+		  const { date, discount_amount } = orderResult.rows[0];
+		  const discountShares = allocateProportionally(receiptItems.map(item => item.price_cents), toCents(discount_amount));
+		  const taxLines = receiptItems.map((item, i) => ({
+			amount_cents: item.price_cents - discountShares[i],
+			tax_category: item.tax_category,
+		  }));
+		  const taxRates = await loadTaxRates(client, date);
+		  const tax = calculateTax(taxLines, taxRates);
+
+		  // The payments are not changed by an edit, so a paid receipt must keep the total that was paid
+		  const paidResult = await client.query(`SELECT COUNT(*)::int AS payment_count, COALESCE(SUM(amount), 0) AS paid FROM payment WHERE receipt_id = $1;`, [receipt_id]);
+		  const { payment_count, paid } = paidResult.rows[0];
+		  if (payment_count > 0 && toCents(paid) !== tax.total_cents) {
+			throw new HttpError(400, `The edit changes the total of a paid receipt from $${toDollars(toCents(paid)).toFixed(2)} to $${toDollars(tax.total_cents).toFixed(2)}. Refund the items instead, and ring up a new order for the items to add.`);
 		  }
-		}
-	  }
-  
-	  await pool.query('COMMIT');
-	  res.json({ success: true, message: 'Receipt updated successfully!' });
+		  await saveReceiptTax(client, receipt_id, tax);
+
+		  return { totals: describeTax(tax), inventoryChanges, status: await recordEdit(inventoryChanges) };
+	  });
+	  publishOrderChange(receipt_id, result.status);
+
+	  res.json({
+		success: true,
+		message: 'Receipt updated successfully!',
+		totals: result.totals,
+		// Cards of a cancelled order are only given back once the cancellation is committed
+		...(result.adjustment ? { adjustment: describeAdjustment(await settleAdjustment(result.adjustment)) } : {}),
+		inventory_changes: result.inventoryChanges.map(row => ({
+		  inventory_id: row.inventory_id,
+		  name: row.name,
+		  quantity_type: row.quantity_type,
+		  change: row.change,
+		  quantity: Number(row.quantity),
+		})),
+	  });
 	} catch (error) {
-	  await pool.query('ROLLBACK');
+	  if (error instanceof HttpError) {
+		return res.status(error.status).json({ error: error.message });
+	  }
 	  console.error('Error updating receipt:', error);
 	  res.status(500).json({ error: error.message });
 	}
@@ -1713,48 +2724,161 @@ router.put("/receipts/:receipt_id", async (req, res) => {
   
 
 /**
- * Handles POST requests to delete an existing receipt and sends the results as a JSON Response.
- * This also deletes all corresponding line items for the receipt.
+ * Handles POST requests to void an order on the day it was placed and sends the results as a JSON Response.
+ * The receipt is kept and marked as voided, the ingredients of its items go back into inventory,
+ * card payments are voided on the payment terminal once the void is saved and the void shows as negative lines in the reports.
+ * A card the terminal does not void stays pending and is sent again with POST /receipts/:receipt_id/settleRefunds.
  * 
  * @param {Object} req - The HTTP request object.
- * @param {Number} receipt_id ID of the receipt to be deleted
+ * @param {Number} receipt_id ID of the receipt to be voided
+ * @param {String} reason Why the order is voided
  * @param {Object} res - The HTTP response object.
- * @returns {JSON} Success of the query
+ * @returns {JSON} The void with the amounts and the money given back to each payment
  */
-router.delete("/receipts/:receipt_id", async (req, res) => {
+router.post("/receipts/:receipt_id/void", requireManager, async (req, res) => {
 	const { receipt_id } = req.params;
-  
+
 	try {
-	  await pool.query('BEGIN');
-  
-	  // Fetch line item IDs
-	  const lineItemIdsResult = await pool.query(
-		`SELECT line_item_id FROM line_item WHERE receipt_id = $1;`,
-		[receipt_id]
-	  );
-	  const lineItemIds = lineItemIdsResult.rows.map(row => row.line_item_id);
-  
-	  // Delete from specific item tables
-	  if (lineItemIds.length > 0) {
-		await pool.query(`DELETE FROM meal_item WHERE line_item_id = ANY($1::int[]);`, [lineItemIds]);
-		await pool.query(`DELETE FROM drink_item WHERE line_item_id = ANY($1::int[]);`, [lineItemIds]);
-		await pool.query(`DELETE FROM appetizer_item WHERE line_item_id = ANY($1::int[]);`, [lineItemIds]);
-	  }
-  
-	  // Delete from line_item
-	  await pool.query(`DELETE FROM line_item WHERE receipt_id = $1;`, [receipt_id]);
-  
-	  // Delete from receipt
-	  await pool.query(`DELETE FROM receipt WHERE receipt_id = $1;`, [receipt_id]);
-  
-	  await pool.query('COMMIT');
-	  res.json({ success: true, message: 'Receipt deleted successfully!' });
+		const { adjustment, status } = await withTransaction(async (client) => {
+			const before = await loadReceiptSnapshot(client, receipt_id);
+			const voided = await voidReceipt(client, {
+				receiptId: receipt_id,
+				reason: req.body.reason,
+				employeeId: req.session.employee_id,
+			});
+			const after = await loadReceiptSnapshot(client, receipt_id);
+			await recordAudit(client, {
+				employeeId: req.session.employee_id,
+				action: "void",
+				entityType: "receipt",
+				entityId: receipt_id,
+				before,
+				after: { ...after, adjustment: describeAdjustment(voided) },
+			});
+			return { adjustment: voided, status: after.status };
+		});
+
+		publishOrderChange(receipt_id, status);
+		// The card is only voided once the void is committed, so a failed or retried transaction never voids it
+		res.json({ success: true, adjustment: describeAdjustment(await settleAdjustment(adjustment)) });
 	} catch (error) {
-	  await pool.query('ROLLBACK');
-	  console.error('Error deleting receipt:', error);
-	  res.status(500).json({ error: error.message });
+		if (error instanceof HttpError) {
+			return res.status(error.status).json({ error: error.message });
+		}
+		console.error('Error voiding receipt:', error);
+		res.status(500).json({ error: error.message });
 	}
-  });
-  
+});
+
+
+/**
+ * Handles POST requests to refund some or all of the items of a receipt and sends the results as a JSON Response.
+ * The ingredients of the refunded items go back into inventory, the money goes back to the receipt's payments
+ * and the refund shows as negative lines in the reports. Cards are refunded on the payment terminal once the refund is saved,
+ * a card refund the terminal does not approve stays pending and is sent again with POST /receipts/:receipt_id/settleRefunds.
+ * 
+ * @param {Object} req - The HTTP request object.
+ * @param {Number} receipt_id ID of the receipt to be refunded
+ * @param {Array=} line_item_ids Line items to refund, every item not refunded yet when left out
+ * @param {String} reason Why the items are refunded
+ * @param {Object} res - The HTTP response object.
+ * @returns {JSON} The refund with the amounts and the money given back to each payment
+ */
+router.post("/receipts/:receipt_id/refund", requireManager, async (req, res) => {
+	const { receipt_id } = req.params;
+
+	try {
+		const { adjustment, status } = await withTransaction(async (client) => {
+			const before = await loadReceiptSnapshot(client, receipt_id);
+			const refund = await refundReceipt(client, {
+				receiptId: receipt_id,
+				lineItemIds: req.body.line_item_ids,
+				reason: req.body.reason,
+				employeeId: req.session.employee_id,
+			});
+			const after = await loadReceiptSnapshot(client, receipt_id);
+			await recordAudit(client, {
+				employeeId: req.session.employee_id,
+				action: "refund",
+				entityType: "receipt",
+				entityId: receipt_id,
+				before,
+				after: { ...after, adjustment: describeAdjustment(refund) },
+			});
+			return { adjustment: refund, status: after.status };
+		});
+
+		publishOrderChange(receipt_id, status);
+		// Cards are only refunded once the refund is committed, so a failed or retried transaction never refunds them twice
+		res.json({ success: true, adjustment: describeAdjustment(await settleAdjustment(adjustment)) });
+	} catch (error) {
+		if (error instanceof HttpError) {
+			return res.status(error.status).json({ error: error.message });
+		}
+		console.error('Error refunding receipt:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+
+/**
+ * Handles POST requests to send the pending card refunds of a receipt's voids and refunds to the payment terminal again
+ * and sends the results as a JSON Response. Refunds stay pending when the terminal did not approve them after the void or refund was saved.
+ * 
+ * @param {Object} req - The HTTP request object.
+ * @param {Number} receipt_id ID of the receipt
+ * @param {Object} res - The HTTP response object.
+ * @returns {JSON} Each card refund that was pending, with its status and the terminal's message if it is still pending
+ */
+router.post("/receipts/:receipt_id/settleRefunds", requireManager, async (req, res) => {
+	const { receipt_id } = req.params;
+
+	try {
+		const adjustmentsResult = await pool.query("SELECT adjustment_id FROM receipt_adjustment WHERE receipt_id = $1;", [receipt_id]);
+		const settled = [...(await settleCardRefunds(adjustmentsResult.rows.map(row => row.adjustment_id))).values()];
+
+		res.json({
+			success: true,
+			refunds: settled.map(refund => ({
+				method: refund.method,
+				amount: refund.amount_cents / 100,
+				reference: refund.reference,
+				status: refund.status,
+				...(refund.message ? { message: refund.message } : {}),
+			})),
+		});
+	} catch (error) {
+		console.error('Error settling card refunds:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * Handles GET requests to fetch the audit log of the changes managers made and sends the results as a JSON Response.
+ * Entries are newest first, every filter is optional.
+ * 
+ * @param {Object} req - The HTTP request object.
+ * @param {Number=} employee_id Only changes made by this employee
+ * @param {String=} action Only this action, such as create, update, delete, fire, void, refund, cancel or close
+ * @param {String=} entity_type Only changes to this kind of row, such as employee, inventory, recipe_ingredient, menu, receipt or z_report
+ * @param {String=} entity_id Only changes to this row
+ * @param {String=} from Only changes made at or after this time
+ * @param {String=} to Only changes made at or before this time
+ * @param {Number=} limit How many entries to return, 200 if unincluded and at most 1000
+ * @param {Object} res - The HTTP response object.
+ * @returns {JSON} Audit entries with who made each change and the row before and after it
+ */
+router.get("/auditLog", requireManager, async (req, res) => {
+	try {
+		res.json(await loadAuditLog(pool, req.query));
+	} catch (error) {
+		if (error instanceof HttpError) {
+			return res.status(error.status).json({ error: error.message });
+		}
+		console.error('Error fetching audit log:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
 
 module.exports = router;
@@ -0,0 +1,110 @@
+/**
+ * @file inventory.js
+ * @description Ingredients used by the items on receipts, and the inventory changes when items are given back or edited
+ *
+ * An item uses the recipe ingredients of every menu item it is made of, the drink or appetizer itself or each
+ * entree and side of a meal, at the portion it was sold with. Checkout, the receipt editor, voids and refunds and
+ * the ingredient usage graph all add usage up here, so an entree chosen twice counts twice and a Bigger Plate's
+ * portions differ from a Bowl's. Changes are worked out as the usage of the items taken off a receipt against the
+ * usage of the items put on it, so only the difference reaches the inventory table.
+ */
+
+/**
+ * Adds up the inventory used by items, the recipe quantity of each menu item they are made of times its portion.
+ *
+ * @param {Object} client Database client or pool to run the query on
+ * @param {Array<Array<Object>>} itemPortions The menu_id and portion of each menu item every item is made of, from lineItemPortions
+ * @returns {Promise<Map<Number, Number>>} Quantity used of each inventory_id
+ */
+async function loadIngredientUsage(client, itemPortions) {
+	const portions = itemPortions.flat();
+	const recipeResult = await client.query(
+		`SELECT ri.recipe_id AS menu_id, inv.inventory_id, i.quantity
+		 FROM recipe_ingredient ri
+		 JOIN ingredient i ON ri.ingredient_id = i.ingredient_id
+		 JOIN inventory inv ON i.inventory_id = inv.inventory_id
+		 WHERE ri.recipe_id = ANY($1::int[]);`,
+		[[...new Set(portions.map(portion => portion.menu_id))]]
+	);
+
+	const usage = new Map();
+	for (const { menu_id, portion } of portions) {
+		for (const row of recipeResult.rows.filter(recipeRow => recipeRow.menu_id === menu_id)) {
+			usage.set(row.inventory_id, (usage.get(row.inventory_id) || 0) + Number(row.quantity) * portion);
+		}
+	}
+	return usage;
+}
+
+/**
+ * Adds up the inventory used by the items sold between two dates, leaving out items that were voided or refunded
+ * since they went back into inventory.
+ *
+ * @param {Object} client Database client or pool to run the queries on
+ * @param {String} startDate Start date of the range, such as 2024-11-01
+ * @param {String} endDate End date of the range, such as 2024-11-30
+ * @returns {Promise<Array<Object>>} Each inventory item used with inventory_id, name, quantity_type and the amount used, most first
+ */
+async function loadIngredientUsageBetween(client, startDate, endDate) {
+	// Every entree, side, drink and appetizer sold, with the portions sold of each
+	const soldResult = await client.query(
+		`SELECT sold.menu_id, SUM(sold.portion) AS portions
+		 FROM (
+			SELECT lic.line_item_id, lic.menu_id, lic.portion FROM line_item_component lic
+			UNION ALL
+			SELECT di.line_item_id, di.menu_id, 1 FROM drink_item di
+			UNION ALL
+			SELECT ai.line_item_id, ai.menu_id, 1 FROM appetizer_item ai
+		 ) AS sold
+		 JOIN line_item li ON sold.line_item_id = li.line_item_id
+		 JOIN receipt r ON li.receipt_id = r.receipt_id
+		 WHERE r.date BETWEEN $1 AND $2
+		   AND sold.menu_id IS NOT NULL
+		   AND sold.line_item_id NOT IN (SELECT line_item_id FROM adjustment_line_item)
+		 GROUP BY sold.menu_id;`,
+		[startDate, endDate]
+	);
+	const usage = await loadIngredientUsage(client, [soldResult.rows.map(row => ({ menu_id: row.menu_id, portion: Number(row.portions) }))]);
+
+	const inventoryResult = await client.query(
+		"SELECT inventory_id, name, quantity_type FROM inventory WHERE inventory_id = ANY($1::int[]);",
+		[[...usage.keys()]]
+	);
+	return inventoryResult.rows
+		.map(row => ({ ...row, amount: Math.round(usage.get(row.inventory_id) * 10000) / 10000 }))
+		.sort((a, b) => b.amount - a.amount);
+}
+
+/**
+ * Puts the inventory of the items taken off a receipt back and takes out the inventory of the items put on it.
+ *
+ * @param {Object} client Database client of the transaction
+ * @param {Map<Number, Number>} returned Usage of the items taken off, from loadIngredientUsage
+ * @param {Map<Number, Number>} used Usage of the items put on, from loadIngredientUsage
+ * @returns {Promise<Array<Object>>} Each inventory item that changed with inventory_id, name, quantity_type, the
+ * change (negative when more was used) and the new quantity
+ */
+async function applyInventoryChanges(client, returned, used) {
+	const inventoryIds = [...new Set([...returned.keys(), ...used.keys()])].sort((a, b) => a - b);
+	const changes = [];
+
+	for (const inventoryId of inventoryIds) {
+		// Rounded so swapping an item for one with the same recipe nets to exactly nothing
+		const change = Math.round(((returned.get(inventoryId) || 0) - (used.get(inventoryId) || 0)) * 10000) / 10000;
+		if (change === 0) {
+			continue;
+		}
+
+		const result = await client.query(
+			`UPDATE inventory
+			 SET quantity = quantity + $1
+			 WHERE inventory_id = $2
+			 RETURNING inventory_id, name, quantity_type, quantity;`,
+			[change, inventoryId]
+		);
+		changes.push({ ...result.rows[0], change });
+	}
+	return changes;
+}
+
+module.exports = { loadIngredientUsage, loadIngredientUsageBetween, applyInventoryChanges };
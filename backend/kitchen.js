@@ -0,0 +1,102 @@
+/**
+ * @file kitchen.js
+ * @description What the kitchen screens show besides the tickets: all-day item counts and speed-of-service thresholds
+ *
+ * The all-day panel totals every entree, side, appetizer and drink on the open tickets, so cooks can see how many
+ * of each item are on the board. The thresholds in `kitchen_sla` decide when a ticket that has waited too long
+ * turns to the warning and late colors.
+ *
+ * @requires errors Error types that carry an HTTP status
+ * @requires orderStatus Order status lifecycle and the moves allowed between statuses
+ */
+
+const { HttpError } = require("./errors");
+const { OPEN_ORDER_STATUSES } = require("./orderStatus");
+
+/**
+ * Speed-of-service thresholds as recorded in the audit log before and after a change.
+ */
+const SLA_SNAPSHOT_QUERY = "SELECT warning_minutes, late_minutes FROM kitchen_sla WHERE kitchen_sla_id = 1;";
+
+/**
+ * Totals each menu item on the open tickets.
+ *
+ * @param {Object} client Database client or pool to run the query on
+ * @param {Object=} station Only count the items this station makes on tickets it has not finished, every item if unincluded
+ * @param {Array<Number>=} stationMenuIds The menu_id of each menu item the station makes
+ * @returns {Promise<Array<Object>>} The kind (entree, side, appetizer or drink), menu_id, name and count of each item,
+ * most first. Items are counted by menu_id under their name on the menu, so an item renamed during the day stays one
+ * line. Each side of a half and half counts as half a side.
+ */
+async function loadAllDayCounts(client, station, stationMenuIds) {
+	const params = [OPEN_ORDER_STATUSES];
+	const conditions = ["r.status = ANY($1::text[])", "c.name IS NOT NULL"];
+	if (station) {
+		params.push(stationMenuIds, station.station_id);
+		conditions.push(
+			"c.menu_id = ANY($2::int[])",
+			"r.receipt_id NOT IN (SELECT receipt_id FROM station_completion WHERE station_id = $3)"
+		);
+	}
+
+	// Every entree, side, appetizer and drink on a line item, one row each with the servings it counts as
+	const result = await client.query(
+		`SELECT c.kind, c.menu_id, COALESCE(m.name, c.name) AS name, SUM(c.servings)::float AS count
+		 FROM (
+			SELECT li.receipt_id, lic.role AS kind, lic.menu_id, lic.name, lic.servings FROM line_item_component lic JOIN line_item li ON li.line_item_id = lic.line_item_id
+			UNION ALL
+			SELECT li.receipt_id, 'appetizer' AS kind, ai.menu_id, ai.name, 1 AS servings FROM appetizer_item ai JOIN line_item li ON li.line_item_id = ai.line_item_id
+			UNION ALL
+			SELECT li.receipt_id, 'drink' AS kind, di.menu_id, di.name, 1 AS servings FROM drink_item di JOIN line_item li ON li.line_item_id = di.line_item_id
+		 ) c
+		 JOIN receipt r ON r.receipt_id = c.receipt_id
+		 LEFT JOIN menu m ON m.menu_id = c.menu_id
+		 WHERE ${conditions.join(" AND ")}
+		 GROUP BY c.kind, c.menu_id, COALESCE(m.name, c.name)
+		 ORDER BY count DESC, name;`,
+		params
+	);
+	return result.rows;
+}
+
+/**
+ * Loads the speed-of-service thresholds.
+ *
+ * @param {Object} client Database client or pool to run the query on
+ * @returns {Promise<Object>} The warning_minutes and late_minutes
+ */
+async function loadKitchenSla(client) {
+	const result = await client.query(SLA_SNAPSHOT_QUERY);
+	return result.rows[0] || { warning_minutes: 5, late_minutes: 10 };
+}
+
+/**
+ * Changes the speed-of-service thresholds.
+ *
+ * @param {Object} client Database client of the transaction
+ * @param {Object} sla The thresholds as sent by the browser
+ * @param {Number} sla.warning_minutes Minutes after which a ticket turns to the warning color
+ * @param {Number} sla.late_minutes Minutes after which a ticket turns to the late color, more than warning_minutes
+ * @returns {Promise<Object>} The saved thresholds
+ * @throws {HttpError} 400 if a threshold is not a whole number of minutes or late is not after warning
+ */
+async function saveKitchenSla(client, { warning_minutes, late_minutes }) {
+	const warning = Number(warning_minutes);
+	const late = Number(late_minutes);
+	if (!Number.isInteger(warning) || warning < 1 || !Number.isInteger(late)) {
+		throw new HttpError(400, "warning_minutes and late_minutes must be whole numbers of at least 1.");
+	}
+	if (late <= warning) {
+		throw new HttpError(400, "late_minutes must be more than warning_minutes.");
+	}
+
+	const result = await client.query(
+		`INSERT INTO kitchen_sla (kitchen_sla_id, warning_minutes, late_minutes) VALUES (1, $1, $2)
+		 ON CONFLICT (kitchen_sla_id) DO UPDATE SET warning_minutes = $1, late_minutes = $2
+		 RETURNING warning_minutes, late_minutes;`,
+		[warning, late]
+	);
+	return result.rows[0];
+}
+
+module.exports = { SLA_SNAPSHOT_QUERY, loadAllDayCounts, loadKitchenSla, saveKitchenSla };
@@ -0,0 +1,230 @@
+/**
+ * @file lineItems.js
+ * @description Line items of receipts and the menu items each one is made of
+ *
+ * Every item sold is a `line_item` with a row in `meal_item`, `drink_item` or `appetizer_item`. The entrees and
+ * sides of a meal are rows of `line_item_component`, each with the menu_id and name of the menu item, its role, its
+ * portion and the servings it counts as, so a meal can have any number of entrees and sides split half and half. Checkout, the receipt editor,
+ * voids and refunds, the kitchen and the reports all read and write meals through here.
+ *
+ * Every row keeps the name the item was sold under for receipts, and the menu_id it was sold as for inventory and
+ * the reports, so renaming a menu item does not change what it uses or split its sales. Items taken off the menu
+ * keep their name with a null menu_id.
+ *
+ * @requires pricing Conversions between dollars and cents
+ */
+
+const { toDollars } = require("./pricing");
+
+/**
+ * Roles a menu item can have in a meal.
+ */
+const COMPONENT_ROLES = {
+	ENTREE: "entree",
+	SIDE: "side",
+};
+
+/**
+ * Saves one line item of a receipt with its row in the specific item table and, for meals, its components.
+ *
+ * @param {Object} client Database client of the transaction
+ * @param {Number} receiptId ID of the receipt
+ * @param {Object} item Item returned by priceItem, with a drink_size for drinks that are not Regular
+ * @returns {Promise<Number>} ID of the new line item
+ */
+async function saveLineItem(client, receiptId, item) {
+	const price = toDollars(item.unit_price_cents);
+	const lineItemResult = await client.query(
+		"INSERT INTO line_item (receipt_id, price) VALUES ($1, $2) RETURNING line_item_id;",
+		[receiptId, price]
+	);
+	const lineItemId = lineItemResult.rows[0].line_item_id;
+
+	// Insert into specific item table
+	switch (item.type) {
+		case "meal":
+			await client.query(
+				"INSERT INTO meal_item (line_item_id, menu_id, size, price) VALUES ($1, $2, $3, $4);",
+				[lineItemId, item.menu_id, item.name, price]
+			);
+			for (const [i, component] of item.components.entries()) {
+				await client.query(
+					`INSERT INTO line_item_component (line_item_id, menu_id, name, role, portion, servings, sort_order)
+					 VALUES ($1, $2, $3, $4, $5, $6, $7);`,
+					[lineItemId, component.menu_id, component.name, component.role, component.portion, component.servings, i + 1]
+				);
+			}
+			break;
+
+		case "drink":
+			await client.query(
+				"INSERT INTO drink_item (line_item_id, menu_id, name, price, size) VALUES ($1, $2, $3, $4, $5);",
+				[lineItemId, item.menu_id, item.name, price, item.drink_size || "Regular"]
+			);
+			break;
+
+		case "appetizer":
+			await client.query(
+				"INSERT INTO appetizer_item (line_item_id, menu_id, name, price) VALUES ($1, $2, $3, $4);",
+				[lineItemId, item.menu_id, item.name, price]
+			);
+			break;
+	}
+	return lineItemId;
+}
+
+/**
+ * Deletes line items with their rows in the specific item tables and their components.
+ *
+ * @param {Object} client Database client of the transaction
+ * @param {Array<Number>} lineItemIds IDs of the line items
+ * @returns {Promise<void>}
+ */
+async function deleteLineItems(client, lineItemIds) {
+	await client.query("DELETE FROM line_item_component WHERE line_item_id = ANY($1::int[]);", [lineItemIds]);
+	await client.query("DELETE FROM meal_item WHERE line_item_id = ANY($1::int[]);", [lineItemIds]);
+	await client.query("DELETE FROM drink_item WHERE line_item_id = ANY($1::int[]);", [lineItemIds]);
+	await client.query("DELETE FROM appetizer_item WHERE line_item_id = ANY($1::int[]);", [lineItemIds]);
+	await client.query("DELETE FROM line_item WHERE line_item_id = ANY($1::int[]);", [lineItemIds]);
+}
+
+/**
+ * Loads the line items of a set of receipts in two queries, one for the line items and one for the components of meals.
+ *
+ * @param {Object} client Database client or pool to run the queries on
+ * @param {Array<Number>} receiptIds IDs of the receipts
+ * @returns {Promise<Map<Number, Array<Object>>>} The line items of each receipt with line_item_id, price, menu_id,
+ * the meal_size, drink_name, drink_size or appetizer_name, and the components of meals
+ */
+async function loadLineItems(client, receiptIds) {
+	const linesResult = await client.query(
+		`SELECT li.receipt_id, li.line_item_id, li.price, COALESCE(mi.menu_id, di.menu_id, ai.menu_id) AS menu_id,
+		        mi.size AS meal_size, di.name AS drink_name, di.size AS drink_size, ai.name AS appetizer_name
+		 FROM line_item li
+		 LEFT JOIN meal_item mi ON mi.line_item_id = li.line_item_id
+		 LEFT JOIN drink_item di ON di.line_item_id = li.line_item_id
+		 LEFT JOIN appetizer_item ai ON ai.line_item_id = li.line_item_id
+		 WHERE li.receipt_id = ANY($1::int[])
+		 ORDER BY li.receipt_id, li.line_item_id;`,
+		[receiptIds]
+	);
+	const componentsResult = await client.query(
+		`SELECT line_item_id, menu_id, name, role, portion
+		 FROM line_item_component
+		 WHERE line_item_id = ANY($1::int[])
+		 ORDER BY line_item_id, sort_order;`,
+		[linesResult.rows.map(row => row.line_item_id)]
+	);
+
+	const componentsByLine = new Map();
+	for (const row of componentsResult.rows) {
+		if (!componentsByLine.has(row.line_item_id)) {
+			componentsByLine.set(row.line_item_id, []);
+		}
+		componentsByLine.get(row.line_item_id).push({ menu_id: row.menu_id, name: row.name, role: row.role, portion: Number(row.portion) });
+	}
+
+	const linesByReceipt = new Map(receiptIds.map(id => [Number(id), []]));
+	for (const row of linesResult.rows) {
+		linesByReceipt.get(row.receipt_id).push({
+			line_item_id: row.line_item_id,
+			price: row.price,
+			menu_id: row.menu_id ?? null,
+			meal_size: row.meal_size ?? null,
+			drink_name: row.drink_name ?? null,
+			drink_size: row.drink_size ?? null,
+			appetizer_name: row.appetizer_name ?? null,
+			components: componentsByLine.get(row.line_item_id) || [],
+		});
+	}
+	return linesByReceipt;
+}
+
+/**
+ * Names the components of a meal line item that have a role.
+ *
+ * @param {Object} line Line item returned by loadLineItems
+ * @param {String} role One of COMPONENT_ROLES
+ * @returns {Array<String>} Names of the components, in the order chosen
+ */
+function componentNames(line, role) {
+	return line.components.filter(component => component.role === role).map(component => component.name);
+}
+
+/**
+ * Lists the menu_id of each component of a meal line item that has a role.
+ *
+ * @param {Object} line Line item returned by loadLineItems
+ * @param {String} role One of COMPONENT_ROLES
+ * @returns {Array<Number|null>} The menu_id of each component in the order chosen, null for those taken off the menu
+ */
+function componentMenuIds(line, role) {
+	return line.components.filter(component => component.role === role).map(component => component.menu_id ?? null);
+}
+
+/**
+ * Describes a line item the way the kitchen, the receipt pages and the receipt editor show it.
+ *
+ * @param {Object} line Line item returned by loadLineItems
+ * @returns {Object} A Meal with its size, meats and sides and the menu_id of each in meat_menu_ids and side_menu_ids,
+ * an Appetizer or Drink with its name, or an Unknown item, each with its line_item_id and price, and the menu_id of the
+ * meal size, appetizer or drink
+ */
+function describeLineItem(line) {
+	if (line.meal_size !== null) {
+		return {
+			line_item_id: line.line_item_id,
+			menu_id: line.menu_id,
+			type: "Meal",
+			size: line.meal_size,
+			meats: componentNames(line, COMPONENT_ROLES.ENTREE),
+			sides: componentNames(line, COMPONENT_ROLES.SIDE),
+			meat_menu_ids: componentMenuIds(line, COMPONENT_ROLES.ENTREE),
+			side_menu_ids: componentMenuIds(line, COMPONENT_ROLES.SIDE),
+			price: line.price,
+		};
+	}
+	if (line.appetizer_name !== null) {
+		return { line_item_id: line.line_item_id, menu_id: line.menu_id, type: "Appetizer", name: line.appetizer_name, price: line.price };
+	}
+	if (line.drink_name !== null) {
+		return { line_item_id: line.line_item_id, menu_id: line.menu_id, type: "Drink", name: line.drink_name, size: line.drink_size, price: line.price };
+	}
+	return { line_item_id: line.line_item_id, type: "Unknown", price: line.price };
+}
+
+/**
+ * Lists the menu items a line item takes out of inventory with the portion of each, every entree and side of a
+ * meal at the portion it was sold with, or the item itself as a whole portion.
+ *
+ * @param {Object} line Line item returned by loadLineItems, or an item returned by priceItem
+ * @returns {Array<Object>} The menu_id and portion of each menu item, leaving out those taken off the menu
+ */
+function lineItemPortions(line) {
+	const portions = line.components.length > 0
+		? line.components.map(component => ({ menu_id: component.menu_id, portion: component.portion }))
+		: [{ menu_id: line.menu_id, portion: 1 }];
+	return portions.filter(portion => portion.menu_id !== null && portion.menu_id !== undefined);
+}
+
+/**
+ * Loads the items on a set of receipts as the kitchen and the receipt pages show them.
+ *
+ * @param {Object} client Database client or pool to run the queries on
+ * @param {Array<Number>} receiptIds IDs of the receipts
+ * @returns {Promise<Map<Number, Array<Object>>>} The line items of each receipt as Meal, Appetizer, Drink or Unknown items
+ */
+async function loadOrderItems(client, receiptIds) {
+	const linesByReceipt = await loadLineItems(client, receiptIds);
+	return new Map([...linesByReceipt].map(([receiptId, lines]) => [receiptId, lines.map(describeLineItem)]));
+}
+
+module.exports = {
+	COMPONENT_ROLES,
+	saveLineItem,
+	deleteLineItems,
+	loadLineItems,
+	describeLineItem,
+	lineItemPortions,
+	loadOrderItems,
+};
@@ -0,0 +1,213 @@
+/**
+ * @file meals.js
+ * @description Meal sizes, the number of entrees and sides each meal on the menu comes with
+ *
+ * Every `meal` row of the menu has a `meal_size` row with its entree count and side count, whether each side
+ * can be split half and half between two sides, and the portion of each entree and side, such as 1.5 for the
+ * larger side of a Plate. `meal_size_category` limits the entrees and sides of a meal to some
+ * menu categories, a meal without rows there takes any entree and side. The cashier page, the kiosk and the pricing
+ * of orders all read meal sizes from here, so a new meal such as a Family Meal only needs new rows.
+ *
+ * @requires errors Error types that carry an HTTP status
+ */
+
+const { HttpError } = require("./errors");
+
+/**
+ * Loads the meal size of every meal on the menu.
+ *
+ * @param {Object} client Database client or pool to run the queries on
+ * @returns {Promise<Array<Object>>} Meal sizes with menu_id, name, entree_count, side_count, half_sides, entree_portion,
+ * side_portion and categories
+ */
+async function loadMealSizes(client) {
+	const sizesResult = await client.query(
+		`SELECT m.menu_id, m.name, ms.entree_count, ms.side_count, ms.half_sides, ms.entree_portion, ms.side_portion
+		 FROM meal_size ms
+		 JOIN menu m ON ms.menu_id = m.menu_id
+		 ORDER BY m.menu_id;`
+	);
+	const categoriesResult = await client.query("SELECT menu_id, category FROM meal_size_category ORDER BY category;");
+
+	return sizesResult.rows.map(size => ({
+		...size,
+		entree_portion: Number(size.entree_portion),
+		side_portion: Number(size.side_portion),
+		categories: categoriesResult.rows
+			.filter(category => category.menu_id === size.menu_id)
+			.map(category => category.category),
+	}));
+}
+
+/**
+ * Adds the meal size of each meal to rows of the menu table, meals without one get null counts.
+ *
+ * @param {Array<Object>} meals Rows of the menu table
+ * @param {Array<Object>} mealSizes Meal sizes returned by loadMealSizes
+ * @returns {Array<Object>} The rows with entree_count, side_count, half_sides, entree_portion, side_portion and categories
+ */
+function withMealSizes(meals, mealSizes) {
+	return meals.map(meal => {
+		const size = mealSizes.find(mealSize => mealSize.menu_id === meal.menu_id);
+		return {
+			...meal,
+			entree_count: size ? size.entree_count : null,
+			side_count: size ? size.side_count : null,
+			half_sides: size ? size.half_sides : null,
+			entree_portion: size ? size.entree_portion : null,
+			side_portion: size ? size.side_portion : null,
+			categories: size ? size.categories : [],
+		};
+	});
+}
+
+/**
+ * Describes how many of something a meal needs, such as "2 entrees".
+ *
+ * @param {Number} count How many are needed
+ * @param {String} noun What is needed, in the singular
+ * @returns {String} The count and noun
+ */
+function countOf(count, noun) {
+	return `${count} ${noun}${count === 1 ? "" : "s"}`;
+}
+
+/**
+ * Checks the entrees and sides chosen for a meal against its meal size.
+ * With half and half sides each side can be two halves, so a meal with 1 side takes 1 or 2 sides.
+ *
+ * @param {Object} meal Row of the menu table for the meal
+ * @param {Object=} mealSize Meal size of the meal returned by loadMealSizes
+ * @param {Array<Object>} entrees Menu rows of the entrees chosen
+ * @param {Array<Object>} sides Menu rows of the sides chosen
+ * @returns {void}
+ * @throws {HttpError} 400 if the meal has no meal size or the entrees and sides do not fit it
+ */
+function checkMealComposition(meal, mealSize, entrees, sides) {
+	if (!mealSize) {
+		throw new HttpError(400, `${meal.name} has no meal size set up.`);
+	}
+
+	if (entrees.length !== mealSize.entree_count) {
+		throw new HttpError(400, `${meal.name} needs ${countOf(mealSize.entree_count, "entree")}.`);
+	}
+
+	const maxSides = mealSize.half_sides ? mealSize.side_count * 2 : mealSize.side_count;
+	if (sides.length < mealSize.side_count || sides.length > maxSides) {
+		const halfAndHalf = mealSize.half_sides && mealSize.side_count > 0 ? ", or half and half" : "";
+		throw new HttpError(400, `${meal.name} needs ${countOf(mealSize.side_count, "side")}${halfAndHalf}.`);
+	}
+
+	if (mealSize.categories.length > 0) {
+		const notAllowed = [...entrees, ...sides].find(item => !mealSize.categories.includes(item.category));
+		if (notAllowed) {
+			throw new HttpError(400, `${notAllowed.name} is not available with ${meal.name}.`);
+		}
+	}
+}
+
+/**
+ * Lists the entrees and sides of a meal as the components saved for its line item, with the portion of each.
+ * Entrees and sides get the portions of the meal size, and sides split half and half share the portions of the
+ * meal's sides between them. An entree chosen twice is two components. Each component also counts as a number of
+ * servings in the item counts, 1 for an entree or a whole side and the share of a side split half and half.
+ *
+ * @param {Object} mealSize Meal size of the meal returned by loadMealSizes
+ * @param {Array<Object>} entrees Menu rows of the entrees chosen
+ * @param {Array<Object>} sides Menu rows of the sides chosen
+ * @returns {Array<Object>} The menu_id, name, role (entree or side), portion and servings of each entree and side, in the order chosen
+ */
+function mealComponents(mealSize, entrees, sides) {
+	const sideShare = sides.length > mealSize.side_count ? Math.round(mealSize.side_count / sides.length * 1000) / 1000 : 1;
+	const sidePortion = Math.round(mealSize.side_portion * sideShare * 1000) / 1000;
+	return [
+		...entrees.map(entree => ({ menu_id: entree.menu_id, name: entree.name, role: "entree", portion: mealSize.entree_portion, servings: 1 })),
+		...sides.map(side => ({ menu_id: side.menu_id, name: side.name, role: "side", portion: sidePortion, servings: sideShare })),
+	];
+}
+
+/**
+ * Reads a whole number field of a meal size.
+ *
+ * @param {*} value Value sent by the frontend
+ * @param {Number} fallback Value to use when none was sent
+ * @param {Number} min Smallest value allowed
+ * @param {String} field Name of the field for the error message
+ * @returns {Number} The number
+ * @throws {HttpError} 400 if the value is not a whole number of at least min
+ */
+function readCount(value, fallback, min, field) {
+	const count = value === undefined || value === null || value === "" ? fallback : Number(value);
+	if (!Number.isInteger(count) || count < min) {
+		throw new HttpError(400, `${field} must be a whole number of at least ${min}.`);
+	}
+	return count;
+}
+
+/**
+ * Reads a portion of a meal size.
+ *
+ * @param {*} value Value sent by the frontend
+ * @param {String} field Name of the field for the error message
+ * @returns {Number} The portion, 1 when none was sent
+ * @throws {HttpError} 400 if the value is not a number more than 0
+ */
+function readPortion(value, field) {
+	const portion = value === undefined || value === null || value === "" ? 1 : Number(value);
+	if (!Number.isFinite(portion) || portion <= 0) {
+		throw new HttpError(400, `${field} must be a number more than 0.`);
+	}
+	return Math.round(portion * 1000) / 1000;
+}
+
+/**
+ * Creates or replaces the meal size of a meal.
+ *
+ * @param {Object} client Database client of the transaction the meal is saved in
+ * @param {Number} menuId ID of the meal's menu row
+ * @param {Object} size Meal size as sent by the frontend
+ * @param {Number=} size.entree_count Number of entrees, 1 if not given
+ * @param {Number=} size.side_count Number of sides, 1 if not given
+ * @param {Boolean=} size.half_sides Whether sides can be half and half, true if not given
+ * @param {Number=} size.entree_portion Portion of each entree, 1 if not given
+ * @param {Number=} size.side_portion Portion of each side, 1 if not given
+ * @param {Array<String>|String=} size.categories Menu categories the entrees and sides must be in, as a list or
+ * separated by commas, any category if empty
+ * @returns {Promise<Object>} The saved meal size
+ * @throws {HttpError} 400 if a count is not a whole number or a portion is not more than 0
+ */
+async function saveMealSize(client, menuId, size) {
+	const entreeCount = readCount(size.entree_count, 1, 1, "entree_count");
+	const sideCount = readCount(size.side_count, 1, 0, "side_count");
+	const halfSides = size.half_sides === undefined || size.half_sides === null ? true : Boolean(size.half_sides);
+	const entreePortion = readPortion(size.entree_portion, "entree_portion");
+	const sidePortion = readPortion(size.side_portion, "side_portion");
+	const categories = (Array.isArray(size.categories) ? size.categories : String(size.categories || "").split(","))
+		.map(category => String(category).trim())
+		.filter((category, i, all) => category !== "" && all.indexOf(category) === i);
+
+	await client.query(
+		`INSERT INTO meal_size (menu_id, entree_count, side_count, half_sides, entree_portion, side_portion)
+		 VALUES ($1, $2, $3, $4, $5, $6)
+		 ON CONFLICT (menu_id) DO UPDATE
+		 SET entree_count = EXCLUDED.entree_count, side_count = EXCLUDED.side_count, half_sides = EXCLUDED.half_sides,
+		     entree_portion = EXCLUDED.entree_portion, side_portion = EXCLUDED.side_portion;`,
+		[menuId, entreeCount, sideCount, halfSides, entreePortion, sidePortion]
+	);
+
+	await client.query("DELETE FROM meal_size_category WHERE menu_id = $1;", [menuId]);
+	for (const category of categories) {
+		await client.query("INSERT INTO meal_size_category (menu_id, category) VALUES ($1, $2);", [menuId, category]);
+	}
+
+	return {
+		entree_count: entreeCount,
+		side_count: sideCount,
+		half_sides: halfSides,
+		entree_portion: entreePortion,
+		side_portion: sidePortion,
+		categories,
+	};
+}
+
+module.exports = { loadMealSizes, withMealSizes, checkMealComposition, mealComponents, saveMealSize };
@@ -0,0 +1,70 @@
+/**
+ * @file migrate.js
+ * @description Applies the database migrations in `backend/migrations` that have not been run yet.
+ *
+ * Migrations run in file name order and each one runs inside its own transaction. A migration is either a
+ * `.sql` file or a `.js` module exporting `up(client)`. Applied migrations are recorded in `schema_migrations`.
+ *
+ * @example
+ * npm run migrate
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+
+const { pool } = require("./db");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+
+/**
+ * Runs every migration that is not yet recorded in schema_migrations.
+ *
+ * @returns {Promise<void>}
+ */
+async function migrate() {
+	await pool.query(`
+		CREATE TABLE IF NOT EXISTS schema_migrations (
+			name TEXT PRIMARY KEY,
+			applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+		);
+	`);
+
+	const applied = new Set((await pool.query("SELECT name FROM schema_migrations;")).rows.map(row => row.name));
+	const files = fs.readdirSync(MIGRATIONS_DIR)
+		.filter(file => file.endsWith(".sql") || file.endsWith(".js"))
+		.sort();
+
+	for (const file of files) {
+		if (applied.has(file)) {
+			continue;
+		}
+
+		const client = await pool.connect();
+		try {
+			await client.query("BEGIN");
+			if (file.endsWith(".sql")) {
+				await client.query(fs.readFileSync(path.join(MIGRATIONS_DIR, file), "utf8"));
+			} else {
+				await require(path.join(MIGRATIONS_DIR, file)).up(client);
+			}
+			await client.query("INSERT INTO schema_migrations (name) VALUES ($1);", [file]);
+			await client.query("COMMIT");
+			console.log(`Applied ${file}`);
+		} catch (error) {
+			await client.query("ROLLBACK");
+			throw new Error(`Migration ${file} failed: ${error.message}`);
+		} finally {
+			client.release();
+		}
+	}
+}
+
+migrate()
+	.then(() => console.log("Database is up to date."))
+	.catch(error => {
+		console.error(error.message);
+		process.exitCode = 1;
+	})
+	.finally(() => pool.end());
@@ -0,0 +1,31 @@
+/**
+ * @file 001_hash_employee_passwords.js
+ * @description Replaces the plaintext passwords in the employee table with salted hashes.
+ * Passwords that are already hashed are left alone, so running this twice is harmless. Empty passwords
+ * become NULL so those employees can only sign in with Google.
+ */
+
+const { hashPassword, isPasswordHash } = require("../auth");
+
+/**
+ * @param {Object} client Database client with an open transaction
+ * @returns {Promise<void>}
+ */
+async function up(client) {
+	await client.query("ALTER TABLE employee ALTER COLUMN password TYPE TEXT, ALTER COLUMN password DROP NOT NULL;");
+	await client.query("UPDATE employee SET password = NULL WHERE password = '';");
+
+	const employees = await client.query("SELECT employee_id, password FROM employee WHERE password IS NOT NULL;");
+	for (const employee of employees.rows) {
+		if (isPasswordHash(employee.password)) {
+			continue;
+		}
+
+		await client.query(
+			"UPDATE employee SET password = $1 WHERE employee_id = $2;",
+			[await hashPassword(employee.password), employee.employee_id]
+		);
+	}
+}
+
+module.exports = { up };
@@ -0,0 +1,22 @@
+-- Gives every table whose ids used to be generated with MAX(id) + 1 a sequence default,
+-- then moves each sequence past the largest id already in the table.
+
+CREATE SEQUENCE IF NOT EXISTS employee_employee_id_seq OWNED BY employee.employee_id;
+ALTER TABLE employee ALTER COLUMN employee_id SET DEFAULT nextval('employee_employee_id_seq');
+SELECT setval('employee_employee_id_seq', COALESCE((SELECT MAX(employee_id) FROM employee), 0) + 1, false);
+
+CREATE SEQUENCE IF NOT EXISTS inventory_inventory_id_seq OWNED BY inventory.inventory_id;
+ALTER TABLE inventory ALTER COLUMN inventory_id SET DEFAULT nextval('inventory_inventory_id_seq');
+SELECT setval('inventory_inventory_id_seq', COALESCE((SELECT MAX(inventory_id) FROM inventory), 0) + 1, false);
+
+CREATE SEQUENCE IF NOT EXISTS ingredient_ingredient_id_seq OWNED BY ingredient.ingredient_id;
+ALTER TABLE ingredient ALTER COLUMN ingredient_id SET DEFAULT nextval('ingredient_ingredient_id_seq');
+SELECT setval('ingredient_ingredient_id_seq', COALESCE((SELECT MAX(ingredient_id) FROM ingredient), 0) + 1, false);
+
+CREATE SEQUENCE IF NOT EXISTS recipe_ingredient_recipe_ing_id_seq OWNED BY recipe_ingredient.recipe_ing_id;
+ALTER TABLE recipe_ingredient ALTER COLUMN recipe_ing_id SET DEFAULT nextval('recipe_ingredient_recipe_ing_id_seq');
+SELECT setval('recipe_ingredient_recipe_ing_id_seq', COALESCE((SELECT MAX(recipe_ing_id) FROM recipe_ingredient), 0) + 1, false);
+
+CREATE SEQUENCE IF NOT EXISTS menu_menu_id_seq OWNED BY menu.menu_id;
+ALTER TABLE menu ALTER COLUMN menu_id SET DEFAULT nextval('menu_menu_id_seq');
+SELECT setval('menu_menu_id_seq', COALESCE((SELECT MAX(menu_id) FROM menu), 0) + 1, false);
@@ -0,0 +1,44 @@
+-- Sales tax: rates with effective dates, per-category exemptions, and the tax charged on every receipt.
+
+-- Every menu item belongs to a tax category that exemptions can refer to, such as bottled_drink.
+ALTER TABLE menu ADD COLUMN IF NOT EXISTS tax_category TEXT NOT NULL DEFAULT 'prepared_food';
+
+-- A rate applies to orders placed from effective_from through effective_to, or indefinitely when effective_to is NULL.
+-- Rates that are active on the same day, such as a state and a local rate, are charged together.
+CREATE TABLE IF NOT EXISTS tax_rate (
+	tax_rate_id SERIAL PRIMARY KEY,
+	name TEXT NOT NULL,
+	rate NUMERIC(6, 5) NOT NULL CHECK (rate >= 0),
+	effective_from DATE NOT NULL,
+	effective_to DATE,
+	CHECK (effective_to IS NULL OR effective_to >= effective_from)
+);
+
+-- Menu tax categories a rate does not apply to.
+CREATE TABLE IF NOT EXISTS tax_exemption (
+	tax_rate_id INTEGER NOT NULL REFERENCES tax_rate (tax_rate_id) ON DELETE CASCADE,
+	tax_category TEXT NOT NULL,
+	PRIMARY KEY (tax_rate_id, tax_category)
+);
+
+-- The tax each rate added to a receipt, kept for filing.
+CREATE TABLE IF NOT EXISTS receipt_tax (
+	receipt_id INTEGER NOT NULL,
+	tax_rate_id INTEGER NOT NULL REFERENCES tax_rate (tax_rate_id),
+	taxable_amount NUMERIC(10, 2) NOT NULL,
+	exempt_amount NUMERIC(10, 2) NOT NULL,
+	tax_amount NUMERIC(10, 2) NOT NULL,
+	PRIMARY KEY (receipt_id, tax_rate_id)
+);
+
+ALTER TABLE receipt ADD COLUMN IF NOT EXISTS subtotal NUMERIC(10, 2);
+ALTER TABLE receipt ADD COLUMN IF NOT EXISTS tax_amount NUMERIC(10, 2) NOT NULL DEFAULT 0;
+ALTER TABLE receipt ADD COLUMN IF NOT EXISTS total NUMERIC(10, 2);
+
+-- Receipts from before this migration were not taxed, so their subtotal and total are the amount charged.
+UPDATE receipt SET subtotal = totalamount, total = totalamount WHERE subtotal IS NULL;
+
+-- Default rate, change it to the rate where the restaurant operates.
+INSERT INTO tax_rate (name, rate, effective_from)
+SELECT 'Sales tax', 0.0825, DATE '2000-01-01'
+WHERE NOT EXISTS (SELECT 1 FROM tax_rate);
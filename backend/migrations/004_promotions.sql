@@ -0,0 +1,35 @@
+-- Promotions and promo codes, and the discounts they gave on each receipt.
+
+-- rule_type decides how a promotion discounts the order:
+--   percent_off  value percent off item_name, or off the whole order when item_name is NULL
+--   amount_off   value dollars off each item_name, or off the whole order when item_name is NULL
+--   bogo         every second item_name is free, the cheaper one of each pair
+--   free_item    one item_name in the order is free
+-- Promotions without a code apply automatically, the others only when their code is entered at checkout.
+CREATE TABLE IF NOT EXISTS promotion (
+	promotion_id SERIAL PRIMARY KEY,
+	name TEXT NOT NULL,
+	rule_type TEXT NOT NULL CHECK (rule_type IN ('percent_off', 'amount_off', 'bogo', 'free_item')),
+	code TEXT UNIQUE,
+	item_name TEXT,
+	value NUMERIC(10, 2) CHECK (value IS NULL OR value >= 0),
+	min_subtotal NUMERIC(10, 2) NOT NULL DEFAULT 0,
+	starts_at TIMESTAMP,
+	ends_at TIMESTAMP,
+	usage_limit INTEGER CHECK (usage_limit IS NULL OR usage_limit >= 0),
+	times_used INTEGER NOT NULL DEFAULT 0,
+	active BOOLEAN NOT NULL DEFAULT TRUE,
+	CHECK (rule_type NOT IN ('percent_off', 'amount_off') OR value IS NOT NULL),
+	CHECK (rule_type NOT IN ('bogo', 'free_item') OR item_name IS NOT NULL)
+);
+
+CREATE TABLE IF NOT EXISTS receipt_discount (
+	receipt_id INTEGER NOT NULL,
+	promotion_id INTEGER NOT NULL REFERENCES promotion (promotion_id),
+	code TEXT,
+	description TEXT NOT NULL,
+	amount NUMERIC(10, 2) NOT NULL,
+	PRIMARY KEY (receipt_id, promotion_id)
+);
+
+ALTER TABLE receipt ADD COLUMN IF NOT EXISTS discount_amount NUMERIC(10, 2) NOT NULL DEFAULT 0;
@@ -0,0 +1,26 @@
+-- Meal sizes: how many entrees and sides each meal on the menu comes with, instead of hard coding Bowl, Plate and Bigger Plate.
+
+-- Category of an entree or side, such as chicken, beef or vegetable, that a meal size can be limited to.
+ALTER TABLE menu ADD COLUMN IF NOT EXISTS category TEXT;
+
+-- One row for every meal on the menu. With half_sides each side can be split half and half between two sides.
+CREATE TABLE IF NOT EXISTS meal_size (
+	menu_id INTEGER PRIMARY KEY REFERENCES menu (menu_id) ON DELETE CASCADE,
+	entree_count INTEGER NOT NULL CHECK (entree_count >= 1),
+	side_count INTEGER NOT NULL DEFAULT 1 CHECK (side_count >= 0),
+	half_sides BOOLEAN NOT NULL DEFAULT TRUE
+);
+
+-- Menu categories the entrees and sides of a meal must be in. A meal without rows here takes any entree and side.
+CREATE TABLE IF NOT EXISTS meal_size_category (
+	menu_id INTEGER NOT NULL REFERENCES meal_size (menu_id) ON DELETE CASCADE,
+	category TEXT NOT NULL,
+	PRIMARY KEY (menu_id, category)
+);
+
+-- The meals that used to be hard coded in the cashier page and the kiosk.
+INSERT INTO meal_size (menu_id, entree_count, side_count)
+SELECT menu_id, CASE name WHEN 'Bowl' THEN 1 WHEN 'Plate' THEN 2 ELSE 3 END, 1
+FROM menu
+WHERE item_type = 'meal' AND name IN ('Bowl', 'Plate', 'Bigger Plate')
+ON CONFLICT (menu_id) DO NOTHING;
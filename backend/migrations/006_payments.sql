@@ -0,0 +1,25 @@
+-- Payments: how each receipt was paid.
+
+-- One row per tender. amount is what was applied to the receipt, amount_tendered what the customer handed over,
+-- so change_given is the difference for cash. reference is the payment terminal's reference for cards and the
+-- gift card code for gift cards.
+CREATE TABLE IF NOT EXISTS payment (
+	payment_id SERIAL PRIMARY KEY,
+	receipt_id INTEGER NOT NULL,
+	method TEXT NOT NULL CHECK (method IN ('cash', 'card', 'gift_card')),
+	amount NUMERIC(10, 2) NOT NULL CHECK (amount >= 0),
+	amount_tendered NUMERIC(10, 2) NOT NULL,
+	change_given NUMERIC(10, 2) NOT NULL DEFAULT 0,
+	reference TEXT,
+	paid_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+	CHECK (change_given = amount_tendered - amount)
+);
+
+CREATE INDEX IF NOT EXISTS payment_receipt_id_idx ON payment (receipt_id);
+
+-- Gift cards that can be used as a tender. Their balance goes down as they are used.
+CREATE TABLE IF NOT EXISTS gift_card (
+	code TEXT PRIMARY KEY,
+	balance NUMERIC(10, 2) NOT NULL CHECK (balance >= 0),
+	active BOOLEAN NOT NULL DEFAULT TRUE
+);
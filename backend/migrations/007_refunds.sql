@@ -0,0 +1,47 @@
+-- Voids and refunds: receipts are no longer deleted, what is given back is recorded next to the sale.
+
+-- One row for every void or refund, with the employee who did it, why and the amounts given back.
+-- A void cancels a whole order on the day it was placed, a refund gives back some or all of its items later.
+CREATE TABLE IF NOT EXISTS receipt_adjustment (
+	adjustment_id SERIAL PRIMARY KEY,
+	receipt_id INTEGER NOT NULL,
+	kind TEXT NOT NULL CHECK (kind IN ('void', 'refund')),
+	employee_id INTEGER,
+	reason TEXT NOT NULL,
+	subtotal NUMERIC(10, 2) NOT NULL,
+	tax_amount NUMERIC(10, 2) NOT NULL,
+	total NUMERIC(10, 2) NOT NULL,
+	created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS receipt_adjustment_receipt_id_idx ON receipt_adjustment (receipt_id);
+
+-- The line items each void or refund gave back. amount is the price of the item after its share of the
+-- receipt's discounts. A line item can only be given back once.
+CREATE TABLE IF NOT EXISTS adjustment_line_item (
+	line_item_id INTEGER PRIMARY KEY,
+	adjustment_id INTEGER NOT NULL REFERENCES receipt_adjustment (adjustment_id),
+	amount NUMERIC(10, 2) NOT NULL
+);
+
+-- The sales tax given back by each void or refund, per tax rate, for filing.
+CREATE TABLE IF NOT EXISTS adjustment_tax (
+	adjustment_id INTEGER NOT NULL REFERENCES receipt_adjustment (adjustment_id),
+	tax_rate_id INTEGER NOT NULL REFERENCES tax_rate (tax_rate_id),
+	taxable_amount NUMERIC(10, 2) NOT NULL,
+	exempt_amount NUMERIC(10, 2) NOT NULL,
+	tax_amount NUMERIC(10, 2) NOT NULL,
+	PRIMARY KEY (adjustment_id, tax_rate_id)
+);
+
+-- The money given back by each void or refund and the payment it went back to. payment_id is empty for
+-- receipts from before payments were recorded, which are refunded in cash.
+CREATE TABLE IF NOT EXISTS payment_refund (
+	payment_refund_id SERIAL PRIMARY KEY,
+	adjustment_id INTEGER NOT NULL REFERENCES receipt_adjustment (adjustment_id),
+	payment_id INTEGER REFERENCES payment (payment_id),
+	method TEXT NOT NULL CHECK (method IN ('cash', 'card', 'gift_card')),
+	amount NUMERIC(10, 2) NOT NULL CHECK (amount > 0),
+	reference TEXT,
+	refunded_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,19 @@
+-- Order status lifecycle: Received, In Progress, Ready, Picked Up and Cancelled, with the time of each step.
+
+-- The time the order reached each status. Going back a step, such as recalling a ready order, clears the
+-- times of the later steps.
+ALTER TABLE receipt ADD COLUMN IF NOT EXISTS received_at TIMESTAMP;
+ALTER TABLE receipt ADD COLUMN IF NOT EXISTS started_at TIMESTAMP;
+ALTER TABLE receipt ADD COLUMN IF NOT EXISTS ready_at TIMESTAMP;
+ALTER TABLE receipt ADD COLUMN IF NOT EXISTS picked_up_at TIMESTAMP;
+ALTER TABLE receipt ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP;
+
+-- Orders from before the lifecycle: Pending orders were waiting in the kitchen and Fulfilled ones were handed out
+UPDATE receipt SET received_at = date WHERE received_at IS NULL;
+UPDATE receipt SET status = 'Received' WHERE status = 'Pending';
+UPDATE receipt SET status = 'Picked Up' WHERE status = 'Fulfilled';
+
+ALTER TABLE receipt ALTER COLUMN status SET DEFAULT 'Received';
+ALTER TABLE receipt ALTER COLUMN received_at SET DEFAULT CURRENT_TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS receipt_status_idx ON receipt (status);
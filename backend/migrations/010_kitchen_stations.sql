@@ -0,0 +1,36 @@
+-- Kitchen stations: each kitchen screen shows the items its station makes, and expo sees the whole ticket.
+
+-- One row for every station. An expo station sees every item of a ticket and which stations finished their part.
+CREATE TABLE IF NOT EXISTS kitchen_station (
+	station_id SERIAL PRIMARY KEY,
+	name TEXT NOT NULL UNIQUE,
+	is_expo BOOLEAN NOT NULL DEFAULT FALSE,
+	sort_order INTEGER NOT NULL DEFAULT 0
+);
+
+-- The station that makes each entree, side, appetizer and drink. Items without one only show on expo.
+ALTER TABLE menu ADD COLUMN IF NOT EXISTS station_id INTEGER REFERENCES kitchen_station (station_id) ON DELETE SET NULL;
+
+-- When each station finished its part of an order. Recalling a ready order clears its rows.
+CREATE TABLE IF NOT EXISTS station_completion (
+	receipt_id INTEGER NOT NULL REFERENCES receipt (receipt_id) ON DELETE CASCADE,
+	station_id INTEGER NOT NULL REFERENCES kitchen_station (station_id) ON DELETE CASCADE,
+	employee_id INTEGER,
+	completed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+	PRIMARY KEY (receipt_id, station_id)
+);
+
+INSERT INTO kitchen_station (name, is_expo, sort_order) VALUES
+	('wok', FALSE, 1),
+	('fryer', FALSE, 2),
+	('drinks', FALSE, 3),
+	('expo', TRUE, 4)
+ON CONFLICT (name) DO NOTHING;
+
+-- Entrees and sides are cooked on the wok, appetizers in the fryer
+UPDATE menu SET station_id = (SELECT station_id FROM kitchen_station WHERE name = 'wok')
+WHERE item_type IN ('entree', 'side') AND station_id IS NULL;
+UPDATE menu SET station_id = (SELECT station_id FROM kitchen_station WHERE name = 'fryer')
+WHERE item_type = 'appetizer' AND station_id IS NULL;
+UPDATE menu SET station_id = (SELECT station_id FROM kitchen_station WHERE name = 'drinks')
+WHERE item_type = 'drink' AND station_id IS NULL;
@@ -0,0 +1,12 @@
+-- Speed of service: how long an order can wait before the kitchen screens color its ticket.
+
+-- A single row. Tickets turn to the warning color once they have waited warning_minutes since the order was
+-- received, and to the late color after late_minutes.
+CREATE TABLE IF NOT EXISTS kitchen_sla (
+	kitchen_sla_id INTEGER PRIMARY KEY DEFAULT 1 CHECK (kitchen_sla_id = 1),
+	warning_minutes INTEGER NOT NULL DEFAULT 5 CHECK (warning_minutes > 0),
+	late_minutes INTEGER NOT NULL DEFAULT 10,
+	CHECK (late_minutes > warning_minutes)
+);
+
+INSERT INTO kitchen_sla (kitchen_sla_id) VALUES (1) ON CONFLICT (kitchen_sla_id) DO NOTHING;
@@ -0,0 +1,7 @@
+-- Order channel: whether an order was placed at the kiosk or by a cashier, for the speed-of-service report.
+
+-- Orders from before this migration have no channel and are reported as unknown.
+ALTER TABLE receipt ADD COLUMN IF NOT EXISTS channel TEXT CHECK (channel IN ('kiosk', 'cashier'));
+
+-- The speed-of-service report looks up orders by when they were received
+CREATE INDEX IF NOT EXISTS receipt_received_at_idx ON receipt (received_at);
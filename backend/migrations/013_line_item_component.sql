@@ -0,0 +1,39 @@
+-- Meal components: the entrees and sides of a meal as rows instead of the meat1, meat2, meat3 and side columns of
+-- meal_item, so a meal can have any number of entrees and sides split half and half.
+
+-- One row for every entree and side of a meal line item. name keeps the menu item's name as it was sold, and
+-- portion is the share of a full portion, such as 0.5 for each side of a half and half.
+CREATE TABLE IF NOT EXISTS line_item_component (
+	component_id SERIAL PRIMARY KEY,
+	line_item_id INTEGER NOT NULL REFERENCES line_item (line_item_id) ON DELETE CASCADE,
+	menu_id INTEGER REFERENCES menu (menu_id) ON DELETE SET NULL,
+	name TEXT NOT NULL,
+	role TEXT NOT NULL CHECK (role IN ('entree', 'side')),
+	portion NUMERIC(6, 3) NOT NULL DEFAULT 1 CHECK (portion > 0),
+	sort_order INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE INDEX IF NOT EXISTS line_item_component_line_item_idx ON line_item_component (line_item_id);
+CREATE INDEX IF NOT EXISTS line_item_component_menu_idx ON line_item_component (menu_id);
+
+-- Meals sold before this migration, matched to the menu by name. Items no longer on the menu keep their name
+-- without a menu_id.
+INSERT INTO line_item_component (line_item_id, menu_id, name, role, portion, sort_order)
+SELECT c.line_item_id, m.menu_id, c.name, c.role, 1, c.sort_order
+FROM (
+	SELECT line_item_id, meat1 AS name, 'entree' AS role, 1 AS sort_order FROM meal_item
+	UNION ALL
+	SELECT line_item_id, meat2, 'entree', 2 FROM meal_item
+	UNION ALL
+	SELECT line_item_id, meat3, 'entree', 3 FROM meal_item
+	UNION ALL
+	SELECT line_item_id, side, 'side', 4 FROM meal_item
+) c
+LEFT JOIN (SELECT name, item_type, MIN(menu_id) AS menu_id FROM menu GROUP BY name, item_type) m
+	ON m.name = c.name AND m.item_type = c.role
+WHERE c.name IS NOT NULL AND c.name <> '';
+
+ALTER TABLE meal_item DROP COLUMN IF EXISTS meat1;
+ALTER TABLE meal_item DROP COLUMN IF EXISTS meat2;
+ALTER TABLE meal_item DROP COLUMN IF EXISTS meat3;
+ALTER TABLE meal_item DROP COLUMN IF EXISTS side;
@@ -0,0 +1,28 @@
+-- Sold items reference the menu by menu_id. The name columns of meal_item, drink_item and appetizer_item stay as
+-- the name the item was sold under, for receipts, while inventory and the reports follow the menu_id, so renaming
+-- a menu item keeps its ingredients and its sales history together.
+
+ALTER TABLE meal_item ADD COLUMN IF NOT EXISTS menu_id INTEGER REFERENCES menu (menu_id) ON DELETE SET NULL;
+ALTER TABLE drink_item ADD COLUMN IF NOT EXISTS menu_id INTEGER REFERENCES menu (menu_id) ON DELETE SET NULL;
+ALTER TABLE appetizer_item ADD COLUMN IF NOT EXISTS menu_id INTEGER REFERENCES menu (menu_id) ON DELETE SET NULL;
+
+-- Items sold before this migration, matched to the menu by name. Items no longer on the menu keep their name
+-- without a menu_id.
+UPDATE meal_item mi
+SET menu_id = m.menu_id
+FROM (SELECT name, MIN(menu_id) AS menu_id FROM menu WHERE item_type = 'meal' GROUP BY name) m
+WHERE m.name = mi.size AND mi.menu_id IS NULL;
+
+UPDATE drink_item di
+SET menu_id = m.menu_id
+FROM (SELECT name, MIN(menu_id) AS menu_id FROM menu WHERE item_type = 'drink' GROUP BY name) m
+WHERE m.name = di.name AND di.menu_id IS NULL;
+
+UPDATE appetizer_item ai
+SET menu_id = m.menu_id
+FROM (SELECT name, MIN(menu_id) AS menu_id FROM menu WHERE item_type = 'appetizer' GROUP BY name) m
+WHERE m.name = ai.name AND ai.menu_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS meal_item_menu_idx ON meal_item (menu_id);
+CREATE INDEX IF NOT EXISTS drink_item_menu_idx ON drink_item (menu_id);
+CREATE INDEX IF NOT EXISTS appetizer_item_menu_idx ON appetizer_item (menu_id);
@@ -0,0 +1,5 @@
+-- Meal portions: how much of a full portion each entree and side of a meal size is, so a meal takes its own amount
+-- of each ingredient out of inventory. A portion of 1 is the amount in the item's recipe.
+
+ALTER TABLE meal_size ADD COLUMN IF NOT EXISTS entree_portion NUMERIC(6, 3) NOT NULL DEFAULT 1 CHECK (entree_portion > 0);
+ALTER TABLE meal_size ADD COLUMN IF NOT EXISTS side_portion NUMERIC(6, 3) NOT NULL DEFAULT 1 CHECK (side_portion > 0);
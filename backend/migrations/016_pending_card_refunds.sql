@@ -0,0 +1,5 @@
+-- Card refunds are sent to the payment terminal after the void or refund is committed, so a transaction that
+-- fails or is retried never gives a card its money back twice. A card refund is pending until the terminal
+-- approves it, and a pending refund can be sent again from the receipt page.
+
+ALTER TABLE payment_refund ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'settled' CHECK (status IN ('pending', 'settled'));
@@ -0,0 +1,15 @@
+-- Meal component servings: how many servings of its menu item each entree and side of a meal counts as in the
+-- item counts of the kitchen and the reports, 1 for an entree or a whole side and 0.5 for each side of a half and
+-- half. portion stays the amount taken out of inventory, which also depends on the meal size.
+
+ALTER TABLE line_item_component ADD COLUMN IF NOT EXISTS servings NUMERIC(6, 3) NOT NULL DEFAULT 1 CHECK (servings > 0);
+
+-- Meals sold before this migration, from their portion and the portion of a whole entree or side of their meal size
+UPDATE line_item_component lic
+SET servings = ROUND(lic.portion / CASE lic.role WHEN 'entree' THEN s.entree_portion ELSE s.side_portion END, 3)
+FROM (
+	SELECT mi.line_item_id, ms.entree_portion, ms.side_portion
+	FROM meal_item mi
+	JOIN meal_size ms ON ms.menu_id = mi.menu_id
+) s
+WHERE s.line_item_id = lic.line_item_id;
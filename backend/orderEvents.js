@@ -0,0 +1,79 @@
+/**
+ * @file orderEvents.js
+ * @description Pushes order changes to the kitchen over Server-Sent Events
+ *
+ * Routes that place, move or edit orders publish an event once their transaction has committed, and every open
+ * kitchen view gets it through `GET /api/orderEvents` right away instead of waiting for its next poll. Events are
+ * only passed between the requests of one server process, so a kitchen view catches up by loading the orders
+ * again whenever its stream (re)connects.
+ */
+
+const { EventEmitter } = require("events");
+
+/**
+ * Kinds of order events. An order is completed once it leaves the kitchen, when it is picked up, cancelled or voided.
+ */
+const ORDER_EVENTS = {
+	CREATED: "order-created",
+	UPDATED: "order-updated",
+	COMPLETED: "order-completed",
+};
+
+/**
+ * How often a comment is sent on idle streams, so proxies and the browser do not close them.
+ */
+const HEARTBEAT_MS = 25000;
+
+/**
+ * How long the browser waits before reconnecting a stream that dropped.
+ */
+const RECONNECT_MS = 3000;
+
+const emitter = new EventEmitter();
+// Every open kitchen view listens, so there is no sensible limit
+emitter.setMaxListeners(0);
+
+let lastEventId = 0;
+
+/**
+ * Tells every open kitchen view that an order changed. Call it after the change has committed.
+ *
+ * @param {String} type One of ORDER_EVENTS
+ * @param {Number} receiptId ID of the order's receipt
+ * @param {String} status The order's status after the change
+ */
+function publishOrderEvent(type, receiptId, status) {
+	lastEventId += 1;
+	emitter.emit("order", { id: lastEventId, type, data: { receipt_id: Number(receiptId), status } });
+}
+
+/**
+ * Express handler that keeps the response open as an event stream and writes every order event to it
+ * until the browser disconnects.
+ *
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ */
+function streamOrderEvents(req, res) {
+	res.writeHead(200, {
+		"Content-Type": "text/event-stream",
+		// no-transform keeps compressing proxies from holding events back
+		"Cache-Control": "no-cache, no-transform",
+		Connection: "keep-alive",
+		"X-Accel-Buffering": "no",
+	});
+	res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+	const send = (event) => {
+		res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+	};
+	const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), HEARTBEAT_MS);
+
+	emitter.on("order", send);
+	req.on("close", () => {
+		clearInterval(heartbeat);
+		emitter.off("order", send);
+	});
+}
+
+module.exports = { ORDER_EVENTS, publishOrderEvent, streamOrderEvents };
@@ -0,0 +1,139 @@
+/**
+ * @file orderStatus.js
+ * @description The lifecycle of an order from the kitchen's point of view, and the moves allowed between its statuses
+ *
+ * An order is Received when it is placed, In Progress once the kitchen starts it, Ready when it can be handed out
+ * and Picked Up once the customer has it. It can be Cancelled until it is picked up. A ready order can be recalled
+ * back to In Progress, for example when it was made wrong. Each status has a timestamp column on `receipt` that is
+ * set when the order reaches it. Voided and Refunded orders are set by voids and refunds and leave the lifecycle.
+ *
+ * @requires errors Error types that carry an HTTP status
+ */
+
+const { HttpError } = require("./errors");
+
+/**
+ * Statuses of the order lifecycle, in the order an order goes through them.
+ */
+const ORDER_STATUS = {
+	RECEIVED: "Received",
+	IN_PROGRESS: "In Progress",
+	READY: "Ready",
+	PICKED_UP: "Picked Up",
+	CANCELLED: "Cancelled",
+};
+
+/**
+ * Statuses the kitchen still has work or a hand-off to do for.
+ */
+const OPEN_ORDER_STATUSES = [ORDER_STATUS.RECEIVED, ORDER_STATUS.IN_PROGRESS, ORDER_STATUS.READY];
+
+/**
+ * The timestamp column of `receipt` set when an order reaches each status.
+ */
+const STATUS_TIMESTAMPS = {
+	[ORDER_STATUS.RECEIVED]: "received_at",
+	[ORDER_STATUS.IN_PROGRESS]: "started_at",
+	[ORDER_STATUS.READY]: "ready_at",
+	[ORDER_STATUS.PICKED_UP]: "picked_up_at",
+	[ORDER_STATUS.CANCELLED]: "cancelled_at",
+};
+
+/**
+ * The statuses an order can move to from each status. Moving from Ready to In Progress is a recall.
+ */
+const TRANSITIONS = {
+	[ORDER_STATUS.RECEIVED]: [ORDER_STATUS.IN_PROGRESS, ORDER_STATUS.CANCELLED],
+	[ORDER_STATUS.IN_PROGRESS]: [ORDER_STATUS.READY, ORDER_STATUS.CANCELLED],
+	[ORDER_STATUS.READY]: [ORDER_STATUS.PICKED_UP, ORDER_STATUS.IN_PROGRESS, ORDER_STATUS.CANCELLED],
+	[ORDER_STATUS.PICKED_UP]: [],
+	[ORDER_STATUS.CANCELLED]: [],
+};
+
+/**
+ * Columns of `receipt` that hold an order's status and the time of each step.
+ */
+const ORDER_STATUS_COLUMNS = "receipt_id, status, received_at, started_at, ready_at, picked_up_at, cancelled_at";
+
+/**
+ * Lists the statuses an order can move to next.
+ *
+ * @param {String} status The order's current status
+ * @returns {Array<String>} The statuses allowed next, empty for orders that left the lifecycle
+ */
+function nextStatuses(status) {
+	return TRANSITIONS[status] || [];
+}
+
+/**
+ * Moves an order to a new status and stamps the time it got there.
+ * Recalling an order clears the times of the steps it goes back over, so the timeline only shows where it is now,
+ * and the kitchen stations that finished their part of it.
+ *
+ * @param {Object} client Database client of the transaction
+ * @param {Number} receiptId ID of the order's receipt
+ * @param {String} status The status to move to
+ * @returns {Promise<Object>} The order's status and the time of each step
+ * @throws {HttpError} 400 if the status is unknown or the move is not allowed, 404 if there is no such receipt
+ */
+async function changeOrderStatus(client, receiptId, status) {
+	if (!STATUS_TIMESTAMPS[status]) {
+		throw new HttpError(400, `Unknown order status "${status}", use one of ${Object.values(ORDER_STATUS).join(", ")}.`);
+	}
+
+	const currentResult = await client.query("SELECT status FROM receipt WHERE receipt_id = $1 FOR UPDATE;", [receiptId]);
+	if (currentResult.rows.length === 0) {
+		throw new HttpError(404, "Receipt not found");
+	}
+
+	const current = currentResult.rows[0].status;
+	if (!nextStatuses(current).includes(status)) {
+		throw new HttpError(400, `An order that is ${current} cannot be moved to ${status}.`);
+	}
+
+	// Going back a step clears the times of the steps after the new status
+	const lifecycle = [ORDER_STATUS.RECEIVED, ORDER_STATUS.IN_PROGRESS, ORDER_STATUS.READY, ORDER_STATUS.PICKED_UP];
+	const cleared = lifecycle.includes(status)
+		? lifecycle.slice(lifecycle.indexOf(status) + 1).map(later => `${STATUS_TIMESTAMPS[later]} = NULL`)
+		: [];
+
+	// A recalled order is made again, so every station has to finish its part again
+	if (current === ORDER_STATUS.READY && status === ORDER_STATUS.IN_PROGRESS) {
+		await client.query("DELETE FROM station_completion WHERE receipt_id = $1;", [receiptId]);
+	}
+
+	const result = await client.query(
+		`UPDATE receipt
+		 SET ${[`status = $1`, `${STATUS_TIMESTAMPS[status]} = CURRENT_TIMESTAMP`, ...cleared].join(", ")}
+		 WHERE receipt_id = $2
+		 RETURNING ${ORDER_STATUS_COLUMNS};`,
+		[status, receiptId]
+	);
+	return result.rows[0];
+}
+
+/**
+ * Converts an order's status row to the shape sent to the frontend, with the steps it went through in order.
+ *
+ * @param {Object} order Row with the columns in ORDER_STATUS_COLUMNS
+ * @returns {Object} The receipt ID, status, statuses allowed next and the timeline of steps with their times
+ */
+function describeOrderStatus(order) {
+	return {
+		receipt_id: order.receipt_id,
+		status: order.status,
+		next_statuses: nextStatuses(order.status),
+		timeline: Object.entries(STATUS_TIMESTAMPS)
+			.filter(([, column]) => order[column])
+			.map(([status, column]) => ({ status, at: order[column] })),
+	};
+}
+
+module.exports = {
+	ORDER_STATUS,
+	OPEN_ORDER_STATUSES,
+	ORDER_STATUS_COLUMNS,
+	nextStatuses,
+	changeOrderStatus,
+	describeOrderStatus,
+};
@@ -0,0 +1,170 @@
+/**
+ * @file paymentTerminal.js
+ * @description Card payment terminals that card tenders are charged through
+ *
+ * A terminal is an object with a `charge` function that takes `{ amount_cents, card_number, idempotency_key }`
+ * and resolves to `{ approved, reference, message }`. Charging again with the same idempotency key must return
+ * the first result instead of charging twice, because a checkout transaction can be retried. A terminal also has
+ * a `void` function that takes `{ reference }` of an approved charge and resolves to `{ voided, message }`, used
+ * to cancel a card charge when another tender of the same checkout fails or the order is voided the same day.
+ * A `refund` function takes `{ reference, amount_cents, idempotency_key }` and resolves to
+ * `{ approved, reference, message }`, giving back part or all of an approved charge.
+ *
+ * The terminal is picked by the `PAYMENT_TERMINAL` environment variable. The built in `simulator` is the default,
+ * so checkout works offline and in development. A real terminal is added with registerPaymentTerminal and selected
+ * by setting `PAYMENT_TERMINAL` to the name it was registered under.
+ *
+ * @requires crypto Node.js module used to make simulator references
+ */
+
+const crypto = require("crypto");
+
+/**
+ * Card numbers the simulator declines, by their last four digits.
+ */
+const SIMULATOR_DECLINES = {
+	"0002": "Card declined.",
+	"9995": "Insufficient funds.",
+	"0069": "Card expired.",
+};
+
+/**
+ * Checks a card number with the Luhn checksum.
+ *
+ * @param {String} cardNumber Digits of the card number
+ * @returns {Boolean} True if the checksum is valid
+ */
+function passesLuhn(cardNumber) {
+	let sum = 0;
+	for (let i = 0; i < cardNumber.length; i++) {
+		let digit = Number(cardNumber[cardNumber.length - 1 - i]);
+		if (i % 2 === 1) {
+			digit *= 2;
+			if (digit > 9) {
+				digit -= 9;
+			}
+		}
+		sum += digit;
+	}
+	return sum % 10 === 0;
+}
+
+/**
+ * Creates the simulated terminal. It approves every charge except test card numbers ending in the digits of
+ * SIMULATOR_DECLINES, and card numbers that fail the Luhn checksum. A charge without a card number stands for
+ * a card that was tapped on the terminal and is approved. An approved charge can be voided once, or refunded
+ * up to the amount that was charged. The simulator forgets its charges when the server restarts, so voids and
+ * refunds of charges it does not remember are approved.
+ *
+ * @returns {Object} The simulated terminal
+ */
+function createSimulatorTerminal() {
+	const results = new Map();
+	// Amount in cents that can still be given back for each approved charge
+	const refundable = new Map();
+
+	return {
+		name: "simulator",
+
+		async charge({ amount_cents, card_number, idempotency_key }) {
+			if (idempotency_key && results.has(idempotency_key)) {
+				return results.get(idempotency_key);
+			}
+
+			const digits = String(card_number || "").replace(/[\s-]/g, "");
+			let result;
+			if (!Number.isInteger(amount_cents) || amount_cents <= 0) {
+				result = { approved: false, reference: null, message: "Invalid amount." };
+			} else if (digits !== "" && (!/^\d{12,19}$/.test(digits) || !passesLuhn(digits))) {
+				result = { approved: false, reference: null, message: "Invalid card number." };
+			} else if (SIMULATOR_DECLINES[digits.slice(-4)]) {
+				result = { approved: false, reference: null, message: SIMULATOR_DECLINES[digits.slice(-4)] };
+			} else {
+				result = {
+					approved: true,
+					reference: `SIM-${crypto.randomBytes(6).toString("hex").toUpperCase()}`,
+					message: "Approved.",
+				};
+			}
+
+			if (result.approved) {
+				refundable.set(result.reference, amount_cents);
+			}
+			if (idempotency_key) {
+				results.set(idempotency_key, result);
+			}
+			return result;
+		},
+
+		async void({ reference }) {
+			if (refundable.has(reference) && refundable.get(reference) === 0) {
+				return { voided: false, message: "The charge was already given back." };
+			}
+			refundable.set(reference, 0);
+			return { voided: true, message: "Voided." };
+		},
+
+		async refund({ reference, amount_cents, idempotency_key }) {
+			if (idempotency_key && results.has(idempotency_key)) {
+				return results.get(idempotency_key);
+			}
+
+			let result;
+			if (!reference) {
+				result = { approved: false, reference: null, message: "No approved charge with this reference." };
+			} else if (!Number.isInteger(amount_cents) || amount_cents <= 0) {
+				result = { approved: false, reference: null, message: "Invalid amount." };
+			} else if (refundable.has(reference) && amount_cents > refundable.get(reference)) {
+				result = { approved: false, reference: null, message: "The refund is more than what is left of the charge." };
+			} else {
+				if (refundable.has(reference)) {
+					refundable.set(reference, refundable.get(reference) - amount_cents);
+				}
+				result = {
+					approved: true,
+					reference: `SIM-${crypto.randomBytes(6).toString("hex").toUpperCase()}`,
+					message: "Refunded.",
+				};
+			}
+
+			if (idempotency_key) {
+				results.set(idempotency_key, result);
+			}
+			return result;
+		},
+	};
+}
+
+const terminalFactories = { simulator: createSimulatorTerminal };
+const terminals = {};
+
+/**
+ * Adds a payment terminal that can be selected with `PAYMENT_TERMINAL`.
+ *
+ * @param {String} name Name to select the terminal by
+ * @param {Function} create Function that returns the terminal, called the first time it is used
+ * @returns {void}
+ */
+function registerPaymentTerminal(name, create) {
+	terminalFactories[name] = create;
+	delete terminals[name];
+}
+
+/**
+ * Returns the payment terminal selected by `PAYMENT_TERMINAL`, the simulator by default.
+ *
+ * @returns {Object} The payment terminal
+ * @throws {Error} If no terminal is registered under the selected name
+ */
+function getPaymentTerminal() {
+	const name = process.env.PAYMENT_TERMINAL || "simulator";
+	if (!terminalFactories[name]) {
+		throw new Error(`Unknown payment terminal ${name}`);
+	}
+	if (!terminals[name]) {
+		terminals[name] = terminalFactories[name]();
+	}
+	return terminals[name];
+}
+
+module.exports = { registerPaymentTerminal, getPaymentTerminal };
@@ -0,0 +1,441 @@
+/**
+ * @file payments.js
+ * @description Takes the payment for a receipt in cash, by card or with a gift card and records the tender
+ *
+ * Every payment is a row in `payment` with the method, the amount applied to the receipt, the amount tendered,
+ * the change given and a reference: the payment terminal's reference for cards and the gift card code for gift
+ * cards. Cash must cover the total and the rest is given back as change. Cards are charged through the payment
+ * terminal. Gift cards are paid from their balance in `gift_card`.
+ *
+ * A receipt can be paid with several tenders, such as part in cash and the rest by card, or split across two
+ * cards. Each tender can give the `amount` to put on it, and one without an amount pays the rest of the balance.
+ * The tenders must pay the receipt in full. Checkout runs in withCheckout, which voids the card charges approved
+ * for the order when the order is not saved, because a tender was declined, anything else failed or the
+ * transaction did not commit, so the customer is not charged for an order that was not placed.
+ *
+ * Money given back by a void or refund is a row in `payment_refund`. It goes back to the receipt's payments,
+ * the last one first: gift cards get their balance back and cash is paid out of the drawer in the transaction
+ * that saves the void or refund. Card refunds are saved as pending and only sent to the payment terminal by
+ * settleCardRefunds once that transaction is committed, each with its own idempotency key, so a failed or
+ * retried transaction never gives a card its money back twice.
+ *
+ * @requires db Transaction helper the checkout runs in and the pool pending card refunds are settled on
+ * @requires errors Error types that carry an HTTP status
+ * @requires paymentTerminal Card payment terminals
+ */
+
+const { pool, withTransaction } = require("./db");
+const { HttpError } = require("./errors");
+const { getPaymentTerminal } = require("./paymentTerminal");
+
+const PAYMENT_METHODS = ["cash", "card", "gift_card"];
+
+/**
+ * Formats an amount in cents for error messages.
+ *
+ * @param {Number} cents Amount in cents
+ * @returns {String} The amount in dollars with a dollar sign
+ */
+function formatCents(cents) {
+	return `$${(cents / 100).toFixed(2)}`;
+}
+
+/**
+ * Reads the tender sent by the frontend.
+ *
+ * @param {Object} tender Tender with method, optionally the amount to put on it, and depending on the method
+ * amount_tendered, card_number or gift_card_code
+ * @returns {Object} `{ method, amount_cents, amount_tendered_cents, card_number, gift_card_code }`, amount_cents is null
+ * when the tender pays the rest of the balance
+ * @throws {HttpError} 400 if there is no tender or it is missing what its method needs
+ */
+function readTender(tender) {
+	if (!tender || typeof tender !== "object") {
+		throw new HttpError(400, "A payment is required.");
+	}
+	if (!PAYMENT_METHODS.includes(tender.method)) {
+		throw new HttpError(400, `Payment method must be one of: ${PAYMENT_METHODS.join(", ")}.`);
+	}
+
+	const read = { method: tender.method, amount_cents: null, amount_tendered_cents: null, card_number: null, gift_card_code: null };
+
+	if (tender.amount !== undefined && tender.amount !== null && tender.amount !== "") {
+		const amount = Number(tender.amount);
+		if (!Number.isFinite(amount) || amount <= 0) {
+			throw new HttpError(400, "The amount of a payment must be more than zero.");
+		}
+		read.amount_cents = Math.round(amount * 100);
+	}
+
+	if (tender.method === "cash") {
+		const amount = Number(tender.amount_tendered);
+		if (tender.amount_tendered === undefined || tender.amount_tendered === "" || !Number.isFinite(amount) || amount < 0) {
+			throw new HttpError(400, "Cash tendered must be an amount.");
+		}
+		read.amount_tendered_cents = Math.round(amount * 100);
+	} else if (tender.method === "card") {
+		read.card_number = tender.card_number ? String(tender.card_number) : null;
+	} else {
+		if (typeof tender.gift_card_code !== "string" || tender.gift_card_code.trim() === "") {
+			throw new HttpError(400, "A gift card code is required.");
+		}
+		read.gift_card_code = tender.gift_card_code.trim();
+	}
+
+	return read;
+}
+
+/**
+ * Reads the tenders sent by the frontend, either a list or a single tender.
+ *
+ * @param {Array|Object} tenders Tenders in the order they are paid with
+ * @returns {Array<Object>} The tenders returned by readTender
+ * @throws {HttpError} 400 if there are no tenders or one of them is invalid
+ */
+function readTenders(tenders) {
+	const list = Array.isArray(tenders) ? tenders : [tenders];
+	if (list.length === 0) {
+		throw new HttpError(400, "A payment is required.");
+	}
+	return list.map(readTender);
+}
+
+/**
+ * Works out how much of the total goes on each tender before anything is charged.
+ * A tender without an amount pays the rest of the balance, except cash that does not cover it,
+ * which pays what was tendered.
+ *
+ * @param {Number} totalCents Total to pay in cents
+ * @param {Array<Object>} tenders Tenders returned by readTenders
+ * @returns {Array<Number>} Amount in cents to put on each tender
+ * @throws {HttpError} 400 if a tender is more than the balance left or the tenders do not pay the total
+ */
+function planPayments(totalCents, tenders) {
+	let balanceCents = totalCents;
+
+	const amounts = tenders.map((tender) => {
+		if (balanceCents === 0 && totalCents > 0) {
+			throw new HttpError(400, "The total is already paid, remove the extra payment.");
+		}
+
+		let amountCents = tender.amount_cents;
+		if (amountCents === null) {
+			amountCents = tender.method === "cash" ? Math.min(tender.amount_tendered_cents, balanceCents) : balanceCents;
+		}
+		if (amountCents > balanceCents) {
+			throw new HttpError(400, `Payment of ${formatCents(amountCents)} is more than the balance of ${formatCents(balanceCents)}.`);
+		}
+
+		balanceCents -= amountCents;
+		return amountCents;
+	});
+
+	if (balanceCents > 0) {
+		throw new HttpError(400, `Payments of ${formatCents(totalCents - balanceCents)} do not cover the total of ${formatCents(totalCents)}.`);
+	}
+	return amounts;
+}
+
+/**
+ * Takes a gift card payment from the card's balance.
+ * The code must match exactly. Checkout needs no login, so an unknown code, an inactive card and a balance that is
+ * too low get the same decline, and the balance is never shown, so codes and balances cannot be guessed through it.
+ *
+ * @param {Object} client Database client of the transaction the receipt is saved in
+ * @param {String} code Code of the gift card
+ * @param {Number} amountCents Amount to take in cents
+ * @returns {Promise<String>} The gift card's code
+ * @throws {HttpError} 402 if the gift card cannot pay the amount
+ */
+async function chargeGiftCard(client, code, amountCents) {
+	const charged = await client.query(
+		`UPDATE gift_card SET balance = balance - $1
+		 WHERE code = $2 AND active AND balance >= $1
+		 RETURNING code;`,
+		[amountCents / 100, code]
+	);
+	if (charged.rows.length === 0) {
+		throw new HttpError(402, "Gift card was declined.");
+	}
+	return charged.rows[0].code;
+}
+
+/**
+ * Takes the payment for a receipt and records it.
+ * Call it last in the checkout transaction so a card is only charged once everything else is saved.
+ *
+ * @param {Object} client Database client of the transaction the receipt is saved in
+ * @param {Number} receiptId ID of the receipt
+ * @param {Number} amountCents Amount to pay in cents
+ * @param {Object} tender Tender returned by readTender
+ * @param {String} idempotencyKey Key that stops a retried transaction from charging a card twice
+ * @returns {Promise<Object>} The payment with method, amounts in cents and reference
+ * @throws {HttpError} 400 if cash does not cover the amount, 402 if a card or gift card is declined
+ */
+async function takePayment(client, receiptId, amountCents, tender, idempotencyKey) {
+	let amountTenderedCents = amountCents;
+	let reference = null;
+
+	switch (tender.method) {
+		case "cash":
+			if (tender.amount_tendered_cents < amountCents) {
+				throw new HttpError(400, `Cash tendered (${formatCents(tender.amount_tendered_cents)}) is less than ${formatCents(amountCents)}.`);
+			}
+			amountTenderedCents = tender.amount_tendered_cents;
+			break;
+
+		case "card":
+			if (amountCents > 0) {
+				const result = await getPaymentTerminal().charge({
+					amount_cents: amountCents,
+					card_number: tender.card_number,
+					idempotency_key: idempotencyKey,
+				});
+				if (!result.approved) {
+					throw new HttpError(402, `Card was not approved: ${result.message}`);
+				}
+				reference = result.reference;
+			}
+			break;
+
+		case "gift_card":
+			reference = await chargeGiftCard(client, tender.gift_card_code, amountCents);
+			break;
+	}
+
+	const changeCents = amountTenderedCents - amountCents;
+	const result = await client.query(
+		`INSERT INTO payment (receipt_id, method, amount, amount_tendered, change_given, reference)
+		 VALUES ($1, $2, $3, $4, $5, $6)
+		 RETURNING payment_id;`,
+		[receiptId, tender.method, amountCents / 100, amountTenderedCents / 100, changeCents / 100, reference]
+	);
+
+	return {
+		payment_id: result.rows[0].payment_id,
+		method: tender.method,
+		amount_cents: amountCents,
+		amount_tendered_cents: amountTenderedCents,
+		change_cents: changeCents,
+		reference,
+	};
+}
+
+/**
+ * Voids the card charges of payments whose checkout was cancelled.
+ * A charge listed more than once, as when a retried transaction charged again with the same idempotency key, is voided once.
+ *
+ * @param {Array<Object>} payments Payments with a method and reference
+ * @returns {Promise<void>}
+ */
+async function voidCardPayments(payments) {
+	const references = new Set(payments.filter((payment) => payment.method === "card" && payment.reference).map((payment) => payment.reference));
+	for (const reference of references) {
+		const result = await getPaymentTerminal().void({ reference });
+		if (!result.voided) {
+			console.error(`Could not void card payment ${reference}: ${result.message}`);
+		}
+	}
+}
+
+/**
+ * Pays a receipt in full with one or more tenders and records each payment.
+ * Call it last in the checkout transaction so cards are only charged once everything else is saved.
+ *
+ * @param {Object} client Database client of the transaction the receipt is saved in
+ * @param {Number} receiptId ID of the receipt
+ * @param {Number} totalCents Total of the receipt in cents
+ * @param {Array<Object>} tenders Tenders returned by readTenders, in the order they are paid with
+ * @param {String} idempotencyKey Key that stops a retried transaction from charging a card twice
+ * @param {Array<Object>=} taken List each payment is added to as soon as it is taken, so the card charges of a
+ * checkout that fails part way can be voided
+ * @returns {Promise<Array<Object>>} The payments returned by takePayment
+ * @throws {HttpError} 400 if the tenders do not pay the total, 402 if a card or gift card is declined
+ */
+async function takePayments(client, receiptId, totalCents, tenders, idempotencyKey, taken = []) {
+	const amounts = planPayments(totalCents, tenders);
+	const payments = [];
+
+	for (let i = 0; i < tenders.length; i++) {
+		const payment = await takePayment(client, receiptId, amounts[i], tenders[i], `${idempotencyKey}-${i}`);
+		payments.push(payment);
+		taken.push(payment);
+	}
+
+	return payments;
+}
+
+/**
+ * Runs a checkout as one transaction and voids its card charges if the order is not saved.
+ * Cards are charged on the terminal before the transaction commits, so a declined tender, any other error or a
+ * failed COMMIT would otherwise leave the customer charged for an order that does not exist. A retried
+ * transaction charges again with the same idempotency keys, which returns the first charges, so every charge is voided once.
+ *
+ * @param {Function} work Async function that receives the client and a `pay(receiptId, totalCents, tenders, idempotencyKey)`
+ * function that takes payments like takePayments, and runs the checkout's queries
+ * @returns {Promise<*>} Whatever `work` resolved with
+ * @example
+ * const payments = await withCheckout(async (client, pay) => {
+ *   const receiptId = await saveOrder(client, pricedOrder, channel);
+ *   return pay(receiptId, pricedOrder.tax.total_cents, tenders, paymentKey);
+ * });
+ */
+async function withCheckout(work) {
+	const taken = [];
+	try {
+		return await withTransaction((client) =>
+			work(client, (receiptId, totalCents, tenders, idempotencyKey) => takePayments(client, receiptId, totalCents, tenders, idempotencyKey, taken))
+		);
+	} catch (error) {
+		await voidCardPayments(taken);
+		throw error;
+	}
+}
+
+/**
+ * Gives money back to the payments of a receipt for a void or refund, starting with the last payment.
+ * Money that is more than what was paid, as on receipts from before payments were recorded, is given back in cash.
+ * Card refunds are only recorded as pending, call settleCardRefunds once the transaction is committed.
+ *
+ * @param {Object} client Database client of the transaction the void or refund is saved in
+ * @param {Number} receiptId ID of the receipt
+ * @param {Number} adjustmentId ID of the void or refund in `receipt_adjustment`
+ * @param {Number} amountCents Amount to give back in cents
+ * @returns {Promise<Array<Object>>} `{ payment_refund_id, method, amount_cents, reference, status }` of the money given
+ * back to each payment
+ */
+async function refundPayments(client, receiptId, adjustmentId, amountCents) {
+	const paymentsResult = await client.query(
+		`SELECT p.payment_id, p.method, p.amount, p.reference, COALESCE(SUM(pr.amount), 0) AS refunded
+		 FROM payment p
+		 LEFT JOIN payment_refund pr ON pr.payment_id = p.payment_id
+		 WHERE p.receipt_id = $1
+		 GROUP BY p.payment_id, p.method, p.amount, p.reference
+		 ORDER BY p.payment_id DESC;`,
+		[receiptId]
+	);
+
+	const refunds = [];
+	let remainingCents = amountCents;
+
+	for (const payment of paymentsResult.rows) {
+		const refundCents = Math.min(Math.round(payment.amount * 100) - Math.round(payment.refunded * 100), remainingCents);
+		if (refundCents <= 0) {
+			continue;
+		}
+
+		let status = "settled";
+		if (payment.method === "card" && payment.reference) {
+			// The terminal gives the money back after the transaction commits
+			status = "pending";
+		} else if (payment.method === "gift_card") {
+			await client.query("UPDATE gift_card SET balance = balance + $1 WHERE code = $2;", [refundCents / 100, payment.reference]);
+		}
+
+		refunds.push({ payment_id: payment.payment_id, method: payment.method, amount_cents: refundCents, reference: payment.reference, status });
+		remainingCents -= refundCents;
+		if (remainingCents === 0) {
+			break;
+		}
+	}
+
+	if (remainingCents > 0) {
+		refunds.push({ payment_id: null, method: "cash", amount_cents: remainingCents, reference: null, status: "settled" });
+	}
+
+	const recorded = [];
+	for (const refund of refunds) {
+		const result = await client.query(
+			`INSERT INTO payment_refund (adjustment_id, payment_id, method, amount, reference, status)
+			 VALUES ($1, $2, $3, $4, $5, $6)
+			 RETURNING payment_refund_id;`,
+			[adjustmentId, refund.payment_id, refund.method, refund.amount_cents / 100, refund.reference, refund.status]
+		);
+		recorded.push({
+			payment_refund_id: result.rows[0].payment_refund_id,
+			method: refund.method,
+			amount_cents: refund.amount_cents,
+			reference: refund.reference,
+			status: refund.status,
+		});
+	}
+	return recorded;
+}
+
+/**
+ * Sends the pending card refunds of voids or refunds to the payment terminal, after the transaction that saved
+ * them is committed. A void voids the card charge and a refund refunds part of it, with an idempotency key made
+ * from the refund's ID so sending it again never refunds the card twice. A refund the terminal approves is marked
+ * settled with the terminal's reference, one it does not approve stays pending so it can be sent again.
+ *
+ * @param {Array<Number>} adjustmentIds IDs of the voids or refunds in `receipt_adjustment`
+ * @returns {Promise<Map<Number, Object>>} `{ payment_refund_id, method, amount_cents, reference, status, message }` of
+ * each card refund that was pending, by payment_refund_id
+ */
+async function settleCardRefunds(adjustmentIds) {
+	const pendingResult = await pool.query(
+		`SELECT pr.payment_refund_id, pr.amount, p.reference, ra.kind
+		 FROM payment_refund pr
+		 JOIN payment p ON p.payment_id = pr.payment_id
+		 JOIN receipt_adjustment ra ON ra.adjustment_id = pr.adjustment_id
+		 WHERE pr.adjustment_id = ANY($1::int[]) AND pr.status = 'pending'
+		 ORDER BY pr.payment_refund_id;`,
+		[adjustmentIds]
+	);
+
+	const settled = new Map();
+	for (const refund of pendingResult.rows) {
+		const amountCents = Math.round(refund.amount * 100);
+		let reference = refund.reference;
+		let message;
+
+		if (refund.kind === "void") {
+			const result = await getPaymentTerminal().void({ reference: refund.reference });
+			message = result.voided ? null : `Card payment could not be voided: ${result.message}`;
+		} else {
+			const result = await getPaymentTerminal().refund({
+				reference: refund.reference,
+				amount_cents: amountCents,
+				idempotency_key: `payment-refund-${refund.payment_refund_id}`,
+			});
+			message = result.approved ? null : `Card refund was not approved: ${result.message}`;
+			reference = result.approved ? result.reference : refund.reference;
+		}
+
+		if (message) {
+			console.error(`Card refund ${refund.payment_refund_id} is still pending: ${message}`);
+		} else {
+			await pool.query(
+				"UPDATE payment_refund SET status = 'settled', reference = $2 WHERE payment_refund_id = $1;",
+				[refund.payment_refund_id, reference]
+			);
+		}
+		settled.set(refund.payment_refund_id, {
+			payment_refund_id: refund.payment_refund_id,
+			method: "card",
+			amount_cents: amountCents,
+			reference,
+			status: message ? "pending" : "settled",
+			message,
+		});
+	}
+	return settled;
+}
+
+/**
+ * Converts a payment to the shape sent to the frontend, with amounts in dollars.
+ *
+ * @param {Object} payment Payment returned by takePayment
+ * @returns {Object} Method, amount, amount tendered, change given and reference
+ */
+function describePayment(payment) {
+	return {
+		method: payment.method,
+		amount: payment.amount_cents / 100,
+		amount_tendered: payment.amount_tendered_cents / 100,
+		change_given: payment.change_cents / 100,
+		reference: payment.reference,
+	};
+}
+
+module.exports = { PAYMENT_METHODS, readTender, readTenders, planPayments, takePayment, takePayments, voidCardPayments, withCheckout, refundPayments, settleCardRefunds, describePayment };
@@ -0,0 +1,217 @@
+/**
+ * @file pricing.js
+ * @description Prices orders from the menu table so the totals stored on receipts never come from the browser
+ *
+ * A meal costs the price of its size (the `meal` menu row such as Bowl or Plate) plus the price of each
+ * entree chosen, which is the entree's premium and is 0 for regular entrees. The entrees and sides chosen
+ * must fit the meal's meal size. Drinks and appetizers cost
+ * the price of their menu row. Amounts are added up in cents so totals do not pick up floating point error.
+ * Promotions are then taken off, and sales tax is added on what is left using the tax category of each
+ * item's menu row.
+ *
+ * @requires errors Error types that carry an HTTP status
+ * @requires meals Meal sizes of the meals on the menu
+ * @requires promotions Promotions and promo codes
+ * @requires tax Sales tax engine
+ */
+
+const { HttpError } = require("./errors");
+const { loadMealSizes, checkMealComposition, mealComponents } = require("./meals");
+const { loadPromotions, applyPromotions } = require("./promotions");
+const { loadTaxRates, calculateTax, describeTax } = require("./tax");
+
+/**
+ * Order item types sent by the frontend, mapped to the menu item_type they are priced from.
+ */
+const ORDER_ITEM_TYPES = {
+	meal: "meal",
+	drink: "drink",
+	appetizer: "appetizer",
+};
+
+/**
+ * Most of one item an order can have. Each unit is saved as its own line item, so an order anyone can send
+ * without logging in must not be able to ask for millions of them.
+ */
+const MAX_ITEM_QUANTITY = 99;
+
+/**
+ * Converts a price from the menu table to whole cents.
+ *
+ * @param {Number|String} price Price in dollars, numeric columns arrive as strings
+ * @returns {Number} Price in cents
+ */
+function toCents(price) {
+	return Math.round(Number(price) * 100);
+}
+
+/**
+ * Converts whole cents back to dollars for responses and inserts.
+ *
+ * @param {Number} cents Amount in cents
+ * @returns {Number} Amount in dollars
+ */
+function toDollars(cents) {
+	return cents / 100;
+}
+
+/**
+ * Finds a menu row by name and type.
+ *
+ * @param {Array<Object>} menu Rows of the menu table
+ * @param {String} name Name of the menu item
+ * @param {String} itemType The menu item_type the row must have
+ * @returns {Object} The menu row
+ * @throws {HttpError} 400 if no menu row matches
+ */
+function findMenuItem(menu, name, itemType) {
+	const item = menu.find(row => row.name === name && row.item_type === itemType);
+	if (!item) {
+		throw new HttpError(400, `Unknown ${itemType} "${name}".`);
+	}
+	return item;
+}
+
+/**
+ * Prices a single item of an order.
+ *
+ * @param {Array<Object>} menu Rows of the menu table
+ * @param {Array<Object>} mealSizes Meal sizes returned by loadMealSizes
+ * @param {Object} orderItem Item as sent by the frontend with name, type, quantity and for meals entrees and sides
+ * @returns {Object} The priced item with the menu_id it was sold as, and the entrees and sides of a meal as its components
+ * @throws {HttpError} 400 if the quantity is not a whole number from 1 to MAX_ITEM_QUANTITY, or the item, its
+ * entrees or its sides are not on the menu or do not fit its meal size
+ */
+function priceItem(menu, mealSizes, orderItem) {
+	if (!orderItem || typeof orderItem !== "object") {
+		throw new HttpError(400, "Every order item must be an object.");
+	}
+
+	const itemType = ORDER_ITEM_TYPES[String(orderItem.type).toLowerCase()];
+	if (!itemType) {
+		throw new HttpError(400, `Unknown order item type "${orderItem.type}".`);
+	}
+
+	const quantity = orderItem.quantity === undefined ? 1 : Number(orderItem.quantity);
+	if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_ITEM_QUANTITY) {
+		throw new HttpError(400, `Quantity of "${orderItem.name}" must be a whole number from 1 to ${MAX_ITEM_QUANTITY}.`);
+	}
+
+	const menuItem = findMenuItem(menu, orderItem.name, itemType);
+	const basePriceCents = toCents(menuItem.price);
+
+	if (itemType !== "meal") {
+		return {
+			menu_id: menuItem.menu_id,
+			name: menuItem.name,
+			type: itemType,
+			quantity,
+			base_price_cents: basePriceCents,
+			unit_price_cents: basePriceCents,
+			tax_category: menuItem.tax_category,
+			entrees: [],
+			sides: [],
+			components: [],
+			premiums: [],
+		};
+	}
+
+	// Orders from before meal sizes send a single side
+	const entreeNames = Array.isArray(orderItem.entrees) ? orderItem.entrees.filter(Boolean) : [];
+	const sideNames = Array.isArray(orderItem.sides) ? orderItem.sides.filter(Boolean) : [orderItem.side].filter(Boolean);
+
+	const entrees = entreeNames.map(name => findMenuItem(menu, name, "entree"));
+	const sides = sideNames.map(name => findMenuItem(menu, name, "side"));
+	const mealSize = mealSizes.find(size => size.menu_id === menuItem.menu_id);
+	checkMealComposition(menuItem, mealSize, entrees, sides);
+
+	const premiums = entrees
+		.filter(entree => toCents(entree.price) > 0)
+		.map(entree => ({ name: entree.name, price_cents: toCents(entree.price) }));
+	const premiumCents = premiums.reduce((sum, premium) => sum + premium.price_cents, 0);
+
+	return {
+		menu_id: menuItem.menu_id,
+		name: menuItem.name,
+		type: itemType,
+		quantity,
+		base_price_cents: basePriceCents,
+		unit_price_cents: basePriceCents + premiumCents,
+		tax_category: menuItem.tax_category,
+		entrees: entrees.map(entree => entree.name),
+		sides: sides.map(side => side.name),
+		components: mealComponents(mealSize, entrees, sides),
+		premiums,
+	};
+}
+
+/**
+ * Converts a priced item to the shape sent to the frontend, with amounts in dollars.
+ *
+ * @param {Object} item Item returned by priceItem
+ * @returns {Object} The item's price breakdown
+ */
+function describeItem(item) {
+	return {
+		name: item.name,
+		type: item.type,
+		quantity: item.quantity,
+		entrees: item.entrees,
+		sides: item.sides,
+		base_price: toDollars(item.base_price_cents),
+		premiums: item.premiums.map(premium => ({ name: premium.name, price: toDollars(premium.price_cents) })),
+		unit_price: toDollars(item.unit_price_cents),
+		line_total: toDollars(item.unit_price_cents * item.quantity),
+	};
+}
+
+/**
+ * Prices every item of an order from the menu table, applies promotions and adds the sales tax effective today.
+ * The subtotal in the breakdown is after discounts, it is the amount sales tax is charged on.
+ *
+ * @param {Object} client Database client of the transaction the order is saved in, or the pool for a quote
+ * @param {Array<Object>} orderList Items as sent by the frontend
+ * @param {String=} promoCode Promo code entered at checkout
+ * @returns {Promise<Object>} `{ items, discounts, tax, breakdown }` where items, discounts and tax keep amounts
+ * in cents for inserts and breakdown is the canonical price breakdown in dollars for the response
+ * @throws {HttpError} 400 if the order is empty, has an item that is not on the menu or the promo code cannot be used
+ */
+async function priceOrder(client, orderList, promoCode = null) {
+	if (!Array.isArray(orderList) || orderList.length === 0) {
+		throw new HttpError(400, "The order has no items.");
+	}
+
+	const menu = (await client.query("SELECT menu_id, name, item_type, price, tax_category, category FROM menu;")).rows;
+	const mealSizes = await loadMealSizes(client);
+	const items = orderList.map(orderItem => priceItem(menu, mealSizes, orderItem));
+	const itemsTotalCents = items.reduce((sum, item) => sum + item.unit_price_cents * item.quantity, 0);
+
+	const { discounts, item_discounts_cents } = applyPromotions(items, await loadPromotions(client, promoCode), promoCode);
+
+	const tax = calculateTax(
+		items.map((item, i) => ({
+			amount_cents: item.unit_price_cents * item.quantity - item_discounts_cents[i],
+			tax_category: item.tax_category,
+		})),
+		await loadTaxRates(client)
+	);
+
+	return {
+		items,
+		discounts,
+		tax,
+		breakdown: {
+			items: items.map(describeItem),
+			items_total: toDollars(itemsTotalCents),
+			discounts: discounts.map(discount => ({
+				name: discount.name,
+				code: discount.code,
+				amount: toDollars(discount.amount_cents),
+			})),
+			discount_amount: toDollars(itemsTotalCents - tax.subtotal_cents),
+			...describeTax(tax),
+		},
+	};
+}
+
+module.exports = { MAX_ITEM_QUANTITY, priceOrder, priceItem, toCents, toDollars };
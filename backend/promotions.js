@@ -0,0 +1,236 @@
+/**
+ * @file promotions.js
+ * @description Applies promotions and promo codes to priced orders and records the discounts on receipts
+ *
+ * Promotions live in the `promotion` table. Ones without a code apply to every order they are eligible for,
+ * and ones with a code only when that code is entered. Item promotions are applied before whole order
+ * promotions, and no item is ever discounted below zero. Each discount is allocated to the items it came off,
+ * so sales tax is charged on what the customer actually pays for each item.
+ *
+ * @requires errors Error types that carry an HTTP status
+ */
+
+const { HttpError } = require("./errors");
+
+/**
+ * Loads the promotions that could apply to an order: every active automatic promotion, and the promotion
+ * for the promo code when one was entered.
+ *
+ * @param {Object} client Database client or pool to run the query on
+ * @param {String=} promoCode Promo code entered at checkout
+ * @returns {Promise<Array<Object>>} Promotions that are within their date window and usage limit
+ * @throws {HttpError} 400 if the promo code does not exist, is outside its date window or has been used up
+ */
+async function loadPromotions(client, promoCode = null) {
+	const code = typeof promoCode === "string" && promoCode.trim() !== "" ? promoCode.trim() : null;
+
+	const result = await client.query(
+		`SELECT promotion_id, name, rule_type, code, item_name, value, min_subtotal, starts_at, ends_at, usage_limit, times_used
+		 FROM promotion
+		 WHERE active AND (code IS NULL OR UPPER(code) = UPPER($1))
+		 ORDER BY promotion_id;`,
+		[code]
+	);
+
+	const now = new Date();
+	const usable = promotion => (!promotion.starts_at || promotion.starts_at <= now)
+		&& (!promotion.ends_at || promotion.ends_at >= now)
+		&& (promotion.usage_limit === null || promotion.times_used < promotion.usage_limit);
+
+	if (code) {
+		const codePromotion = result.rows.find(promotion => promotion.code !== null);
+		if (!codePromotion) {
+			throw new HttpError(400, `Promo code "${code}" is not valid.`);
+		}
+		if (codePromotion.starts_at && codePromotion.starts_at > now) {
+			throw new HttpError(400, `Promo code "${code}" is not active yet.`);
+		}
+		if (codePromotion.ends_at && codePromotion.ends_at < now) {
+			throw new HttpError(400, `Promo code "${code}" has expired.`);
+		}
+		if (!usable(codePromotion)) {
+			throw new HttpError(400, `Promo code "${code}" has been used up.`);
+		}
+	}
+
+	return result.rows.filter(usable);
+}
+
+/**
+ * Splits an amount across several amounts in proportion to their size, never giving one more than it has.
+ * Cents left over from rounding go to the first amounts.
+ *
+ * @param {Array<Number>} amounts Amounts in cents to split across
+ * @param {Number} cents Amount in cents to split
+ * @returns {Array<Number>} The share of each amount in cents
+ */
+function allocateProportionally(amounts, cents) {
+	const total = amounts.reduce((sum, amount) => sum + amount, 0);
+	if (total <= 0 || cents <= 0) {
+		return amounts.map(() => 0);
+	}
+
+	const target = Math.min(cents, total);
+	const shares = amounts.map(amount => Math.floor(amount * target / total));
+	let leftover = target - shares.reduce((sum, share) => sum + share, 0);
+
+	for (let i = 0; leftover > 0 && i < amounts.length; i++) {
+		if (shares[i] < amounts[i]) {
+			shares[i]++;
+			leftover--;
+		}
+	}
+
+	return shares;
+}
+
+/**
+ * Works out how much a promotion takes off each item of the order.
+ *
+ * @param {Object} promotion Row of the promotion table
+ * @param {Array<Object>} items Priced items with name, quantity and unit_price_cents
+ * @param {Array<Number>} remaining Amount in cents of each item that earlier promotions have not taken off
+ * @returns {Array<Number>} The discount in cents on each item
+ */
+function discountPerItem(promotion, items, remaining) {
+	const targets = items.map(item => promotion.item_name === null || item.name === promotion.item_name);
+	const value = Number(promotion.value);
+
+	switch (promotion.rule_type) {
+		case "percent_off":
+			return remaining.map((amount, i) => (targets[i] ? Math.round(amount * value / 100) : 0));
+
+		case "amount_off":
+			if (promotion.item_name === null) {
+				return allocateProportionally(remaining, Math.round(value * 100));
+			}
+			return items.map((item, i) => (targets[i] ? Math.round(value * 100) * item.quantity : 0));
+
+		case "bogo":
+		case "free_item": {
+			// List every unit of the promoted item from most to least expensive
+			const units = [];
+			items.forEach((item, i) => {
+				if (targets[i]) {
+					for (let q = 0; q < item.quantity; q++) {
+						units.push({ index: i, cents: item.unit_price_cents });
+					}
+				}
+			});
+			units.sort((a, b) => b.cents - a.cents);
+
+			// BOGO makes the cheaper unit of each pair free, a free item promotion the cheapest unit
+			const freeUnits = promotion.rule_type === "bogo"
+				? units.filter((unit, position) => position % 2 === 1)
+				: units.slice(-1);
+
+			const discounts = items.map(() => 0);
+			for (const unit of freeUnits) {
+				discounts[unit.index] += unit.cents;
+			}
+			return discounts;
+		}
+
+		default:
+			return items.map(() => 0);
+	}
+}
+
+/**
+ * Applies promotions to a priced order.
+ *
+ * @param {Array<Object>} items Priced items with name, quantity and unit_price_cents
+ * @param {Array<Object>} promotions Promotions returned by loadPromotions
+ * @param {String=} promoCode Promo code entered at checkout, used to report a code that gives no discount
+ * @returns {Object} `{ discounts, item_discounts_cents }` with each discount given and the total discount on each item
+ * @throws {HttpError} 400 if the promo code does not apply to anything in the order
+ */
+function applyPromotions(items, promotions, promoCode = null) {
+	const subtotalCents = items.reduce((sum, item) => sum + item.unit_price_cents * item.quantity, 0);
+	const remaining = items.map(item => item.unit_price_cents * item.quantity);
+	const discounts = [];
+
+	// Item promotions come first so whole order promotions apply to what is left
+	const ordered = [...promotions].sort((a, b) => (a.item_name === null) - (b.item_name === null));
+
+	for (const promotion of ordered) {
+		if (subtotalCents < Math.round(Number(promotion.min_subtotal) * 100)) {
+			continue;
+		}
+
+		const perItem = discountPerItem(promotion, items, remaining).map((cents, i) => Math.min(cents, remaining[i]));
+		const amountCents = perItem.reduce((sum, cents) => sum + cents, 0);
+		if (amountCents === 0) {
+			continue;
+		}
+
+		perItem.forEach((cents, i) => {
+			remaining[i] -= cents;
+		});
+		discounts.push({
+			promotion_id: promotion.promotion_id,
+			name: promotion.name,
+			code: promotion.code,
+			amount_cents: amountCents,
+		});
+	}
+
+	const code = typeof promoCode === "string" ? promoCode.trim() : "";
+	if (code !== "" && !discounts.some(discount => discount.code !== null)) {
+		throw new HttpError(400, `Promo code "${code}" does not apply to this order.`);
+	}
+
+	return {
+		discounts,
+		item_discounts_cents: items.map((item, i) => item.unit_price_cents * item.quantity - remaining[i]),
+	};
+}
+
+/**
+ * Records the discounts given on a receipt and counts them against each promotion's usage limit.
+ *
+ * @param {Object} client Database client of the transaction the receipt is saved in
+ * @param {Number} receiptId ID of the receipt
+ * @param {Array<Object>} discounts Discounts returned by applyPromotions
+ * @returns {Promise<void>}
+ * @throws {HttpError} 409 if another order used up a promotion first
+ */
+async function recordDiscounts(client, receiptId, discounts) {
+	for (const discount of discounts) {
+		const usage = await client.query(
+			`UPDATE promotion SET times_used = times_used + 1
+			 WHERE promotion_id = $1 AND (usage_limit IS NULL OR times_used < usage_limit);`,
+			[discount.promotion_id]
+		);
+		if (usage.rowCount === 0) {
+			throw new HttpError(409, `Promotion "${discount.name}" has been used up.`);
+		}
+
+		await client.query(
+			`INSERT INTO receipt_discount (receipt_id, promotion_id, code, description, amount)
+			 VALUES ($1, $2, $3, $4, $5);`,
+			[receiptId, discount.promotion_id, discount.code, discount.name, discount.amount_cents / 100]
+		);
+	}
+
+	const discountCents = discounts.reduce((sum, discount) => sum + discount.amount_cents, 0);
+	await client.query("UPDATE receipt SET discount_amount = $1 WHERE receipt_id = $2;", [discountCents / 100, receiptId]);
+}
+
+/**
+ * Gives the uses of the promotions on a receipt back when the order is voided.
+ * The discounts stay recorded on the receipt as history.
+ *
+ * @param {Object} client Database client of the transaction the order is voided in
+ * @param {Number} receiptId ID of the receipt
+ * @returns {Promise<void>}
+ */
+async function releaseDiscounts(client, receiptId) {
+	await client.query(
+		`UPDATE promotion SET times_used = GREATEST(times_used - 1, 0)
+		 WHERE promotion_id IN (SELECT promotion_id FROM receipt_discount WHERE receipt_id = $1);`,
+		[receiptId]
+	);
+}
+
+module.exports = { loadPromotions, allocateProportionally, applyPromotions, recordDiscounts, releaseDiscounts };
@@ -0,0 +1,323 @@
+/**
+ * @file refunds.js
+ * @description Voids and refunds of receipts, recorded next to the sale instead of deleting it
+ *
+ * A void cancels a whole order on the day it was placed. A refund gives back some or all of a receipt's line
+ * items, on any day. Both are a row in `receipt_adjustment` with the employee who did it and why, the line items
+ * given back in `adjustment_line_item` and the sales tax given back per rate in `adjustment_tax`. The ingredients
+ * of the items go back into inventory and the money goes back to the receipt's payments. Card refunds are sent to
+ * the payment terminal by settleAdjustment once the void or refund is committed. The reports show voids and
+ * refunds as negative lines on the day they were done, so the original sale stays in history. Cancelling an order
+ * voids it too, so a cancelled order gives back its payments and ingredients like a voided one.
+ *
+ * @requires errors Error types that carry an HTTP status
+ * @requires inventory Ingredients used by the items, put back into inventory
+ * @requires lineItems Line items of receipts and the entrees and sides of meals
+ * @requires orderStatus Order lifecycle, for cancelling orders
+ * @requires payments Gives the money back to the receipt's payments and settles card refunds
+ * @requires pricing Conversions between dollars and cents
+ * @requires promotions Spreads the receipt's discounts over its items and gives back promotion uses
+ * @requires tax Sales tax engine
+ */
+
+const { HttpError } = require("./errors");
+const { loadIngredientUsage, applyInventoryChanges } = require("./inventory");
+const { loadLineItems, lineItemPortions } = require("./lineItems");
+const { ORDER_STATUS, changeOrderStatus } = require("./orderStatus");
+const { refundPayments, settleCardRefunds } = require("./payments");
+const { toCents } = require("./pricing");
+const { allocateProportionally, releaseDiscounts } = require("./promotions");
+const { DEFAULT_TAX_CATEGORY, loadTaxRates, calculateTax } = require("./tax");
+
+/**
+ * Loads the line items of a receipt with the menu items they are made of and whether they were given back.
+ *
+ * @param {Object} client Database client of the transaction
+ * @param {Number} receiptId ID of the receipt
+ * @returns {Promise<Array<Object>>} Line items with line_item_id, price_cents, menu_id, item_portions and refunded
+ */
+async function loadReceiptLines(client, receiptId) {
+	const lines = (await loadLineItems(client, [Number(receiptId)])).get(Number(receiptId));
+	const refundedResult = await client.query(
+		"SELECT line_item_id FROM adjustment_line_item WHERE line_item_id = ANY($1::int[]);",
+		[lines.map((line) => line.line_item_id)]
+	);
+	const refundedIds = new Set(refundedResult.rows.map((row) => row.line_item_id));
+
+	return lines.map((line) => ({
+		line_item_id: line.line_item_id,
+		price_cents: toCents(line.price),
+		menu_id: line.menu_id,
+		// The same menu items processOrder took out of inventory for the item
+		item_portions: lineItemPortions(line),
+		refunded: refundedIds.has(line.line_item_id),
+	}));
+}
+
+/**
+ * Works out the sales tax given back for line items, at the rates of the day the order was placed.
+ * When the last items of a receipt are given back, the rest of the receipt's tax is given back so every
+ * cent of tax charged is returned even after rounding.
+ *
+ * @param {Object} client Database client of the transaction
+ * @param {Object} receipt Receipt with receipt_id and date
+ * @param {Array<Object>} lines Line items given back, with amount_cents and tax_category
+ * @param {Boolean} isLast True if these are the last line items of the receipt not given back yet
+ * @returns {Promise<Array<Object>>} Taxable, exempt and tax amount in cents of each rate
+ */
+async function refundTax(client, receipt, lines, isLast) {
+	const remainingResult = await client.query(
+		`SELECT rt.tax_rate_id,
+		        rt.taxable_amount - COALESCE(SUM(at.taxable_amount), 0) AS taxable_amount,
+		        rt.exempt_amount - COALESCE(SUM(at.exempt_amount), 0) AS exempt_amount,
+		        rt.tax_amount - COALESCE(SUM(at.tax_amount), 0) AS tax_amount
+		 FROM receipt_tax rt
+		 LEFT JOIN receipt_adjustment ra ON ra.receipt_id = rt.receipt_id
+		 LEFT JOIN adjustment_tax at ON at.adjustment_id = ra.adjustment_id AND at.tax_rate_id = rt.tax_rate_id
+		 WHERE rt.receipt_id = $1
+		 GROUP BY rt.tax_rate_id, rt.taxable_amount, rt.exempt_amount, rt.tax_amount;`,
+		[receipt.receipt_id]
+	);
+	const remaining = remainingResult.rows.map((row) => ({
+		tax_rate_id: row.tax_rate_id,
+		taxable_cents: toCents(row.taxable_amount),
+		exempt_cents: toCents(row.exempt_amount),
+		tax_cents: toCents(row.tax_amount),
+	}));
+
+	if (isLast) {
+		return remaining;
+	}
+
+	const tax = calculateTax(lines, await loadTaxRates(client, receipt.date));
+	return tax.taxes
+		.map((rateTax) => {
+			const left = remaining.find((row) => row.tax_rate_id === rateTax.tax_rate_id);
+			return {
+				tax_rate_id: rateTax.tax_rate_id,
+				taxable_cents: rateTax.taxable_cents,
+				exempt_cents: rateTax.exempt_cents,
+				tax_cents: Math.min(rateTax.tax_cents, left ? left.tax_cents : 0),
+			};
+		})
+		.filter((rateTax) => remaining.some((row) => row.tax_rate_id === rateTax.tax_rate_id));
+}
+
+/**
+ * Records a void or refund of line items of a receipt, puts their ingredients back into inventory and gives the
+ * money back to the receipt's payments. Card refunds are left pending for settleAdjustment.
+ *
+ * @param {Object} client Database client of the transaction
+ * @param {Object} adjustment The void or refund
+ * @param {Number} adjustment.receiptId ID of the receipt
+ * @param {String} adjustment.kind `void` or `refund`
+ * @param {Array<Number>=} adjustment.lineItemIds Line items to give back, every item not given back yet when empty
+ * @param {String} adjustment.reason Why the order is voided or refunded
+ * @param {Number=} adjustment.employeeId ID of the employee doing it
+ * @param {Boolean=} adjustment.anyDay Whether a void can be of an order placed before today, only for cancelling an
+ * order that is still open
+ * @returns {Promise<Object>} The adjustment with its amounts in cents, line items and the money given back
+ * @throws {HttpError} 400 if there is no reason, the order cannot be voided or a line item cannot be refunded,
+ * 404 if the receipt does not exist
+ */
+async function adjustReceipt(client, { receiptId, kind, lineItemIds, reason, employeeId, anyDay = false }) {
+	if (typeof reason !== "string" || reason.trim() === "") {
+		throw new HttpError(400, `A reason is required to ${kind} an order.`);
+	}
+
+	// Locks the receipt so two refunds of the same receipt cannot give back the same items
+	const receiptResult = await client.query(
+		`SELECT receipt_id, date, discount_amount, date::date = CURRENT_DATE AS placed_today
+		 FROM receipt
+		 WHERE receipt_id = $1
+		 FOR UPDATE;`,
+		[receiptId]
+	);
+	if (receiptResult.rows.length === 0) {
+		throw new HttpError(404, "Receipt not found");
+	}
+	const receipt = receiptResult.rows[0];
+
+	const lines = await loadReceiptLines(client, receiptId);
+	const openLines = lines.filter((line) => !line.refunded);
+
+	let refundLines;
+	if (kind === "void") {
+		if (!receipt.placed_today && !anyDay) {
+			throw new HttpError(400, "Only orders placed today can be voided, refund the order instead.");
+		}
+		if (openLines.length < lines.length) {
+			throw new HttpError(400, "This order was already voided or refunded.");
+		}
+		refundLines = lines;
+	} else if (Array.isArray(lineItemIds) && lineItemIds.length > 0) {
+		refundLines = lineItemIds.map((lineItemId) => {
+			const line = lines.find((row) => row.line_item_id === Number(lineItemId));
+			if (!line) {
+				throw new HttpError(400, `Line item ${lineItemId} is not on receipt ${receiptId}.`);
+			}
+			if (line.refunded) {
+				throw new HttpError(400, `Line item ${lineItemId} was already refunded.`);
+			}
+			return line;
+		});
+		if (new Set(refundLines).size < refundLines.length) {
+			throw new HttpError(400, "A line item can only be refunded once.");
+		}
+	} else {
+		refundLines = openLines;
+	}
+	if (refundLines.length === 0) {
+		throw new HttpError(400, "Every item on this receipt was already refunded.");
+	}
+
+	// Each item gives back its price less its share of the receipt's discounts, as it was charged
+	const discountShares = allocateProportionally(lines.map((line) => line.price_cents), toCents(receipt.discount_amount));
+	const menu = (await client.query("SELECT menu_id, tax_category FROM menu;")).rows;
+	const taxLines = refundLines.map((line) => {
+		const menuItem = menu.find((row) => row.menu_id === line.menu_id);
+		return {
+			line_item_id: line.line_item_id,
+			amount_cents: line.price_cents - discountShares[lines.indexOf(line)],
+			tax_category: menuItem ? menuItem.tax_category : DEFAULT_TAX_CATEGORY,
+		};
+	});
+
+	const taxes = await refundTax(client, receipt, taxLines, refundLines.length === openLines.length);
+	const subtotalCents = taxLines.reduce((sum, line) => sum + line.amount_cents, 0);
+	const taxCents = taxes.reduce((sum, rateTax) => sum + rateTax.tax_cents, 0);
+	const totalCents = subtotalCents + taxCents;
+
+	const adjustmentResult = await client.query(
+		`INSERT INTO receipt_adjustment (receipt_id, kind, employee_id, reason, subtotal, tax_amount, total)
+		 VALUES ($1, $2, $3, $4, $5, $6, $7)
+		 RETURNING adjustment_id, created_at;`,
+		[receiptId, kind, employeeId || null, reason.trim(), subtotalCents / 100, taxCents / 100, totalCents / 100]
+	);
+	const { adjustment_id: adjustmentId, created_at: createdAt } = adjustmentResult.rows[0];
+
+	for (const line of taxLines) {
+		await client.query(
+			"INSERT INTO adjustment_line_item (line_item_id, adjustment_id, amount) VALUES ($1, $2, $3);",
+			[line.line_item_id, adjustmentId, line.amount_cents / 100]
+		);
+	}
+	for (const rateTax of taxes) {
+		await client.query(
+			`INSERT INTO adjustment_tax (adjustment_id, tax_rate_id, taxable_amount, exempt_amount, tax_amount)
+			 VALUES ($1, $2, $3, $4, $5);`,
+			[adjustmentId, rateTax.tax_rate_id, rateTax.taxable_cents / 100, rateTax.exempt_cents / 100, rateTax.tax_cents / 100]
+		);
+	}
+
+	// The ingredients of the items given back go back into inventory
+	await applyInventoryChanges(client, await loadIngredientUsage(client, refundLines.map((line) => line.item_portions)), new Map());
+
+	if (kind === "void") {
+		await releaseDiscounts(client, receiptId);
+		await client.query("UPDATE receipt SET status = 'Voided' WHERE receipt_id = $1;", [receiptId]);
+	} else if (refundLines.length === openLines.length) {
+		await client.query("UPDATE receipt SET status = 'Refunded' WHERE receipt_id = $1;", [receiptId]);
+	}
+
+	// Card refunds are only recorded here and sent to the terminal once the transaction is committed
+	const refunds = totalCents > 0
+		? await refundPayments(client, receiptId, adjustmentId, totalCents)
+		: [];
+
+	return {
+		adjustment_id: adjustmentId,
+		receipt_id: Number(receiptId),
+		kind,
+		reason: reason.trim(),
+		created_at: createdAt,
+		subtotal_cents: subtotalCents,
+		tax_cents: taxCents,
+		total_cents: totalCents,
+		line_item_ids: refundLines.map((line) => line.line_item_id),
+		refunds,
+	};
+}
+
+/**
+ * Voids a whole order on the day it was placed.
+ *
+ * @param {Object} client Database client of the transaction
+ * @param {Object} adjustment receiptId, reason and employeeId, as for adjustReceipt
+ * @returns {Promise<Object>} The void returned by adjustReceipt
+ */
+function voidReceipt(client, adjustment) {
+	return adjustReceipt(client, { ...adjustment, kind: "void", lineItemIds: null });
+}
+
+/**
+ * Refunds some or all of the line items of a receipt.
+ *
+ * @param {Object} client Database client of the transaction
+ * @param {Object} adjustment receiptId, lineItemIds, reason and employeeId, as for adjustReceipt
+ * @returns {Promise<Object>} The refund returned by adjustReceipt
+ */
+function refundReceipt(client, adjustment) {
+	return adjustReceipt(client, { ...adjustment, kind: "refund" });
+}
+
+/**
+ * Cancels an order that was not picked up yet and voids it, so its payments are given back, its ingredients go back
+ * into inventory and it leaves the sales and X and Z reports. The receipt keeps the status Cancelled. An order still
+ * open from an earlier day can be cancelled too, its void is reported on the day it is cancelled.
+ *
+ * @param {Object} client Database client of the transaction
+ * @param {Object} cancellation receiptId, reason and employeeId, as for adjustReceipt
+ * @returns {Promise<Object>} `{ order, adjustment }`, the order's status row and the void returned by adjustReceipt
+ * @throws {HttpError} 400 if the order cannot be cancelled or voided, 404 if the receipt does not exist
+ */
+async function cancelOrder(client, cancellation) {
+	const order = await changeOrderStatus(client, cancellation.receiptId, ORDER_STATUS.CANCELLED);
+	const adjustment = await voidReceipt(client, { ...cancellation, anyDay: true });
+
+	// The void marks the receipt Voided, the cancelled order keeps its place in the order lifecycle
+	await client.query("UPDATE receipt SET status = $1 WHERE receipt_id = $2;", [ORDER_STATUS.CANCELLED, cancellation.receiptId]);
+	return { order, adjustment };
+}
+
+/**
+ * Sends the pending card refunds of a void or refund to the payment terminal.
+ * Call it after the transaction that saved the void or refund is committed, never inside it.
+ *
+ * @param {Object} adjustment Void or refund returned by adjustReceipt
+ * @returns {Promise<Object>} The adjustment with the status of each card refund, pending ones with the terminal's message
+ */
+async function settleAdjustment(adjustment) {
+	const settled = await settleCardRefunds([adjustment.adjustment_id]);
+	return { ...adjustment, refunds: adjustment.refunds.map((refund) => settled.get(refund.payment_refund_id) || refund) };
+}
+
+/**
+ * Converts a void or refund to the shape sent to the frontend, with amounts in dollars.
+ *
+ * @param {Object} adjustment Void or refund returned by adjustReceipt
+ * @returns {Object} Kind, reason, amounts, line items and the money given back to each payment, with whether it is
+ * still pending on the payment terminal
+ */
+function describeAdjustment(adjustment) {
+	return {
+		adjustment_id: adjustment.adjustment_id,
+		receipt_id: adjustment.receipt_id,
+		kind: adjustment.kind,
+		reason: adjustment.reason,
+		created_at: adjustment.created_at,
+		subtotal: adjustment.subtotal_cents / 100,
+		tax_amount: adjustment.tax_cents / 100,
+		total: adjustment.total_cents / 100,
+		line_item_ids: adjustment.line_item_ids,
+		refunds: adjustment.refunds.map((refund) => ({
+			method: refund.method,
+			amount: refund.amount_cents / 100,
+			reference: refund.reference,
+			status: refund.status,
+			...(refund.message ? { message: refund.message } : {}),
+		})),
+	};
+}
+
+module.exports = { voidReceipt, refundReceipt, cancelOrder, settleAdjustment, describeAdjustment };
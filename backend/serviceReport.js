@@ -0,0 +1,170 @@
+/**
+ * @file serviceReport.js
+ * @description Speed-of-service report: how long orders take from being received to being ready
+ *
+ * The ticket time of an order is the time between its `received_at` and `ready_at` timestamps, so only orders that
+ * reached Ready are counted. Ticket times are reported as the average, the median and the 90th percentile for every
+ * order in the chosen period, and grouped by the hour and day part the order was received in, the channel it was
+ * placed through and how many items it has.
+ *
+ * @requires errors Error types that carry an HTTP status
+ */
+
+const { HttpError } = require("./errors");
+
+/**
+ * Channels an order can be placed through. Orders from before channels were recorded have none.
+ */
+const ORDER_CHANNELS = {
+	KIOSK: "kiosk",
+	CASHIER: "cashier",
+};
+
+/**
+ * Parts of the day orders are grouped in, each from its start hour up to the start of the next.
+ */
+const DAY_PARTS = [
+	{ name: "Morning", startHour: 0 },
+	{ name: "Lunch", startHour: 11 },
+	{ name: "Afternoon", startHour: 14 },
+	{ name: "Dinner", startHour: 17 },
+	{ name: "Late Night", startHour: 21 },
+];
+
+/**
+ * Groups of orders by how many items they have. Orders with five items or more are grouped together.
+ */
+const ITEM_COUNT_GROUPS = ["1", "2", "3", "4", "5+"];
+
+/**
+ * Finds the part of the day an hour falls in.
+ *
+ * @param {Number} hour Hour of the day, 0 to 23
+ * @returns {String} Name of the day part
+ */
+function dayPartOf(hour) {
+	return DAY_PARTS.filter(part => part.startHour <= hour).pop().name;
+}
+
+/**
+ * Finds a percentile of a sorted list, interpolating between the two closest values like PERCENTILE_CONT.
+ *
+ * @param {Array<Number>} sorted Values in ascending order, at least one
+ * @param {Number} fraction The percentile as a fraction, 0.5 for the median
+ * @returns {Number} The percentile
+ */
+function percentile(sorted, fraction) {
+	const position = (sorted.length - 1) * fraction;
+	const lower = Math.floor(position);
+	const upper = Math.ceil(position);
+	return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Summarizes the ticket times of a group of orders.
+ *
+ * @param {Array<Number>} seconds Ticket time of each order in seconds
+ * @returns {Object} The number of orders and the average_seconds, median_seconds and p90_seconds, rounded to the second
+ */
+function summarizeTicketTimes(seconds) {
+	const sorted = [...seconds].sort((a, b) => a - b);
+	if (sorted.length === 0) {
+		return { orders: 0, average_seconds: null, median_seconds: null, p90_seconds: null };
+	}
+	return {
+		orders: sorted.length,
+		average_seconds: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+		median_seconds: Math.round(percentile(sorted, 0.5)),
+		p90_seconds: Math.round(percentile(sorted, 0.9)),
+	};
+}
+
+/**
+ * Groups tickets and summarizes the ticket times of each group.
+ *
+ * @param {Array<Object>} tickets Tickets from loadTickets
+ * @param {Function} groupOf Gives the group of a ticket
+ * @param {Array<String>=} order Groups in the order they are listed, groups without tickets left out and any
+ * other groups after them, ascending if unincluded
+ * @returns {Array<Object>} The group and the summary of its ticket times, for each group with tickets
+ */
+function groupTicketTimes(tickets, groupOf, order) {
+	const groups = new Map();
+	for (const ticket of tickets) {
+		const group = groupOf(ticket);
+		if (!groups.has(group)) {
+			groups.set(group, []);
+		}
+		groups.get(group).push(ticket.seconds);
+	}
+
+	const keys = order
+		? [...order.filter(group => groups.has(group)), ...[...groups.keys()].filter(group => !order.includes(group))]
+		: [...groups.keys()].sort((a, b) => a - b);
+	return keys.map(group => ({ group, ...summarizeTicketTimes(groups.get(group)) }));
+}
+
+/**
+ * Loads the ticket time of every order received in a period that reached Ready.
+ *
+ * @param {Object} client Database client or pool to run the query on
+ * @param {String} startTime Start of the period
+ * @param {String} endTime End of the period
+ * @returns {Promise<Array<Object>>} The receipt_id, hour received, channel, item_count and ticket time in seconds of each order
+ */
+async function loadTickets(client, startTime, endTime) {
+	const result = await client.query(
+		`SELECT r.receipt_id, r.received_at, r.ready_at, r.channel,
+		        EXTRACT(HOUR FROM r.received_at)::int AS hour,
+		        COALESCE(li.item_count, 0)::int AS item_count
+		 FROM receipt r
+		 LEFT JOIN (
+			SELECT receipt_id, COUNT(*) AS item_count FROM line_item GROUP BY receipt_id
+		 ) li ON li.receipt_id = r.receipt_id
+		 WHERE r.received_at BETWEEN $1 AND $2
+		   AND r.ready_at IS NOT NULL
+		 ORDER BY r.received_at;`,
+		[startTime, endTime]
+	);
+	return result.rows.map(row => ({
+		receipt_id: row.receipt_id,
+		hour: row.hour,
+		channel: row.channel,
+		item_count: row.item_count,
+		seconds: Math.max(0, (new Date(row.ready_at) - new Date(row.received_at)) / 1000),
+	}));
+}
+
+/**
+ * Builds the speed-of-service report for a period.
+ *
+ * @param {Object} client Database client or pool to run the query on
+ * @param {String} startTime Start of the period
+ * @param {String} endTime End of the period
+ * @returns {Promise<Object>} The summary of every order as `overall`, and the summary of each group as `by_hour`,
+ * `by_day_part`, `by_channel` and `by_item_count`
+ * @throws {HttpError} 400 if the period is missing or ends before it starts
+ */
+async function buildServiceReport(client, startTime, endTime) {
+	if (!startTime || !endTime || Number.isNaN(Date.parse(startTime)) || Number.isNaN(Date.parse(endTime))) {
+		throw new HttpError(400, "startTime and endTime must be dates.");
+	}
+	if (Date.parse(endTime) < Date.parse(startTime)) {
+		throw new HttpError(400, "endTime must not be before startTime.");
+	}
+
+	const tickets = await loadTickets(client, startTime, endTime);
+	return {
+		overall: summarizeTicketTimes(tickets.map(ticket => ticket.seconds)),
+		by_hour: groupTicketTimes(tickets, ticket => ticket.hour),
+		by_day_part: groupTicketTimes(tickets, ticket => dayPartOf(ticket.hour), DAY_PARTS.map(part => part.name)),
+		by_channel: groupTicketTimes(tickets, ticket => ticket.channel || "unknown", [...Object.values(ORDER_CHANNELS), "unknown"]),
+		by_item_count: groupTicketTimes(
+			tickets,
+			ticket => (ticket.item_count >= 5 ? "5+" : String(ticket.item_count)),
+			ITEM_COUNT_GROUPS
+		),
+	};
+}
+
+module.exports = { ORDER_CHANNELS, DAY_PARTS, buildServiceReport };
@@ -0,0 +1,255 @@
+/**
+ * @file stations.js
+ * @description Kitchen stations, the menu items each one makes and which stations finished their part of an order
+ *
+ * Every entree, side, appetizer and drink on the menu can be mapped to a `kitchen_station`, such as the wok, the
+ * fryer or drinks. A station's kitchen screen only shows the items it makes and drops an order once the station
+ * marks its part done in `station_completion`. An expo station sees the whole ticket and the progress of every
+ * station on it. Items without a station only show on expo.
+ *
+ * @requires errors Error types that carry an HTTP status
+ * @requires orderStatus Order status lifecycle and the moves allowed between statuses
+ */
+
+const { HttpError } = require("./errors");
+const { OPEN_ORDER_STATUSES } = require("./orderStatus");
+
+/**
+ * Kitchen station as recorded in the audit log before and after a change.
+ */
+const STATION_SNAPSHOT_QUERY = "SELECT station_id, name, is_expo, sort_order FROM kitchen_station WHERE station_id = $1;";
+
+/**
+ * Loads every kitchen station in the order they are shown.
+ *
+ * @param {Object} client Database client or pool to run the query on
+ * @returns {Promise<Array<Object>>} Stations with station_id, name, is_expo and sort_order
+ */
+async function loadStations(client) {
+	const result = await client.query("SELECT station_id, name, is_expo, sort_order FROM kitchen_station ORDER BY sort_order, station_id;");
+	return result.rows;
+}
+
+/**
+ * Finds a station by its name, as used in `/kitchen?station=fryer`.
+ *
+ * @param {Object} client Database client or pool to run the query on
+ * @param {String} name Name of the station
+ * @returns {Promise<Object>} The station
+ * @throws {HttpError} 404 if there is no station with that name
+ */
+async function findStation(client, name) {
+	const result = await client.query(
+		"SELECT station_id, name, is_expo, sort_order FROM kitchen_station WHERE LOWER(name) = LOWER($1);",
+		[name]
+	);
+	if (result.rows.length === 0) {
+		throw new HttpError(404, `There is no kitchen station named ${name}.`);
+	}
+	return result.rows[0];
+}
+
+/**
+ * Adds a kitchen station, or changes one when a station ID is given.
+ *
+ * @param {Object} client Database client of the transaction
+ * @param {Number|null} stationId ID of the station to change, null to add one
+ * @param {Object} station The station as sent by the browser
+ * @param {String} station.name Name of the station, such as fryer
+ * @param {Boolean=} station.is_expo Whether the station sees whole tickets, false if unincluded
+ * @param {Number=} station.sort_order Where the station is listed, 0 if unincluded
+ * @returns {Promise<Object>} The saved station
+ * @throws {HttpError} 400 if the name is missing or taken or the sort order is not a whole number, 404 if there is no such station
+ */
+async function saveStation(client, stationId, { name, is_expo, sort_order }) {
+	const trimmedName = typeof name === "string" ? name.trim() : "";
+	if (!trimmedName) {
+		throw new HttpError(400, "A station needs a name.");
+	}
+	const sortOrder = sort_order === undefined || sort_order === "" ? 0 : Number(sort_order);
+	if (!Number.isInteger(sortOrder)) {
+		throw new HttpError(400, "sort_order must be a whole number.");
+	}
+
+	const takenResult = await client.query(
+		"SELECT station_id FROM kitchen_station WHERE LOWER(name) = LOWER($1) AND station_id <> $2;",
+		[trimmedName, stationId || 0]
+	);
+	if (takenResult.rows.length > 0) {
+		throw new HttpError(400, `There is already a station named ${trimmedName}.`);
+	}
+
+	const result = stationId
+		? await client.query(
+			`UPDATE kitchen_station SET name = $1, is_expo = $2, sort_order = $3 WHERE station_id = $4
+			 RETURNING station_id, name, is_expo, sort_order;`,
+			[trimmedName, Boolean(is_expo), sortOrder, stationId]
+		)
+		: await client.query(
+			`INSERT INTO kitchen_station (name, is_expo, sort_order) VALUES ($1, $2, $3)
+			 RETURNING station_id, name, is_expo, sort_order;`,
+			[trimmedName, Boolean(is_expo), sortOrder]
+		);
+	if (result.rows.length === 0) {
+		throw new HttpError(404, "Kitchen station not found");
+	}
+	return result.rows[0];
+}
+
+/**
+ * Loads the station of every menu item that has one. Sold items are matched to it by menu_id, so renaming a menu
+ * item keeps its station and two items sold under the same name can go to different stations.
+ *
+ * @param {Object} client Database client or pool to run the query on
+ * @returns {Promise<Map<Number, Object>>} The station_id and name of the station of each menu item, by menu_id
+ */
+async function loadStationMap(client) {
+	const result = await client.query(
+		`SELECT m.menu_id, ks.station_id, ks.name
+		 FROM menu m
+		 JOIN kitchen_station ks ON ks.station_id = m.station_id;`
+	);
+	return new Map(result.rows.map(row => [row.menu_id, { station_id: row.station_id, name: row.name }]));
+}
+
+/**
+ * Lists the menu items a kitchen item is made of, the entrees and sides of a meal or the item itself.
+ *
+ * @param {Object} item Kitchen item of type Meal, Appetizer, Drink or Unknown
+ * @returns {Array<Number|null>} The menu_id of each menu item, null for those taken off the menu
+ */
+function itemComponents(item) {
+	if (item.type === "Meal") {
+		return [...item.meat_menu_ids, ...item.side_menu_ids];
+	}
+	return item.type === "Unknown" ? [] : [item.menu_id ?? null];
+}
+
+/**
+ * Adds the names of the stations that make each kitchen item.
+ *
+ * @param {Array<Object>} items Kitchen items of an order
+ * @param {Map<Number, Object>} stationMap Stations by menu_id, from loadStationMap
+ * @returns {Array<Object>} The items, each with `stations`
+ */
+function withItemStations(items, stationMap) {
+	return items.map(item => ({
+		...item,
+		stations: [...new Set(itemComponents(item).filter(menuId => stationMap.has(menuId)).map(menuId => stationMap.get(menuId).name))],
+	}));
+}
+
+/**
+ * Keeps the kitchen items, and the entrees and sides of meals, that a station makes.
+ *
+ * @param {Array<Object>} items Kitchen items of an order
+ * @param {Object} station The station
+ * @param {Map<Number, Object>} stationMap Stations by menu_id, from loadStationMap
+ * @returns {Array<Object>} The items the station makes, meals with only the entrees and sides it makes
+ */
+function itemsForStation(items, station, stationMap) {
+	const atStation = menuId => stationMap.has(menuId) && stationMap.get(menuId).station_id === station.station_id;
+	return items
+		.map(item => (item.type === "Meal"
+			? {
+				...item,
+				meats: item.meats.filter((meat, i) => atStation(item.meat_menu_ids[i])),
+				sides: item.sides.filter((side, i) => atStation(item.side_menu_ids[i])),
+				meat_menu_ids: item.meat_menu_ids.filter(atStation),
+				side_menu_ids: item.side_menu_ids.filter(atStation),
+			}
+			: item))
+		.filter(item => itemComponents(item).some(atStation));
+}
+
+/**
+ * Lists the menu items a station makes, to find the orders that need it.
+ *
+ * @param {Map<Number, Object>} stationMap Stations by menu_id, from loadStationMap
+ * @param {Object} station The station
+ * @returns {Array<Number>} The menu_id of each menu item
+ */
+function stationMenuIds(stationMap, station) {
+	return [...stationMap.entries()].filter(([, itemStation]) => itemStation.station_id === station.station_id).map(([menuId]) => menuId);
+}
+
+/**
+ * Loads which stations finished their part of a set of orders.
+ *
+ * @param {Object} client Database client or pool to run the query on
+ * @param {Array<Number>} receiptIds IDs of the orders' receipts
+ * @returns {Promise<Map<Number, Map<Number, Date>>>} When each station finished, by station ID, for each receipt
+ */
+async function loadStationCompletions(client, receiptIds) {
+	const result = await client.query(
+		"SELECT receipt_id, station_id, completed_at FROM station_completion WHERE receipt_id = ANY($1::int[]);",
+		[receiptIds]
+	);
+	const completions = new Map(receiptIds.map(id => [Number(id), new Map()]));
+	for (const row of result.rows) {
+		completions.get(row.receipt_id).set(row.station_id, row.completed_at);
+	}
+	return completions;
+}
+
+/**
+ * Describes the progress of each station on an order, for the stations that make any of its items.
+ *
+ * @param {Array<Object>} items Kitchen items of the order, with `stations` from withItemStations
+ * @param {Array<Object>} stations Every station, from loadStations
+ * @param {Map<Number, Date>} completed When each station finished, by station ID
+ * @returns {Array<Object>} The station_id, name and completed_at of each station, completed_at null while it is working
+ */
+function describeStationProgress(items, stations, completed) {
+	const needed = new Set(items.flatMap(item => item.stations));
+	return stations
+		.filter(station => needed.has(station.name))
+		.map(station => ({ station_id: station.station_id, name: station.name, completed_at: completed.get(station.station_id) || null }));
+}
+
+/**
+ * Marks a station's part of an order done, so the order leaves the station's screen.
+ *
+ * @param {Object} client Database client of the transaction
+ * @param {Number} receiptId ID of the order's receipt
+ * @param {Number} stationId ID of the station
+ * @param {Number=} employeeId Employee who marked it done, from the session
+ * @returns {Promise<Object>} The order's receipt_id and status
+ * @throws {HttpError} 404 if there is no such order or station, 400 if the order already left the kitchen
+ */
+async function completeStation(client, receiptId, stationId, employeeId) {
+	const orderResult = await client.query("SELECT receipt_id, status FROM receipt WHERE receipt_id = $1 FOR UPDATE;", [receiptId]);
+	if (orderResult.rows.length === 0) {
+		throw new HttpError(404, "Receipt not found");
+	}
+	const stationResult = await client.query(STATION_SNAPSHOT_QUERY, [stationId]);
+	if (stationResult.rows.length === 0) {
+		throw new HttpError(404, "Kitchen station not found");
+	}
+
+	const order = orderResult.rows[0];
+	if (!OPEN_ORDER_STATUSES.includes(order.status)) {
+		throw new HttpError(400, `An order that is ${order.status} is no longer in the kitchen.`);
+	}
+
+	await client.query(
+		`INSERT INTO station_completion (receipt_id, station_id, employee_id) VALUES ($1, $2, $3)
+		 ON CONFLICT (receipt_id, station_id) DO NOTHING;`,
+		[receiptId, stationId, employeeId || null]
+	);
+	return order;
+}
+
+module.exports = {
+	STATION_SNAPSHOT_QUERY,
+	loadStations,
+	findStation,
+	saveStation,
+	loadStationMap,
+	withItemStations,
+	itemsForStation,
+	stationMenuIds,
+	loadStationCompletions,
+	describeStationProgress,
+	completeStation,
+};
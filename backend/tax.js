@@ -0,0 +1,130 @@
+/**
+ * @file tax.js
+ * @description Sales tax engine that calculates and records the tax on receipts
+ *
+ * Tax rates live in the `tax_rate` table with the dates they are effective, and `tax_exemption` lists the menu
+ * tax categories each rate does not apply to. Every rate active on the day of the order is charged on the
+ * subtotal of the items it does not exempt, and the tax of each rate is rounded to the cent. The amounts charged
+ * are stored on `receipt` and broken down per rate in `receipt_tax` for filing.
+ */
+
+const DEFAULT_TAX_CATEGORY = "prepared_food";
+
+/**
+ * Loads the tax rates that are effective on a date, with the categories each one exempts.
+ *
+ * @param {Object} client Database client or pool to run the queries on
+ * @param {Date|String=} date Day of the order, today when not given
+ * @returns {Promise<Array<Object>>} Rates with tax_rate_id, name, rate and exempt_categories
+ */
+async function loadTaxRates(client, date = null) {
+	const ratesResult = await client.query(
+		`SELECT tax_rate_id, name, rate
+		 FROM tax_rate
+		 WHERE effective_from <= COALESCE($1::date, CURRENT_DATE)
+		   AND (effective_to IS NULL OR effective_to >= COALESCE($1::date, CURRENT_DATE))
+		 ORDER BY tax_rate_id;`,
+		[date]
+	);
+	if (ratesResult.rows.length === 0) {
+		return [];
+	}
+
+	const exemptionsResult = await client.query(
+		"SELECT tax_rate_id, tax_category FROM tax_exemption WHERE tax_rate_id = ANY($1::int[]);",
+		[ratesResult.rows.map(rate => rate.tax_rate_id)]
+	);
+
+	return ratesResult.rows.map(rate => ({
+		tax_rate_id: rate.tax_rate_id,
+		name: rate.name,
+		rate: Number(rate.rate),
+		exempt_categories: exemptionsResult.rows
+			.filter(exemption => exemption.tax_rate_id === rate.tax_rate_id)
+			.map(exemption => exemption.tax_category),
+	}));
+}
+
+/**
+ * Calculates the tax on a set of sold items.
+ *
+ * @param {Array<Object>} lines Items with `amount_cents`, the price of all units, and `tax_category`
+ * @param {Array<Object>} rates Rates returned by loadTaxRates
+ * @returns {Object} `{ subtotal_cents, tax_cents, total_cents, taxes }` where taxes has the taxable, exempt
+ * and tax amount of each rate in cents
+ */
+function calculateTax(lines, rates) {
+	const subtotalCents = lines.reduce((sum, line) => sum + line.amount_cents, 0);
+
+	const taxes = rates.map(rate => {
+		const taxableCents = lines
+			.filter(line => !rate.exempt_categories.includes(line.tax_category || DEFAULT_TAX_CATEGORY))
+			.reduce((sum, line) => sum + line.amount_cents, 0);
+
+		return {
+			tax_rate_id: rate.tax_rate_id,
+			name: rate.name,
+			rate: rate.rate,
+			taxable_cents: taxableCents,
+			exempt_cents: subtotalCents - taxableCents,
+			// toFixed removes floating point noise such as 16.499999 before rounding to the cent
+			tax_cents: Math.round(Number((taxableCents * rate.rate).toFixed(6))),
+		};
+	});
+
+	const taxCents = taxes.reduce((sum, tax) => sum + tax.tax_cents, 0);
+
+	return {
+		subtotal_cents: subtotalCents,
+		tax_cents: taxCents,
+		total_cents: subtotalCents + taxCents,
+		taxes,
+	};
+}
+
+/**
+ * Stores the amounts of a tax calculation on a receipt, replacing any earlier calculation.
+ * `totalamount` is kept equal to `total` for the reports that read it.
+ *
+ * @param {Object} client Database client of the transaction the receipt is saved in
+ * @param {Number} receiptId ID of the receipt
+ * @param {Object} tax Result of calculateTax
+ * @returns {Promise<void>}
+ */
+async function saveReceiptTax(client, receiptId, tax) {
+	await client.query(
+		"UPDATE receipt SET subtotal = $1, tax_amount = $2, total = $3, totalamount = $3 WHERE receipt_id = $4;",
+		[tax.subtotal_cents / 100, tax.tax_cents / 100, tax.total_cents / 100, receiptId]
+	);
+
+	await client.query("DELETE FROM receipt_tax WHERE receipt_id = $1;", [receiptId]);
+	for (const rateTax of tax.taxes) {
+		await client.query(
+			`INSERT INTO receipt_tax (receipt_id, tax_rate_id, taxable_amount, exempt_amount, tax_amount)
+			 VALUES ($1, $2, $3, $4, $5);`,
+			[receiptId, rateTax.tax_rate_id, rateTax.taxable_cents / 100, rateTax.exempt_cents / 100, rateTax.tax_cents / 100]
+		);
+	}
+}
+
+/**
+ * Converts a tax calculation to the shape sent to the frontend, with amounts in dollars.
+ *
+ * @param {Object} tax Result of calculateTax
+ * @returns {Object} Subtotal, tax, total and the tax of each rate
+ */
+function describeTax(tax) {
+	return {
+		subtotal: tax.subtotal_cents / 100,
+		tax_amount: tax.tax_cents / 100,
+		total: tax.total_cents / 100,
+		taxes: tax.taxes.map(rateTax => ({
+			name: rateTax.name,
+			rate: rateTax.rate,
+			taxable_amount: rateTax.taxable_cents / 100,
+			tax_amount: rateTax.tax_cents / 100,
+		})),
+	};
+}
+
+module.exports = { DEFAULT_TAX_CATEGORY, loadTaxRates, calculateTax, saveReceiptTax, describeTax };
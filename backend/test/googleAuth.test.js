@@ -0,0 +1,96 @@
+/**
+ * @file googleAuth.test.js
+ * @description Tests of Google ID token verification against a local JSON Web Key Set
+ *
+ * The key set is written to a temporary file named by `GOOGLE_JWKS_FILE`, so the tests never download
+ * Google's certificates. Tokens are signed with the key in that set, or with another key to forge them.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const CLIENT_ID = "test-client.apps.googleusercontent.com";
+const KEY_ID = "test-key";
+
+const signingKey = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const otherKey = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const jwksFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "jwks-")), "jwks.json");
+fs.writeFileSync(jwksFile, JSON.stringify({
+	keys: [{ ...signingKey.publicKey.export({ format: "jwk" }), kid: KEY_ID, alg: "RS256", use: "sig" }],
+}));
+
+process.env.GOOGLE_JWKS_FILE = jwksFile;
+process.env.GOOGLE_CLIENT_ID = CLIENT_ID;
+const { GoogleTokenError, verifyGoogleIdToken } = require("../googleAuth");
+
+/**
+ * Builds a signed ID token with claims a valid Google token would have, changed by overrides.
+ *
+ * @param {Object=} overrides Claims to change or add
+ * @param {Object=} privateKey Key to sign with, the key in the key set if unincluded
+ * @returns {String} The token
+ */
+function makeToken(overrides = {}, privateKey = signingKey.privateKey) {
+	const now = Math.floor(Date.now() / 1000);
+	const claims = {
+		iss: "https://accounts.google.com",
+		aud: CLIENT_ID,
+		sub: "1234567890",
+		email: "manager@example.com",
+		email_verified: true,
+		iat: now,
+		exp: now + 3600,
+		...overrides,
+	};
+	const encode = (section) => Buffer.from(JSON.stringify(section)).toString("base64url");
+	const unsigned = `${encode({ alg: "RS256", kid: KEY_ID, typ: "JWT" })}.${encode(claims)}`;
+	const signature = crypto.sign("RSA-SHA256", Buffer.from(unsigned), privateKey).toString("base64url");
+	return `${unsigned}.${signature}`;
+}
+
+/**
+ * Checks that a token is rejected for a reason.
+ *
+ * @param {String} token The token
+ * @param {String} code The GoogleTokenError code expected
+ * @returns {Promise<void>}
+ */
+async function assertRejected(token, code) {
+	await assert.rejects(verifyGoogleIdToken(token), (error) => error instanceof GoogleTokenError && error.code === code);
+}
+
+test("accepts a token signed with a key in the key set", async () => {
+	const claims = await verifyGoogleIdToken(makeToken());
+	assert.strictEqual(claims.email, "manager@example.com");
+});
+
+test("rejects a token signed with another key", async () => {
+	await assertRejected(makeToken({}, otherKey.privateKey), "invalid_signature");
+});
+
+test("rejects a token whose claims were changed after signing", async () => {
+	const [header, , signature] = makeToken().split(".");
+	const [, forgedClaims] = makeToken({ email: "owner@example.com" }).split(".");
+	await assertRejected(`${header}.${forgedClaims}.${signature}`, "invalid_signature");
+});
+
+test("rejects a token issued for another client", async () => {
+	await assertRejected(makeToken({ aud: "other-client.apps.googleusercontent.com" }), "wrong_audience");
+});
+
+test("rejects a token not issued by Google", async () => {
+	await assertRejected(makeToken({ iss: "https://accounts.example.com" }), "wrong_issuer");
+});
+
+test("rejects an expired token", async () => {
+	const now = Math.floor(Date.now() / 1000);
+	await assertRejected(makeToken({ iat: now - 7200, exp: now - 3600 }), "expired");
+});
+
+test("rejects a token whose email is not verified", async () => {
+	await assertRejected(makeToken({ email_verified: false }), "unverified_email");
+});
@@ -0,0 +1,78 @@
+/**
+ * @file payments.test.js
+ * @description Tests of splitting a total across tenders and of the change given for cash
+ *
+ * planPayments works out each tender's amount before anything is charged, and a cash payment only records its
+ * row, so the cash test hands takePayment a client that answers the insert instead of a database.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { HttpError } = require("../errors");
+const { readTenders, planPayments, takePayment } = require("../payments");
+
+/**
+ * Checks that planning payments fails with a 400 and a message.
+ *
+ * @param {Number} totalCents Total to pay in cents
+ * @param {Array<Object>} tenders Tenders as sent by the frontend
+ * @param {String} message The message expected
+ * @returns {void}
+ */
+function assertRejected(totalCents, tenders, message) {
+	assert.throws(
+		() => planPayments(totalCents, readTenders(tenders)),
+		(error) => error instanceof HttpError && error.status === 400 && error.message === message
+	);
+}
+
+test("puts the whole total on a single tender", () => {
+	assert.deepStrictEqual(planPayments(1063, readTenders({ method: "card" })), [1063]);
+	assert.deepStrictEqual(planPayments(1063, readTenders({ method: "cash", amount_tendered: 20 })), [1063]);
+});
+
+test("puts the amount of each tender on it and the rest on a tender without one", () => {
+	const tenders = readTenders([
+		{ method: "gift_card", gift_card_code: "GC-1", amount: 5 },
+		{ method: "card", amount: 2.5 },
+		{ method: "card" },
+	]);
+	assert.deepStrictEqual(planPayments(1063, tenders), [500, 250, 313]);
+});
+
+test("puts what was tendered on cash that does not cover the total and the rest on the next tender", () => {
+	const tenders = readTenders([{ method: "cash", amount_tendered: 4 }, { method: "card" }]);
+	assert.deepStrictEqual(planPayments(1063, tenders), [400, 663]);
+});
+
+test("rejects a tender of more than the balance left", () => {
+	assertRejected(1000, [{ method: "card", amount: 6 }, { method: "card", amount: 5 }], "Payment of $5.00 is more than the balance of $4.00.");
+});
+
+test("rejects tenders that do not cover the total", () => {
+	assertRejected(1000, [{ method: "cash", amount_tendered: 7.5 }], "Payments of $7.50 do not cover the total of $10.00.");
+});
+
+test("rejects a tender after the total is paid", () => {
+	assertRejected(1000, [{ method: "card" }, { method: "cash", amount_tendered: 5 }], "The total is already paid, remove the extra payment.");
+});
+
+test("gives back the cash tendered over the amount as change", async () => {
+	const client = { query: async () => ({ rows: [{ payment_id: 1 }] }) };
+	const [tender] = readTenders({ method: "cash", amount_tendered: 20 });
+	const [amountCents] = planPayments(1063, [tender]);
+	const payment = await takePayment(client, 1, amountCents, tender, "key");
+	assert.deepStrictEqual(
+		[payment.amount_cents, payment.amount_tendered_cents, payment.change_cents],
+		[1063, 2000, 937]
+	);
+});
+
+test("rejects cash that does not cover the amount put on it", async () => {
+	const client = { query: async () => ({ rows: [{ payment_id: 1 }] }) };
+	const [tender] = readTenders({ method: "cash", amount_tendered: 5 });
+	await assert.rejects(
+		takePayment(client, 1, 1063, tender, "key"),
+		(error) => error instanceof HttpError && error.status === 400
+	);
+});
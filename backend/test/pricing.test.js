@@ -0,0 +1,112 @@
+/**
+ * @file pricing.test.js
+ * @description Tests of pricing orders from the menu: meal surcharges, quantities and rounding to the cent
+ *
+ * priceOrder only reads the menu, meal sizes, promotions and tax rates, so the tests hand it a client that answers
+ * each query with the rows of the table it reads from instead of a database.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { HttpError } = require("../errors");
+const { MAX_ITEM_QUANTITY, priceOrder } = require("../pricing");
+
+const MENU = [
+	{ menu_id: 1, name: "Plate", item_type: "meal", price: "9.80", tax_category: "prepared_food", category: null },
+	{ menu_id: 2, name: "Orange Chicken", item_type: "entree", price: "0.00", tax_category: "prepared_food", category: null },
+	{ menu_id: 3, name: "Honey Walnut Shrimp", item_type: "entree", price: "1.50", tax_category: "prepared_food", category: null },
+	{ menu_id: 4, name: "Chow Mein", item_type: "side", price: "0.00", tax_category: "prepared_food", category: null },
+	{ menu_id: 5, name: "White Rice", item_type: "side", price: "0.00", tax_category: "prepared_food", category: null },
+	{ menu_id: 6, name: "Dr Pepper", item_type: "drink", price: "2.10", tax_category: "prepared_food", category: null },
+	{ menu_id: 7, name: "Egg Roll", item_type: "appetizer", price: "1.95", tax_category: "prepared_food", category: null },
+];
+
+const MEAL_SIZES = [
+	{ menu_id: 1, name: "Plate", entree_count: 2, side_count: 1, half_sides: true, entree_portion: "1.000", side_portion: "1.500" },
+];
+
+const SALES_TAX = { tax_rate_id: 1, name: "Sales tax", rate: "0.08250" };
+
+/**
+ * Builds a client that answers every query with the rows of the table it reads from.
+ *
+ * @param {Object=} tables Rows to return by table name, added to the menu, the meal sizes and an 8.25% sales tax
+ * @returns {Object} Client with a query method like the pg pool's
+ */
+function fakeClient(tables = {}) {
+	const rows = { menu: MENU, meal_size: MEAL_SIZES, tax_rate: [SALES_TAX], ...tables };
+	return {
+		query: async (sql) => ({ rows: rows[sql.match(/FROM (\w+)/)[1]] || [] }),
+	};
+}
+
+test("adds the price of each premium entree to the price of the meal", async () => {
+	const { items, breakdown } = await priceOrder(fakeClient(), [
+		{ name: "Plate", type: "meal", entrees: ["Honey Walnut Shrimp", "Orange Chicken"], sides: ["Chow Mein"] },
+	]);
+	assert.strictEqual(items[0].unit_price_cents, 1130);
+	assert.deepStrictEqual(breakdown.items[0].premiums, [{ name: "Honey Walnut Shrimp", price: 1.5 }]);
+	assert.strictEqual(breakdown.items_total, 11.3);
+});
+
+test("charges a premium entree chosen twice twice", async () => {
+	const { items } = await priceOrder(fakeClient(), [
+		{ name: "Plate", type: "meal", entrees: ["Honey Walnut Shrimp", "Honey Walnut Shrimp"], sides: ["Chow Mein"] },
+	]);
+	assert.strictEqual(items[0].unit_price_cents, 1280);
+});
+
+test("splits the side portion of a half and half side between its two sides", async () => {
+	const { items } = await priceOrder(fakeClient(), [
+		{ name: "Plate", type: "meal", entrees: ["Orange Chicken", "Orange Chicken"], sides: ["Chow Mein", "White Rice"] },
+	]);
+	const sides = items[0].components.filter((component) => component.role === "side");
+	assert.deepStrictEqual(sides.map((side) => [side.name, side.portion, side.servings]), [["Chow Mein", 0.75, 0.5], ["White Rice", 0.75, 0.5]]);
+	assert.strictEqual(items[0].unit_price_cents, 980);
+});
+
+test("adds up amounts in cents so totals carry no floating point error", async () => {
+	const { breakdown } = await priceOrder(fakeClient(), [
+		{ name: "Dr Pepper", type: "drink", quantity: 3 },
+		{ name: "Egg Roll", type: "appetizer", quantity: 7 },
+	]);
+	// 3 × 2.10 + 7 × 1.95 is 19.950000000000003 in floating point
+	assert.strictEqual(breakdown.items_total, 19.95);
+	assert.strictEqual(breakdown.subtotal, 19.95);
+});
+
+test("rounds the sales tax to the nearest cent", async () => {
+	const { breakdown } = await priceOrder(fakeClient(), [{ name: "Egg Roll", type: "appetizer", quantity: 3 }]);
+	// 8.25% of 5.85 is 0.482625
+	assert.strictEqual(breakdown.tax_amount, 0.48);
+	assert.strictEqual(breakdown.total, 6.33);
+});
+
+test("rejects a meal that does not fit its meal size", async () => {
+	await assert.rejects(
+		priceOrder(fakeClient(), [{ name: "Plate", type: "meal", entrees: ["Orange Chicken"], sides: ["Chow Mein"] }]),
+		(error) => error instanceof HttpError && error.status === 400 && error.message === "Plate needs 2 entrees."
+	);
+});
+
+test("rejects an item that is not on the menu", async () => {
+	await assert.rejects(
+		priceOrder(fakeClient(), [{ name: "Sprite", type: "drink" }]),
+		(error) => error instanceof HttpError && error.status === 400
+	);
+});
+
+test("accepts quantities up to the most one item can have", async () => {
+	const { items } = await priceOrder(fakeClient(), [{ name: "Egg Roll", type: "appetizer", quantity: MAX_ITEM_QUANTITY }]);
+	assert.strictEqual(items[0].quantity, MAX_ITEM_QUANTITY);
+});
+
+test("rejects quantities that are not whole numbers from 1 to the most one item can have", async () => {
+	for (const quantity of [0, 1.5, MAX_ITEM_QUANTITY + 1, 1e9]) {
+		await assert.rejects(
+			priceOrder(fakeClient(), [{ name: "Egg Roll", type: "appetizer", quantity }]),
+			(error) => error instanceof HttpError && error.status === 400,
+			`quantity ${quantity}`
+		);
+	}
+});
@@ -0,0 +1,135 @@
+/**
+ * @file promotions.test.js
+ * @description Tests of promotions: promo code checks, date windows, usage limits, minimum subtotals and discounts
+ *
+ * loadPromotions is handed a client that answers with the rows of the promotion table, the date windows and usage
+ * limits are checked on them without a database.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { HttpError } = require("../errors");
+const { loadPromotions, allocateProportionally, applyPromotions } = require("../promotions");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Builds a row of the promotion table.
+ *
+ * @param {Object} overrides Columns to change
+ * @returns {Object} The row, an automatic 10% off the order without limits unless changed
+ */
+function promotion(overrides) {
+	return {
+		promotion_id: 1,
+		name: "10% off",
+		rule_type: "percent_off",
+		code: null,
+		item_name: null,
+		value: "10",
+		min_subtotal: "0",
+		starts_at: null,
+		ends_at: null,
+		usage_limit: null,
+		times_used: 0,
+		...overrides,
+	};
+}
+
+/**
+ * Builds a client that answers the query of loadPromotions.
+ *
+ * @param {Array<Object>} rows Rows of the promotion table
+ * @returns {Object} Client with a query method like the pg pool's
+ */
+function fakeClient(rows) {
+	return { query: async () => ({ rows }) };
+}
+
+/**
+ * Checks that a promise is rejected with a 400 and a message.
+ *
+ * @param {Promise} promise The promise
+ * @param {String} message The message expected
+ * @returns {Promise<void>}
+ */
+async function assertBadRequest(promise, message) {
+	await assert.rejects(promise, (error) => error instanceof HttpError && error.status === 400 && error.message === message);
+}
+
+test("leaves out automatic promotions that are used up or outside their dates", async () => {
+	const now = Date.now();
+	const rows = [
+		promotion({ promotion_id: 1 }),
+		promotion({ promotion_id: 2, usage_limit: 5, times_used: 5 }),
+		promotion({ promotion_id: 3, starts_at: new Date(now + DAY) }),
+		promotion({ promotion_id: 4, ends_at: new Date(now - DAY) }),
+		promotion({ promotion_id: 5, usage_limit: 5, times_used: 4, starts_at: new Date(now - DAY), ends_at: new Date(now + DAY) }),
+	];
+	const promotions = await loadPromotions(fakeClient(rows));
+	assert.deepStrictEqual(promotions.map((row) => row.promotion_id), [1, 5]);
+});
+
+test("rejects a promo code that does not exist", async () => {
+	await assertBadRequest(loadPromotions(fakeClient([]), " nope "), 'Promo code "nope" is not valid.');
+});
+
+test("rejects a promo code that is not active yet or has expired", async () => {
+	const now = Date.now();
+	await assertBadRequest(
+		loadPromotions(fakeClient([promotion({ code: "SOON", starts_at: new Date(now + DAY) })]), "SOON"),
+		'Promo code "SOON" is not active yet.'
+	);
+	await assertBadRequest(
+		loadPromotions(fakeClient([promotion({ code: "OLD", ends_at: new Date(now - DAY) })]), "OLD"),
+		'Promo code "OLD" has expired.'
+	);
+});
+
+test("rejects a promo code that reached its usage limit", async () => {
+	await assertBadRequest(
+		loadPromotions(fakeClient([promotion({ code: "ONCE", usage_limit: 1, times_used: 1 })]), "ONCE"),
+		'Promo code "ONCE" has been used up.'
+	);
+});
+
+test("skips a promotion until the order reaches its minimum subtotal", () => {
+	const items = [{ name: "Plate", quantity: 1, unit_price_cents: 980 }];
+	const fiveOff = promotion({ rule_type: "amount_off", value: "5", min_subtotal: "10" });
+	assert.deepStrictEqual(applyPromotions(items, [fiveOff]).discounts, []);
+	assert.deepStrictEqual(applyPromotions([{ ...items[0], quantity: 2 }], [fiveOff]).item_discounts_cents, [500]);
+});
+
+test("rejects a promo code that takes nothing off the order", () => {
+	const freeDrink = promotion({ rule_type: "free_item", code: "FREEDRINK", item_name: "Dr Pepper" });
+	assert.throws(
+		() => applyPromotions([{ name: "Egg Roll", quantity: 1, unit_price_cents: 195 }], [freeDrink], "FREEDRINK"),
+		(error) => error instanceof HttpError && error.status === 400
+	);
+});
+
+test("never takes an item below zero", () => {
+	const items = [{ name: "Egg Roll", quantity: 1, unit_price_cents: 195 }];
+	const { discounts, item_discounts_cents } = applyPromotions(items, [promotion({ rule_type: "amount_off", value: "5" })]);
+	assert.strictEqual(discounts[0].amount_cents, 195);
+	assert.deepStrictEqual(item_discounts_cents, [195]);
+});
+
+test("applies item promotions before whole order promotions", () => {
+	const items = [
+		{ name: "Egg Roll", quantity: 2, unit_price_cents: 200 },
+		{ name: "Dr Pepper", quantity: 1, unit_price_cents: 210 },
+	];
+	const { discounts } = applyPromotions(items, [
+		promotion({ promotion_id: 1, name: "10% off" }),
+		promotion({ promotion_id: 2, name: "BOGO egg roll", rule_type: "bogo", item_name: "Egg Roll" }),
+	]);
+	// The free egg roll comes off first, then 10% of the 4.10 left
+	assert.deepStrictEqual(discounts.map((discount) => [discount.name, discount.amount_cents]), [["BOGO egg roll", 200], ["10% off", 41]]);
+});
+
+test("splits an amount across items in proportion, with the leftover cents on the first items", () => {
+	assert.deepStrictEqual(allocateProportionally([100, 100, 100], 100), [34, 33, 33]);
+	assert.deepStrictEqual(allocateProportionally([100, 300], 1000), [100, 300]);
+	assert.deepStrictEqual(allocateProportionally([0, 0], 50), [0, 0]);
+});
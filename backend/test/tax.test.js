@@ -0,0 +1,86 @@
+/**
+ * @file tax.test.js
+ * @description Tests of the sales tax engine: rates effective on the day of the order, exemptions and rounding
+ *
+ * Which rates are effective on a day is decided by the query in loadTaxRates, so its tests check the day it asks
+ * for. calculateTax is tested with the rates loadTaxRates returns.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadTaxRates, calculateTax } = require("../tax");
+
+const STATE_TAX = { tax_rate_id: 1, name: "State tax", rate: 0.0625, exempt_categories: [] };
+const CITY_TAX = { tax_rate_id: 2, name: "City tax", rate: 0.02, exempt_categories: ["bottled_drink"] };
+
+/**
+ * Builds a client that answers the rate and exemption queries of loadTaxRates and records each query.
+ *
+ * @param {Array<Object>} rates Rows of tax_rate effective on the day asked for
+ * @param {Array<Object>} exemptions Rows of tax_exemption
+ * @returns {Object} Client with a query method like the pg pool's and the queries it was sent in `queries`
+ */
+function fakeClient(rates, exemptions) {
+	const queries = [];
+	return {
+		queries,
+		query: async (sql, params) => {
+			queries.push({ sql, params });
+			return { rows: /FROM tax_rate\b/.test(sql) ? rates : exemptions };
+		},
+	};
+}
+
+test("loads the rates effective on the day of the order", async () => {
+	const client = fakeClient([], []);
+	await loadTaxRates(client, "2024-07-01");
+	assert.deepStrictEqual(client.queries[0].params, ["2024-07-01"]);
+	assert.match(client.queries[0].sql, /effective_from <= COALESCE\(\$1::date, CURRENT_DATE\)/);
+	assert.match(client.queries[0].sql, /effective_to IS NULL OR effective_to >= COALESCE\(\$1::date, CURRENT_DATE\)/);
+});
+
+test("loads the rates effective today when no day is given", async () => {
+	const client = fakeClient([], []);
+	assert.deepStrictEqual(await loadTaxRates(client), []);
+	assert.deepStrictEqual(client.queries[0].params, [null]);
+	assert.strictEqual(client.queries.length, 1);
+});
+
+test("gives each rate the categories it exempts", async () => {
+	const client = fakeClient(
+		[{ tax_rate_id: 1, name: "State tax", rate: "0.06250" }, { tax_rate_id: 2, name: "City tax", rate: "0.02000" }],
+		[{ tax_rate_id: 2, tax_category: "bottled_drink" }]
+	);
+	assert.deepStrictEqual(await loadTaxRates(client, "2024-07-01"), [STATE_TAX, CITY_TAX]);
+});
+
+test("charges every rate on the items it does not exempt", () => {
+	const tax = calculateTax(
+		[{ amount_cents: 1000, tax_category: "prepared_food" }, { amount_cents: 200, tax_category: "bottled_drink" }],
+		[STATE_TAX, CITY_TAX]
+	);
+	assert.deepStrictEqual(tax.taxes.map((rateTax) => [rateTax.name, rateTax.taxable_cents, rateTax.exempt_cents, rateTax.tax_cents]), [
+		["State tax", 1200, 0, 75],
+		["City tax", 1000, 200, 20],
+	]);
+	assert.strictEqual(tax.subtotal_cents, 1200);
+	assert.strictEqual(tax.tax_cents, 95);
+	assert.strictEqual(tax.total_cents, 1295);
+});
+
+test("treats items without a tax category as prepared food", () => {
+	const tax = calculateTax([{ amount_cents: 1000 }], [{ ...CITY_TAX, exempt_categories: ["prepared_food"] }]);
+	assert.strictEqual(tax.taxes[0].exempt_cents, 1000);
+	assert.strictEqual(tax.tax_cents, 0);
+});
+
+test("rounds the tax of each rate to the nearest cent, half a cent up", () => {
+	// 7.25% of 200 cents is 14.499999999999998 in floating point
+	const tax = calculateTax([{ amount_cents: 200 }], [{ tax_rate_id: 1, name: "Sales tax", rate: 0.0725, exempt_categories: [] }]);
+	assert.strictEqual(tax.tax_cents, 15);
+});
+
+test("charges no tax when no rate is effective", () => {
+	const tax = calculateTax([{ amount_cents: 1000 }], []);
+	assert.deepStrictEqual(tax, { subtotal_cents: 1000, tax_cents: 0, total_cents: 1000, taxes: [] });
+});
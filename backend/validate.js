@@ -0,0 +1,109 @@
+/**
+ * @file validate.js
+ * @description Request body validation for API routes
+ *
+ * A schema maps each field of `req.body` to a type. Append `?` to a type to make the field optional.
+ * - string: a non-empty string
+ * - number: a finite number, numeric strings from form inputs are converted
+ * - integer: a whole number, numeric strings from form inputs are converted
+ * - email: a string that looks like an email address
+ *
+ * @example
+ * router.post("/addInventoryItem", validateBody({ name: "string", quantity: "number", quantity_type: "string" }), ...);
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Checks and converts a single value.
+ *
+ * @param {*} value The value sent in the request body
+ * @param {String} type One of string, number, integer or email
+ * @returns {Object} `{ value }` with the converted value, or `{ error }` describing what is wrong
+ */
+function checkValue(value, type) {
+	switch (type) {
+		case "string":
+			return typeof value === "string" && value.trim() !== ""
+				? { value }
+				: { error: "must be a non-empty string" };
+
+		case "number":
+		case "integer": {
+			const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+			if (typeof number !== "number" || !Number.isFinite(number)) {
+				return { error: `must be ${type === "integer" ? "an integer" : "a number"}` };
+			}
+			if (type === "integer" && !Number.isInteger(number)) {
+				return { error: "must be an integer" };
+			}
+			return { value: number };
+		}
+
+		case "email":
+			return typeof value === "string" && EMAIL_PATTERN.test(value)
+				? { value }
+				: { error: "must be a valid email address" };
+
+		default:
+			throw new Error(`Unknown validation type ${type}`);
+	}
+}
+
+/**
+ * Checks a request body against a schema.
+ *
+ * @param {Object} body The request body
+ * @param {Object} schema Map of field names to types
+ * @returns {Object} `{ values, fields }` with the converted values and an error message for each invalid field
+ */
+function checkBody(body, schema) {
+	const values = {};
+	const fields = {};
+
+	for (const [field, rule] of Object.entries(schema)) {
+		const optional = rule.endsWith("?");
+		const type = optional ? rule.slice(0, -1) : rule;
+		const value = body ? body[field] : undefined;
+
+		if (value === undefined || value === null || value === "") {
+			if (!optional) {
+				fields[field] = "is required";
+			}
+			continue;
+		}
+
+		const checked = checkValue(value, type);
+		if (checked.error) {
+			fields[field] = checked.error;
+		} else {
+			values[field] = checked.value;
+		}
+	}
+
+	return { values, fields };
+}
+
+/**
+ * Creates Express middleware that rejects requests whose body does not match a schema.
+ * Invalid requests get a 400 response with a summary in `error` and a message per field in `fields`.
+ * Valid values are converted in place, so numeric strings reach the route as numbers.
+ *
+ * @param {Object} schema Map of field names to types
+ * @returns {Function} Express middleware
+ */
+function validateBody(schema) {
+	return (req, res, next) => {
+		const { values, fields } = checkBody(req.body, schema);
+
+		if (Object.keys(fields).length > 0) {
+			const summary = Object.entries(fields).map(([field, message]) => `${field} ${message}`).join(", ");
+			return res.status(400).json({ success: false, error: `Invalid request: ${summary}.`, fields });
+		}
+
+		req.body = { ...req.body, ...values };
+		next();
+	};
+}
+
+module.exports = { validateBody };
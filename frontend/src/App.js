@@ -8,6 +8,7 @@
  * Features:
  * - Provides routing for various pages within the application.
  * - Each route corresponds to a different page
+ * - Manager, cashier and kitchen pages are wrapped in `RequirePermission` and redirect to `/login` without a session
  * 
  * @example Usage Example:
  * <App />
@@ -31,14 +32,13 @@ import InventoryAdd from './pages/InventoryAdd';
 import InventoryEdit from './pages/InventoryEdit';
 import RestockReportPage from './pages/RestockReportPage';
 import SalesReportPage from './pages/SalesReportPage';
+import ServiceReportPage from './pages/ServiceReportPage';
 import AddEmployee from './pages/AddEmpployee';
 import ListEmployee from './pages/ListEmployee';
 import EditEmployee from './pages/EditEmployee';
 import OrderPage from './pages/OrderPage';
 import ShoppingCartPage from './pages/ShoppingCartPage';
-import SelectEntreePage1 from './pages/SelectEntreePage1';
-import SelectEntreePage2 from './pages/SelectEntreePage2';
-import SelectEntreePage3 from './pages/SelectEntreePage3';
+import SelectEntreePage from './pages/SelectEntreePage';
 import SelectSidePage from './pages/SelectSidePage';
 import CompletedOrderPage from './pages/CompletedOrderPage';
 import KitchenView from './pages/KitchenView';
@@ -53,6 +53,9 @@ import ReceiptEdit from './pages/ReceiptEdit';
 import ReceiptView from './pages/ReceiptView';
 import ExcessReportPage from './pages/ExcessReportPage';
 import ItemCountPage from './pages/ItemCountPage';
+import AuditLogPage from './pages/AuditLogPage';
+import KitchenStationsPage from './pages/KitchenStationsPage';
+import RequirePermission from './components/RequirePermission';
 
 
 /**
@@ -73,38 +76,39 @@ function App() {
         <Route path="/menu" element={<Menu />} />
         <Route path="/login" element={<Login />} />
         <Route path="/manageroremployee" element={<ManagerOrEmployee />} />
-        <Route path="/managerselection" element={<ManagerSelection />} />
-        <Route path="/graphspage" element={<GraphsPage />} />
-        <Route path="/xzreportpage" element={<XZReportPage />} />
-        <Route path="/cashierpage" element={<CashierPage />} />
-        <Route path="/restockreportpage" element={<RestockReportPage />} />
-        <Route path="/inventorypage" element={<InventoryPage />} />
-        <Route path="/inventoryadd" element={<InventoryAdd />} />
-        <Route path="/inventoryedit" element={<InventoryEdit />} />
-        <Route path="/salesreportpage" element={<SalesReportPage />} />
-        <Route path="/listemployee" element={<ListEmployee />} />
-        <Route path="/addemployee" element={<AddEmployee />} />
+        <Route path="/managerselection" element={<RequirePermission permission="manage"><ManagerSelection /></RequirePermission>} />
+        <Route path="/graphspage" element={<RequirePermission permission="manage"><GraphsPage /></RequirePermission>} />
+        <Route path="/xzreportpage" element={<RequirePermission permission="manage"><XZReportPage /></RequirePermission>} />
+        <Route path="/cashierpage" element={<RequirePermission permission="register"><CashierPage /></RequirePermission>} />
+        <Route path="/restockreportpage" element={<RequirePermission permission="manage"><RestockReportPage /></RequirePermission>} />
+        <Route path="/inventorypage" element={<RequirePermission permission="manage"><InventoryPage /></RequirePermission>} />
+        <Route path="/inventoryadd" element={<RequirePermission permission="manage"><InventoryAdd /></RequirePermission>} />
+        <Route path="/inventoryedit" element={<RequirePermission permission="manage"><InventoryEdit /></RequirePermission>} />
+        <Route path="/salesreportpage" element={<RequirePermission permission="manage"><SalesReportPage /></RequirePermission>} />
+        <Route path="/servicereportpage" element={<RequirePermission permission="manage"><ServiceReportPage /></RequirePermission>} />
+        <Route path="/listemployee" element={<RequirePermission permission="manage"><ListEmployee /></RequirePermission>} />
+        <Route path="/addemployee" element={<RequirePermission permission="manage"><AddEmployee /></RequirePermission>} />
         <Route path="/order" element={<OrderPage />} />
-        <Route path="/selectEntree1" element={<SelectEntreePage1 />} />
-        <Route path="/selectEntree2" element={<SelectEntreePage2 />} />
-        <Route path="/selectEntree3" element={<SelectEntreePage3 />} />
+        <Route path="/selectEntree" element={<SelectEntreePage />} />
         <Route path="/selectside" element={<SelectSidePage />} />
-        <Route path="/editemployee" element={<EditEmployee />} />
+        <Route path="/editemployee" element={<RequirePermission permission="manage"><EditEmployee /></RequirePermission>} />
         <Route path="/order" element={<OrderPage />} />
         <Route path="/shoppingcart" element={<ShoppingCartPage />} />
         <Route path="/completedorderpage" element={<CompletedOrderPage />} />
-        <Route path="/kitchen" element={<KitchenView />} />
+        <Route path="/kitchen" element={<RequirePermission permission="kitchen"><KitchenView /></RequirePermission>} />
         <Route path="/emailreceiptpage" element={<EmailReceiptPage />} />
-        <Route path="/itempage" element={<ItemPage />} />
-        <Route path="/itemadd" element={<ItemAdd />} />
-        <Route path="/itemedit" element={<ItemEdit />} />
-        <Route path="/ingredientadd" element={<IngredientAdd />} />
-        <Route path="/ingredientedit" element={<IngredientEdit />} />
-        <Route path="/receiptpage" element={<ReceiptPage />} /> 
-        <Route path="/receiptedit" element={<ReceiptEdit />} />
-        <Route path="/receiptview" element={<ReceiptView />} /> 
-        <Route path="/excessreport" element={<ExcessReportPage />} /> 
-        <Route path="/itempopularity" element={<ItemCountPage />} /> 
+        <Route path="/itempage" element={<RequirePermission permission="manage"><ItemPage /></RequirePermission>} />
+        <Route path="/itemadd" element={<RequirePermission permission="manage"><ItemAdd /></RequirePermission>} />
+        <Route path="/itemedit" element={<RequirePermission permission="manage"><ItemEdit /></RequirePermission>} />
+        <Route path="/ingredientadd" element={<RequirePermission permission="manage"><IngredientAdd /></RequirePermission>} />
+        <Route path="/ingredientedit" element={<RequirePermission permission="manage"><IngredientEdit /></RequirePermission>} />
+        <Route path="/receiptpage" element={<RequirePermission permission="manage"><ReceiptPage /></RequirePermission>} /> 
+        <Route path="/receiptedit" element={<RequirePermission permission="manage"><ReceiptEdit /></RequirePermission>} />
+        <Route path="/receiptview" element={<RequirePermission permission="manage"><ReceiptView /></RequirePermission>} /> 
+        <Route path="/excessreport" element={<RequirePermission permission="manage"><ExcessReportPage /></RequirePermission>} /> 
+        <Route path="/itempopularity" element={<RequirePermission permission="manage"><ItemCountPage /></RequirePermission>} /> 
+        <Route path="/auditlog" element={<RequirePermission permission="manage"><AuditLogPage /></RequirePermission>} />
+        <Route path="/kitchenstations" element={<RequirePermission permission="manage"><KitchenStationsPage /></RequirePermission>} />
       </Routes>
     </BrowserRouter>
   );
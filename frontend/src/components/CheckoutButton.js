@@ -2,16 +2,20 @@
  * CheckoutButton Component
  * 
  * This component renders a button for completing the checkout process in the cashier interface.
- * It validates the current order, processes the checkout, and resets the order upon successful completion.
+ * It validates the current order, takes the payments, processes the checkout, and resets the order upon successful completion.
  * 
  * Features:
  * - Validates the order before proceeding to checkout.
+ * - Takes payments in cash, by card or with a gift card until the balance is paid, and shows the change due for cash.
+ * - Pays each check of a split order on its own, one after the other, and saves all checks together.
  * - Calls the backend API to process the order.
  * - Resets the order upon successful checkout.
  * 
  * Props:
  * @param {Array<Object>} orderList - The list of items in the current order.
- * @param {number} totalPrice - The total price of the current order.
+ * @param {Array<Array<Object>>} [checks] - The items of each check when the order is split, every check gets its own receipt.
+ * @param {string} [promoCode] - The promo code applied to the order, or to the first check of a split order.
+ * @param {number} total - The total of the order, used to suggest the cash tendered.
  * @param {function} resetOrder - A function to reset the order after checkout.
  * 
  * @component
@@ -19,28 +23,75 @@
  * // Example usage
  * <CheckoutButton 
  *   orderList={currentOrder} 
- *   totalPrice={42.99} 
+ *   total={12.34} 
  *   resetOrder={clearOrder} 
  * />
  */
 
 import React, { useState, useEffect } from 'react';
-import { processOrder } from '../services/CashierPageAPI';
+import { processOrder, processSplitOrder, quoteOrder } from '../services/CashierPageAPI';
 import styles from '../styles/CashierPage.module.css';
 import { useFasterTranslate } from '../contexts/FasterTranslationContext';
 
+/**
+ * Works out the balance left after a list of payments, the same way the backend applies them:
+ * a payment without an amount pays the rest, except cash that does not cover it, which pays what was tendered.
+ * 
+ * @param {number} total - The total to pay in dollars.
+ * @param {Array<Object>} tenders - The payments taken so far.
+ * @returns {number} - The balance left in cents.
+ */
+const balanceAfter = (total, tenders) => {
+  let balanceCents = Math.round(total * 100);
+  for (const tender of tenders) {
+    let amountCents = tender.amount !== undefined ? Math.round(tender.amount * 100) : balanceCents;
+    if (tender.amount === undefined && tender.method === 'cash') {
+      amountCents = Math.min(Math.round(tender.amount_tendered * 100), balanceCents);
+    }
+    balanceCents -= amountCents;
+  }
+  return balanceCents;
+};
+
 /**
  * Renders a button for completing the checkout process.
  * 
  * @param {Object} props - Props for the component.
  * @param {Array<Object>} props.orderList - The list of items in the current order.
- * @param {number} props.totalPrice - The total price of the current order.
+ * @param {Array<Array<Object>>} [props.checks] - The items of each check when the order is split.
+ * @param {string} [props.promoCode] - The promo code applied to the order.
+ * @param {number} props.total - The total of the order.
  * @param {function} props.resetOrder - A function to reset the order after checkout.
  * @returns {JSX.Element} - The rendered CheckoutButton component.
  */
-const CheckoutButton = ({ orderList, totalPrice, resetOrder }) => {
+const CheckoutButton = ({ orderList, checks, promoCode, total, resetOrder }) => {
   const { translate } = useFasterTranslate();
   const [buttonLabel, setButtonLabel] = useState('Checkout');
+  const [labels, setLabels] = useState({
+    cash: 'Cash',
+    card: 'Card',
+    giftCard: 'Gift Card',
+    amountTendered: 'Amount tendered',
+    amount: 'Amount (empty for the balance)',
+    cardNumber: 'Card number (optional)',
+    giftCardCode: 'Gift card code',
+    addPayment: 'Add Payment',
+    balanceDue: 'Balance due',
+    check: 'Check',
+    of: 'of',
+    cancel: 'Cancel',
+  });
+  const [paying, setPaying] = useState(false);
+  const [checkTotals, setCheckTotals] = useState([]);
+  const [checkIndex, setCheckIndex] = useState(0);
+  const [checkTenders, setCheckTenders] = useState([]);
+  const [method, setMethod] = useState('cash');
+  const [amount, setAmount] = useState('');
+  const [amountTendered, setAmountTendered] = useState('');
+  const [cardNumber, setCardNumber] = useState('');
+  const [giftCardCode, setGiftCardCode] = useState('');
+
+  const isSplit = Array.isArray(checks) && checks.length > 1;
 
   /**
    * Fetches the translation for the Checkout button text.
@@ -50,6 +101,20 @@ const CheckoutButton = ({ orderList, totalPrice, resetOrder }) => {
       try {
         const translatedLabel = await translate('Checkout');
         setButtonLabel(translatedLabel);
+        setLabels({
+          cash: await translate('Cash'),
+          card: await translate('Card'),
+          giftCard: await translate('Gift Card'),
+          amountTendered: await translate('Amount tendered'),
+          amount: await translate('Amount (empty for the balance)'),
+          cardNumber: await translate('Card number (optional)'),
+          giftCardCode: await translate('Gift card code'),
+          addPayment: await translate('Add Payment'),
+          balanceDue: await translate('Balance due'),
+          check: await translate('Check'),
+          of: await translate('of'),
+          cancel: await translate('Cancel'),
+        });
       } catch (error) {
         console.error('Error translating checkout button label:', error);
       }
@@ -59,12 +124,23 @@ const CheckoutButton = ({ orderList, totalPrice, resetOrder }) => {
   }, [translate]);
 
   /**
-   * Handles the checkout process.
-   * - Validates the order list to ensure there are items to checkout.
-   * - Calls the `processOrder` API function to complete the order.
-   * - Alerts the user of success or failure and resets the order on success.
+   * Clears the payment inputs and suggests the balance as the cash tendered.
    * 
-   * @returns {Promise<void>} - Asynchronous function that handles the checkout process.
+   * @param {number} balanceCents - The balance of the check being paid in cents.
+   * @returns {void}
+   */
+  const resetTenderInputs = (balanceCents) => {
+    setAmount('');
+    setAmountTendered((balanceCents / 100).toFixed(2));
+    setCardNumber('');
+    setGiftCardCode('');
+  };
+
+  /**
+   * Opens the payment form once the order list is validated.
+   * For a split order the total of every check is quoted first, the promo code only goes on the first check.
+   * 
+   * @returns {Promise<void>}
    */
   const handleCheckout = async () => {
     if (orderList.length === 0) {
@@ -72,19 +148,178 @@ const CheckoutButton = ({ orderList, totalPrice, resetOrder }) => {
       return;
     }
 
-    const success = await processOrder(orderList, totalPrice);
-    if (success) {
-      alert('Checkout completed.');
+    let totals = [total || 0];
+    if (isSplit) {
+      totals = [];
+      for (let i = 0; i < checks.length; i++) {
+        const { order, error } = await quoteOrder(checks[i], i === 0 ? promoCode : '');
+        if (!order) {
+          alert(error || 'Checkout failed. Please try again.');
+          return;
+        }
+        totals.push(order.total);
+      }
+    }
+
+    setCheckTotals(totals);
+    setCheckIndex(0);
+    setCheckTenders(totals.map(() => []));
+    resetTenderInputs(Math.round(totals[0] * 100));
+    setPaying(true);
+  };
+
+  /**
+   * Saves the order, or all checks of a split order, with the payments taken.
+   * Nothing is saved if a payment is declined, so the payments are taken again from the first check.
+   * 
+   * @param {Array<Array<Object>>} tenders - The payments of each check.
+   * @returns {Promise<void>}
+   */
+  const submitOrder = async (tenders) => {
+    let result;
+    if (isSplit) {
+      result = await processSplitOrder(checks.map((checkList, i) => ({
+        orderList: checkList,
+        promoCode: i === 0 ? promoCode : '',
+        tenders: tenders[i],
+      })));
+      result.payments = result.checks.flatMap((check) => check.payments);
+    } else {
+      result = await processOrder(orderList, promoCode, tenders[0]);
+    }
+
+    if (result.success) {
+      const changeDue = result.payments.reduce((sum, payment) => sum + payment.change_given, 0);
+      alert(changeDue > 0 ? `Checkout completed. Change due: $${changeDue.toFixed(2)}` : 'Checkout completed.');
+      setPaying(false);
       resetOrder();
     } else {
-      alert('Checkout failed. Please try again.');
+      alert(result.error || 'Checkout failed. Please try again.');
+      setCheckIndex(0);
+      setCheckTenders(checkTotals.map(() => []));
+      resetTenderInputs(Math.round(checkTotals[0] * 100));
     }
   };
 
+  /**
+   * Adds a payment to the check being paid.
+   * Once the check's balance is paid the next check is paid, and once every check is paid the order is saved.
+   * 
+   * @returns {Promise<void>}
+   */
+  const handleAddPayment = async () => {
+    const tender = { method };
+    if (amount !== '') {
+      tender.amount = Number(amount);
+    }
+    if (method === 'cash') {
+      tender.amount_tendered = Number(amountTendered);
+    } else if (method === 'card') {
+      tender.card_number = cardNumber;
+    } else {
+      tender.gift_card_code = giftCardCode;
+    }
+
+    const balanceCents = balanceAfter(checkTotals[checkIndex], checkTenders[checkIndex]);
+    const tenderAmountCents = tender.amount !== undefined ? Math.round(tender.amount * 100) : null;
+    if (tenderAmountCents !== null && (tenderAmountCents <= 0 || tenderAmountCents > balanceCents)) {
+      alert(`Enter an amount up to the balance of $${(balanceCents / 100).toFixed(2)}.`);
+      return;
+    }
+    if (method === 'cash' && (!(tender.amount_tendered > 0) || (tenderAmountCents !== null && Math.round(tender.amount_tendered * 100) < tenderAmountCents))) {
+      alert('Enter the cash tendered.');
+      return;
+    }
+
+    const tenders = checkTenders.map((list, i) => (i === checkIndex ? [...list, tender] : list));
+    setCheckTenders(tenders);
+
+    const newBalanceCents = balanceAfter(checkTotals[checkIndex], tenders[checkIndex]);
+    if (newBalanceCents > 0) {
+      resetTenderInputs(newBalanceCents);
+    } else if (checkIndex < checkTotals.length - 1) {
+      setCheckIndex(checkIndex + 1);
+      resetTenderInputs(Math.round(checkTotals[checkIndex + 1] * 100));
+    } else {
+      await submitOrder(tenders);
+    }
+  };
+
+  if (!paying) {
+    return (
+      <button onClick={handleCheckout} className={styles['checkout-button']}>
+        {buttonLabel}
+      </button>
+    );
+  }
+
+  const balanceCents = balanceAfter(checkTotals[checkIndex], checkTenders[checkIndex]);
+
   return (
-    <button onClick={handleCheckout} className={styles['checkout-button']}>
-      {buttonLabel}
-    </button>
+    <div className={styles['tender-form']}>
+      {isSplit && (
+        <strong>{labels.check} {checkIndex + 1} {labels.of} {checkTotals.length}</strong>
+      )}
+      <span>{labels.balanceDue}: ${(balanceCents / 100).toFixed(2)}</span>
+      <ul className={styles['tender-list']}>
+        {checkTenders[checkIndex].map((tender, index) => (
+          <li key={index}>
+            {tender.method === 'gift_card' ? labels.giftCard : labels[tender.method]}
+            {tender.amount !== undefined && ` $${tender.amount.toFixed(2)}`}
+            {tender.method === 'cash' && ` (${labels.amountTendered} $${tender.amount_tendered.toFixed(2)})`}
+          </li>
+        ))}
+      </ul>
+      <div className={styles['tender-methods']}>
+        {[['cash', labels.cash], ['card', labels.card], ['gift_card', labels.giftCard]].map(([value, label]) => (
+          <button
+            key={value}
+            className={method === value ? styles['selected-tender'] : ''}
+            onClick={() => setMethod(value)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <input
+        type="number"
+        min="0"
+        step="0.01"
+        placeholder={labels.amount}
+        value={amount}
+        onChange={(e) => setAmount(e.target.value)}
+      />
+      {method === 'cash' && (
+        <input
+          type="number"
+          min="0"
+          step="0.01"
+          placeholder={labels.amountTendered}
+          value={amountTendered}
+          onChange={(e) => setAmountTendered(e.target.value)}
+        />
+      )}
+      {method === 'card' && (
+        <input
+          type="text"
+          placeholder={labels.cardNumber}
+          value={cardNumber}
+          onChange={(e) => setCardNumber(e.target.value)}
+        />
+      )}
+      {method === 'gift_card' && (
+        <input
+          type="text"
+          placeholder={labels.giftCardCode}
+          value={giftCardCode}
+          onChange={(e) => setGiftCardCode(e.target.value)}
+        />
+      )}
+      <div className={styles['tender-methods']}>
+        <button onClick={handleAddPayment}>{labels.addPayment}</button>
+        <button onClick={() => setPaying(false)}>{labels.cancel}</button>
+      </div>
+    </div>
   );
 };
 
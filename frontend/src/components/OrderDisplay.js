@@ -8,6 +8,8 @@
  * - Displays the name, quantity, and price of each item in the order.
  * - Includes buttons to increase or decrease the quantity of each item.
  * - Updates the total price for each item when the quantity is adjusted.
+ * - Shows the discounts, subtotal and sales tax of the order when totals are given.
+ * - Lets each item be moved to another check when the order is split into several checks.
  * 
  * Props:
  * @param {Array<Object>} orderList - The list of items in the current order.
@@ -15,6 +17,10 @@
  * @param {number} orderList.price - The price of the item.
  * @param {number} orderList.quantity - The quantity of the item.
  * @param {function} onQuantityChange - Callback function for adjusting the item quantity.
+ * @param {Object} [totals] - The order's price breakdown from the backend, with `discounts`, `subtotal` and `tax_amount`.
+ * @param {number} [checkCount] - The number of checks the order is split into.
+ * @param {Array<number>} [itemChecks] - The check each item is on, starting at 0.
+ * @param {function} [onCheckChange] - Callback function for moving an item to another check.
  * 
  * @component
  * @example
@@ -36,20 +42,32 @@ import { useFasterTranslate } from '../contexts/FasterTranslationContext';
  * @param {Object} props - Props for the component.
  * @param {Array<Object>} props.orderList - The list of items in the order.
  * @param {function} props.onQuantityChange - The function to call when the quantity changes.
+ * @param {Object} [props.totals] - The order's discounts, subtotal and sales tax.
+ * @param {number} [props.checkCount] - The number of checks the order is split into.
+ * @param {Array<number>} [props.itemChecks] - The check each item is on.
+ * @param {function} [props.onCheckChange] - The function to call when an item is moved to another check.
  * @returns {JSX.Element} - The rendered OrderDisplay component.
  */
-const OrderDisplay = ({ orderList, onQuantityChange }) => {
+const OrderDisplay = ({ orderList, onQuantityChange, totals, checkCount = 1, itemChecks = [], onCheckChange }) => {
   const { translate } = useFasterTranslate();
   const [orderLabel, setOrderLabel] = useState('Order');
+  const [subtotalLabel, setSubtotalLabel] = useState('Subtotal');
+  const [taxLabel, setTaxLabel] = useState('Tax');
+  const [discountLabel, setDiscountLabel] = useState('Discount');
+  const [checkLabel, setCheckLabel] = useState('Check');
 
   /**
-   * Fetches the translation for the order header.
+   * Fetches the translations for the order header and the discount and tax lines.
    */
   useEffect(() => {
     const loadTranslation = async () => {
       try {
         const translatedOrderLabel = await translate('Order');
         setOrderLabel(translatedOrderLabel);
+        setSubtotalLabel(await translate('Subtotal'));
+        setTaxLabel(await translate('Tax'));
+        setDiscountLabel(await translate('Discount'));
+        setCheckLabel(await translate('Check'));
       } catch (error) {
         console.error('Error translating order header:', error);
       }
@@ -83,9 +101,40 @@ const OrderDisplay = ({ orderList, onQuantityChange }) => {
             <span className={styles['item-price']}>
               ${(item.price * item.quantity).toFixed(2)} {/* Display price with quantity */}
             </span>
+            {checkCount > 1 && (
+              <select
+                className={styles['item-check']}
+                value={itemChecks[index] || 0}
+                onChange={(e) => onCheckChange(index, Number(e.target.value))}
+              >
+                {Array.from({ length: checkCount }, (_, check) => (
+                  <option key={check} value={check}>
+                    {checkLabel} {check + 1}
+                  </option>
+                ))}
+              </select>
+            )}
           </li>
         ))}
       </ul>
+      {totals && (
+        <ul>
+          {totals.discounts.map((discount) => (
+            <li key={discount.name} className={styles['order-item']}>
+              <span className={styles['item-name']}>{discountLabel} ({discount.name})</span>
+              <span className={styles['item-price']}>-${discount.amount.toFixed(2)}</span>
+            </li>
+          ))}
+          <li className={styles['order-item']}>
+            <span className={styles['item-name']}>{subtotalLabel}</span>
+            <span className={styles['item-price']}>${totals.subtotal.toFixed(2)}</span>
+          </li>
+          <li className={styles['order-item']}>
+            <span className={styles['item-name']}>{taxLabel}</span>
+            <span className={styles['item-price']}>${totals.tax_amount.toFixed(2)}</span>
+          </li>
+        </ul>
+      )}
     </div>
   );
 };
@@ -0,0 +1,61 @@
+/**
+ * RequirePermission Component
+ *
+ * This component guards a route so that only logged in employees whose position grants a permission can see it.
+ * It asks the backend for the current session and redirects to the login page when there is no session
+ * or the employee's permissions do not include the one required.
+ *
+ * Features:
+ * - Checks the session through the `/api/me` endpoint every time the guarded page is opened.
+ * - Redirects to `/login` when the check fails.
+ * - Renders nothing while the check is in progress.
+ *
+ * Props:
+ * @param {string} permission - The permission needed to see the page, such as `manage`, `register` or `kitchen`.
+ * @param {JSX.Element} children - The page to render when the employee has the permission.
+ *
+ * @component
+ * @example
+ * // Example usage
+ * <RequirePermission permission="manage">
+ *   <InventoryPage />
+ * </RequirePermission>
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Navigate } from 'react-router-dom';
+import { fetchCurrentEmployee } from '../services/LoginAPI';
+
+/**
+ * Renders its children only if the logged in employee has the required permission.
+ *
+ * @param {Object} props - Props for the component.
+ * @param {string} props.permission - The permission needed to see the page.
+ * @param {JSX.Element} props.children - The page to render when allowed.
+ * @returns {JSX.Element|null} - The guarded page, a redirect to the login page, or nothing while loading.
+ */
+const RequirePermission = ({ permission, children }) => {
+  // 'loading' until the session check finishes, then 'allowed' or 'denied'
+  const [access, setAccess] = useState('loading');
+
+  useEffect(() => {
+    const checkSession = async () => {
+      const employee = await fetchCurrentEmployee();
+      setAccess(employee && employee.permissions.includes(permission) ? 'allowed' : 'denied');
+    };
+
+    checkSession();
+  }, [permission]);
+
+  if (access === 'loading') {
+    return null;
+  }
+
+  if (access === 'denied') {
+    return <Navigate to="/login" replace />;
+  }
+
+  return children;
+};
+
+export default RequirePermission;
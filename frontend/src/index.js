@@ -28,7 +28,7 @@ const root = createRoot(container);
 
 root.render(
     <React.StrictMode>
-        <GoogleOAuthProvider clientId="196474627665-g0jl6957an659iv89tkl5mdpb9gsi05u.apps.googleusercontent.com">
+        <GoogleOAuthProvider clientId={process.env.REACT_APP_GOOGLE_CLIENT_ID}>
             <FasterTranslationProvider>
                 <TranslationProvider>
                     <TimeProvider>
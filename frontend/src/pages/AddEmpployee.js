@@ -129,7 +129,7 @@ const AddEmployee = () => {
       const result = await response.json();
       if (result.success) {
         alert(labels.success);
-        navigate('/listemployee');
+        navigate('/editemployee', { state: { employee: result.employee } }); // Open the new employee straight away
       } else {
         alert(`${labels.fail} ${result.error}`);
       }
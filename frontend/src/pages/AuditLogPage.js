@@ -0,0 +1,312 @@
+/**
+ * AuditLogPage Component
+ *
+ * @file AuditLogPage.js
+ * @description This component is the audit viewer for managers. It lists the changes managers made to employees,
+ * inventory, recipes, the menu, kitchen stations, receipts and the Z report date, with who made each change, when, and the fields
+ * that changed. The list can be filtered by employee, action, kind of row, row ID and time.
+ *
+ * API Endpoints:
+ * - `GET /api/auditLog` - Fetches the audit entries matching the filters.
+ *
+ * @example <AuditLogPage/>
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { fetchAuditLog } from '../services/AuditLogAPI';
+import { useTranslate } from '../contexts/TranslationContext';
+import styles from '../styles/AllManager.module.css';
+
+const ACTIONS = ['create', 'update', 'delete', 'fire', 'void', 'refund', 'cancel', 'close'];
+const ENTITY_TYPES = ['employee', 'inventory', 'recipe_ingredient', 'menu', 'kitchen_station', 'kitchen_sla', 'receipt', 'z_report'];
+
+const EMPTY_FILTERS = {
+    employee_id: '',
+    action: '',
+    entity_type: '',
+    entity_id: '',
+    from: '',
+    to: '',
+    limit: '200',
+};
+
+/**
+ * Lists the fields of an audit entry that changed, with the value before and after.
+ * Rows that were created or deleted list every field of the row.
+ *
+ * @param {Object} entry - The audit entry.
+ * @returns {Array<Object>} - The field name and the value before and after of each changed field.
+ */
+const changedFields = (entry) => {
+    const before = entry.before || {};
+    const after = entry.after || {};
+    const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    return fields
+        .filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+        .map((field) => ({ field, before: before[field], after: after[field] }));
+};
+
+/**
+ * Shows a field value in the changes column, long values such as line items are cut short.
+ *
+ * @param {*} value - The value of the field.
+ * @returns {string} - The value as text.
+ */
+const formatValue = (value) => {
+    if (value === undefined || value === null) {
+        return '-';
+    }
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+};
+
+/**
+ * Audit Log Page Component
+ *
+ * @component
+ * @returns {JSX.Element} - The rendered audit viewer.
+ */
+function AuditLogPage() {
+    const navigate = useNavigate();
+    const { translate } = useTranslate();
+
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [entries, setEntries] = useState([]);
+    const [error, setError] = useState(null);
+    const [expandedId, setExpandedId] = useState(null);
+    const [labels, setLabels] = useState({
+        title: 'Audit Log',
+        employeeId: 'Employee ID',
+        action: 'Action',
+        entityType: 'Changed',
+        entityId: 'ID',
+        from: 'From',
+        to: 'To',
+        limit: 'Entries',
+        all: 'All',
+        search: 'Search',
+        clear: 'Clear',
+        time: 'Time',
+        employee: 'Employee',
+        changes: 'Changes',
+        details: 'Details',
+        before: 'Before',
+        after: 'After',
+        noEntries: 'No changes found.',
+        back: 'Back',
+    });
+
+    /**
+     * Loads translated labels on component mount.
+     */
+    useEffect(() => {
+        const loadTranslations = async () => {
+            setLabels({
+                title: await translate('Audit Log'),
+                employeeId: await translate('Employee ID'),
+                action: await translate('Action'),
+                entityType: await translate('Changed'),
+                entityId: await translate('ID'),
+                from: await translate('From'),
+                to: await translate('To'),
+                limit: await translate('Entries'),
+                all: await translate('All'),
+                search: await translate('Search'),
+                clear: await translate('Clear'),
+                time: await translate('Time'),
+                employee: await translate('Employee'),
+                changes: await translate('Changes'),
+                details: await translate('Details'),
+                before: await translate('Before'),
+                after: await translate('After'),
+                noEntries: await translate('No changes found.'),
+                back: await translate('Back'),
+            });
+        };
+
+        loadTranslations();
+    }, [translate]);
+
+    /**
+     * Loads the audit entries matching the filters.
+     *
+     * @param {Object} searchFilters - The filters to search with.
+     * @returns {Promise<void>}
+     */
+    const loadEntries = async (searchFilters) => {
+        const result = await fetchAuditLog({
+            ...searchFilters,
+            from: searchFilters.from && new Date(searchFilters.from).toISOString(),
+            to: searchFilters.to && new Date(searchFilters.to).toISOString(),
+        });
+        if (result.error) {
+            setError(result.error);
+            setEntries([]);
+        } else {
+            setError(null);
+            setEntries(result.entries);
+        }
+    };
+
+    useEffect(() => {
+        loadEntries(EMPTY_FILTERS);
+    }, []);
+
+    const handleFilterChange = (field, value) => setFilters({ ...filters, [field]: value });
+
+    /**
+     * Clears the filters and loads the newest entries again.
+     *
+     * @returns {void}
+     */
+    const handleClear = () => {
+        setFilters(EMPTY_FILTERS);
+        loadEntries(EMPTY_FILTERS);
+    };
+
+    return (
+        <div className={styles.container}>
+            <h2>{labels.title}</h2>
+            <div className={styles.inputGroup}>
+                <label className={styles.inputLabel}>
+                    {labels.employeeId}:
+                    <input
+                        className={styles.inputField}
+                        type="number"
+                        min="1"
+                        value={filters.employee_id}
+                        onChange={(e) => handleFilterChange('employee_id', e.target.value)}
+                    />
+                </label>
+                <label className={styles.inputLabel}>
+                    {labels.action}:
+                    <select
+                        className={styles.inputField}
+                        value={filters.action}
+                        onChange={(e) => handleFilterChange('action', e.target.value)}
+                    >
+                        <option value="">{labels.all}</option>
+                        {ACTIONS.map((action) => (
+                            <option key={action} value={action}>{action}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className={styles.inputLabel}>
+                    {labels.entityType}:
+                    <select
+                        className={styles.inputField}
+                        value={filters.entity_type}
+                        onChange={(e) => handleFilterChange('entity_type', e.target.value)}
+                    >
+                        <option value="">{labels.all}</option>
+                        {ENTITY_TYPES.map((entityType) => (
+                            <option key={entityType} value={entityType}>{entityType.replace('_', ' ')}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className={styles.inputLabel}>
+                    {labels.entityId}:
+                    <input
+                        className={styles.inputField}
+                        type="text"
+                        value={filters.entity_id}
+                        onChange={(e) => handleFilterChange('entity_id', e.target.value)}
+                    />
+                </label>
+                <label className={styles.inputLabel}>
+                    {labels.from}:
+                    <input
+                        className={styles.inputField}
+                        type="datetime-local"
+                        value={filters.from}
+                        onChange={(e) => handleFilterChange('from', e.target.value)}
+                    />
+                </label>
+                <label className={styles.inputLabel}>
+                    {labels.to}:
+                    <input
+                        className={styles.inputField}
+                        type="datetime-local"
+                        value={filters.to}
+                        onChange={(e) => handleFilterChange('to', e.target.value)}
+                    />
+                </label>
+                <label className={styles.inputLabel}>
+                    {labels.limit}:
+                    <input
+                        className={styles.inputField}
+                        type="number"
+                        min="1"
+                        max="1000"
+                        value={filters.limit}
+                        onChange={(e) => handleFilterChange('limit', e.target.value)}
+                    />
+                </label>
+                <button className={styles.button} onClick={() => loadEntries(filters)}>
+                    {labels.search}
+                </button>
+                <button className={styles.button} onClick={handleClear}>
+                    {labels.clear}
+                </button>
+            </div>
+
+            {error && <p className={styles.errorMessage}>Error: {error}</p>}
+
+            {entries.length > 0 ? (
+                <table className={styles.table}>
+                    <thead>
+                        <tr>
+                            <th>{labels.time}</th>
+                            <th>{labels.employee}</th>
+                            <th>{labels.action}</th>
+                            <th>{labels.entityType}</th>
+                            <th>{labels.changes}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {entries.map((entry) => (
+                            <tr key={entry.audit_id}>
+                                <td>{new Date(entry.created_at).toLocaleString()}</td>
+                                <td>{entry.employee_name || entry.employee_id || '-'}</td>
+                                <td>{entry.action}</td>
+                                <td>
+                                    {entry.entity_type.replace('_', ' ')}
+                                    {entry.entity_id && ` #${entry.entity_id}`}
+                                </td>
+                                <td>
+                                    <ul className={styles.auditChanges}>
+                                        {changedFields(entry).map((change) => (
+                                            <li key={change.field}>
+                                                {change.field}: {formatValue(change.before)} &rarr; {formatValue(change.after)}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                    <button onClick={() => setExpandedId(expandedId === entry.audit_id ? null : entry.audit_id)}>
+                                        {labels.details}
+                                    </button>
+                                    {expandedId === entry.audit_id && (
+                                        <div>
+                                            <strong>{labels.before}:</strong>
+                                            <pre className={styles.auditJson}>{JSON.stringify(entry.before, null, 2)}</pre>
+                                            <strong>{labels.after}:</strong>
+                                            <pre className={styles.auditJson}>{JSON.stringify(entry.after, null, 2)}</pre>
+                                        </div>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            ) : (
+                <p>{labels.noEntries}</p>
+            )}
+
+            <button className={styles.button} onClick={() => navigate('/managerselection')}>
+                {labels.back}
+            </button>
+        </div>
+    );
+}
+
+export default AuditLogPage;
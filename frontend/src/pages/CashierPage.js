@@ -7,13 +7,16 @@
  * 
  * Features:
  * - Fetches menu items (meals, sides, entrees, drinks, appetizers) from the backend.
- * - Allows selecting and customizing meals with sides and entrees.
- * - Displays the current order and total price.
+ * - Allows selecting and customizing meals with sides and entrees, as many as each meal's meal size allows.
+ * - Displays the current order with the discounts, subtotal, sales tax and total quoted by the backend.
+ * - Accepts a promo code that the backend checks and applies to the order.
+ * - Splits the order into separate checks that are each paid and get their own receipt.
  * - Includes functionality to adjust item quantities and reset the order.
  * - Supports navigating back to the previous page.
  * 
  * API Endpoints:
  * - `fetchMenuItems` - Retrieves menu items by type (meal, side, entree, etc.).
+ * - `quoteOrder` - Prices the current order, including promotions and sales tax.
  * 
  * @component
  * @returns {JSX.Element} The rendered CashierPage component.
@@ -27,7 +30,7 @@ import DrinkAndAppetizerButton from '../components/DrinkAndAppetizerButton';
 import CashierLabel from '../components/CashierLabel';
 import OrderDisplay from '../components/OrderDisplay';
 import CheckoutButton from '../components/CheckoutButton';
-import { fetchMenuItems } from '../services/CashierPageAPI';
+import { fetchMenuItems, quoteOrder } from '../services/CashierPageAPI';
 import styles from '../styles/CashierPage.module.css';
 import { useFasterTranslate } from '../contexts/FasterTranslationContext';
 
@@ -48,13 +51,20 @@ const CashierPage = () => {
 
   // State variables for selection
   const [selectedMeal, setSelectedMeal] = useState(null);
-  const [selectedSide, setSelectedSide] = useState(null);
+  const [selectedSides, setSelectedSides] = useState([]);
   const [selectedEntrees, setSelectedEntrees] = useState([]);
   const [maxEntreesAllowed, setMaxEntreesAllowed] = useState(0);
+  const [maxSidesAllowed, setMaxSidesAllowed] = useState(0);
 
   // State variables for the order
   const [orderList, setOrderList] = useState([]);
   const [totalPrice, setTotalPrice] = useState(0.0);
+  const [quote, setQuote] = useState(null);
+  const [promoInput, setPromoInput] = useState('');
+  const [promoCode, setPromoCode] = useState('');
+  const [promoError, setPromoError] = useState('');
+  const [checkCount, setCheckCount] = useState(1);
+  const [itemChecks, setItemChecks] = useState([]);
 
   /**
    * Fetches translations for all labels used in the component.
@@ -76,6 +86,10 @@ const CashierPage = () => {
           'Please select a meal first.',
           'Please complete your meal selection.',
           'You can only select',
+          'Promo code',
+          'Apply',
+          'Split Check',
+          'Single Check',
         ]);
         setTranslatedText({
           mealsLabel: translations[0],
@@ -89,6 +103,10 @@ const CashierPage = () => {
           selectMealFirstAlert: translations[8],
           completeMealSelectionAlert: translations[9],
           maxEntreesAlert: translations[10],
+          promoCodePlaceholder: translations[11],
+          applyButton: translations[12],
+          splitCheckButton: translations[13],
+          singleCheckButton: translations[14],
         });
       } catch (error) {
         console.error('Error loading translations:', error);
@@ -118,8 +136,84 @@ const CashierPage = () => {
     fetchData();
   }, []);
 
+  /**
+   * Prices the order with promotions and sales tax whenever it or the promo code changes.
+   * A promo code the backend rejects is removed and its error shown.
+   * 
+   * @returns {void}
+   */
+  useEffect(() => {
+    if (orderList.length === 0) {
+      setQuote(null);
+      return;
+    }
+
+    const fetchQuote = async () => {
+      const { order, error } = await quoteOrder(orderList, promoCode);
+      if (!order && promoCode) {
+        setPromoError(error);
+        setPromoCode('');
+        return;
+      }
+      setQuote(order);
+    };
+
+    fetchQuote();
+  }, [orderList, promoCode]);
+
+  /**
+   * Applies the promo code that was typed in, the quote checks it with the backend.
+   * 
+   * @returns {void}
+   */
+  const handleApplyPromoCode = () => {
+    setPromoError('');
+    setPromoCode(promoInput.trim());
+  };
+
+  /**
+   * Moves an item of the order to another check.
+   * 
+   * @param {number} index - The index of the item in the order.
+   * @param {number} check - The check to move it to, starting at 0.
+   * @returns {void}
+   */
+  const handleCheckChange = (index, check) => {
+    const nextItemChecks = orderList.map((_, i) => itemChecks[i] || 0);
+    nextItemChecks[index] = check;
+    setItemChecks(nextItemChecks);
+  };
+
+  /**
+   * Puts every item back on a single check.
+   * 
+   * @returns {void}
+   */
+  const handleSingleCheck = () => {
+    setCheckCount(1);
+    setItemChecks([]);
+  };
+
+  /**
+   * Clears the order, the promo code and the checks after a successful checkout.
+   * 
+   * @returns {void}
+   */
+  const resetOrder = () => {
+    setOrderList([]);
+    setPromoInput('');
+    setPromoCode('');
+    handleSingleCheck();
+  };
+
+  // The items of each check, checks without items are left out
+  const checks = Array.from({ length: checkCount }, (_, check) =>
+    orderList.filter((_, index) => (itemChecks[index] || 0) === check)
+  ).filter((checkList) => checkList.length > 0);
+
   /**
    * Handles the selection of a meal and updates the related state.
+   * The number of entrees and sides comes from the meal's meal size.
    * 
    * @param {Object} meal - The selected meal object.
    * @returns {void}
@@ -127,31 +221,32 @@ const CashierPage = () => {
   const handleMealSelection = (meal) => {
     if (selectedMeal && selectedMeal.menu_id === meal.menu_id) {
       setSelectedMeal(null);
-      setSelectedSide(null);
+      setSelectedSides([]);
       setMaxEntreesAllowed(0);
+      setMaxSidesAllowed(0);
       setSelectedEntrees([]);
     } else {
       setSelectedMeal(meal);
-      setSelectedSide(null);
+      setSelectedSides([]);
       setSelectedEntrees([]);
-      switch (meal.name) {
-        case 'Bowl':
-          setMaxEntreesAllowed(1);
-          break;
-        case 'Plate':
-          setMaxEntreesAllowed(2);
-          break;
-        case 'Bigger Plate':
-          setMaxEntreesAllowed(3);
-          break;
-        default:
-          setMaxEntreesAllowed(0);
-      }
+      setMaxEntreesAllowed(meal.entree_count || 0);
+      setMaxSidesAllowed(meal.half_sides ? (meal.side_count || 0) * 2 : meal.side_count || 0);
     }
   };
 
   /**
-   * Handles the selection of a side dish.
+   * Checks whether an entree or side can go in the selected meal.
+   * 
+   * @param {Object} item - The entree or side.
+   * @returns {boolean} True if no meal is selected or the meal takes the item's category.
+   */
+  const isAllowedInMeal = (item) => {
+    return !selectedMeal || selectedMeal.categories.length === 0 || selectedMeal.categories.includes(item.category);
+  };
+
+  /**
+   * Handles the selection of a side dish. When the meal allows half and half,
+   * each of its sides can be two halves, so up to twice as many sides can be selected.
    * 
    * @param {Object} side - The selected side dish object.
    * @returns {void}
@@ -161,10 +256,12 @@ const CashierPage = () => {
       alert(translatedText.selectMealFirstAlert);
       return;
     }
-    if (selectedSide && selectedSide.menu_id === side.menu_id) {
-      setSelectedSide(null);
+    if (selectedSides.find((s) => s.menu_id === side.menu_id)) {
+      setSelectedSides(selectedSides.filter((s) => s.menu_id !== side.menu_id));
+    } else if (selectedSides.length < maxSidesAllowed) {
+      setSelectedSides([...selectedSides, side]);
     } else {
-      setSelectedSide(side);
+      alert(`${translatedText.maxEntreesAlert} ${maxSidesAllowed} sides.`);
     }
   };
 
@@ -222,11 +319,11 @@ const CashierPage = () => {
 
         <CashierLabel text={translatedText.sidesLabel} />
         <div className='button-grid'>
-          {sides.map((side) => (
+          {sides.filter(isAllowedInMeal).map((side) => (
             <SideButton
               key={side.menu_id}
               side={side}
-              isSelected={selectedSide && selectedSide.menu_id === side.menu_id}
+              isSelected={selectedSides.some((s) => s.menu_id === side.menu_id)}
               onClick={handleSideSelection}
             />
           ))}
@@ -234,7 +331,7 @@ const CashierPage = () => {
 
         <CashierLabel text={`${translatedText.entreesLabel} (Select ${maxEntreesAllowed})`} />
         <div className='button-grid'>
-          {entrees.map((entree) => (
+          {entrees.filter(isAllowedInMeal).map((entree) => (
             <EntreeButton
               key={entree.menu_id}
               entree={entree}
@@ -273,12 +370,46 @@ const CashierPage = () => {
       </div>
 
       <div className={styles['order-section']}>
-        <OrderDisplay orderList={orderList} />
+        <OrderDisplay
+          orderList={orderList}
+          totals={quote}
+          checkCount={checkCount}
+          itemChecks={itemChecks}
+          onCheckChange={handleCheckChange}
+        />
+        <div className={styles['split-check-container']}>
+          <button className={styles['button']} onClick={() => setCheckCount(checkCount + 1)}>
+            {translatedText.splitCheckButton}
+          </button>
+          {checkCount > 1 && (
+            <button className={styles['button']} onClick={handleSingleCheck}>
+              {translatedText.singleCheckButton}
+            </button>
+          )}
+        </div>
+        <div className={styles['promo-code-container']}>
+          <input
+            type='text'
+            placeholder={translatedText.promoCodePlaceholder}
+            value={promoInput}
+            onChange={(e) => setPromoInput(e.target.value)}
+          />
+          <button className={styles['button']} onClick={handleApplyPromoCode}>
+            {translatedText.applyButton}
+          </button>
+        </div>
+        {promoError && <p className={styles['promo-code-error']}>{promoError}</p>}
         <div className={styles['checkout-container']}>
           <span className={styles['total-price']}>
-            {translatedText.totalLabel}: ${totalPrice.toFixed(2)}
+            {translatedText.totalLabel}: ${(quote ? quote.total : totalPrice).toFixed(2)}
           </span>
-          <CheckoutButton orderList={orderList} totalPrice={totalPrice} />
+          <CheckoutButton
+            orderList={orderList}
+            checks={checks}
+            promoCode={promoCode}
+            total={quote ? quote.total : totalPrice}
+            resetOrder={resetOrder}
+          />
         </div>
       </div>
     </div>
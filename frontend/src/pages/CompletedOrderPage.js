@@ -5,6 +5,8 @@
  * 
  * Features:
  * - Displays a thank you message and the order receipt ID.
+ * - Shows the price breakdown the backend calculated for the order, including entree premiums, discounts and sales tax.
+ * - Shows how the order was paid.
  * - Allows users to email the receipt or finish the order process.
  * 
  * @example Usage Example:
@@ -26,6 +28,8 @@ function CompletedOrderPage() {
     const location = useLocation();
     const navigate = useNavigate();
     const receiptId = location.state?.receipt || NaN;
+    const order = location.state?.order;
+    const payments = location.state?.payments || [];
     const { translate } = useTranslate(); // Access translate function from context
 
     // State for storing translated strings
@@ -34,6 +38,19 @@ function CompletedOrderPage() {
         receiptMessage: '',
         emailButton: '',
         finishButton: '',
+        item: '',
+        quantity: '',
+        price: '',
+        subtotal: '',
+        tax: '',
+        total: '',
+        premium: '',
+        discount: '',
+        paidWith: '',
+        cash: '',
+        card: '',
+        gift_card: '',
+        change: '',
     });
 
     /**
@@ -48,12 +65,38 @@ function CompletedOrderPage() {
             const receiptMessage = await translate('Your receipt:');
             const emailButton = await translate('Email me my receipt & notify when order is ready.');
             const finishButton = await translate('Finished');
+            const item = await translate('Item');
+            const quantity = await translate('Quantity');
+            const price = await translate('Price');
+            const subtotal = await translate('Subtotal');
+            const tax = await translate('Tax');
+            const total = await translate('Total');
+            const premium = await translate('premium');
+            const discount = await translate('Discount');
+            const paidWith = await translate('Paid with');
+            const cash = await translate('Cash');
+            const card = await translate('Card');
+            const gift_card = await translate('Gift Card');
+            const change = await translate('Change');
             
             setTranslatedStrings({
                 thankYouMessage,
                 receiptMessage,
                 emailButton,
                 finishButton,
+                item,
+                quantity,
+                price,
+                subtotal,
+                tax,
+                total,
+                premium,
+                discount,
+                paidWith,
+                cash,
+                card,
+                gift_card,
+                change,
             });
         };
 
@@ -66,6 +109,60 @@ function CompletedOrderPage() {
             <p className="receipt">
                 {translatedStrings.receiptMessage} <strong>{receiptId}</strong>
             </p>
+            {order && (
+                <div className="order-breakdown">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>{translatedStrings.item}</th>
+                                <th>{translatedStrings.quantity}</th>
+                                <th>{translatedStrings.price}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {order.items.map((item, index) => (
+                                <tr key={index}>
+                                    <td>
+                                        {item.name} (${item.base_price.toFixed(2)})
+                                        {item.entrees.length > 0 && (
+                                            <div className="item-details">
+                                                {item.entrees.join(', ')}, {item.sides.join(' / ')}
+                                            </div>
+                                        )}
+                                        {item.premiums.map((premium) => (
+                                            <div key={premium.name} className="item-details">
+                                                + {premium.name} {translatedStrings.premium} ${premium.price.toFixed(2)}
+                                            </div>
+                                        ))}
+                                    </td>
+                                    <td>{item.quantity} &times; ${item.unit_price.toFixed(2)}</td>
+                                    <td>${item.line_total.toFixed(2)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    {order.discounts.map((discount) => (
+                        <p key={discount.name} className="order-total">
+                            {translatedStrings.discount} ({discount.name}): -${discount.amount.toFixed(2)}
+                        </p>
+                    ))}
+                    <p className="order-total">
+                        {translatedStrings.subtotal}: ${order.subtotal.toFixed(2)}
+                    </p>
+                    <p className="order-total">
+                        {translatedStrings.tax}: ${order.tax_amount.toFixed(2)}
+                    </p>
+                    <p className="order-total">
+                        {translatedStrings.total}: ${order.total.toFixed(2)}
+                    </p>
+                    {payments.map((payment, index) => (
+                        <p key={index} className="order-total">
+                            {translatedStrings.paidWith}: {translatedStrings[payment.method]} ${payment.amount_tendered.toFixed(2)}
+                            {payment.change_given > 0 && `, ${translatedStrings.change}: $${payment.change_given.toFixed(2)}`}
+                        </p>
+                    ))}
+                </div>
+            )}
             <button
                 className="back-btn"
                 onClick={() => navigate('/emailreceiptpage', { state: { receiptId: receiptId } })}
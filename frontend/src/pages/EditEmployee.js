@@ -3,7 +3,8 @@
  * 
  * This component allows the user to edit an employee's details, including name,
  * email, position, hours, pay, and password. It retrieves the current employee data
- * from the location state and pre-fills the form fields. Upon saving the changes, 
+ * from the location state and pre-fills the form fields, except for the password which is only
+ * changed when a new one is typed in. Upon saving the changes, 
  * it sends the updated employee data to the backend API and displays a success or 
  * error message.
  * 
@@ -43,7 +44,7 @@ const EditEmployee = () => {
   const [position, setPosition] = useState(employee ? employee.position : '');
   const [hours, setHours] = useState(employee ? employee.hours : '');
   const [pay, setPay] = useState(employee ? employee.pay : '');
-  const [password, setPassword] = useState(employee ? employee.password : '');
+  const [password, setPassword] = useState(''); // Left empty to keep the current password
 
   // State for translated labels
   const [labels, setLabels] = useState({
@@ -54,6 +55,7 @@ const EditEmployee = () => {
     hours: 'Hours',
     pay: 'Pay',
     password: 'Password',
+    passwordHint: 'Leave blank to keep the current password',
     saveChanges: 'Save Changes',
     back: 'Back',
     success: 'Employee updated successfully!',
@@ -77,6 +79,7 @@ const EditEmployee = () => {
         hours: await translate('Hours'),
         pay: await translate('Pay'),
         password: await translate('Password'),
+        passwordHint: await translate('Leave blank to keep the current password'),
         saveChanges: await translate('Save Changes'),
         back: await translate('Back'),
         success: await translate('Employee updated successfully!'),
@@ -173,6 +176,7 @@ const EditEmployee = () => {
           <input
             type="password"
             value={password}
+            placeholder={labels.passwordHint}
             onChange={(e) => setPassword(e.target.value)}
           />
         </div>
@@ -84,7 +84,7 @@ const EmailReceiptPage = () => {
         alert(`Receipt: ${receiptId} has been sent to ${email}.`);
         navigate("/home"); // Navigate to /home after alert
       } else {
-        setStatus(`Error: ${data.message}`);
+        setStatus(`Error: ${data.message || data.error}`);
       }
     } catch (error) {
       console.error("Error sending email:", error);
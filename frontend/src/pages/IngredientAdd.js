@@ -8,7 +8,7 @@
  * - Displays a dropdown to select an inventory item.
  * - Allows users to specify the quantity and type of the ingredient.
  * - Handles form submission to add the ingredient to the recipe.
- * - Displays success or error messages after form submission.
+ * - Opens the new ingredient in IngredientEdit after it is added, or displays an error message.
  * 
  * @component
  * @example
@@ -22,12 +22,13 @@
  * @returns {JSX.Element} - The rendered IngredientAdd component.
  */
 import React, { useState, useEffect } from 'react';
-import { useLocation } from 'react-router-dom';
+import { useLocation, useNavigate } from 'react-router-dom';
 import axios from 'axios';
 import { useTranslate } from '../contexts/TranslationContext';
 
 const IngredientAdd = () => {
   const location = useLocation();
+  const navigate = useNavigate();
   const recipeId = location.state?.recipeId; // Retrieve the passed recipeId
   const { translate } = useTranslate();
 
@@ -149,15 +150,14 @@ const IngredientAdd = () => {
     try {
       const response = await axios.post('/api/addIngredient', payload);
       if (response.data.success) {
-
         setMessage(labels.success);
-        setFormData({ inventory_id: '', name: '', quantity: '', quantity_type: '' });
-
+        navigate('/ingredientedit', { state: { recipe_ing_id: response.data.recipe_ing_id } }); // Open the new ingredient straight away
       } else {
         setError(`${labels.failure} ${response.data.error || ''}`); // Display error message
       }
     } catch (err) {
-      setError(labels.error); // Handle API call failure
+      // Show the field-level validation message from the backend when there is one
+      setError(err.response?.data?.error ? `${labels.failure} ${err.response.data.error}` : labels.error);
     }
   };
 
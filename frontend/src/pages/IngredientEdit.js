@@ -141,7 +141,8 @@ const IngredientEdit = () => {
         setError(`${labels.failure} ${response.data.error || ''}`);
       }
     } catch (err) {
-      setError(labels.error);
+      // Show the field-level validation message from the backend when there is one
+      setError(err.response?.data?.error ? `${labels.failure} ${err.response.data.error}` : labels.error);
     }
   };
 
@@ -119,7 +119,7 @@ function InventoryAdd() {
             const result = await response.json();
             if (result.success) {
                 alert(labels.success);
-                navigate('/managerselection');
+                navigate('/inventoryedit', { state: result.item }); // Open the new item straight away
             } else {
                 alert(`${labels.failure} ${result.error}`);
             }
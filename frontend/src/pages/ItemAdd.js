@@ -8,6 +8,10 @@
  * 
  * Features:
  * - Collects item details including name, type, price, and calories.
+ * - For meals, collects the meal size: how many entrees and sides the meal comes with, whether sides
+ *   can be half and half, the portion of each entree and side taken out of inventory, and the
+ *   categories its entrees and sides must be in.
+ * - For entrees and sides, collects the category that meal sizes can be limited to.
  * - Sends the new item data to the backend for storage.
  * - Displays success or error messages based on the result of the API request.
  * - Supports navigation back to the item page.
@@ -59,6 +63,54 @@ function ItemAdd() {
      */
     const [calories, setCalories] = useState('');
 
+    /**
+     * The state for the tax category of the new item, used by tax exemptions (e.g., bottled_drink).
+     * @type {string}
+     */
+    const [taxCategory, setTaxCategory] = useState('');
+
+    /**
+     * The state for the category of a new entree or side (e.g., chicken), used to limit meal sizes.
+     * @type {string}
+     */
+    const [category, setCategory] = useState('');
+
+    /**
+     * The state for how many entrees a new meal comes with.
+     * @type {string}
+     */
+    const [entreeCount, setEntreeCount] = useState('1');
+
+    /**
+     * The state for how many sides a new meal comes with.
+     * @type {string}
+     */
+    const [sideCount, setSideCount] = useState('1');
+
+    /**
+     * The state for whether the sides of a new meal can be half and half.
+     * @type {boolean}
+     */
+    const [halfSides, setHalfSides] = useState(true);
+
+    /**
+     * The state for the portion of each entree of a new meal, 1 being the amount in the entree's recipe.
+     * @type {string}
+     */
+    const [entreePortion, setEntreePortion] = useState('1');
+
+    /**
+     * The state for the portion of each side of a new meal, 1 being the amount in the side's recipe.
+     * @type {string}
+     */
+    const [sidePortion, setSidePortion] = useState('1');
+
+    /**
+     * The state for the categories the entrees and sides of a new meal must be in, separated by commas.
+     * @type {string}
+     */
+    const [mealCategories, setMealCategories] = useState('');
+
     const navigate = useNavigate();
 
     /**
@@ -66,7 +118,7 @@ function ItemAdd() {
      * Sends the item data to the backend API and handles the response.
      * 
      * @param {React.FormEvent} e - The form submission event.
-     * @returns {void} - Sends the new item data to the backend and navigates or shows an error message.
+     * @returns {void} - Sends the new item data to the backend and navigates to the new item or shows an error message.
      */
     const handleSubmit = async (e) => {
         e.preventDefault(); // Prevent form from refreshing the page on submit
@@ -76,13 +128,23 @@ function ItemAdd() {
             item_type: itemType,
             price: itemType === 'meal' || itemType === 'drink' || itemType === 'appetizer' ? (price ? parseFloat(price) : null) : null,
             calories: ['meal', 'drink'].includes(itemType) ? null : (calories ? parseInt(calories) : null),
+            tax_category: taxCategory,
+            ...(['entree', 'side'].includes(itemType) && { category }),
+            ...(itemType === 'meal' && {
+                entree_count: parseInt(entreeCount),
+                side_count: parseInt(sideCount),
+                half_sides: halfSides,
+                entree_portion: parseFloat(entreePortion),
+                side_portion: parseFloat(sidePortion),
+                categories: mealCategories,
+            }),
         };
 
         try {
             const response = await axios.post(`${API_URL}/addItem`, newItem);
             if (response.data.success) {
                 alert('Item added successfully!');
-                navigate('/itempage');
+                navigate('/itemedit', { state: response.data.item }); // Open the new item straight away
             } else {
                 alert('Failed to add item: ' + response.data.error);
             }
@@ -153,6 +215,89 @@ function ItemAdd() {
                         />
                     </div>
                 )}
+                {['entree', 'side'].includes(itemType) && (
+                    <div>
+                        <label>Category:</label>
+                        <input
+                            type="text"
+                            value={category}
+                            placeholder="chicken"
+                            onChange={(e) => setCategory(e.target.value)}
+                        />
+                    </div>
+                )}
+                {itemType === 'meal' && (
+                    <>
+                        <div>
+                            <label>Entrees:</label>
+                            <input
+                                type="number"
+                                min="1"
+                                value={entreeCount}
+                                onChange={(e) => setEntreeCount(e.target.value)}
+                                required
+                            />
+                        </div>
+                        <div>
+                            <label>Sides:</label>
+                            <input
+                                type="number"
+                                min="0"
+                                value={sideCount}
+                                onChange={(e) => setSideCount(e.target.value)}
+                                required
+                            />
+                        </div>
+                        <div>
+                            <label>Half and half sides:</label>
+                            <input
+                                type="checkbox"
+                                checked={halfSides}
+                                onChange={(e) => setHalfSides(e.target.checked)}
+                            />
+                        </div>
+                        <div>
+                            <label>Entree portion:</label>
+                            <input
+                                type="number"
+                                min="0.05"
+                                step="0.05"
+                                value={entreePortion}
+                                onChange={(e) => setEntreePortion(e.target.value)}
+                                required
+                            />
+                        </div>
+                        <div>
+                            <label>Side portion:</label>
+                            <input
+                                type="number"
+                                min="0.05"
+                                step="0.05"
+                                value={sidePortion}
+                                onChange={(e) => setSidePortion(e.target.value)}
+                                required
+                            />
+                        </div>
+                        <div>
+                            <label>Allowed categories:</label>
+                            <input
+                                type="text"
+                                value={mealCategories}
+                                placeholder="Any"
+                                onChange={(e) => setMealCategories(e.target.value)}
+                            />
+                        </div>
+                    </>
+                )}
+                <div>
+                    <label>Tax category:</label>
+                    <input
+                        type="text"
+                        value={taxCategory}
+                        placeholder="prepared_food"
+                        onChange={(e) => setTaxCategory(e.target.value)}
+                    />
+                </div>
                 <button type="submit">Add Item</button>
             </form>
         </div>
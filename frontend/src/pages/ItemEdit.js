@@ -8,6 +8,9 @@
  * 
  * Features:
  * - Preloads item details for editing.
+ * - For meals, edits the meal size: how many entrees and sides the meal comes with, whether sides
+ *   can be half and half, the portion of each entree and side taken out of inventory, and the
+ *   categories its entrees and sides must be in.
  * - Sends updated item data to the backend.
  * - Displays success or error messages based on the result of the API request.
  * - Supports navigation back to the item page.
@@ -38,11 +41,22 @@ function ItemEdit() {
   const location = useLocation();
   const { translate } = useFasterTranslate();
 
-  const { menu_id, name, item_type, price, calories } = location.state || {};
+  const {
+    menu_id, name, item_type, price, calories, tax_category, category,
+    entree_count, side_count, half_sides, entree_portion, side_portion, categories,
+  } = location.state || {};
   const [nameForm, setName] = useState(name || '');
   const [typeForm, setType] = useState(item_type || '');
   const [priceForm, setPrice] = useState(price || 0);
   const [caloriesForm, setCalories] = useState(calories || 0);
+  const [taxCategoryForm, setTaxCategory] = useState(tax_category || '');
+  const [categoryForm, setCategory] = useState(category || '');
+  const [entreeCountForm, setEntreeCount] = useState(entree_count || 1);
+  const [sideCountForm, setSideCount] = useState(side_count ?? 1);
+  const [halfSidesForm, setHalfSides] = useState(half_sides ?? true);
+  const [entreePortionForm, setEntreePortion] = useState(entree_portion ?? 1);
+  const [sidePortionForm, setSidePortion] = useState(side_portion ?? 1);
+  const [mealCategoriesForm, setMealCategories] = useState((categories || []).join(', '));
 
   const [translatedText, setTranslatedText] = useState({});
   const [loadingTranslations, setLoadingTranslations] = useState(true);
@@ -56,9 +70,17 @@ function ItemEdit() {
           'Type:',
           'Price:',
           'Calories:',
+          'Tax category:',
           'Update Item',
           'Item updated successfully!',
           'Error updating item',
+          'Category:',
+          'Entrees:',
+          'Sides:',
+          'Half and half sides:',
+          'Allowed categories:',
+          'Entree portion:',
+          'Side portion:',
         ]);
         setTranslatedText({
           title: translations[0],
@@ -66,9 +88,17 @@ function ItemEdit() {
           typeLabel: translations[2],
           priceLabel: translations[3],
           caloriesLabel: translations[4],
-          updateButton: translations[5],
-          successMessage: translations[6],
-          errorMessage: translations[7],
+          taxCategoryLabel: translations[5],
+          updateButton: translations[6],
+          successMessage: translations[7],
+          errorMessage: translations[8],
+          categoryLabel: translations[9],
+          entreeCountLabel: translations[10],
+          sideCountLabel: translations[11],
+          halfSidesLabel: translations[12],
+          mealCategoriesLabel: translations[13],
+          entreePortionLabel: translations[14],
+          sidePortionLabel: translations[15],
         });
       } catch (error) {
         console.error('Error loading translations:', error);
@@ -100,6 +130,16 @@ function ItemEdit() {
       item_type: typeForm,
       price: parseFloat(priceForm),
       calories: parseInt(caloriesForm),
+      tax_category: taxCategoryForm,
+      ...(['entree', 'side'].includes(typeForm) && { category: categoryForm }),
+      ...(typeForm === 'meal' && {
+        entree_count: parseInt(entreeCountForm),
+        side_count: parseInt(sideCountForm),
+        half_sides: halfSidesForm,
+        entree_portion: parseFloat(entreePortionForm),
+        side_portion: parseFloat(sidePortionForm),
+        categories: mealCategoriesForm,
+      }),
     };
 
     try {
@@ -141,6 +181,49 @@ function ItemEdit() {
           <label>{translatedText.caloriesLabel}</label>
           <input type="number" value={caloriesForm} onChange={(e) => setCalories(e.target.value)} required />
         </div>
+        {['entree', 'side'].includes(typeForm) && (
+          <div>
+            <label>{translatedText.categoryLabel}</label>
+            <input type="text" value={categoryForm} placeholder="chicken" onChange={(e) => setCategory(e.target.value)} />
+          </div>
+        )}
+        {typeForm === 'meal' && (
+          <>
+            <div>
+              <label>{translatedText.entreeCountLabel}</label>
+              <input type="number" min="1" value={entreeCountForm} onChange={(e) => setEntreeCount(e.target.value)} required />
+            </div>
+            <div>
+              <label>{translatedText.sideCountLabel}</label>
+              <input type="number" min="0" value={sideCountForm} onChange={(e) => setSideCount(e.target.value)} required />
+            </div>
+            <div>
+              <label>{translatedText.halfSidesLabel}</label>
+              <input type="checkbox" checked={halfSidesForm} onChange={(e) => setHalfSides(e.target.checked)} />
+            </div>
+            <div>
+              <label>{translatedText.entreePortionLabel}</label>
+              <input type="number" min="0.05" step="0.05" value={entreePortionForm} onChange={(e) => setEntreePortion(e.target.value)} required />
+            </div>
+            <div>
+              <label>{translatedText.sidePortionLabel}</label>
+              <input type="number" min="0.05" step="0.05" value={sidePortionForm} onChange={(e) => setSidePortion(e.target.value)} required />
+            </div>
+            <div>
+              <label>{translatedText.mealCategoriesLabel}</label>
+              <input type="text" value={mealCategoriesForm} placeholder="Any" onChange={(e) => setMealCategories(e.target.value)} />
+            </div>
+          </>
+        )}
+        <div>
+          <label>{translatedText.taxCategoryLabel}</label>
+          <input
+            type="text"
+            value={taxCategoryForm}
+            placeholder="prepared_food"
+            onChange={(e) => setTaxCategory(e.target.value)}
+          />
+        </div>
         <button type="submit">{translatedText.updateButton}</button>
       </form>
     </div>
@@ -0,0 +1,300 @@
+/**
+ * KitchenStationsPage Component
+ *
+ * @file KitchenStationsPage.js
+ * @description This component lets managers set up the kitchen stations, such as wok, fryer, drinks and expo,
+ * and pick the station that makes each entree, side, appetizer and drink. A station's kitchen screen at
+ * `/kitchen?station=<name>` only shows the items it makes, and an expo station sees whole tickets. Managers also set
+ * the speed-of-service thresholds after which the kitchen screens color a ticket as running late.
+ *
+ * API Endpoints:
+ * - `GET /api/kitchenStations` - Fetches the stations.
+ * - `POST /api/kitchenStations` - Adds a station.
+ * - `PUT /api/kitchenStations/:station_id` - Renames a station or changes whether it is expo.
+ * - `DELETE /api/kitchenStations/:station_id` - Removes a station.
+ * - `POST /api/doItemLoad` - Fetches the menu items with their stations.
+ * - `PUT /api/menu/:menu_id/station` - Changes the station that makes a menu item.
+ * - `GET /api/kitchenSla` - Fetches the speed-of-service thresholds.
+ * - `PUT /api/kitchenSla` - Changes the speed-of-service thresholds.
+ *
+ * @example <KitchenStationsPage/>
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { useTranslate } from '../contexts/TranslationContext';
+import styles from '../styles/AllManager.module.css';
+
+const API_URL = '/api';
+
+/**
+ * Menu item types that are made at a station. Meals are made of entrees and sides, so they have none.
+ */
+const STATION_ITEM_TYPES = ['entree', 'side', 'appetizer', 'drink'];
+
+/**
+ * Kitchen Stations Page Component
+ *
+ * @component
+ * @returns {JSX.Element} - The rendered station setup page.
+ */
+function KitchenStationsPage() {
+    const navigate = useNavigate();
+    const { translate } = useTranslate();
+
+    const [stations, setStations] = useState([]);
+    const [menuItems, setMenuItems] = useState([]);
+    const [newStation, setNewStation] = useState({ name: '', is_expo: false });
+    const [sla, setSla] = useState({ warning_minutes: '', late_minutes: '' });
+    const [error, setError] = useState(null);
+    const [labels, setLabels] = useState({
+        title: 'Kitchen Stations',
+        name: 'Name',
+        expo: 'Expo',
+        order: 'Order',
+        add: 'Add Station',
+        save: 'Save',
+        remove: 'Remove',
+        open: 'Open Screen',
+        menuItems: 'Menu Items',
+        item: 'Item',
+        type: 'Type',
+        station: 'Station',
+        expoOnly: 'Expo only',
+        speedOfService: 'Speed of Service',
+        warningMinutes: 'Warning after (minutes)',
+        lateMinutes: 'Late after (minutes)',
+        back: 'Back',
+    });
+
+    /**
+     * Loads translated labels on component mount.
+     */
+    useEffect(() => {
+        const loadTranslations = async () => {
+            setLabels({
+                title: await translate('Kitchen Stations'),
+                name: await translate('Name'),
+                expo: await translate('Expo'),
+                order: await translate('Order'),
+                add: await translate('Add Station'),
+                save: await translate('Save'),
+                remove: await translate('Remove'),
+                open: await translate('Open Screen'),
+                menuItems: await translate('Menu Items'),
+                item: await translate('Item'),
+                type: await translate('Type'),
+                station: await translate('Station'),
+                expoOnly: await translate('Expo only'),
+                speedOfService: await translate('Speed of Service'),
+                warningMinutes: await translate('Warning after (minutes)'),
+                lateMinutes: await translate('Late after (minutes)'),
+                back: await translate('Back'),
+            });
+        };
+
+        loadTranslations();
+    }, [translate]);
+
+    /**
+     * Loads the stations, the menu items made at a station and the speed-of-service thresholds.
+     *
+     * @returns {Promise<void>}
+     */
+    const loadData = async () => {
+        try {
+            const [stationsResponse, menuResponse, slaResponse] = await Promise.all([
+                axios.get(`${API_URL}/kitchenStations`),
+                axios.post(`${API_URL}/doItemLoad`),
+                axios.get(`${API_URL}/kitchenSla`),
+            ]);
+            setStations(stationsResponse.data);
+            setSla(slaResponse.data);
+            setMenuItems(menuResponse.data.filter((item) => STATION_ITEM_TYPES.includes(item.item_type)));
+        } catch (err) {
+            console.error('Error loading kitchen stations:', err);
+            setError(err.response?.data?.error || 'Failed to load the kitchen stations.');
+        }
+    };
+
+    useEffect(() => {
+        loadData();
+    }, []);
+
+    /**
+     * Sends a change to the backend, then loads the stations and menu items again.
+     *
+     * @param {Function} request - Makes the API request.
+     * @returns {Promise<void>}
+     */
+    const saveChange = async (request) => {
+        try {
+            await request();
+            setError(null);
+            loadData();
+        } catch (err) {
+            console.error('Error saving kitchen stations:', err);
+            setError(err.response?.data?.error || 'Failed to save the change.');
+        }
+    };
+
+    const handleStationChange = (stationId, field, value) => {
+        setStations(stations.map((station) => (station.station_id === stationId ? { ...station, [field]: value } : station)));
+    };
+
+    const handleAdd = () => saveChange(async () => {
+        await axios.post(`${API_URL}/kitchenStations`, { ...newStation, sort_order: stations.length + 1 });
+        setNewStation({ name: '', is_expo: false });
+    });
+
+    const handleSave = (station) => saveChange(() => axios.put(`${API_URL}/kitchenStations/${station.station_id}`, station));
+
+    const handleRemove = (station) => saveChange(() => axios.delete(`${API_URL}/kitchenStations/${station.station_id}`));
+
+    const handleItemStation = (menuId, stationId) => saveChange(() =>
+        axios.put(`${API_URL}/menu/${menuId}/station`, { station_id: stationId === '' ? null : Number(stationId) })
+    );
+
+    const handleSaveSla = () => saveChange(() => axios.put(`${API_URL}/kitchenSla`, sla));
+
+    return (
+        <div className={styles.container}>
+            <h2>{labels.title}</h2>
+            {error && <p className={styles.errorMessage}>Error: {error}</p>}
+
+            <table className={styles.table}>
+                <thead>
+                    <tr>
+                        <th>{labels.name}</th>
+                        <th>{labels.expo}</th>
+                        <th>{labels.order}</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {stations.map((station) => (
+                        <tr key={station.station_id}>
+                            <td>
+                                <input
+                                    className={styles.inputField}
+                                    type="text"
+                                    value={station.name}
+                                    onChange={(e) => handleStationChange(station.station_id, 'name', e.target.value)}
+                                />
+                            </td>
+                            <td>
+                                <input
+                                    type="checkbox"
+                                    checked={station.is_expo}
+                                    onChange={(e) => handleStationChange(station.station_id, 'is_expo', e.target.checked)}
+                                />
+                            </td>
+                            <td>
+                                <input
+                                    className={styles.inputField}
+                                    type="number"
+                                    value={station.sort_order}
+                                    onChange={(e) => handleStationChange(station.station_id, 'sort_order', e.target.value)}
+                                />
+                            </td>
+                            <td>
+                                <button className={styles.button} onClick={() => handleSave(station)}>{labels.save}</button>
+                                <button className={styles.button} onClick={() => handleRemove(station)}>{labels.remove}</button>
+                                <button
+                                    className={styles.button}
+                                    onClick={() => navigate(`/kitchen?station=${encodeURIComponent(station.name)}`)}
+                                >
+                                    {labels.open}
+                                </button>
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+
+            <div className={styles.inputGroup}>
+                <label className={styles.inputLabel}>
+                    {labels.name}:
+                    <input
+                        className={styles.inputField}
+                        type="text"
+                        value={newStation.name}
+                        onChange={(e) => setNewStation({ ...newStation, name: e.target.value })}
+                    />
+                </label>
+                <label className={styles.inputLabel}>
+                    {labels.expo}:
+                    <input
+                        type="checkbox"
+                        checked={newStation.is_expo}
+                        onChange={(e) => setNewStation({ ...newStation, is_expo: e.target.checked })}
+                    />
+                </label>
+                <button className={styles.button} onClick={handleAdd}>{labels.add}</button>
+            </div>
+
+            <h3>{labels.menuItems}</h3>
+            <table className={styles.table}>
+                <thead>
+                    <tr>
+                        <th>{labels.item}</th>
+                        <th>{labels.type}</th>
+                        <th>{labels.station}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {menuItems.map((item) => (
+                        <tr key={item.menu_id}>
+                            <td>{item.name}</td>
+                            <td>{item.item_type}</td>
+                            <td>
+                                <select
+                                    className={styles.inputField}
+                                    value={item.station_id ?? ''}
+                                    onChange={(e) => handleItemStation(item.menu_id, e.target.value)}
+                                >
+                                    <option value="">{labels.expoOnly}</option>
+                                    {stations.filter((station) => !station.is_expo).map((station) => (
+                                        <option key={station.station_id} value={station.station_id}>{station.name}</option>
+                                    ))}
+                                </select>
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+
+            <h3>{labels.speedOfService}</h3>
+            <div className={styles.inputGroup}>
+                <label className={styles.inputLabel}>
+                    {labels.warningMinutes}:
+                    <input
+                        className={styles.inputField}
+                        type="number"
+                        min="1"
+                        value={sla.warning_minutes}
+                        onChange={(e) => setSla({ ...sla, warning_minutes: e.target.value })}
+                    />
+                </label>
+                <label className={styles.inputLabel}>
+                    {labels.lateMinutes}:
+                    <input
+                        className={styles.inputField}
+                        type="number"
+                        min="1"
+                        value={sla.late_minutes}
+                        onChange={(e) => setSla({ ...sla, late_minutes: e.target.value })}
+                    />
+                </label>
+                <button className={styles.button} onClick={handleSaveSla}>{labels.save}</button>
+            </div>
+
+            <button className={styles.button} onClick={() => navigate('/managerselection')}>
+                {labels.back}
+            </button>
+        </div>
+    );
+}
+
+export default KitchenStationsPage;
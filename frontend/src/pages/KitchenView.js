@@ -1,14 +1,87 @@
-import React, { useEffect, useState } from 'react';
-import { fetchPendingOrders, completeOrder } from '../services/kitchenApi';
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  fetchPendingOrders,
+  updateOrderStatus,
+  subscribeToOrderEvents,
+  fetchKitchenStations,
+  completeStation,
+  fetchAllDayCounts,
+  fetchKitchenSla,
+} from '../services/kitchenApi';
 import '../styles/KitchenView.css'; // Import CSS for styling
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { useFasterTranslate } from '../contexts/FasterTranslationContext';
 
+/**
+ * How often the orders are polled while the order event stream is disconnected.
+ */
+const POLL_INTERVAL_MS = 5000;
+
+/**
+ * How many orders are shown on each page of the queue.
+ */
+const PAGE_SIZE = 12;
+
+/**
+ * The buttons shown on an order card for each status, with the status each button moves the order to.
+ * Ready orders can be recalled back to In Progress, for example when they were made wrong.
+ */
+const STATUS_ACTIONS = {
+  'Received': [{ label: 'startButton', status: 'In Progress' }],
+  'In Progress': [{ label: 'readyButton', status: 'Ready' }],
+  'Ready': [
+    { label: 'pickedUpButton', status: 'Picked Up' },
+    { label: 'recallButton', status: 'In Progress', className: 'recall-button' },
+  ],
+};
+
+/**
+ * Thresholds used until the backend's are loaded, in minutes since the order was received.
+ */
+const DEFAULT_SLA = { warning_minutes: 5, late_minutes: 10 };
+
+/**
+ * Formats a duration as minutes and seconds, such as `3m 07s`.
+ *
+ * @param {number} milliseconds - The duration.
+ * @returns {string} The formatted duration.
+ */
+const formatElapsed = (milliseconds) => {
+  const seconds = Math.max(0, Math.floor(milliseconds / 1000));
+  return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+};
+
+/**
+ * Picks the color class of a ticket from how long it has waited.
+ *
+ * @param {number} milliseconds - How long the order has waited.
+ * @param {Object} sla - The `warning_minutes` and `late_minutes` thresholds.
+ * @returns {string} `sla-late`, `sla-warning` or `sla-ok`.
+ */
+const getSlaClass = (milliseconds, sla) => {
+  const minutes = milliseconds / 60000;
+  if (minutes >= sla.late_minutes) {
+    return 'sla-late';
+  }
+  return minutes >= sla.warning_minutes ? 'sla-warning' : 'sla-ok';
+};
+
 const KitchenView = () => {
   const [orders, setOrders] = useState([]);
   const [currentTime, setCurrentTime] = useState(new Date());
+  const [stations, setStations] = useState([]);
+  const [page, setPage] = useState(0);
+  const [hasOlderOrders, setHasOlderOrders] = useState(false);
+  const [allDayCounts, setAllDayCounts] = useState([]);
+  const [sla, setSla] = useState(DEFAULT_SLA);
   const navigate = useNavigate();
 
+  // `/kitchen?station=fryer` only shows what the fryer makes, expo and no station show whole tickets
+  const [searchParams, setSearchParams] = useSearchParams();
+  const stationName = searchParams.get('station') || '';
+  const station = stations.find((s) => s.name.toLowerCase() === stationName.toLowerCase());
+  const isRoutedStation = Boolean(station && !station.is_expo);
+
   const { translate } = useFasterTranslate();
   const [translatedText, setTranslatedText] = useState({});
   const [loadingTranslations, setLoadingTranslations] = useState(true);
@@ -24,10 +97,22 @@ const KitchenView = () => {
           'Email:',
           'Time:',
           'Elapsed:',
-          'Complete',
+          'Start',
           'Back',
           'No orders',
           'None specified',
+          'Status:',
+          'Ready',
+          'Picked Up',
+          'Recall',
+          'Received',
+          'In Progress',
+          'Done',
+          'All stations',
+          'Newer',
+          'Older',
+          'Page',
+          'All Day',
         ]);
 
         setTranslatedText({
@@ -35,10 +120,25 @@ const KitchenView = () => {
           emailLabel: translations[1],
           timeLabel: translations[2],
           elapsedLabel: translations[3],
-          completeButton: translations[4],
+          startButton: translations[4],
           backButton: translations[5],
           noOrders: translations[6],
           noEmail: translations[7],
+          statusLabel: translations[8],
+          readyButton: translations[9],
+          pickedUpButton: translations[10],
+          recallButton: translations[11],
+          statuses: {
+            'Received': translations[12],
+            'In Progress': translations[13],
+            'Ready': translations[9],
+          },
+          doneButton: translations[14],
+          allStations: translations[15],
+          newerButton: translations[16],
+          olderButton: translations[17],
+          pageLabel: translations[18],
+          allDayLabel: translations[19],
         });
       } catch (error) {
         console.error('Error loading translations:', error);
@@ -54,20 +154,86 @@ const KitchenView = () => {
     navigate(-1);
   };
 
-  const loadOrders = async () => {
-    const data = await fetchPendingOrders();
-    const sortedOrders = data.sort((a, b) => new Date(b.order_time) - new Date(a.order_time)).slice(0, 6);
-    setOrders(sortedOrders);
+  /**
+   * Loads the kitchen stations for the station picker and the thresholds that color the tickets.
+   */
+  useEffect(() => {
+    const loadStations = async () => {
+      setStations(await fetchKitchenStations());
+    };
+    const loadSla = async () => {
+      setSla((await fetchKitchenSla()) || DEFAULT_SLA);
+    };
+
+    loadStations();
+    loadSla();
+  }, []);
+
+  /**
+   * Loads the current page of the queue, oldest orders first, and the all-day counts of every open ticket.
+   * One order more than a page is fetched to know whether there are older orders on the next page.
+   */
+  const loadOrders = useCallback(async () => {
+    const [data, counts] = await Promise.all([
+      fetchPendingOrders({ station: stationName, limit: PAGE_SIZE + 1, offset: page * PAGE_SIZE }),
+      fetchAllDayCounts(stationName),
+    ]);
+    setHasOlderOrders(data.length > PAGE_SIZE);
+    setOrders(data.slice(0, PAGE_SIZE));
+    setAllDayCounts(counts);
+  }, [stationName, page]);
+
+  /**
+   * Switches to another station's view of the queue, or to every station with an empty name.
+   *
+   * @param {string} name - The name of the station.
+   */
+  const handleStationChange = (name) => {
+    setPage(0);
+    setSearchParams(name ? { station: name } : {});
   };
 
+  /**
+   * Loads the orders, then keeps them current from the order event stream so new tickets show up right away.
+   * Until the stream connects, and whenever it drops, the orders are polled instead.
+   */
   useEffect(() => {
+    let pollInterval = null;
+    const startPolling = () => {
+      if (!pollInterval) {
+        pollInterval = setInterval(loadOrders, POLL_INTERVAL_MS);
+      }
+    };
+    const stopPolling = () => {
+      clearInterval(pollInterval);
+      pollInterval = null;
+    };
+
     loadOrders();
-    const interval = setInterval(() => {
-      loadOrders();
-    }, 5000);
+    startPolling();
+    const unsubscribe = subscribeToOrderEvents(
+      (type, order) => {
+        if (type === 'order-completed') {
+          setOrders((prevOrders) => prevOrders.filter((o) => o.receipt_id !== order.receipt_id));
+        }
+        loadOrders();
+      },
+      (connected) => {
+        if (connected) {
+          // Catch up on anything that changed while the stream was down
+          stopPolling();
+          loadOrders();
+        } else {
+          startPolling();
+        }
+      }
+    );
 
-    return () => clearInterval(interval);
-  }, []);
+    return () => {
+      unsubscribe();
+      stopPolling();
+    };
+  }, [loadOrders]);
 
   useEffect(() => {
     const timer = setInterval(() => {
@@ -77,54 +243,52 @@ const KitchenView = () => {
     return () => clearInterval(timer);
   }, []);
 
-  const handleComplete = async (receipt_id, email) => {
-    const success = await completeOrder(receipt_id, email);
-    if (success) {
-      setOrders((prevOrders) =>
-        prevOrders.filter((order) => order.receipt_id !== receipt_id)
-      );
-    } else {
-      alert('Error completing order');
-    }
-  };
-
-  const getAdjustedOrderTime = (orderTime) => {
-    let orderDate = new Date(orderTime);
-
-    if (isNaN(orderDate)) {
-      const currentDate = new Date().toISOString().split('T')[0];
-      orderDate = new Date(`${currentDate}T${orderTime}`);
-    }
-
-    if (isNaN(orderDate)) {
-      console.error(`Invalid order_time format: ${orderTime}`);
-      return "Invalid time";
+  /**
+   * Moves an order to its next status. Orders that are picked up or cancelled leave the screen,
+   * the rest show their new status.
+   *
+   * @param {number} receipt_id - The unique identifier of the order receipt.
+   * @param {string} status - The status to move the order to.
+   */
+  const handleStatusChange = async (receipt_id, status) => {
+    const updated = await updateOrderStatus(receipt_id, status);
+    if (!updated) {
+      alert('Error updating order status');
+      return;
     }
 
-    orderDate.setHours(orderDate.getHours() - 6);
-    return orderDate.toTimeString().split(' ')[0];
+    setOrders((prevOrders) =>
+      updated.next_statuses.length === 0
+        ? prevOrders.filter((order) => order.receipt_id !== receipt_id)
+        : prevOrders.map((order) => (order.receipt_id === receipt_id ? { ...order, ...updated } : order))
+    );
   };
 
-  const getElapsedTime = (orderTime) => {
-    let orderDate = new Date(orderTime);
-
-    if (isNaN(orderDate)) {
-      const currentDate = new Date().toISOString().split('T')[0];
-      orderDate = new Date(`${currentDate}T${orderTime}`);
-    }
-
-    if (isNaN(orderDate)) {
-      console.error(`Invalid order_time format: ${orderTime}`);
-      return "Invalid time";
+  /**
+   * Marks this station's part of an order done, which takes the order off this station's screen.
+   *
+   * @param {number} receipt_id - The unique identifier of the order receipt.
+   */
+  const handleStationDone = async (receipt_id) => {
+    const success = await completeStation(receipt_id, station.station_id);
+    if (!success) {
+      alert('Error completing order');
+      return;
     }
 
-    orderDate.setHours(orderDate.getHours() - 6);
-    const diff = Math.floor((currentTime - orderDate) / 1000);
-
-    const minutes = Math.floor(diff / 60);
-    const seconds = diff % 60;
+    setOrders((prevOrders) => prevOrders.filter((order) => order.receipt_id !== receipt_id));
+    loadOrders();
+  };
 
-    return `${minutes}m ${seconds}s ago`;
+  /**
+   * How long an order has waited since it was received, up to when it was ready.
+   *
+   * @param {Object} order - The order.
+   * @returns {number} The wait in milliseconds.
+   */
+  const getElapsed = (order) => {
+    const end = order.ready_at ? new Date(order.ready_at) : currentTime;
+    return end - new Date(order.received_at);
   };
 
   if (loadingTranslations) {
@@ -134,24 +298,57 @@ const KitchenView = () => {
   return (
     <div className="kitchen-page">
       <div className="kitchen-view">
+        <div className="station-bar">
+          <button className={stationName ? '' : 'selected'} onClick={() => handleStationChange('')}>
+            {translatedText.allStations}
+          </button>
+          {stations.map((s) => (
+            <button
+              key={s.station_id}
+              className={station && station.station_id === s.station_id ? 'selected' : ''}
+              onClick={() => handleStationChange(s.name)}
+            >
+              {s.name}
+            </button>
+          ))}
+        </div>
+        {allDayCounts.length > 0 && (
+          <div className="all-day-panel">
+            <h3>{translatedText.allDayLabel}</h3>
+            <ul>
+              {allDayCounts.map((item) => (
+                <li key={`${item.kind}-${item.menu_id ?? item.name}`} className={`all-day-${item.kind}`}>
+                  <span className="all-day-count">{item.count}</span> {item.name}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
         {orders.length === 0 ? (
           <p className="no-orders-message">{translatedText.noOrders}</p>
         ) : (
           <div className="orders-grid">
             {orders.map((order) => (
-              <div key={order.receipt_id} className="order-card">
+              <div
+                key={order.receipt_id}
+                className={`order-card status-${order.status.toLowerCase().replace(' ', '-')} ${getSlaClass(getElapsed(order), sla)}`}
+              >
                 <h3>{`${translatedText.orderLabel} #${order.receipt_id}`}</h3>
+                <p className="order-status">
+                  <strong>{translatedText.statusLabel}</strong>{' '}
+                  {translatedText.statuses[order.status] || order.status}
+                </p>
                 <p>
                   <strong>{translatedText.emailLabel}</strong>{' '}
                   {order.email || translatedText.noEmail}
                 </p>
                 <p>
                   <strong>{translatedText.timeLabel}</strong>{' '}
-                  {getAdjustedOrderTime(order.order_time)}
+                  {new Date(order.received_at).toLocaleTimeString()}
                 </p>
                 <p>
                   <strong>{translatedText.elapsedLabel}</strong>{' '}
-                  {getElapsedTime(order.order_time)}
+                  {formatElapsed(getElapsed(order))}
                 </p>
                 <div className="order-items">
                   <ul>
@@ -159,7 +356,8 @@ const KitchenView = () => {
                       <li key={index}>
                         {item.type === 'Meal' && (
                           <>
-                            <strong>{item.size} Meal</strong>: {item.meats.join(', ')} with {item.side}
+                            <strong>{item.size} Meal</strong>: {item.meats.join(', ')}
+                            {item.meats.length > 0 && item.sides.length > 0 && ' with '}{item.sides.join(' & ')}
                           </>
                         )}
                         {item.type === 'Appetizer' && (
@@ -176,13 +374,47 @@ const KitchenView = () => {
                     ))}
                   </ul>
                 </div>
-                <button onClick={() => handleComplete(order.receipt_id, order.email)}>
-                  {translatedText.completeButton}
-                </button>
+                {!isRoutedStation && order.stations.length > 0 && (
+                  <div className="station-progress">
+                    {order.stations.map((s) => (
+                      <span key={s.station_id} className={s.completed_at ? 'station-done' : ''}>
+                        {s.name}{s.completed_at ? ' \u2713' : ''}
+                      </span>
+                    ))}
+                  </div>
+                )}
+                <div className="order-actions">
+                  {isRoutedStation ? (
+                    <button onClick={() => handleStationDone(order.receipt_id)}>
+                      {translatedText.doneButton}
+                    </button>
+                  ) : (
+                    (STATUS_ACTIONS[order.status] || []).map((action) => (
+                      <button
+                        key={action.label}
+                        className={action.className}
+                        onClick={() => handleStatusChange(order.receipt_id, action.status)}
+                      >
+                        {translatedText[action.label]}
+                      </button>
+                    ))
+                  )}
+                </div>
               </div>
             ))}
           </div>
         )}
+        {(page > 0 || hasOlderOrders) && (
+          <div className="page-controls">
+            <button disabled={page === 0} onClick={() => setPage(page - 1)}>
+              {translatedText.newerButton}
+            </button>
+            <span>{`${translatedText.pageLabel} ${page + 1}`}</span>
+            <button disabled={!hasOlderOrders} onClick={() => setPage(page + 1)}>
+              {translatedText.olderButton}
+            </button>
+          </div>
+        )}
       </div>
       <button className="back-button" onClick={handleBack}>
         {translatedText.backButton}
@@ -2,19 +2,19 @@
  * Login Component
  * 
  * This component represents the login page for Panda Express POS. It allows users to log in 
- * using their username and password or via Google OAuth. If the login is successful, the user 
- * is redirected to either the manager or employee page based on their role. The component also 
+ * using their username and password or via Google OAuth. If the login is successful, a session is 
+ * started and the user is redirected to the dashboard for their role. The component also 
  * supports translations for various UI elements.
  * 
  * Features:
  * - Provides a form for entering a username and password.
  * - Supports Google login through OAuth.
  * - Translates UI strings based on the selected language.
- * - Redirects the user based on their role (Manager or Employee).
+ * - Redirects the user to the dashboard once their session has started.
  * 
  * API Endpoints:
- * - `/api/login` - Logs the user in with the provided username and password.
- * - `/api/googleLogin` - Logs the user in via Google OAuth.
+ * - `/api/doLogin` - Logs the user in with the provided username and password.
+ * - `/api/doGoogleLogin` - Logs the user in via Google OAuth.
  * 
  * @example
  * <Login />
@@ -90,14 +90,19 @@ function Login() {
 
   /**
    * Handles Google login with the OAuth credential response.
-   * Sends login request to the backend via Google OAuth and processes the result.
+   * Sends login request to the backend via Google OAuth and processes the result,
+   * showing the reason the backend gave if the credential could not be verified.
    * 
    * @param {Object} credentialResponse - The Google OAuth credential response.
    * @returns {void}
    */
   const handleGoogleLogin = async (credentialResponse) => {
-    const result = await googleLogin(credentialResponse);
-    handleQueryResult(result);
+    const { employee, error } = await googleLogin(credentialResponse);
+    if (error) {
+      alert(`${translatedText.googleLoginFailed}: ${await translate(error)}`);
+      return;
+    }
+    handleQueryResult(employee);
   };
 
   /**
@@ -110,20 +115,16 @@ function Login() {
   };
 
   /**
-   * Handles the query result from the login process.
-   * Redirects the user based on their role (Manager or Employee).
+   * Handles the result from the login process.
+   * Redirects the user to the dashboard, which shows the options their role allows.
    * 
-   * @param {Array<Object>} result - The result of the login attempt.
+   * @param {Object|null} result - The logged in employee, or nothing if the login failed.
    * @returns {void}
    */
   const handleQueryResult = (result) => {
-    if (result && result.length > 0) {
+    if (result) {
       setQueryResult(result);
-      if (result[0].position === 'Manager') {
-        navigate('/manageroremployee', { state: { position: 'Manager' } });
-      } else {
-        navigate('/manageroremployee', { state: { position: 'Employee' } });
-      }
+      navigate('/manageroremployee');
     } else {
       alert('Login failed! Please check your username and/or password.');
       setPassword('');
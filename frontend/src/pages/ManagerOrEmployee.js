@@ -3,25 +3,27 @@
  * 
  * This component displays the dashboard for either a manager or employee, depending on the user's role. 
  * It provides navigation options to different sections (Manager Selection, Cashier Page, Kitchen, etc.) 
- * based on the user’s role, which is passed from the previous page using React Router’s `useLocation`.
+ * based on the user’s role, which is read from the current session through the `/api/me` endpoint.
  * The component also fetches and displays translations for various UI elements.
  * 
  * Features:
- * - Displays a dashboard with different options for Manager and Employee roles.
+ * - Displays a dashboard with only the options the employee's permissions allow.
  * - Allows navigation to the manager selection, cashier page, or kitchen page based on role.
  * - Provides an option to log out and return to the login page.
  * - Supports dynamic translation of UI elements based on the selected language.
  * 
  * API Endpoints:
- * - None directly in this component, but navigation occurs to other pages like `/managerselection`, `/cashierpage`, and `/kitchen`.
+ * - `/api/me` - Fetches the logged in employee and their permissions.
+ * - `/api/logout` - Ends the session when going back to the login page.
  * 
  * @example
  * <ManagerOrEmployee />
  */
 
 import React, { useEffect, useState } from 'react';
-import { useLocation, useNavigate } from 'react-router-dom';
+import { useNavigate } from 'react-router-dom';
 import { useTranslate } from '../contexts/TranslationContext'; // Import the useTranslate hook
+import { fetchCurrentEmployee, logout } from '../services/LoginAPI';
 import '../styles/ManagerOrEmployee.css'; // Import the CSS file
 
 /**
@@ -31,8 +33,7 @@ import '../styles/ManagerOrEmployee.css'; // Import the CSS file
  * @returns {JSX.Element} - The rendered dashboard page for manager or employee.
  */
 function ManagerOrEmployee() {
-    // Extract position from the location state (passed during navigation)
-    const { position } = useLocation().state || {};
+    const [permissions, setPermissions] = useState([]);
     const navigate = useNavigate();
     const { translate } = useTranslate(); // Access the translate function from context
 
@@ -74,13 +75,34 @@ function ManagerOrEmployee() {
         fetchTranslations();
     }, [translate]); // Re-fetch translations if the translate function changes
 
+    /**
+     * Fetch the logged in employee's permissions, sending them back to the login page if there is no session.
+     * 
+     * @returns {void}
+     */
+    useEffect(() => {
+        const loadEmployee = async () => {
+            const employee = await fetchCurrentEmployee();
+            if (!employee) {
+                navigate('/login');
+                return;
+            }
+            setPermissions(employee.permissions);
+        };
+
+        loadEmployee();
+    }, [navigate]);
+
     // Navigation functions
     /**
-     * Navigates to the login page.
+     * Logs out and navigates to the login page.
      * 
      * @returns {void}
      */
-    const navigateToLoginPage = () => { navigate('/login'); };
+    const navigateToLoginPage = async () => {
+        await logout();
+        navigate('/login');
+    };
 
     /**
      * Navigates to the manager selection page.
@@ -107,17 +129,21 @@ function ManagerOrEmployee() {
         <div className="manager-employee-container">
             <div className="content-box">
                 <h3>{translations.dashboard || "Loading..."}</h3>
-                {position === 'Manager' && (
+                {permissions.includes('manage') && (
                     <button onClick={navigateToManagerSelectionPage}>
                         {translations.manager || "Loading..."}
                     </button>
                 )}
-                <button onClick={navigateToCashierPage}>
-                    {translations.employee || "Loading..."}
-                </button>
-                <button onClick={navigateToKitchenPage}>
-                    {translations.kitchen || "Loading..."}
-                </button>
+                {permissions.includes('register') && (
+                    <button onClick={navigateToCashierPage}>
+                        {translations.employee || "Loading..."}
+                    </button>
+                )}
+                {permissions.includes('kitchen') && (
+                    <button onClick={navigateToKitchenPage}>
+                        {translations.kitchen || "Loading..."}
+                    </button>
+                )}
                 <button onClick={navigateToLoginPage}>
                     {translations.backToLogin || "Loading..."}
                 </button>
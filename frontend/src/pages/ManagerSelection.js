@@ -12,7 +12,7 @@
  * - Navigates to different pages for managing items, viewing reports, and more.
  * 
  * API Endpoints:
- * - None directly in this component, but navigation occurs to other pages like `/graphspage`, `/inventorypage`, etc.
+ * - None directly in this component, but navigation occurs to other pages like `/graphspage`, `/inventorypage`, `/auditlog`, `/kitchenstations`, `/servicereportpage`, etc.
  * 
  * @example
  * <ManagerSelection />
@@ -59,6 +59,9 @@ function ManagerSelection() {
           'Back',
           'Item Popularity',
           'Excess Report',
+          'Audit Log',
+          'Kitchen Stations',
+          'Speed of Service Report',
         ]);
 
         setTranslatedText({
@@ -75,6 +78,9 @@ function ManagerSelection() {
           backButton: translations[10],
           itemPopularityButton: translations[11],
           excessReportButton: translations[12],
+          auditLogButton: translations[13],
+          kitchenStationsButton: translations[14],
+          serviceReportButton: translations[15],
         });
       } catch (error) {
         console.error('Error loading translations:', error);
@@ -90,6 +96,7 @@ function ManagerSelection() {
   const navigateToGraphsPage = () => navigate('/graphspage');
   const navigateToInventoryPage = () => navigate('/inventorypage');
   const navigateToSalesReportPage = () => navigate('/salesreportpage');
+  const navigateToServiceReportPage = () => navigate('/servicereportpage');
   const navigateToXorZReportPage = () => navigate('/xzreportpage');
   const navigateToRestockReportPage = () => navigate('/restockreportpage');
   const navigateToListEmployeePage = () => navigate('/listemployee');
@@ -99,6 +106,8 @@ function ManagerSelection() {
   const navigateToReceiptPage = () => navigate('/receiptpage');
   const navigateToExcessReportPage = () => navigate('/excessreport');
   const navigateToItemPopularityPage = () => navigate('/itempopularity');
+  const navigateToAuditLogPage = () => navigate('/auditlog');
+  const navigateToKitchenStationsPage = () => navigate('/kitchenstations');
 
   if (loadingTranslations) {
     return <div>Loading translations...</div>;
@@ -117,6 +126,9 @@ function ManagerSelection() {
         <button onClick={navigateToSalesReportPage}>
           {translatedText.salesReportButton}
         </button>
+        <button onClick={navigateToServiceReportPage}>
+          {translatedText.serviceReportButton}
+        </button>
         <button onClick={navigateToXorZReportPage}>
           {translatedText.xorZReportButton}
         </button>
@@ -138,6 +150,12 @@ function ManagerSelection() {
         <button onClick={navigateToItemPopularityPage}>
           {translatedText.itemPopularityButton}
         </button>
+        <button onClick={navigateToAuditLogPage}>
+          {translatedText.auditLogButton}
+        </button>
+        <button onClick={navigateToKitchenStationsPage}>
+          {translatedText.kitchenStationsButton}
+        </button>
         <button onClick={navigateToEmployeeOrManagerPage}>
           {translatedText.backButton}
         </button>
@@ -195,20 +195,16 @@ function Menu() {
  * MealSubText Function
  * 
  * Returns a styled paragraph element containing a description 
- * of the meal benefits based on its name. If the meal name is not recognized, 
+ * of the meal benefits based on its meal size. If the meal has no meal size, 
  * it defaults to "N/A".
  * 
- * @param {string} name - name of the meal 
+ * @param {Object} meal - meal item with its entree_count and side_count 
  * @returns {JSX.Element} - Styled <p> containing the meal details 
  */
-const MealSubText = ( name ) => {
+const MealSubText = ( meal ) => {
     let ReturnedText;
-    if (name === 'Bowl') 
-        ReturnedText = '1 entree & 1 side';
-    else if (name === 'Plate') 
-        ReturnedText = '2 entrees & 1 side';
-    else if (name === "Bigger Plate")
-        ReturnedText = '3 entrees & 1 side';
+    if (meal.entree_count) 
+        ReturnedText = `${meal.entree_count} entree${meal.entree_count === 1 ? '' : 's'} & ${meal.side_count} side${meal.side_count === 1 ? '' : 's'}`;
     else 
         ReturnedText = 'N/A';
 
@@ -234,7 +230,7 @@ const MealSlice = ( {item} ) => (
         <img src={`${process.env.PUBLIC_URL}/${item.name.replace(/[\s/]/g, '')}Icon.png`} alt={item.name}></img>
         <div class="details-container">
             <p class="meal-name">{item.name}</p>
-            {MealSubText(item.name)}
+            {MealSubText(item)}
             <p class="price">{item.name ? `$${item.price}` : 'N/A'}</p>
         </div>
     </div>
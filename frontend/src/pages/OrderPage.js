@@ -223,9 +223,9 @@ const OrderPage = () => {
                     <div className="grid-container">
                         {mealItems.map((item, index) => (
                             
-                            <button key={index} className="grid-item" onClick={() => navigate("/selectentree1", { state: { meal_item: item } })}>
+                            <button key={index} className="grid-item" onClick={() => navigate("/selectentree", { state: { meal_item: item } })}>
                                 <img class="inverted" src={`${process.env.PUBLIC_URL}/${item.name.replace(/[\s/]/g, '')}Icon.png`} alt={item.name}></img>
-                                {MealSubText(item.name)}
+                                {MealSubText(item)}
                                 {item.name}
                             </button>
                         ))}
@@ -299,16 +299,12 @@ const OrderPage = () => {
 };
 
 /**
- * Helper function to return the appropriate subtext for each meal type.
+ * Helper function to return the appropriate subtext for each meal type from its meal size.
  */
-const MealSubText = ( name ) => {
+const MealSubText = ( meal ) => {
     let ReturnedText;
-    if (name === 'Bowl') 
-        ReturnedText = '1 entree & 1 side';
-    else if (name === 'Plate') 
-        ReturnedText = '2 entrees & 1 side';
-    else if (name === "Bigger Plate")
-        ReturnedText = '3 entrees & 1 side';
+    if (meal.entree_count) 
+        ReturnedText = `${meal.entree_count} entree${meal.entree_count === 1 ? '' : 's'} & ${meal.side_count} side${meal.side_count === 1 ? '' : 's'}`;
     else 
         ReturnedText = 'N/A';
 
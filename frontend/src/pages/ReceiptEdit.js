@@ -4,12 +4,17 @@
  * This component allows the user to edit an existing receipt. It fetches receipt details from the backend 
  * using the provided receipt ID, allows modification of the receipt's status and line items, and saves the changes 
  * back to the server. It also provides functionality to add or remove line items dynamically.
+ * The server prices new or changed items from the menu, recalculates the total and updates the inventory,
+ * and the inventory changes are shown once the receipt is saved.
  * 
  * Features:
  * - Displays the receipt ID, date, and current status.
- * - Allows the user to change the status of the receipt (e.g., "Pending", "Fulfilled", "Cancelled").
- * - Provides an interface to view and modify line items, including adding and removing them.
+ * - Allows the user to move the receipt to the statuses the order lifecycle allows next (e.g., from "Ready" to
+ *   "Picked Up" or "Cancelled"). Cancelling asks for the reason and voids the order, giving back its payments.
+ * - Provides an interface to view and modify line items, including adding and removing them. Meals get as many
+ *   entree and side choices as their meal size allows, including half and half sides.
  * - Sends the updated receipt data to the server for persistence.
+ * - Shows the new total and how much of each inventory item the edit put back or took out.
  * 
  * API Endpoints:
  * - `GET /api/receipts/:receipt_id` - Fetches receipt details.
@@ -41,9 +46,11 @@ function ReceiptEdit() {
     const [lineItems, setLineItems] = useState([]);
     const [drinks, setDrinks] = useState([]);
     const [appetizers, setAppetizers] = useState([]);
+    const [mealSizes, setMealSizes] = useState([]);
     const [mealEntrees, setMealEntrees] = useState([]);
     const [mealSides, setMealSides] = useState([]);
     const [newItemType, setNewItemType] = useState("Drink");
+    const [updateResult, setUpdateResult] = useState(null);
     const [translations, setTranslations] = useState({});
     const { translate } = useFasterTranslate();
 
@@ -58,7 +65,8 @@ function ReceiptEdit() {
                 const response = await axios.get(`${API_URL}/receipts/${receipt_id}`);
                 const updatedLineItems = response.data.line_items.map((item) => {
                     if (item.type === "Meal" && !item.entrees) {
-                        item.entrees = [null, null, null];
+                        item.entrees = [...(item.meats || [])];
+                        item.sides = [...(item.sides || [])];
                     }
                     return item;
                 });
@@ -72,12 +80,14 @@ function ReceiptEdit() {
 
         const fetchDropdownOptions = async () => {
             try {
-                const [drinkRes, appRes, entreeRes, sideRes] = await Promise.all([
+                const [mealRes, drinkRes, appRes, entreeRes, sideRes] = await Promise.all([
+                    axios.post(`${API_URL}/doQueryMealItems`),
                     axios.post(`${API_URL}/doQueryDrinkItems`),
                     axios.post(`${API_URL}/doQueryAppItems`),
                     axios.post(`${API_URL}/doQueryEntree`),
                     axios.post(`${API_URL}/doQuerySide`),
                 ]);
+                setMealSizes(mealRes.data);
                 setDrinks(drinkRes.data);
                 setAppetizers(appRes.data);
                 setMealEntrees(entreeRes.data);
@@ -96,11 +106,16 @@ function ReceiptEdit() {
                     "Receipt ID",
                     "Date",
                     "Status",
-                    "Pending",
-                    "Fulfilled",
+                    "Received",
+                    "In Progress",
+                    "Ready",
+                    "Picked Up",
                     "Cancelled",
+                    "Voided",
+                    "Refunded",
                     "Line Items",
                     "Type",
+                    "Select Meal",
                     "Select Drink",
                     "Select Appetizer",
                     "Select Entree",
@@ -116,6 +131,15 @@ function ReceiptEdit() {
                     "Receipt updated successfully!",
                     "Failed to update receipt",
                     "There was an error while updating the receipt.",
+                    "Entrees",
+                    "Sides",
+                    "New Total",
+                    "Inventory Changes",
+                    "No inventory changes.",
+                    "Back to Receipts",
+                    "Priced from the menu when saved",
+                    "Why is this order being cancelled?",
+                    "Order cancelled, given back:",
                 ];
                 const translationMap = {};
                 for (const key of keys) {
@@ -134,12 +158,38 @@ function ReceiptEdit() {
         }
     }, [receipt_id, translate]);
 
-    const handleMealChange = (index, entreeIndex, value) => {
-        const updatedLineItems = [...lineItems];
-        if (!updatedLineItems[index].entrees) {
-            updatedLineItems[index].entrees = [null, null, null];
+    /**
+     * Counts the entree and side choices to show for a meal line item from its meal size. Each side can be
+     * half and half when the meal size allows it, so it gets two side choices.
+     * 
+     * @param {Object} item - The meal line item.
+     * @returns {{entrees: number, sides: number}} - The number of entree and side choices.
+     */
+    const getMealSlots = (item) => {
+        const meal = mealSizes.find((size) => size.name === item.size);
+        if (!meal || meal.entree_count === null) {
+            return { entrees: Math.max(3, item.entrees.length), sides: Math.max(1, item.sides.length) };
         }
-        updatedLineItems[index].entrees[entreeIndex] = value;
+        return {
+            entrees: Math.max(meal.entree_count, item.entrees.length),
+            sides: Math.max(meal.half_sides ? meal.side_count * 2 : meal.side_count, item.sides.length),
+        };
+    };
+
+    /**
+     * Changes one entree or side choice of a meal line item.
+     * 
+     * @param {number} index - The index of the line item.
+     * @param {string} field - `entrees` or `sides`.
+     * @param {number} slot - The index of the choice.
+     * @param {string} value - The name of the menu item chosen, empty for none.
+     * @returns {void}
+     */
+    const handleMealChange = (index, field, slot, value) => {
+        const updatedLineItems = [...lineItems];
+        const choices = [...updatedLineItems[index][field]];
+        choices[slot] = value || null;
+        updatedLineItems[index][field] = choices;
         setLineItems(updatedLineItems);
     };
 
@@ -159,8 +209,9 @@ function ReceiptEdit() {
     const handleAddLineItem = () => {
         const newItem = { type: newItemType, price: 0 };
         if (newItemType === "Meal") {
-            newItem.entrees = [null, null, null];
-            newItem.side = null;
+            newItem.size = null;
+            newItem.entrees = [];
+            newItem.sides = [];
         }
         setLineItems([...lineItems, newItem]);
     };
@@ -178,25 +229,42 @@ function ReceiptEdit() {
 
     /**
      * Handles the form submission to update the receipt with modified data.
+     * Shows the new total and the inventory changes the server made for the edit.
+     * Cancelling asks for the reason and leaves the line items as they are, since the order is voided.
      * 
      * @param {React.FormEvent} e - The form submit event.
      * @returns {void}
      */
     const handleSubmit = async (e) => {
         e.preventDefault();
+        if (status === "Cancelled" && receipt.status !== "Cancelled") {
+            const reason = window.prompt(translations["Why is this order being cancelled?"]);
+            if (!reason || !reason.trim()) return;
+
+            try {
+                const response = await axios.put(`${API_URL}/receipts/${receipt_id}`, { receipt_id, status, reason });
+                alert(`${translations["Order cancelled, given back:"]} $${response.data.adjustment.total.toFixed(2)}`);
+                navigateBack();
+            } catch (error) {
+                console.error("Error cancelling order:", error);
+                alert(error.response?.data?.error || translations["There was an error while updating the receipt."]);
+            }
+            return;
+        }
+
         const updatedReceipt = { receipt_id, status, line_items: lineItems };
 
         try {
             const response = await axios.put(`${API_URL}/receipts/${receipt_id}`, updatedReceipt);
             if (response.data.success) {
                 alert(translations["Receipt updated successfully!"]);
-                navigate("/receiptpage");
+                setUpdateResult(response.data);
             } else {
                 alert(translations["Failed to update receipt"]);
             }
         } catch (error) {
             console.error("Error updating receipt:", error);
-            alert(translations["There was an error while updating the receipt."]);
+            alert(error.response?.data?.error || translations["There was an error while updating the receipt."]);
         }
     };
 
@@ -206,6 +274,33 @@ function ReceiptEdit() {
         return <div>{translations["Loading..."] || "Loading..."}</div>;
     }
 
+    if (updateResult) {
+        return (
+            <div style={{ padding: "20px" }}>
+                <h2>{translations["Receipt updated successfully!"]}</h2>
+                {updateResult.totals && (
+                    <div>
+                        <label>{translations["New Total"]}:</label>
+                        <span> ${updateResult.totals.total.toFixed(2)}</span>
+                    </div>
+                )}
+                <h3>{translations["Inventory Changes"]}:</h3>
+                {updateResult.inventory_changes.length > 0 ? (
+                    <ul>
+                        {updateResult.inventory_changes.map((change) => (
+                            <li key={change.inventory_id}>
+                                {change.name}: {change.change > 0 ? "+" : ""}{change.change} {change.quantity_type} ({change.quantity} {change.quantity_type})
+                            </li>
+                        ))}
+                    </ul>
+                ) : (
+                    <p>{translations["No inventory changes."]}</p>
+                )}
+                <button onClick={navigateBack}>{translations["Back to Receipts"]}</button>
+            </div>
+        );
+    }
+
     return (
         <div style={{ padding: "20px" }}>
             <button onClick={navigateBack}>{translations["Back"]}</button>
@@ -222,9 +317,11 @@ function ReceiptEdit() {
                 <div>
                     <label>{translations["Status"]}:</label>
                     <select value={status} onChange={handleStatusChange}>
-                        <option value="Pending">{translations["Pending"]}</option>
-                        <option value="Fulfilled">{translations["Fulfilled"]}</option>
-                        <option value="Cancelled">{translations["Cancelled"]}</option>
+                        {[receipt.status, ...(receipt.next_statuses || [])].map((option) => (
+                            <option key={option} value={option}>
+                                {translations[option] || option}
+                            </option>
+                        ))}
                     </select>
                 </div>
                 <h3>{translations["Line Items"]}:</h3>
@@ -260,12 +357,23 @@ function ReceiptEdit() {
                         )}
                         {item.type === "Meal" && (
                             <div>
+                                <select
+                                    value={item.size || ""}
+                                    onChange={(e) => handleLineItemChange(index, "size", e.target.value)}
+                                >
+                                    <option value="">{translations["Select Meal"]}</option>
+                                    {mealSizes.map((meal) => (
+                                        <option key={meal.menu_id} value={meal.name}>
+                                            {meal.name}
+                                        </option>
+                                    ))}
+                                </select>
                                 <label>{translations["Entrees"]}:</label>
-                                {[0, 1, 2].map((i) => (
+                                {Array.from({ length: getMealSlots(item).entrees }, (_, i) => (
                                     <select
                                         key={i}
-                                        value={item.entrees?.[i] || ""}
-                                        onChange={(e) => handleMealChange(index, i, e.target.value)}
+                                        value={item.entrees[i] || ""}
+                                        onChange={(e) => handleMealChange(index, "entrees", i, e.target.value)}
                                     >
                                         <option value="">{translations["Select Entree"]}</option>
                                         {mealEntrees.map((entree) => (
@@ -275,28 +383,26 @@ function ReceiptEdit() {
                                         ))}
                                     </select>
                                 ))}
-                                <label>{translations["Side"]}:</label>
-                                <select
-                                    value={item.side || ""}
-                                    onChange={(e) => handleLineItemChange(index, "side", e.target.value)}
-                                >
-                                    <option value="">{translations["Select Side"]}</option>
-                                    {mealSides.map((side) => (
-                                        <option key={side.menu_id} value={side.name}>
-                                            {side.name}
-                                        </option>
-                                    ))}
-                                </select>
+                                <label>{translations["Sides"]}:</label>
+                                {Array.from({ length: getMealSlots(item).sides }, (_, i) => (
+                                    <select
+                                        key={i}
+                                        value={item.sides[i] || ""}
+                                        onChange={(e) => handleMealChange(index, "sides", i, e.target.value)}
+                                    >
+                                        <option value="">{translations["Select Side"]}</option>
+                                        {mealSides.map((side) => (
+                                            <option key={side.menu_id} value={side.name}>
+                                                {side.name}
+                                            </option>
+                                        ))}
+                                    </select>
+                                ))}
                             </div>
                         )}
-                        <input
-                            type="number"
-                            step="0.01"
-                            placeholder={translations["Price"]}
-                            value={item.price || 0}
-                            onChange={(e) => handleLineItemChange(index, "price", parseFloat(e.target.value))}
-                            required
-                        />
+                        <span title={translations["Priced from the menu when saved"]}>
+                            {translations["Price"]}: ${parseFloat(item.price || 0).toFixed(2)}
+                        </span>
                         <button type="button" onClick={() => handleRemoveLineItem(index)}>
                             {translations["Remove"]}
                         </button>
@@ -2,21 +2,21 @@
  * ReceiptPage Component
  * 
  * This component handles the display of all receipts, including searching for specific receipts by ID.
- * It fetches the list of receipts from the backend and displays them in a list. Each receipt can be viewed, edited, or deleted.
+ * It fetches the list of receipts from the backend and displays them in a list. Each receipt can be viewed, edited, voided, or refunded.
  * The page supports pagination for the receipt list and includes a search bar to filter by receipt ID.
  * 
  * Features:
  * - Fetches and displays all receipts with pagination.
  * - Allows searching for receipts by ID.
- * - Displays the receipt details including ID, date, total amount, and status.
- * - Provides options to view, edit, or delete a receipt.
- * - Displays appropriate success/error messages when deleting a receipt.
+ * - Displays the receipt details including ID, date, total amount, amount refunded, and status.
+ * - Provides options to view, edit, void, or refund a receipt. Voiding asks for the reason, refunds are picked per item on the receipt view.
+ * - Displays appropriate success/error messages when voiding a receipt.
  * - Uses a translation context to handle multilingual support.
  * 
  * API Endpoints:
  * - `GET /api/receipts?page={page}&limit={limit}` - Fetches a list of receipts with pagination.
  * - `GET /api/receipts/{receipt_id}` - Fetches a specific receipt by its ID.
- * - `DELETE /api/receipts/{receipt_id}` - Deletes a specific receipt by its ID.
+ * - `POST /api/receipts/{receipt_id}/void` - Voids a receipt placed today, restoring its inventory and giving back its payments.
  * 
  * @component
  * @example
@@ -33,7 +33,7 @@ const API_URL = '/api'; // Base URL for the backend
 
 /**
  * The ReceiptPage component displays all receipts, allows searching for receipts by ID,
- * and provides actions to view, edit, or delete a receipt.
+ * and provides actions to view, edit, void, or refund a receipt.
  * 
  * @returns {JSX.Element} - The rendered ReceiptPage component.
  */
@@ -66,10 +66,13 @@ function ReceiptPage() {
           'Status:',
           'View',
           'Edit',
-          'Delete',
-          'Are you sure you want to delete this receipt?',
-          'Receipt deleted successfully!',
-          'Failed to delete receipt',
+          'Void',
+          'Refund',
+          'Why is this order being voided?',
+          'Receipt voided successfully!',
+          'Failed to void receipt',
+          'Refunded:',
+          'Retry the card refund from the receipt view.',
         ]);
 
         setTranslatedText({
@@ -84,10 +87,13 @@ function ReceiptPage() {
           statusLabel: translations[8],
           viewButton: translations[9],
           editButton: translations[10],
-          deleteButton: translations[11],
-          deleteConfirmMessage: translations[12],
-          deleteSuccessMessage: translations[13],
-          deleteFailureMessage: translations[14],
+          voidButton: translations[11],
+          refundButton: translations[12],
+          voidReasonPrompt: translations[13],
+          voidSuccessMessage: translations[14],
+          voidFailureMessage: translations[15],
+          refundedLabel: translations[16],
+          pendingRefundsMessage: translations[17],
         });
       } catch (error) {
         console.error('Error loading translations:', error);
@@ -195,11 +201,11 @@ function ReceiptPage() {
  * ReceiptSlice Component
  * 
  * This component is used to display a single receipt's details in the ReceiptPage. 
- * It provides actions to view, edit, and delete the receipt.
+ * It provides actions to view, edit, void, and refund the receipt.
  * 
  * Features:
- * - Displays receipt information such as ID, date, total amount, and status.
- * - Provides options to view, edit, or delete a receipt.
+ * - Displays receipt information such as ID, date, total amount, amount refunded, and status.
+ * - Provides options to view, edit, void, or refund a receipt.
  * 
  * @component
  * @example
@@ -207,7 +213,7 @@ function ReceiptPage() {
  * <ReceiptSlice receipt={receipt} fetchReceipts={fetchReceipts} translatedText={translatedText} />
  * 
  * @param {Object} receipt - The receipt data to display.
- * @param {Function} fetchReceipts - The function to refresh the list of receipts after deletion.
+ * @param {Function} fetchReceipts - The function to refresh the list of receipts after a void.
  * @param {Object} translatedText - The translations for various UI elements.
  */
 function ReceiptSlice({ receipt, fetchReceipts, translatedText }) {
@@ -222,24 +228,38 @@ function ReceiptSlice({ receipt, fetchReceipts, translatedText }) {
   };
 
   /**
-   * Handles receipt deletion. Confirms with the user before making the deletion request.
+   * Items are refunded from the receipt view, where the items to give back are picked.
    * 
    * @returns {void}
    */
-  const handleDelete = async () => {
-    if (!window.confirm(translatedText.deleteConfirmMessage)) return;
+  const navigateToRefund = () => {
+    navigate('/receiptview', { state: { receipt_id: receipt.receipt_id } });
+  };
+
+  /**
+   * Handles voiding the receipt. Asks for the reason before making the void request,
+   * the backend only voids orders placed today.
+   * 
+   * @returns {void}
+   */
+  const handleVoid = async () => {
+    const reason = window.prompt(translatedText.voidReasonPrompt);
+    if (!reason || !reason.trim()) return;
 
     try {
-      const response = await axios.delete(`${API_URL}/receipts/${receipt.receipt_id}`);
+      const response = await axios.post(`${API_URL}/receipts/${receipt.receipt_id}/void`, { reason });
       if (response.data.success) {
-        alert(translatedText.deleteSuccessMessage);
+        const pending = response.data.adjustment.refunds.filter((refund) => refund.status === 'pending');
+        alert(pending.length > 0
+          ? `${translatedText.voidSuccessMessage} ${pending.map((refund) => refund.message).join(', ')} ${translatedText.pendingRefundsMessage}`
+          : translatedText.voidSuccessMessage);
         fetchReceipts();
       } else {
-        alert(translatedText.deleteFailureMessage);
+        alert(translatedText.voidFailureMessage);
       }
     } catch (error) {
-      console.error('Error deleting receipt:', error);
-      alert(translatedText.deleteFailureMessage);
+      console.error('Error voiding receipt:', error);
+      alert(error.response?.data?.error || translatedText.voidFailureMessage);
     }
   };
 
@@ -266,17 +286,26 @@ function ReceiptSlice({ receipt, fetchReceipts, translatedText }) {
       <div>
         <strong>{translatedText.statusLabel}</strong> {receipt.status}
       </div>
+      {parseFloat(receipt.refunded_total) > 0 && (
+        <div>
+          <strong>{translatedText.refundedLabel}</strong> $
+          {parseFloat(receipt.refunded_total).toFixed(2)}
+        </div>
+      )}
       <button onClick={navigateToView}>
         {translatedText.viewButton}
       </button>
       <button onClick={navigateToEdit}>
         {translatedText.editButton}
       </button>
+      <button onClick={navigateToRefund}>
+        {translatedText.refundButton}
+      </button>
       <button
-        onClick={handleDelete}
+        onClick={handleVoid}
         style={{ backgroundColor: '#d32f2f', color: 'white' }}
       >
-        {translatedText.deleteButton}
+        {translatedText.voidButton}
       </button>
     </div>
   );
@@ -2,17 +2,25 @@
  * ReceiptView Component
  * 
  * This component displays the details of a single receipt. It fetches the receipt data from the backend based on the `receipt_id` passed via the location state.
- * The receipt details include the receipt ID, date, total amount, status, and a list of line items.
+ * The receipt details include the receipt ID, date, discounts, total amount, status, payments, and a list of line items.
+ * Items that were not given back yet can be picked and refunded with a reason, and past voids and refunds are listed.
  * It also provides an option to go back to the Receipt Page.
  * 
  * Features:
  * - Fetches and displays a specific receipt's details, including line items.
- * - Displays receipt information such as ID, date, total amount, and status.
+ * - Displays receipt information such as ID, date, discounts, total amount, and status.
+ * - Shows the order's timeline: when it was received, started, ready, picked up or cancelled, and the time between steps.
+ * - Lists how the receipt was paid, with the amount tendered and change given for each payment.
+ * - Refunds the picked line items, the money goes back to the payments of the receipt.
+ * - Lists the voids and refunds of the receipt, with who did them, why and where the money went.
+ * - Sends card refunds the payment terminal did not approve yet to the terminal again.
  * - Provides a back button to navigate back to the Receipt Page.
  * - Generates a description for each line item based on its type (Meal, Appetizer, Drink).
  * 
  * API Endpoints:
  * - `GET /api/receipts/{receipt_id}` - Fetches a specific receipt by its ID.
+ * - `POST /api/receipts/{receipt_id}/refund` - Refunds line items of the receipt.
+ * - `POST /api/receipts/{receipt_id}/settleRefunds` - Sends the receipt's pending card refunds to the payment terminal again.
  * 
  * @component
  * @example
@@ -25,6 +33,17 @@ import axios from 'axios';
 
 const API_URL = '/api';
 
+/**
+ * Formats the time between two steps of an order, such as "4m 12s".
+ * 
+ * @param {number} milliseconds - The time between the steps.
+ * @returns {string} - The time in minutes and seconds.
+ */
+const formatDuration = (milliseconds) => {
+  const seconds = Math.max(0, Math.round(milliseconds / 1000));
+  return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+};
+
 /**
  * The ReceiptView component displays the details of a single receipt,
  * including receipt ID, date, total amount, status, and line items.
@@ -36,6 +55,8 @@ function ReceiptView() {
   const location = useLocation();
   const { receipt_id } = location.state || {};
   const [receipt, setReceipt] = useState(null);
+  const [selectedItems, setSelectedItems] = useState([]);
+  const [refundReason, setRefundReason] = useState('');
 
   /**
    * Fetches receipt data from the backend using the receipt ID.
@@ -56,6 +77,72 @@ function ReceiptView() {
     fetchReceipt();
   }, [receipt_id]);
 
+  /**
+   * Picks or unpicks a line item to refund.
+   * 
+   * @param {number} lineItemId - The ID of the line item.
+   * @returns {void}
+   */
+  const toggleItem = (lineItemId) => {
+    setSelectedItems((items) =>
+      items.includes(lineItemId) ? items.filter((id) => id !== lineItemId) : [...items, lineItemId]
+    );
+  };
+
+  /**
+   * Refunds the picked line items with the reason given and reloads the receipt to show the refund.
+   * 
+   * @returns {Promise<void>}
+   */
+  const handleRefund = async () => {
+    if (selectedItems.length === 0) {
+      alert('Select the items to refund.');
+      return;
+    }
+    if (!refundReason.trim()) {
+      alert('Enter the reason for the refund.');
+      return;
+    }
+
+    try {
+      const response = await axios.post(`${API_URL}/receipts/${receipt_id}/refund`, {
+        line_item_ids: selectedItems,
+        reason: refundReason,
+      });
+      const refunds = response.data.adjustment.refunds
+        .map((refund) => `${refund.method.replace('_', ' ')} $${refund.amount.toFixed(2)}${refund.status === 'pending' ? ` pending: ${refund.message}` : ''}`)
+        .join(', ');
+      alert(`Refunded $${response.data.adjustment.total.toFixed(2)} (${refunds}).`);
+      setSelectedItems([]);
+      setRefundReason('');
+      const refreshed = await axios.get(`${API_URL}/receipts/${receipt_id}`);
+      setReceipt(refreshed.data);
+    } catch (error) {
+      console.error('Error refunding receipt:', error);
+      alert(error.response?.data?.error || 'Failed to refund receipt');
+    }
+  };
+
+  /**
+   * Sends the card refunds of the receipt that are still pending to the payment terminal again and reloads the receipt.
+   * 
+   * @returns {Promise<void>}
+   */
+  const handleSettleRefunds = async () => {
+    try {
+      const response = await axios.post(`${API_URL}/receipts/${receipt_id}/settleRefunds`);
+      const pending = response.data.refunds.filter((refund) => refund.status === 'pending');
+      alert(pending.length > 0
+        ? `${pending.length} card refund(s) are still pending: ${pending.map((refund) => refund.message).join(', ')}`
+        : 'Every card refund was given back.');
+      const refreshed = await axios.get(`${API_URL}/receipts/${receipt_id}`);
+      setReceipt(refreshed.data);
+    } catch (error) {
+      console.error('Error settling card refunds:', error);
+      alert(error.response?.data?.error || 'Failed to send the card refunds');
+    }
+  };
+
   /**
    * Navigates back to the ReceiptPage.
    * 
@@ -74,7 +161,7 @@ function ReceiptView() {
   const getItemDescription = (item) => {
     switch (item.type) {
       case 'Meal':
-        return `Meal with ${item.meats.join(', ')} and ${item.side}`;
+        return `Meal with ${item.meats.join(', ')} and ${item.sides.join(' & ')}`;
       case 'Appetizer':
         return `Appetizer: ${item.name}`;
       case 'Drink':
@@ -106,24 +193,96 @@ function ReceiptView() {
       <div>
         <strong>Date:</strong> {new Date(receipt.date).toLocaleString()}
       </div>
+      {receipt.discounts && receipt.discounts.map((discount) => (
+        <div key={discount.description}>
+          <strong>Discount ({discount.description}):</strong> -${parseFloat(discount.amount).toFixed(2)}
+        </div>
+      ))}
+      <div>
+        <strong>Subtotal:</strong> ${parseFloat(receipt.subtotal ?? receipt.totalamount).toFixed(2)}
+      </div>
+      <div>
+        <strong>Tax:</strong> ${parseFloat(receipt.tax_amount ?? 0).toFixed(2)}
+      </div>
       <div>
-        <strong>Total Amount:</strong> ${parseFloat(receipt.totalamount).toFixed(2)}
+        <strong>Total Amount:</strong> ${parseFloat(receipt.total ?? receipt.totalamount).toFixed(2)}
       </div>
       <div>
         <strong>Status:</strong> {receipt.status}
       </div>
+      {receipt.timeline && receipt.timeline.length > 0 && (
+        <>
+          <h3>Order Timeline:</h3>
+          <ul>
+            {receipt.timeline.map((step, index) => (
+              <li key={step.status}>
+                <strong>{step.status}</strong> {new Date(step.at).toLocaleString()}
+                {index > 0 && ` (${formatDuration(new Date(step.at) - new Date(receipt.timeline[index - 1].at))} later)`}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+      {receipt.payments && receipt.payments.map((payment, index) => (
+        <div key={index}>
+          <strong>Payment ({payment.method.replace('_', ' ')}{payment.reference ? `, ${payment.reference}` : ''}):</strong>{' '}
+          ${parseFloat(payment.amount).toFixed(2)}, tendered ${parseFloat(payment.amount_tendered).toFixed(2)}, change ${parseFloat(payment.change_given).toFixed(2)}
+        </div>
+      ))}
       <h3>Line Items:</h3>
       {receipt.line_items && receipt.line_items.length > 0 ? (
         <ul>
           {receipt.line_items.map((item) => (
             <li key={item.line_item_id}>
+              {!item.refunded && (
+                <input
+                  type="checkbox"
+                  checked={selectedItems.includes(item.line_item_id)}
+                  onChange={() => toggleItem(item.line_item_id)}
+                />
+              )}
               {getItemDescription(item)} - ${parseFloat(item.price).toFixed(2)}
+              {item.refunded && ' (refunded)'}
             </li>
           ))}
         </ul>
       ) : (
         <p>No line items found.</p>
       )}
+      {receipt.line_items && receipt.line_items.some((item) => !item.refunded) && (
+        <div>
+          <input
+            type="text"
+            placeholder="Reason for the refund"
+            value={refundReason}
+            onChange={(e) => setRefundReason(e.target.value)}
+          />
+          <button onClick={handleRefund}>Refund Selected Items</button>
+        </div>
+      )}
+      {receipt.adjustments && receipt.adjustments.length > 0 && (
+        <>
+          <h3>Voids and Refunds:</h3>
+          <ul>
+            {receipt.adjustments.map((adjustment) => (
+              <li key={adjustment.adjustment_id}>
+                <strong>{adjustment.kind === 'void' ? 'Void' : 'Refund'}</strong>{' '}
+                {new Date(adjustment.created_at).toLocaleString()} by {adjustment.employee_name || 'unknown'}: {adjustment.reason}
+                {' '}- ${parseFloat(adjustment.total).toFixed(2)} (tax ${parseFloat(adjustment.tax_amount).toFixed(2)})
+                {adjustment.refunds.map((refund, index) => (
+                  <div key={index}>
+                    Given back ({refund.method.replace('_', ' ')}{refund.reference ? `, ${refund.reference}` : ''}): ${parseFloat(refund.amount).toFixed(2)}
+                    {refund.status === 'pending' ? ' (pending on the payment terminal)' : ''}
+                  </div>
+                ))}
+              </li>
+            ))}
+          </ul>
+          {receipt.adjustments.some((adjustment) => adjustment.refunds.some((refund) => refund.status === 'pending')) && (
+            <button onClick={handleSettleRefunds}>Retry Pending Card Refunds</button>
+          )}
+        </>
+      )}
     </div>
   );
 }
@@ -10,11 +10,13 @@
  * - Input fields for start and end date/time to specify the report period.
  * - Generates a report by fetching data from the backend based on user input.
  * - Displays the report in a table format with item count and total revenue.
+ * - Displays the discounts each promotion gave in the same period.
  * - Handles errors related to invalid input or API failure.
  * - Supports translation for UI labels to adapt to different languages.
  * 
  * API Endpoints:
  * - `/api/doSalesReportQuery` - Fetches the sales report data based on the start and end times.
+ * - `/api/doDiscountReportQuery` - Fetches the discounts given by each promotion between the start and end times.
  * 
  * @component
  * @example
@@ -56,6 +58,33 @@ async function doSalesReportQuery(startTime, endTime) {
   }
 }
 
+/**
+ * Function to fetch the discounts given by each promotion from the backend.
+ * 
+ * @param {string} startTime - The start date & time for the report.
+ * @param {string} endTime - The end date & time for the report.
+ * @returns {Object} - The discount report data or an error message if the fetch fails.
+ */
+async function doDiscountReportQuery(startTime, endTime) {
+  try {
+    const response = await fetch(`${API_URL}/doDiscountReportQuery`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ startTime, endTime }),
+    });
+
+    if (!response.ok) {
+      throw new Error('Failed to fetch discount report.');
+    }
+
+    const data = await response.json();
+    return data;
+  } catch (error) {
+    console.error(error);
+    return { error: error.message };
+  }
+}
+
 /**
  * The main component that displays the sales report form, handles report generation,
  * and displays the report data or error messages.
@@ -66,6 +95,7 @@ const SalesReportPage = () => {
   const [startTime, setStartTime] = useState('');
   const [endTime, setEndTime] = useState('');
   const [reportData, setReportData] = useState([]);
+  const [discountData, setDiscountData] = useState([]);
   const [error, setError] = useState(null);
   const { translate } = useTranslate();
   const navigate = useNavigate();
@@ -77,6 +107,10 @@ const SalesReportPage = () => {
     item: 'Item',
     count: 'Count',
     totalRevenue: 'Total Revenue',
+    promotion: 'Promotion',
+    promoCode: 'Promo Code',
+    receipts: 'Receipts',
+    totalDiscount: 'Total Discount',
     back: 'Back',
     errorFetching: 'Failed to fetch sales report.',
     errorInvalidDates: 'Please enter valid start and end times.',
@@ -94,6 +128,10 @@ const SalesReportPage = () => {
         item: await translate('Item'),
         count: await translate('Count'),
         totalRevenue: await translate('Total Revenue'),
+        promotion: await translate('Promotion'),
+        promoCode: await translate('Promo Code'),
+        receipts: await translate('Receipts'),
+        totalDiscount: await translate('Total Discount'),
         back: await translate('Back'),
         errorFetching: await translate('Failed to fetch sales report.'),
         errorInvalidDates: await translate('Please enter valid start and end times.'),
@@ -121,10 +159,12 @@ const SalesReportPage = () => {
     }
 
     const result = await doSalesReportQuery(startTime, endTime);
-    if (result.error) {
+    const discounts = await doDiscountReportQuery(startTime, endTime);
+    if (result.error || discounts.error) {
       setError(labels.errorFetching);
     } else {
       setReportData(result);
+      setDiscountData(discounts);
       setError(null);
     }
   };
@@ -175,6 +215,29 @@ const SalesReportPage = () => {
           ))}
         </tbody>
       </table>
+
+      {discountData.length > 0 && (
+        <table className={styles.table}>
+          <thead>
+            <tr>
+              <th>{labels.promotion}</th>
+              <th>{labels.promoCode}</th>
+              <th>{labels.receipts}</th>
+              <th>{labels.totalDiscount}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {discountData.map((row) => (
+              <tr key={row.promotion_id}>
+                <td>{row.name}</td>
+                <td>{row.code || '-'}</td>
+                <td>{row.receipt_count}</td>
+                <td>{row.total_discount}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
       <button className={styles.button} onClick={navigateToManagerSelection}>
         {labels.back}
       </button>
@@ -1,7 +1,8 @@
 /**
- * @file SelectEntreePage1.js
- * @description Page component for selecting the first entree. Handles fetching entree data,
- * managing user selection, and navigating to subsequent pages based on the meal item and user choices.
+ * @file SelectEntreePage.js
+ * @description Page component for selecting the entrees of a meal, one entree per step. Handles fetching entree data,
+ * managing user selection, and moving to the next entree or to the side selection once the meal has as many
+ * entrees as its meal size allows.
  */
 import React, { useState, useEffect } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
@@ -11,23 +12,27 @@ import '../styles/SelectEntreePage.css';
 const API_URL = '/api';
 
 /**
- * SelectEntreePage1 Component
+ * SelectEntreePage Component
  *
- * Renders a page where users can select their first entree as part of their meal order.
- * Fetches entree data from the server, supports internationalization via translations,
- * and navigates to the next page upon user selection.
+ * Renders a page where users select the next entree of their meal. The meal item passed in the location state
+ * carries its meal size (`entree_count` and the `categories` its entrees must be in), and `entrees` holds the
+ * names of the entrees chosen on the earlier steps.
  *
  * @component
  * @returns {JSX.Element} The rendered component for selecting an entree.
  */
-const SelectEntreePage1 = () => {
+const SelectEntreePage = () => {
     const [entreeItems, setEntreeItems] = useState([]);
-    const [selectedEntree, setSelectedEntree] = useState(null); 
+    const [selectedEntree, setSelectedEntree] = useState(null);
     const navigate = useNavigate();
     const location = useLocation();
     const { translate } = useTranslate(); // Access translate function from context
 
-    const mealItem = location.state?.meal_item || "bowl"; 
+    const mealItem = location.state?.meal_item || {};
+    const chosenEntrees = location.state?.entrees || [];
+    const entreeCount = mealItem.entree_count || 1;
+    const categories = mealItem.categories || [];
+    const step = chosenEntrees.length + 1;
 
     const [translatedStrings, setTranslatedStrings] = useState({
         title: '',
@@ -52,13 +57,16 @@ const SelectEntreePage1 = () => {
         }
     };
 
+    /**
+     * Fetches entree items on component mount.
+     */
+    useEffect(() => { fetchEntrees(); }, []);
+
     /**
      * Fetches translations for UI text and updates the `translatedStrings` state.
      * Runs on component mount and whenever the `translate` function changes.
      */
     useEffect(() => {
-        fetchEntrees();
-
         const translateStrings = async () => {
             const title = await translate('Select an Entree');
             const selectEntreeAlert = await translate('Please select an entree before proceeding.');
@@ -75,7 +83,7 @@ const SelectEntreePage1 = () => {
     }, [translate]);
 
     /**
-     * Handles navigation to the next page based on the selected entree and meal item.
+     * Handles navigation to the next entree, or to the side selection after the last entree of the meal.
      * Validates user selection and uses translated alert messages when necessary.
      */
     const handleNext = () => {
@@ -84,32 +92,25 @@ const SelectEntreePage1 = () => {
             return;
         }
 
-        if (mealItem.name === "Bowl") {
-            console.log(mealItem);
-            navigate('/selectside', { 
-                state: { 
-                    meal_item: mealItem.name, 
-                    entree1: selectedEntree.name, 
-                    entree2: "N/A",
-                    entree3: "N/A",
-                    price: mealItem.price
-                } 
-            });
-        } else {
-            navigate('/selectentree2', { state: { meal_item: mealItem, entree: selectedEntree } });
-        }
+        // The page stays mounted between steps, so the entree just chosen stays selected for the next one
+        const entrees = [...chosenEntrees, selectedEntree];
+        navigate(entrees.length < entreeCount ? '/selectentree' : '/selectside', {
+            state: { meal_item: mealItem, entrees },
+        });
     };
 
+    const allowedEntrees = entreeItems.filter(item => categories.length === 0 || categories.includes(item.category));
+
     return (
         <div className="select-entree-page">
-            <h2>{translatedStrings.title}</h2>
+            <h2>{translatedStrings.title} ({step}/{entreeCount})</h2>
             <div className="grid-container">
-                {entreeItems.map((item, index) => (
+                {allowedEntrees.map((item, index) => (
                     <button
                         key={index}
-                        className={`grid-item ${selectedEntree === item ? 'selected' : ''}`}
-                        onClick={() => setSelectedEntree(item)}
-                    >   
+                        className={`grid-item ${selectedEntree === item.name ? 'selected' : ''}`}
+                        onClick={() => setSelectedEntree(item.name)}
+                    >
                         <img src={`${process.env.PUBLIC_URL}/${item.name.replace(/[\s/]/g, '')}.png`} alt={`${item.name}`}></img>
                         {item.name}
                     </button>
@@ -122,4 +123,4 @@ const SelectEntreePage1 = () => {
     );
 };
 
-export default SelectEntreePage1;
+export default SelectEntreePage;
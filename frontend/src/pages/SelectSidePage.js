@@ -1,11 +1,12 @@
 /**
  * SelectSidePage Component
  * 
- * This component allows users to select a side dish for their meal.
+ * This component allows users to select the sides for their meal.
  * 
  * Features:
  * - Fetches and displays a list of available sides.
- * - Allows users to select a side and add it to their shopping cart along with meal details.
+ * - Allows users to select as many sides as the meal size allows, two halves per side when the meal allows
+ *   half and half, and add them to their shopping cart along with meal details.
  * 
  * @exampleUsage Example:
  * <SelectSidePage />
@@ -20,35 +21,36 @@ import '../styles/SelectEntreePage.css';
 const API_URL = '/api';
 
 /**
- * The main component for the SelectSidePage, where users select a side dish for their meal.
+ * The main component for the SelectSidePage, where users select the sides for their meal.
  * 
  * @returns {JSX.Element} - The rendered page with a list of side items and a button to add the selected side to the cart.
  *
  */
 const SelectSidePage = () => {
     const [sideItems, setSideItems] = useState([]);
-    const [selectedSide, setSelectedSide] = useState(null);
+    const [selectedSides, setSelectedSides] = useState([]);
     const location = useLocation();
     const navigate = useNavigate();
     const { addItemToCart } = useShoppingCart();
     const { translate } = useTranslate(); // Access translate function from context
 
-    // Extract meal item and its properties from location state
-    const mealItem = location.state?.meal_item || "plate";
-    const price = location.state?.price || "N/A";
-    const entree1 = location.state?.entree1 || "N/A";
-    const entree2 = location.state?.entree2 || "N/A";
-    const entree3 = location.state?.entree3 || "N/A"; 
+    // Extract meal item, its meal size and the chosen entrees from location state
+    const mealItem = location.state?.meal_item || {};
+    const entrees = location.state?.entrees || [];
+    const sideCount = mealItem.side_count ?? 1;
+    const maxSides = mealItem.half_sides ? sideCount * 2 : sideCount;
+    const categories = mealItem.categories || [];
 
     // State to store translated strings for various UI elements
     const [translatedStrings, setTranslatedStrings] = useState({
         title: '',
         selectSideAlert: '',
         finishedButton: '',
+        halfAndHalfHint: '',
     });
 
     /**
-     * Fetches translations for UI text (title, alert, and button) and sets them in state.
+     * Fetches translations for UI text (title, alert, hint, and button) and sets them in state.
      * This function is called when the component mounts and whenever the language changes.
      * 
      * @returns {void}
@@ -59,11 +61,13 @@ const SelectSidePage = () => {
             const title = await translate('Select Your Side');
             const selectSideAlert = await translate('Please select a side before proceeding.');
             const finishedButton = await translate('Finished');
+            const halfAndHalfHint = await translate('Pick two sides to get half and half.');
 
             setTranslatedStrings({
                 title,
                 selectSideAlert,
                 finishedButton,
+                halfAndHalfHint,
             });
         };
 
@@ -96,43 +100,61 @@ const SelectSidePage = () => {
     }, []);
 
     /**
-     * Handles adding the selected side to the cart along with meal and entrees information.
-     * If no side is selected, an alert is shown to prompt the user to select a side.
+     * Selects or deselects a side. When the meal already has as many sides as it allows,
+     * the side selected first is replaced.
+     * 
+     * @param {Object} side - The side that was clicked.
+     * @returns {void}
+     */
+    const handleSideClick = (side) => {
+        if (selectedSides.includes(side.name)) {
+            setSelectedSides(selectedSides.filter(name => name !== side.name));
+        } else if (selectedSides.length < maxSides) {
+            setSelectedSides([...selectedSides, side.name]);
+        } else {
+            setSelectedSides([...selectedSides.slice(1), side.name]);
+        }
+    };
+
+    /**
+     * Handles adding the selected sides to the cart along with meal and entrees information.
+     * If fewer sides than the meal comes with are selected, an alert is shown to prompt the user to select a side.
      * 
      * @returns {void}
      */
     const handleAddToCart = () => {
-        if (!selectedSide) {
+        if (selectedSides.length < sideCount) {
             alert(translatedStrings.selectSideAlert); // Use translated alert
             return;
         }
 
         // Prepare full item for the cart
         const fullItem = {
-            name: mealItem,
-            price: price,
-            entrees: [entree1, entree2, entree3], // Filter out null entrees
-            sides: [selectedSide.name], // Only one side allowed
+            name: mealItem.name,
+            price: mealItem.price,
+            entrees: entrees,
+            sides: selectedSides,
             type: "Meal"
         };
 
-        console.log(fullItem);
-
         // Add item to cart and show a success alert
         addItemToCart(fullItem);
-        alert(`${mealItem} with selected entrees and side added to cart!`);
+        alert(`${mealItem.name} with selected entrees and sides added to cart!`);
         navigate('/order'); // Navigate to order page
     };
 
+    const allowedSides = sideItems.filter(item => categories.length === 0 || categories.includes(item.category));
+
     return (
         <div className="select-entree-page">
             <h2>{translatedStrings.title}</h2> {/* Use translated title */}
+            {mealItem.half_sides && sideCount > 0 && <p>{translatedStrings.halfAndHalfHint}</p>}
             <div className="grid-container">
-                {sideItems.map((item, index) => (
+                {maxSides > 0 && allowedSides.map((item, index) => (
                     <button
                         key={index}
-                        className={`grid-item ${selectedSide === item ? 'selected' : ''}`}
-                        onClick={() => setSelectedSide(item)}
+                        className={`grid-item ${selectedSides.includes(item.name) ? 'selected' : ''}`}
+                        onClick={() => handleSideClick(item)}
                     >
                         <img src={`${process.env.PUBLIC_URL}/${item.name.replace(/[\s/]/g, '')}.png`} alt={`${item.name}`}></img>
                         {item.name}
@@ -0,0 +1,230 @@
+/**
+ * ServiceReportPage Component
+ *
+ * This component shows how long orders take from being received to being ready, for orders received between
+ * a given start and end date & time. It fetches the report from the backend API and displays the average,
+ * median and 90th percentile ticket time of every order, and of the orders in each hour, part of the day,
+ * order channel and number of items, in tables.
+ *
+ * Features:
+ * - Input fields for start and end date/time to specify the report period.
+ * - Generates the report by fetching data from the backend based on user input.
+ * - Displays one table for each way the orders are grouped.
+ * - Handles errors related to invalid input or API failure.
+ * - Supports translation for UI labels to adapt to different languages.
+ *
+ * API Endpoints:
+ * - `/api/doServiceReportQuery` - Fetches the ticket times of the orders received between the start and end times.
+ *
+ * @component
+ * @example
+ * // Usage Example:
+ * <ServiceReportPage />
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useTranslate } from '../contexts/TranslationContext';
+import styles from '../styles/AllManager.module.css';
+
+const API_URL = '/api';
+
+/**
+ * Function to fetch the speed-of-service report from the backend.
+ *
+ * @param {string} startTime - The start date & time for the report.
+ * @param {string} endTime - The end date & time for the report.
+ * @returns {Object} - The report data or an error message if the fetch fails.
+ */
+async function doServiceReportQuery(startTime, endTime) {
+  try {
+    const response = await fetch(`${API_URL}/doServiceReportQuery`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ startTime, endTime }),
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to fetch speed-of-service report.');
+    }
+    return data;
+  } catch (error) {
+    console.error(error);
+    return { error: error.message };
+  }
+}
+
+/**
+ * Formats a ticket time as minutes and seconds, such as `4m 05s`.
+ *
+ * @param {number|null} seconds - The ticket time in seconds.
+ * @returns {string} - The formatted ticket time, or a dash when there are no orders.
+ */
+const formatSeconds = (seconds) => {
+  if (seconds === null) {
+    return '-';
+  }
+  return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+};
+
+/**
+ * The main component that displays the report form, handles report generation,
+ * and displays the report data or error messages.
+ *
+ * @component
+ */
+const ServiceReportPage = () => {
+  const [startTime, setStartTime] = useState('');
+  const [endTime, setEndTime] = useState('');
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+  const { translate } = useTranslate();
+  const navigate = useNavigate();
+
+  const [labels, setLabels] = useState({
+    title: 'Speed of Service',
+    startDateTime: 'Start Date & Time',
+    endDateTime: 'End Date & Time',
+    generateReport: 'Generate Report',
+    allOrders: 'All Orders',
+    hour: 'Hour',
+    dayPart: 'Part of Day',
+    channel: 'Channel',
+    itemCount: 'Items',
+    orders: 'Orders',
+    average: 'Average',
+    median: 'Median',
+    p90: '90th Percentile',
+    noOrders: 'No orders were ready in this period.',
+    back: 'Back',
+    errorInvalidDates: 'Please enter valid start and end times.',
+  });
+
+  /**
+   * Loads the translated labels for the UI elements when the component mounts.
+   */
+  useEffect(() => {
+    const loadTranslations = async () => {
+      const translatedLabels = {
+        title: await translate('Speed of Service'),
+        startDateTime: await translate('Start Date & Time'),
+        endDateTime: await translate('End Date & Time'),
+        generateReport: await translate('Generate Report'),
+        allOrders: await translate('All Orders'),
+        hour: await translate('Hour'),
+        dayPart: await translate('Part of Day'),
+        channel: await translate('Channel'),
+        itemCount: await translate('Items'),
+        orders: await translate('Orders'),
+        average: await translate('Average'),
+        median: await translate('Median'),
+        p90: await translate('90th Percentile'),
+        noOrders: await translate('No orders were ready in this period.'),
+        back: await translate('Back'),
+        errorInvalidDates: await translate('Please enter valid start and end times.'),
+      };
+      setLabels(translatedLabels);
+    };
+
+    loadTranslations();
+  }, [translate]);
+
+  /**
+   * Handles the report generation when the "Generate Report" button is clicked.
+   */
+  const handleGenerateReport = async () => {
+    if (!startTime || !endTime) {
+      alert(labels.errorInvalidDates);
+      return;
+    }
+
+    const result = await doServiceReportQuery(startTime, endTime);
+    if (result.error) {
+      setError(result.error);
+    } else {
+      setReport(result);
+      setError(null);
+    }
+  };
+
+  /**
+   * Renders the ticket times of a set of groups as a table.
+   *
+   * @param {string} groupLabel - The heading of the group column.
+   * @param {Object[]} rows - The summary of each group.
+   * @param {function(*): string} [formatGroup] - Formats the name of a group.
+   * @returns {JSX.Element} - The table.
+   */
+  const renderTable = (groupLabel, rows, formatGroup = (group) => group) => (
+    <table className={styles.table}>
+      <thead>
+        <tr>
+          <th>{groupLabel}</th>
+          <th>{labels.orders}</th>
+          <th>{labels.average}</th>
+          <th>{labels.median}</th>
+          <th>{labels.p90}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((row) => (
+          <tr key={row.group}>
+            <td>{formatGroup(row.group)}</td>
+            <td>{row.orders}</td>
+            <td>{formatSeconds(row.average_seconds)}</td>
+            <td>{formatSeconds(row.median_seconds)}</td>
+            <td>{formatSeconds(row.p90_seconds)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+
+  return (
+    <div className={styles.container}>
+      <h2>{labels.title}</h2>
+      <div className={styles.inputGroup}>
+        <label className={styles.inputLabel}>
+          {labels.startDateTime}:
+          <input
+            className={styles.inputField}
+            type="datetime-local"
+            value={startTime}
+            onChange={(e) => setStartTime(e.target.value)}
+          />
+        </label>
+        <label className={styles.inputLabel}>
+          {labels.endDateTime}:
+          <input
+            className={styles.inputField}
+            type="datetime-local"
+            value={endTime}
+            onChange={(e) => setEndTime(e.target.value)}
+          />
+        </label>
+        <button className={styles.button} onClick={handleGenerateReport}>
+          {labels.generateReport}
+        </button>
+      </div>
+
+      {error && <p className={styles.errorMessage}>Error: {error}</p>}
+
+      {report && report.overall.orders === 0 && <p>{labels.noOrders}</p>}
+      {report && report.overall.orders > 0 && (
+        <>
+          {renderTable('', [{ group: labels.allOrders, ...report.overall }])}
+          {renderTable(labels.hour, report.by_hour, (hour) => `${String(hour).padStart(2, '0')}:00`)}
+          {renderTable(labels.dayPart, report.by_day_part)}
+          {renderTable(labels.channel, report.by_channel)}
+          {renderTable(labels.itemCount, report.by_item_count)}
+        </>
+      )}
+      <button className={styles.button} onClick={() => navigate('/managerselection')}>
+        {labels.back}
+      </button>
+    </div>
+  );
+};
+
+export default ServiceReportPage;
@@ -4,8 +4,9 @@
  * This component represents the Shopping Cart page of the application. 
  * It displays the user's selected items, calculates the total price, and 
  * provides options for modifying the cart or proceeding to checkout. 
- * Additionally, it includes a suggestion popup for adding a drink and a side 
- * to complete the user's meal.
+ * The discounts, subtotal, sales tax and total are quoted by the backend from 
+ * the menu whenever the cart or the promo code changes, and the order is 
+ * priced again at checkout.
  * 
  * Dependencies:
  * - useShoppingCart: Provides access to cart-related state and actions.
@@ -18,23 +19,36 @@ import { useShoppingCart } from '../contexts/ShoppingCartContext';
 import { useNavigate } from 'react-router-dom';
 import { useTranslate } from '../contexts/TranslationContext';
 import '../styles/ShoppingCartPage.css';
-//import DrinkSideSuggestionPopup from '../services/MealSuggestionPopup';
 
 const API_URL = '/api';
 
+/**
+ * Converts the cart to the order list the backend prices.
+ * 
+ * @param {Array<Object>} cartItems - The items in the shopping cart.
+ * @returns {Array<Object>} The items with their names, types, quantities, entrees and sides.
+ */
+const buildOrderList = (cartItems) => {
+    return cartItems.map(item => ({
+        name: item.name,
+        quantity: item.quantity || 1,
+        entrees: item.entrees ? item.entrees.filter(entree => entree !== "N/A") : [],
+        sides: item.sides || [],
+        type: item.type
+    }));
+};
+
 /**
  * ShoppingCartPage component
  * 
  * Displays the shopping cart and handles user interactions like 
  * updating quantities, clearing the cart, and proceeding to checkout. 
- * Includes a popup suggesting a drink and a side when appropriate.
  * 
  * @returns {JSX.Element} The rendered shopping cart page.
  */
 const ShoppingCartPage = () => {
     const { 
         cartItems, 
-        addItemToCart, 
         removeItemFromCart, 
         clearCart, 
         updateItemQuantity 
@@ -53,14 +67,28 @@ const ShoppingCartPage = () => {
         clearCart: '',
         checkout: '',
         remove: '',
+        subtotal: '',
+        tax: '',
         total: '',
+        promoCode: '',
+        apply: '',
+        discount: '',
+        payWith: '',
+        card: '',
+        giftCard: '',
+        giftCardCode: '',
     });
-    const [showPopup, setShowPopup] = useState(false);
+    const [quote, setQuote] = useState(null);
+    const [promoInput, setPromoInput] = useState('');
+    const [promoCode, setPromoCode] = useState('');
+    const [promoError, setPromoError] = useState('');
+    const [paymentMethod, setPaymentMethod] = useState('card');
+    const [giftCardCode, setGiftCardCode] = useState('');
 
     /**
-     * Calculates the total price of all items in the cart.
+     * Calculates the estimated total price of all items in the cart.
      * 
-     * @returns {number} The total price of items in the cart.
+     * @returns {number} The estimated total price of items in the cart.
      */
     const calculateTotalPrice = () => {
         return cartItems.reduce((total, item) => {
@@ -70,34 +98,71 @@ const ShoppingCartPage = () => {
     };
 
     /**
-     * Handles the checkout process by sending cart data to the server.
-     * Clears the cart and navigates to the order completion page upon success.
+     * Asks the server for the discounts, subtotal, tax and total of the cart whenever it or the promo code changes.
+     * A promo code the server rejects is removed and its error shown.
+     * Falls back to the estimated total if the quote cannot be loaded.
+     */
+    useEffect(() => {
+        if (cartItems.length === 0) {
+            setQuote(null);
+            return;
+        }
+
+        const fetchQuote = async () => {
+            try {
+                const response = await fetch(`${API_URL}/quoteOrder`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ orderList: buildOrderList(cartItems), promoCode })
+                });
+                const data = await response.json();
+                if (!response.ok && promoCode) {
+                    setPromoError(data.error);
+                    setPromoCode('');
+                    return;
+                }
+                setQuote(response.ok ? data.order : null);
+            } catch (error) {
+                console.error("Error fetching order quote:", error);
+                setQuote(null);
+            }
+        };
+
+        fetchQuote();
+    }, [cartItems, promoCode]);
+
+    /**
+     * Applies the promo code that was typed in, the quote checks it with the server.
+     */
+    const handleApplyPromoCode = () => {
+        setPromoError('');
+        setPromoCode(promoInput.trim());
+    };
+
+    /**
+     * Handles the checkout process by sending cart data and the payment to the server.
+     * The kiosk takes cards, charged on the payment terminal, and gift cards.
+     * Clears the cart and navigates to the order completion page upon success,
+     * passing along the price breakdown the server calculated and the payments.
      */
     const handleCheckout = async () => {
-        const checkoutDetails = cartItems.map(item => ({
-            name: item.name,
-            price: isNaN(Number(item.price)) ? 0 : Number(item.price),
-            quantity: item.quantity || 1,
-            entrees: item.entrees ? item.entrees.filter(entree => entree !== "N/A") : [],
-            side: item.sides && item.sides.length > 0 ? item.sides[0] : 'White Rice',
-            type: item.type
-        }));
+        const checkoutDetails = buildOrderList(cartItems);
+        const tender = paymentMethod === 'gift_card'
+            ? { method: 'gift_card', gift_card_code: giftCardCode }
+            : { method: 'card' };
 
         try {
             const response = await fetch(`${API_URL}/processOrder`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    orderList: checkoutDetails,
-                    totalPrice: calculateTotalPrice()
-                })
+                body: JSON.stringify({ orderList: checkoutDetails, promoCode, tender, channel: 'kiosk' })
             });
 
             if (response.ok) {
                 const data = await response.json();
                 alert("Checkout successful!");
                 clearCart();
-                navigate(`/completedorderpage`, { state: { receipt: data.result } });
+                navigate(`/completedorderpage`, { state: { receipt: data.result, order: data.order, payments: data.payments } });
             } else {
                 const errorData = await response.json();
                 alert(`Error: ${errorData.error}`);
@@ -108,38 +173,6 @@ const ShoppingCartPage = () => {
         }
     };
 
-    /**
-     * Monitors cartItems and shows the popup if the cart contains only a meal 
-     * without a drink or side.
-     */
-    useEffect(() => {
-        const hasMeal = cartItems.some(item => item.type === 'Meal');
-        const hasDrink = cartItems.some(item => item.type === 'Drink');
-        const hasSide = cartItems.some(item => item.type === 'Side');
-
-        if (hasMeal && !hasDrink && !hasSide) {
-            setShowPopup(true);
-        } else {
-            setShowPopup(false);
-        }
-    }, [cartItems]);
-
-    /**
-     * Adds a drink to the cart and hides the popup.
-     */
-    const handleAddDrink = () => {
-        addItemToCart({ name: "Drink", price: 1.99, type: "Drink" });
-        setShowPopup(false);
-    };
-
-    /**
-     * Adds a side to the cart and hides the popup.
-     */
-    const handleAddSide = () => {
-        addItemToCart({ name: "Side", price: 2.99, type: "Side" });
-        setShowPopup(false);
-    };
-
     /**
      * Fetches and sets translated strings for the UI.
      */
@@ -156,7 +189,16 @@ const ShoppingCartPage = () => {
             const clearCart = await translate('Clear Cart');
             const checkout = await translate('Checkout');
             const remove = await translate('Remove');
+            const subtotal = await translate('Subtotal');
+            const tax = await translate('Tax');
             const total = await translate('Total');
+            const promoCode = await translate('Promo code');
+            const apply = await translate('Apply');
+            const discount = await translate('Discount');
+            const payWith = await translate('Pay with');
+            const card = await translate('Card');
+            const giftCard = await translate('Gift Card');
+            const giftCardCode = await translate('Gift card code');
 
             setTranslatedStrings({
                 cartTitle,
@@ -170,7 +212,16 @@ const ShoppingCartPage = () => {
                 clearCart,
                 checkout,
                 remove,
+                subtotal,
+                tax,
                 total,
+                promoCode,
+                apply,
+                discount,
+                payWith,
+                card,
+                giftCard,
+                giftCardCode,
             });
         };
 
@@ -228,7 +279,7 @@ const ShoppingCartPage = () => {
                                         )}
                                         {item.sides && item.sides.length > 0 && (
                                             <p>
-                                                Side: {item.sides[0]}
+                                                Side: {item.sides.join(' / ')}
                                             </p>
                                         )}
                                     </td>
@@ -242,12 +293,65 @@ const ShoppingCartPage = () => {
                         </tbody>
                     </table>
                     
+                    <div className="promo-code-container">
+                        <input
+                            type="text"
+                            placeholder={translatedStrings.promoCode}
+                            value={promoInput}
+                            onChange={(e) => setPromoInput(e.target.value)}
+                        />
+                        <button onClick={handleApplyPromoCode}>
+                            {translatedStrings.apply}
+                        </button>
+                        {promoError && <span className="promo-code-error">{promoError}</span>}
+                    </div>
+                    {quote && (
+                        <>
+                            {quote.discounts.map((discount) => (
+                                <div className="total-price-container" key={discount.name}>
+                                    <span className="total-price-label">{translatedStrings.discount} ({discount.name}):</span>
+                                    <span className="total-price-value">-${discount.amount.toFixed(2)}</span>
+                                </div>
+                            ))}
+                            <div className="total-price-container">
+                                <span className="total-price-label">{translatedStrings.subtotal}:</span>
+                                <span className="total-price-value">${quote.subtotal.toFixed(2)}</span>
+                            </div>
+                            <div className="total-price-container">
+                                <span className="total-price-label">{translatedStrings.tax}:</span>
+                                <span className="total-price-value">${quote.tax_amount.toFixed(2)}</span>
+                            </div>
+                        </>
+                    )}
                     <div className="total-price-container">
                         <span className="total-price-label">{translatedStrings.total}:</span>
                         <span className="total-price-value">
-                            ${calculateTotalPrice().toFixed(2)}
+                            ${(quote ? quote.total : calculateTotalPrice()).toFixed(2)}
                         </span>
                     </div>
+                    <div className="payment-method-container">
+                        <span className="total-price-label">{translatedStrings.payWith}:</span>
+                        <button
+                            className={paymentMethod === 'card' ? 'selected' : ''}
+                            onClick={() => setPaymentMethod('card')}
+                        >
+                            {translatedStrings.card}
+                        </button>
+                        <button
+                            className={paymentMethod === 'gift_card' ? 'selected' : ''}
+                            onClick={() => setPaymentMethod('gift_card')}
+                        >
+                            {translatedStrings.giftCard}
+                        </button>
+                        {paymentMethod === 'gift_card' && (
+                            <input
+                                type="text"
+                                placeholder={translatedStrings.giftCardCode}
+                                value={giftCardCode}
+                                onChange={(e) => setGiftCardCode(e.target.value)}
+                            />
+                        )}
+                    </div>
                 </div>
             )}
             <div className="cart-actions">
@@ -265,13 +369,6 @@ const ShoppingCartPage = () => {
                     </>
                 )}
             </div>
-            {/* {showPopup && (
-                <DrinkSideSuggestionPopup 
-                    onAddDrink={handleAddDrink} 
-                    onAddSide={handleAddSide} 
-                    onClose={() => setShowPopup(false)} 
-                />
-            )} */}
         </div> 
     );
 };
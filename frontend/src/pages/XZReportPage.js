@@ -4,6 +4,8 @@
  * @file XZReportPage.js
  * @description This component is the page for X and Z Reports in our POS. It gathers and displays sales information since
  * the last Z Report was made, and updates the Z Report time in the database if a Z Report is created.
+ * The report ends with the sales tax collected, in total and per tax rate, for filing, and the payments taken
+ * per tender for counting the drawer. Voids and refunds show as negative lines, with the tax and payments given back.
  * 
  * @example <XZReportPage/>
  */
@@ -49,6 +51,19 @@ function XZReportPage() {
             translate('Total Revenue'),
             translate('You have updated the Z Report date to now.'),
             translate('Back'),
+            translate('Sales Tax Collected'),
+            translate('Receipts'),
+            translate('Net sales'),
+            translate('Tax collected'),
+            translate('Gross sales'),
+            translate('Taxable sales'),
+            translate('Exempt sales'),
+            translate('Tenders'),
+            translate('Payments'),
+            translate('Amount tendered'),
+            translate('Change given'),
+            translate('Voids and refunds'),
+            translate('Refunds'),
         ]);
 
         setTranslatedTexts({
@@ -62,6 +77,19 @@ function XZReportPage() {
             totalRevenueText: translations[7],
             zReportUpdatedText: translations[8],
             backText: translations[9],
+            salesTaxText: translations[10],
+            receiptsText: translations[11],
+            netSalesText: translations[12],
+            taxCollectedText: translations[13],
+            grossSalesText: translations[14],
+            taxableSalesText: translations[15],
+            exemptSalesText: translations[16],
+            tendersText: translations[17],
+            paymentsText: translations[18],
+            amountTenderedText: translations[19],
+            changeGivenText: translations[20],
+            voidsAndRefundsText: translations[21],
+            refundsText: translations[22],
         });
     };
 
@@ -128,6 +156,96 @@ function XZReportPage() {
                         ))}
                     </div>
 
+                    {reportData.tax && (
+                        <div>
+                            <div className={styles.reportHeader}>{translatedTexts.salesTaxText}</div>
+                            <div className={styles.reportRow}>
+                                <div className={styles.reportCell}>
+                                    {translatedTexts.receiptsText}: {reportData.tax.receipt_count}
+                                </div>
+                                <div className={styles.reportCell}>
+                                    {translatedTexts.netSalesText}: ${Number(reportData.tax.subtotal).toFixed(2)}
+                                </div>
+                                <div className={styles.reportCell}>
+                                    {translatedTexts.taxCollectedText}: ${Number(reportData.tax.tax_amount).toFixed(2)}
+                                </div>
+                                <div className={styles.reportCell}>
+                                    {translatedTexts.grossSalesText}: ${Number(reportData.tax.total).toFixed(2)}
+                                </div>
+                            </div>
+                            {reportData.tax.rates.map((rate, index) => (
+                                <div key={index} className={styles.reportRow}>
+                                    <div className={styles.reportCell}>
+                                        {rate.name} ({(Number(rate.rate) * 100).toFixed(3)}%)
+                                    </div>
+                                    <div className={styles.reportCell}>
+                                        {translatedTexts.taxableSalesText}: ${Number(rate.taxable_amount).toFixed(2)}
+                                    </div>
+                                    <div className={styles.reportCell}>
+                                        {translatedTexts.exemptSalesText}: ${Number(rate.exempt_amount).toFixed(2)}
+                                    </div>
+                                    <div className={styles.reportCell}>
+                                        {translatedTexts.taxCollectedText}: ${Number(rate.tax_amount).toFixed(2)}
+                                    </div>
+                                </div>
+                            ))}
+                            {reportData.tax.refunds && Number(reportData.tax.refunds.adjustment_count) > 0 && (
+                                <div className={styles.reportRow}>
+                                    <div className={styles.reportCell}>
+                                        {translatedTexts.voidsAndRefundsText}: {reportData.tax.refunds.adjustment_count}
+                                    </div>
+                                    <div className={styles.reportCell}>
+                                        {translatedTexts.netSalesText}: ${Number(reportData.tax.refunds.subtotal).toFixed(2)}
+                                    </div>
+                                    <div className={styles.reportCell}>
+                                        {translatedTexts.taxCollectedText}: ${Number(reportData.tax.refunds.tax_amount).toFixed(2)}
+                                    </div>
+                                    <div className={styles.reportCell}>
+                                        {translatedTexts.grossSalesText}: ${Number(reportData.tax.refunds.total).toFixed(2)}
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+                    )}
+
+                    {reportData.tenders && (
+                        <div>
+                            <div className={styles.reportHeader}>{translatedTexts.tendersText}</div>
+                            {reportData.tenders.map((tender) => (
+                                <div key={tender.method} className={styles.reportRow}>
+                                    <div className={styles.reportCell}>
+                                        {tender.method.replace('_', ' ')}
+                                    </div>
+                                    <div className={styles.reportCell}>
+                                        {translatedTexts.paymentsText}: {tender.payment_count}
+                                    </div>
+                                    <div className={styles.reportCell}>
+                                        {translatedTexts.amountTenderedText}: ${Number(tender.amount_tendered).toFixed(2)}
+                                    </div>
+                                    <div className={styles.reportCell}>
+                                        {translatedTexts.changeGivenText}: ${Number(tender.change_given).toFixed(2)}
+                                    </div>
+                                    <div className={styles.reportCell}>
+                                        {translatedTexts.totalRevenueText}: ${Number(tender.amount).toFixed(2)}
+                                    </div>
+                                </div>
+                            ))}
+                            {reportData.tender_refunds && reportData.tender_refunds.map((refund) => (
+                                <div key={`${refund.method}-refund`} className={styles.reportRow}>
+                                    <div className={styles.reportCell}>
+                                        {refund.method.replace('_', ' ')} ({translatedTexts.voidsAndRefundsText})
+                                    </div>
+                                    <div className={styles.reportCell}>
+                                        {translatedTexts.refundsText}: {refund.refund_count}
+                                    </div>
+                                    <div className={styles.reportCell}>
+                                        {translatedTexts.totalRevenueText}: ${Number(refund.amount).toFixed(2)}
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
                     {timeUpdated && (
                         <div className={styles.timeUpdatedMessage}>
                             {translatedTexts.zReportUpdatedText}
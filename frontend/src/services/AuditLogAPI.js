@@ -0,0 +1,29 @@
+/**
+ * @file AuditLogAPI.js
+ * @description Provides functions for API requests to fetch the audit log of the changes managers made.
+ */
+
+const API_URL = '/api';
+
+/**
+ * Queries the API for audit log entries, newest first. Filters left empty are not sent.
+ *
+ * @param {Object} filters Filters of the audit viewer: employee_id, action, entity_type, entity_id, from, to and limit
+ * @returns {JSON} API Response with `entries` on success, or `error` with the reason the entries could not be loaded
+ */
+export const fetchAuditLog = async (filters) => {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(filters)) {
+        if (value !== '' && value !== null && value !== undefined) {
+            params.append(key, value);
+        }
+    }
+
+    const response = await fetch(`${API_URL}/auditLog?${params.toString()}`);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        return { error: data.error || 'Failed to load the audit log.' };
+    }
+
+    return { entries: data };
+};
@@ -6,21 +6,19 @@ const API_URL = '/api'; // Base URL for the backend
  * Fetches menu items of a specified type from the backend.
  * 
  * @async
- * @param {string} type - The type of menu items to fetch (e.g., 'drinks', 'food').
+ * @param {string} type - The type of menu items to fetch (e.g., 'meal', 'drink', 'appetizer').
  * @returns {Promise<Object[]>} A promise that resolves to an array of menu item objects. 
  *                              Returns an empty array if the request fails.
  * @example
- * const drinks = await fetchMenuItems('drinks');
+ * const drinks = await fetchMenuItems('drink');
  * console.log(drinks); // [{ id: 1, name: 'Cola', price: 2.5 }, ...]
  */
 export const fetchMenuItems = async (type) => {
-  const queryText = `SELECT * FROM menu WHERE item_type = '${type}';`; // Directly include the type in the query
-
   try {
-    const response = await fetch(`${API_URL}/query`, {
+    const response = await fetch(`${API_URL}/doQueryMenuType`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ query: queryText, params: [type] }), // Ensure params is correctly included
+      body: JSON.stringify({ type }),
     });
 
     const data = await response.json();
@@ -37,32 +35,107 @@ export const fetchMenuItems = async (type) => {
 };
 
 /**
- * Processes an order by sending the order list and total price to the backend.
+ * Asks the backend for the price breakdown of an order without placing it.
  * 
  * @async
- * @param {Object[]} orderList - An array of order items, each containing details such as item ID, name, and quantity.
- * @param {number} totalPrice - The total price of the order.
- * @returns {Promise<boolean>} A promise that resolves to `true` if the order was successfully processed, `false` otherwise.
+ * @param {Object[]} orderList - An array of order items, each containing details such as name, type, and quantity.
+ * @param {string} [promoCode] - A promo code to apply to the order.
+ * @returns {Promise<Object>} A promise that resolves to `{ order, error }`, where `order` has the discounts, subtotal,
+ *                            tax, total and price of each item, or is `null` and `error` says why the order could not be priced.
+ * @example
+ * const { order } = await quoteOrder([{ name: 'Dr Pepper', type: 'Drink', quantity: 1 }]);
+ * console.log(order.tax_amount); // 0.17
+ */
+export const quoteOrder = async (orderList, promoCode) => {
+  try {
+    const response = await fetch(`${API_URL}/quoteOrder`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ orderList, promoCode }),
+    });
+
+    const data = await response.json();
+    return response.ok ? { order: data.order, error: null } : { order: null, error: data.error };
+  } catch (error) {
+    console.error('Error quoting order:', error);
+    return { order: null, error: error.message };
+  }
+};
+
+/**
+ * Processes an order by sending the order list and its payments to the backend.
+ * The backend prices every item from the menu and checks the promo code, so no prices or totals are sent.
+ * 
+ * @async
+ * @param {Object[]} orderList - An array of order items, each containing details such as name, type, and quantity.
+ * @param {string} [promoCode] - A promo code to apply to the order.
+ * @param {Object[]} tenders - The payments that together pay the total, each with a `method` of `cash`, `card` or
+ *                             `gift_card`, an optional `amount` to put on it, and the `amount_tendered`, `card_number`
+ *                             or `gift_card_code` the method needs. A payment without an amount pays the rest of the balance.
+ * @returns {Promise<Object>} A promise that resolves to `{ success, receipt, payments, error }`, where each payment has the
+ *                            amount, amount tendered and change given, and `error` says why the order was not processed.
  * @example
  * const orderList = [
- *   { id: 1, name: 'Pizza', quantity: 2 },
- *   { id: 2, name: 'Soda', quantity: 1 },
+ *   { name: 'Bowl', type: 'Meal', quantity: 2, entrees: ['Orange Chicken'], sides: ['Chow Mein'] },
+ *   { name: 'Dr Pepper', type: 'Drink', quantity: 1 },
  * ];
- * const isProcessed = await processOrder(orderList, 25.99);
- * console.log(isProcessed); // true or false
+ * const { success, payments } = await processOrder(orderList, '', [
+ *   { method: 'card', amount: 10 },
+ *   { method: 'cash', amount_tendered: 40 },
+ * ]);
+ * console.log(success, payments[1].change_given); // true and the change due in dollars
  */
-export const processOrder = async (orderList, totalPrice) => {
+export const processOrder = async (orderList, promoCode, tenders) => {
   try {
     const response = await fetch(`${API_URL}/processOrder`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ orderList, totalPrice }),
+      body: JSON.stringify({ orderList, promoCode, tenders, channel: 'cashier' }),
     });
 
     const data = await response.json();
-    return response.ok;
+    if (!response.ok) {
+      console.error('Error processing order:', data.error);
+      return { success: false, receipt: null, payments: [], error: data.error };
+    }
+    return { success: true, receipt: data.result, payments: data.payments, error: null };
   } catch (error) {
     console.error('Error processing order:', error);
-    return false;
+    return { success: false, receipt: null, payments: [], error: error.message };
+  }
+};
+
+/**
+ * Processes an order split into separate checks. Every check gets its own receipt and is paid with its own tenders,
+ * and no check is saved unless all of them are paid.
+ * 
+ * @async
+ * @param {Object[]} checks - An array of checks, each with an `orderList`, an optional `promoCode` and the `tenders` that pay it.
+ * @returns {Promise<Object>} A promise that resolves to `{ success, checks, error }`, where each check has the receipt ID
+ *                            as `result`, the price breakdown as `order` and its `payments`.
+ * @example
+ * const { checks } = await processSplitOrder([
+ *   { orderList: [{ name: 'Dr Pepper', type: 'Drink', quantity: 1 }], tenders: [{ method: 'card' }] },
+ *   { orderList: [{ name: 'Egg Roll', type: 'Appetizer', quantity: 2 }], tenders: [{ method: 'cash', amount_tendered: 5 }] },
+ * ]);
+ * console.log(checks.map((check) => check.result)); // the receipt ID of each check
+ */
+export const processSplitOrder = async (checks) => {
+  try {
+    const response = await fetch(`${API_URL}/processSplitOrder`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ checks }),
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      console.error('Error processing split order:', data.error);
+      return { success: false, checks: [], error: data.error };
+    }
+    return { success: true, checks: data.checks, error: null };
+  } catch (error) {
+    console.error('Error processing split order:', error);
+    return { success: false, checks: [], error: error.message };
   }
 };
@@ -6,53 +6,91 @@
 const API_URL = '/api'; // Base URL for the backend
 
 /**
- * Queries the API to verify if a user's credentials match a user in the database
+ * Queries the API to verify if a user's credentials match a user in the database.
+ * On success the backend starts a session and stores its token in a cookie.
  * 
  * @param {string} username User's username as a string
  * @param {string} password User's password as a string
- * @returns API Response with a list of user roles corresponding to the user that attempted to sign in
+ * @returns {Object|null} The logged in employee with their position, or null if the login failed
  */
 export const login = async (username, password) => {
-  const queryText = `SELECT position FROM employee WHERE name = '${username}' AND password = '${password}'`;
-
   try {
-    const response = await fetch(`${API_URL}/query`, {
+    const response = await fetch(`${API_URL}/doLogin`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ query: queryText, params: [username, password] }),
+      body: JSON.stringify({ username, password }),
     });
 
     const data = await response.json();
     if (response.ok) {
-      return data;
+      return data.employee;
     } else {
       console.error('Error logging in:', data.error);
-      return [];
+      return null;
     }
   } catch (error) {
     console.error('Fetch error:', error);
-    return [];
+    return null;
   }
 };
 
 /**
- * Queries the API to verify if a user's Google SSO credentials (emails specifically) match a user in the database
+ * Queries the API to verify if a user's Google SSO credentials (emails specifically) match a user in the database.
+ * The backend checks the credential's signature before trusting the email in it.
  * 
  * @param {JSON} credentialResponse Credential response from Google's SSO API
- * @returns {Array} API Response with a list of user roles corresponding to the user that attempted to sign in
+ * @returns {Object} `{ employee }` with the logged in employee, or `{ error, code }` describing why the login failed
  */
 export const googleLogin = async(credentialResponse) => {
-  const googleLoginResponse = await fetch(`${API_URL}/doGoogleLogin`, {
-    method: 'POST',
-    headers: {
-        'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({ credentialResponse: credentialResponse }),
-  });
-  if (!googleLoginResponse.ok){
-      return;
+  try {
+    const googleLoginResponse = await fetch(`${API_URL}/doGoogleLogin`, {
+      method: 'POST',
+      headers: {
+          'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ credentialResponse: credentialResponse }),
+    });
+
+    const result = await googleLoginResponse.json();
+    if (!googleLoginResponse.ok) {
+      return { error: result.error, code: result.code };
+    }
+    return { employee: result.employee };
+  } catch (error) {
+    console.error('Fetch error:', error);
+    return { error: error.message };
   }
+}
 
-  const result = (await googleLoginResponse.json());
-  return result.rows;
-}
\ No newline at end of file
+/**
+ * Ends the current session on the backend and clears the session cookie.
+ * 
+ * @returns {boolean} True if the logout succeeded
+ */
+export const logout = async () => {
+  try {
+    const response = await fetch(`${API_URL}/logout`, { method: 'POST' });
+    return response.ok;
+  } catch (error) {
+    console.error('Fetch error:', error);
+    return false;
+  }
+};
+
+/**
+ * Queries the API for the employee that is currently logged in.
+ * 
+ * @returns {Object|null} The logged in employee, or null if there is no valid session
+ */
+export const fetchCurrentEmployee = async () => {
+  try {
+    const response = await fetch(`${API_URL}/me`);
+    if (!response.ok) {
+      return null;
+    }
+    return (await response.json()).employee;
+  } catch (error) {
+    console.error('Fetch error:', error);
+    return null;
+  }
+};
\ No newline at end of file
@@ -1,7 +1,7 @@
 /**
  * Fetches menu items based on the specified type from the backend.
  * 
- * This function sends a POST request to the server with a SQL query to retrieve menu items of a given
+ * This function sends a POST request to the server to retrieve menu items of a given
  * type (e.g., "meal", "drink", "appetizer"). The results are ordered by price in ascending order.
  * It returns the fetched menu items or an empty array in case of an error.
  *
@@ -19,13 +19,11 @@
 const API_URL = '/api'; // Base URL for the backend
 
 export const fetchMenuType = async (type) => {
-    const queryText = `SELECT name, price, calories FROM menu WHERE item_type = '${type}' ORDER BY price ASC;`; // Directly include the type in the query
-  
     try {
-      const response = await fetch(`${API_URL}/query`, {
+      const response = await fetch(`${API_URL}/doQueryMenuType`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ query: queryText, params: [type] }), // Ensure params is correctly included
+        body: JSON.stringify({ type, orderBy: 'price' }),
       });
   
       const data = await response.json();
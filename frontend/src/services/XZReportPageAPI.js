@@ -10,7 +10,8 @@ const API_URL = '/api';
  * Updates the last Z Report time in the database if a Z Report is being created.
  * 
  * @param {boolean} modifyDatabase Boolean to update last Z Report time in database or not
- * @returns {JSON} API Response with sales data
+ * @returns {JSON} API Response with sales data, the sales tax collected in `tax`, the payments taken per method in `tenders`,
+ * and the money given back by voids and refunds per method in `tender_refunds`
  */
 export const gatherReportData = async (modifyDatabase) => {
     const XZReportResponse = await fetch(`${API_URL}/doXZReport`, {
@@ -24,7 +25,8 @@ export const gatherReportData = async (modifyDatabase) => {
         return;
     }
 
-    return (await XZReportResponse.json()).results;
+    const report = await XZReportResponse.json();
+    return { ...report.results, tax: report.tax, tenders: report.tenders, tender_refunds: report.tender_refunds };
 };
 
 /**
@@ -3,18 +3,28 @@
 const API_URL = '/api'; // Base URL for the backend
 
 /**
- * Fetches the list of pending orders from the backend.
+ * Fetches the orders the kitchen still has to make or hand out: those Received, In Progress or Ready.
  *
  * @async
+ * @param {Object} [filters] - Optional filters.
+ * @param {number} [filters.limit] - How many orders to fetch, 6 if left out and at most 100.
+ * @param {string} [filters.since] - Only fetch orders received at or after this ISO time.
  * @returns {Promise<Object[]>} A promise that resolves to an array of pending order objects.
  *                              Returns an empty array if the request fails.
  * @example
  * const orders = await fetchPendingOrders();
- * console.log(orders); // [{ id: 1, items: ['Burger', 'Fries'], ... }, ...]
+ * console.log(orders); // [{ receipt_id: 1, status: 'Received', next_statuses: ['In Progress', 'Cancelled'], items: [...], ... }, ...]
  */
-export const fetchPendingOrders = async () => {
+export const fetchPendingOrders = async (filters = {}) => {
   try {
-    const response = await fetch(`${API_URL}/pendingOrders`);
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(filters)) {
+      if (value !== undefined && value !== null && value !== '') {
+        params.append(key, value);
+      }
+    }
+    const query = params.toString();
+    const response = await fetch(`${API_URL}/pendingOrders${query ? `?${query}` : ''}`);
     const data = await response.json();
     if (response.ok) {
       return data; // Array of orders
@@ -29,29 +39,109 @@ export const fetchPendingOrders = async () => {
 };
 
 /**
- * Marks a specific order as complete.
+ * Moves an order to its next status, such as from Received to In Progress when the kitchen starts it.
+ * The customer is emailed by the backend once their order is Ready.
  *
  * @async
  * @param {number} receipt_id - The unique identifier of the order receipt.
- * @param {string} email - The email address associated with the order.
- * @returns {Promise<boolean>} A promise that resolves to `true` if the order is successfully marked as complete,
- *                             or `false` if there is an error.
+ * @param {string} status - The status to move the order to: In Progress, Ready, Picked Up or Cancelled.
+ * @returns {Promise<Object|null>} A promise that resolves to the order's new status, the statuses allowed next and
+ *                                 its timeline, or `null` if there is an error.
+ * @example
+ * const order = await updateOrderStatus(12345, 'Ready');
+ * console.log(order.next_statuses); // ['Picked Up', 'In Progress', 'Cancelled']
+ */
+export const updateOrderStatus = async (receipt_id, status) => {
+  try {
+    const response = await fetch(`${API_URL}/orders/${receipt_id}/status`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ status }),
+    });
+    const data = await response.json();
+    if (response.ok) {
+      return data.order;
+    } else {
+      console.error('Error updating order status:', data.error);
+      return null;
+    }
+  } catch (error) {
+    console.error('Fetch error:', error);
+    return null;
+  }
+};
+
+/**
+ * The kinds of order events the backend streams to the kitchen.
+ */
+const ORDER_EVENT_TYPES = ['order-created', 'order-updated', 'order-completed'];
+
+/**
+ * Subscribes to the stream of order events, sent whenever an order is placed, moved to another status,
+ * edited, voided or refunded. The browser reconnects on its own when the stream drops.
+ *
+ * @param {function(string, Object): void} onEvent - Called with the event type and its `{ receipt_id, status }`.
+ * @param {function(boolean): void} onConnectionChange - Called with `true` when the stream (re)connects
+ *                                                       and `false` when it drops.
+ * @returns {function(): void} A function that closes the stream.
  * @example
- * const success = await completeOrder(12345, 'customer@example.com');
- * console.log(success); // true or false
+ * const unsubscribe = subscribeToOrderEvents((type, order) => console.log(type, order.receipt_id), console.log);
+ * unsubscribe();
+ */
+export const subscribeToOrderEvents = (onEvent, onConnectionChange) => {
+  const source = new EventSource(`${API_URL}/orderEvents`);
+
+  source.onopen = () => onConnectionChange(true);
+  source.onerror = () => onConnectionChange(false);
+  for (const type of ORDER_EVENT_TYPES) {
+    source.addEventListener(type, (event) => onEvent(type, JSON.parse(event.data)));
+  }
+
+  return () => source.close();
+};
+
+/**
+ * Fetches the kitchen stations, such as wok, fryer, drinks and expo.
+ *
+ * @async
+ * @returns {Promise<Object[]>} A promise that resolves to the stations with `station_id`, `name` and `is_expo`.
+ *                              Returns an empty array if the request fails.
+ */
+export const fetchKitchenStations = async () => {
+  try {
+    const response = await fetch(`${API_URL}/kitchenStations`);
+    const data = await response.json();
+    if (response.ok) {
+      return data;
+    } else {
+      console.error('Error fetching kitchen stations:', data.error);
+      return [];
+    }
+  } catch (error) {
+    console.error('Fetch error:', error);
+    return [];
+  }
+};
+
+/**
+ * Marks a station's part of an order done, so the order leaves the station's screen.
+ *
+ * @async
+ * @param {number} receipt_id - The unique identifier of the order receipt.
+ * @param {number} station_id - The unique identifier of the station.
+ * @returns {Promise<boolean>} A promise that resolves to `true` on success, or `false` if there is an error.
  */
-export const completeOrder = async (receipt_id, email) => {
+export const completeStation = async (receipt_id, station_id) => {
   try {
-    const response = await fetch(`${API_URL}/completeOrder`, {
+    const response = await fetch(`${API_URL}/orders/${receipt_id}/stations/${station_id}/complete`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ receipt_id, email }),
     });
     if (response.ok) {
       return true;
     } else {
       const data = await response.json();
-      console.error('Error completing order:', data.error);
+      console.error('Error completing station:', data.error);
       return false;
     }
   } catch (error) {
@@ -59,3 +149,54 @@ export const completeOrder = async (receipt_id, email) => {
     return false;
   }
 };
+
+/**
+ * Fetches how many of each entree, side, appetizer and drink are on the open tickets.
+ *
+ * @async
+ * @param {string} [station] - Only count what this station still has to make, every item if left out.
+ * @returns {Promise<Object[]>} A promise that resolves to the items with `kind`, `name` and `count`, most first.
+ *                              Returns an empty array if the request fails.
+ * @example
+ * const counts = await fetchAllDayCounts('wok');
+ * console.log(counts); // [{ kind: 'entree', name: 'Orange Chicken', count: 7 }, ...]
+ */
+export const fetchAllDayCounts = async (station) => {
+  try {
+    const query = station ? `?station=${encodeURIComponent(station)}` : '';
+    const response = await fetch(`${API_URL}/kitchenAllDay${query}`);
+    const data = await response.json();
+    if (response.ok) {
+      return data;
+    } else {
+      console.error('Error fetching all-day counts:', data.error);
+      return [];
+    }
+  } catch (error) {
+    console.error('Fetch error:', error);
+    return [];
+  }
+};
+
+/**
+ * Fetches the speed-of-service thresholds that color the tickets.
+ *
+ * @async
+ * @returns {Promise<Object|null>} A promise that resolves to the `warning_minutes` and `late_minutes`,
+ *                                 or `null` if there is an error.
+ */
+export const fetchKitchenSla = async () => {
+  try {
+    const response = await fetch(`${API_URL}/kitchenSla`);
+    const data = await response.json();
+    if (response.ok) {
+      return data;
+    } else {
+      console.error('Error fetching kitchen thresholds:', data.error);
+      return null;
+    }
+  } catch (error) {
+    console.error('Fetch error:', error);
+    return null;
+  }
+};